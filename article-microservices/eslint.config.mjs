@@ -13,6 +13,8 @@ export default [
         console: 'readonly',
         process: 'readonly',
         __dirname: 'readonly',
+        fetch: 'readonly',
+        AbortSignal: 'readonly',
       },
     },
   },
@@ -0,0 +1,75 @@
+-- Money columns move from decimal amounts (DOUBLE) to integer minor units of
+-- a currency (see src/utils/money.js). Amounts stored so far carry no
+-- currency and are in the default currency, USD.
+
+-- AlterTable
+ALTER TABLE `Article` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE `Offer` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE `Transaction` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+-- Backfill: an offer is in its article's currency, a transaction in its offer's
+UPDATE `Offer` o JOIN `Article` a ON a.`id` = o.`articleId` SET o.`currency` = a.`currency`;
+UPDATE `Transaction` t JOIN `Offer` o ON o.`id` = t.`offerId` SET t.`currency` = o.`currency`;
+
+-- Minor units per major unit; every other currency has 100 (utils/money.js CURRENCY_EXPONENTS)
+CREATE TEMPORARY TABLE `_MinorUnitFactor` (
+    `currency` VARCHAR(3) NOT NULL,
+    `factor` INTEGER NOT NULL,
+
+    PRIMARY KEY (`currency`)
+);
+
+INSERT INTO `_MinorUnitFactor` (`currency`, `factor`) VALUES
+    ('JPY', 1), ('KRW', 1), ('XAF', 1), ('XOF', 1),
+    ('BHD', 1000), ('KWD', 1000), ('TND', 1000);
+
+-- Convert to minor units. DECIMAL rounds half away from zero, like toMinorUnits().
+UPDATE `Article` a
+LEFT JOIN `_MinorUnitFactor` f ON f.`currency` = a.`currency`
+SET a.`price` = ROUND(CAST(a.`price` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100));
+
+UPDATE `Offer` o
+LEFT JOIN `_MinorUnitFactor` f ON f.`currency` = o.`currency`
+SET o.`price` = ROUND(CAST(o.`price` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100));
+
+UPDATE `Transaction` t
+LEFT JOIN `_MinorUnitFactor` f ON f.`currency` = t.`currency`
+SET t.`amount` = ROUND(CAST(t.`amount` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100)),
+    t.`itemPrice` = ROUND(CAST(t.`itemPrice` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100)),
+    t.`buyerFee` = ROUND(CAST(t.`buyerFee` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100)),
+    t.`sellerFee` = ROUND(CAST(t.`sellerFee` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100)),
+    t.`sellerPayout` = ROUND(CAST(t.`sellerPayout` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100)),
+    t.`taxAmount` = ROUND(CAST(t.`taxAmount` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100)),
+    t.`refundedAmount` = ROUND(CAST(t.`refundedAmount` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100));
+
+UPDATE `Refund` r
+JOIN `Transaction` t ON t.`id` = r.`transactionId`
+LEFT JOIN `_MinorUnitFactor` f ON f.`currency` = t.`currency`
+SET r.`amount` = ROUND(CAST(r.`amount` AS DECIMAL(20, 6)) * COALESCE(f.`factor`, 100));
+
+DROP TEMPORARY TABLE `_MinorUnitFactor`;
+
+-- AlterTable
+ALTER TABLE `Article` MODIFY `price` INTEGER NOT NULL;
+
+-- AlterTable
+ALTER TABLE `Offer` MODIFY `price` INTEGER NOT NULL;
+
+-- AlterTable
+ALTER TABLE `Transaction` MODIFY `amount` INTEGER NOT NULL,
+    MODIFY `itemPrice` INTEGER NULL,
+    MODIFY `buyerFee` INTEGER NOT NULL DEFAULT 0,
+    MODIFY `sellerFee` INTEGER NOT NULL DEFAULT 0,
+    MODIFY `sellerPayout` INTEGER NULL,
+    MODIFY `taxAmount` INTEGER NOT NULL DEFAULT 0,
+    MODIFY `refundedAmount` INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `Refund` MODIFY `amount` INTEGER NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `Transaction_currency_idx` ON `Transaction`(`currency`);
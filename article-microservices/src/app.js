@@ -6,16 +6,23 @@ const compression = require('compression');
 const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('./swagger.json');
-const cron = require('node-cron');
 
 // Import services
-const NotificationService = require('./services/notificationService');
+const JobService = require('./services/jobService');
 
 // Import routes
 const articleRoutes = require('./routes/article.routes');
 const offerRoutes = require('./routes/offer.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const transactionRoutes = require('./routes/transaction.routes'); // New transaction routes
+const webhookRoutes = require('./routes/webhook.routes');
+const jobRoutes = require('./routes/job.routes');
+const ledgerRoutes = require('./routes/ledger.routes');
+const disputeRoutes = require('./routes/dispute.routes');
+const exportRoutes = require('./routes/export.routes');
+const riskRoutes = require('./routes/risk.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const walletRoutes = require('./routes/wallet.routes');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -48,7 +55,15 @@ app.use(cors())
 
 
 // Request parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/transactions/webhooks')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving
@@ -99,7 +114,15 @@ app.use('/offer/stream', (req, res, next) => {
 app.use('/api/articles', articleRoutes);
 app.use('/offer', offerRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/transactions/webhooks', webhookRoutes); // Before transaction routes: no user rate limit
 app.use('/api/transactions', transactionRoutes); // New transaction routes
+app.use('/api/wallet', walletRoutes);
+app.use('/api/admin/jobs', jobRoutes);
+app.use('/api/admin/ledger', ledgerRoutes);
+app.use('/api/admin/disputes', disputeRoutes);
+app.use('/api/admin/exports', exportRoutes);
+app.use('/api/admin/risk', riskRoutes);
+app.use('/api/admin/analytics', analyticsRoutes);
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -112,7 +135,15 @@ app.get('/api', (req, res) => {
       articles: '/api/articles',
       offers: '/offer',
       transactions: '/api/transactions',
+      paymentWebhooks: '/api/transactions/webhooks/payment',
+      wallet: '/api/wallet',
       notifications: '/api/notifications',
+      jobs: '/api/admin/jobs',
+      ledger: '/api/admin/ledger',
+      disputes: '/api/admin/disputes',
+      exports: '/api/admin/exports',
+      riskReviews: '/api/admin/risk/reviews',
+      analytics: '/api/admin/analytics',
       health: '/health',
       sse: '/offer/stream/:seller'
     },
@@ -121,8 +152,26 @@ app.get('/api', (req, res) => {
       'Offer system',
       'Secure transaction processing',
       'Real-time notifications via SSE',
-      'Dispute resolution',
-      'Payment escrow simulation'
+      'Dispute resolution by moderators',
+      'Payment escrow simulation',
+      'Double-entry escrow ledger',
+      'Seller wallet and payouts',
+      'Full and partial refunds',
+      'Returns after delivery',
+      'Carrier tracking with delivery detection',
+      'PDF receipts with sequential invoice numbers',
+      'Streaming CSV and JSON Lines accounting exports',
+      'Risk scoring with an admin review queue',
+      'Platform analytics for admins',
+      'Sales tax and VAT by shipping destination',
+      'Multi-currency prices in the viewer currency',
+      'Counter-offer negotiation with offer history',
+      'Offer expiry with configurable purchase windows',
+      'Seller floor and auto-accept prices per article',
+      'Buy-it-now purchases with article reservation',
+      'Competing offers closed when an article is promised or sold',
+      'Scheduled maintenance jobs',
+      'Idempotent offer and purchase requests'
     ]
   });
 });
@@ -135,5 +184,12 @@ app.use(errorHandler);
 
 
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on http://localhost:${PORT}`);
+
+  // Start background jobs (expired payments, auto-release, notification cleanup)
+  if (process.env.NODE_ENV !== 'test') {
+    JobService.start();
+  }
+});
 module.exports = app;
\ No newline at end of file
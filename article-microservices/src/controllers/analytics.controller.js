@@ -0,0 +1,354 @@
+// controllers/analytics.controller.js
+const { ValidationError } = require('../utils/errors');
+const { serializeBigInt, getViewerCurrency } = require('../utils/helpers');
+const AnalyticsService = require('../services/analyticsService');
+
+/**
+ * Wrap an AnalyticsService query in the uniform response, parsing the shared
+ * from/to/interval/limit query parameters first
+ */
+const analyticsAction = (label, method) => async (req, res) => {
+  try {
+    const range = AnalyticsService.parseRange({ ...req.query, currency: getViewerCurrency(req) });
+    const data = await AnalyticsService[method](range);
+
+    res.json({
+      success: true,
+      data: serializeBigInt(data)
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error(`Error retrieving ${label}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error retrieving ${label}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/analytics/overview:
+ *   get:
+ *     summary: Platform totals, success and dispute rates, monthly volume (admin only)
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *         description: Currency to report amounts in; sales in other currencies are converted
+ *     responses:
+ *       200:
+ *         description: Platform statistics
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getOverview = async (req, res) => {
+  try {
+    const stats = await AnalyticsService.getOverview(getViewerCurrency(req));
+
+    res.json({
+      success: true,
+      data: serializeBigInt(stats)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving platform statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving platform statistics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/analytics/gmv:
+ *   get:
+ *     summary: Gross merchandise value over time (admin only)
+ *     description: |
+ *       Item prices and platform fees of completed sales, bucketed by the
+ *       time the payment was released. Every bucket in the range is listed,
+ *       empty ones with zeros.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Bucket size; weeks start on Monday (UTC)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *         description: Currency to report amounts in; sales in other currencies are converted
+ *     responses:
+ *       200:
+ *         description: GMV series and totals
+ *       400:
+ *         description: Invalid range or interval
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getGmv = analyticsAction('GMV', 'getGmv');
+
+/**
+ * @swagger
+ * /api/admin/analytics/top-categories:
+ *   get:
+ *     summary: Categories with the highest GMV (admin only)
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *         description: Currency to report amounts in; sales in other currencies are converted
+ *     responses:
+ *       200:
+ *         description: Categories by GMV, highest first
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getTopCategories = analyticsAction('top categories', 'getTopCategories');
+
+/**
+ * @swagger
+ * /api/admin/analytics/top-brands:
+ *   get:
+ *     summary: Brands with the highest GMV (admin only)
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *         description: Currency to report amounts in; sales in other currencies are converted
+ *     responses:
+ *       200:
+ *         description: Brands by GMV, highest first
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getTopBrands = analyticsAction('top brands', 'getTopBrands');
+
+/**
+ * @swagger
+ * /api/admin/analytics/new-sellers:
+ *   get:
+ *     summary: Sellers who listed their first article, over time (admin only)
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Bucket size; weeks start on Monday (UTC)
+ *     responses:
+ *       200:
+ *         description: New seller series and total
+ *       400:
+ *         description: Invalid range or interval
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getNewSellers = analyticsAction('new sellers', 'getNewSellers');
+
+/**
+ * @swagger
+ * /api/admin/analytics/offer-acceptance:
+ *   get:
+ *     summary: Offer acceptance rate (admin only)
+ *     description: Accepted (or concluded) offers out of those the seller accepted or declined, for offers made in the range.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *     responses:
+ *       200:
+ *         description: Offer counts by status and acceptance rate
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getOfferAcceptance = analyticsAction('offer acceptance', 'getOfferAcceptance');
+
+/**
+ * @swagger
+ * /api/admin/analytics/time-to-ship:
+ *   get:
+ *     summary: Average time from payment to shipping (admin only)
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *     responses:
+ *       200:
+ *         description: Shipment count with average and longest time to ship, in hours
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getTimeToShip = analyticsAction('time to ship', 'getTimeToShip');
+
+/**
+ * @swagger
+ * /api/admin/analytics/dispute-rates:
+ *   get:
+ *     summary: Dispute rate per category (admin only)
+ *     description: Paid transactions created in the range that had a dispute opened, per article category.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 30 days, 12 weeks or 12 months back)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now; a plain date includes that day)
+ *     responses:
+ *       200:
+ *         description: Categories by dispute rate, highest first
+ *       400:
+ *         description: Invalid range
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getDisputeRates = analyticsAction('dispute rates', 'getDisputeRateByCategory');
+
+module.exports = {
+  getOverview,
+  getGmv,
+  getTopCategories,
+  getTopBrands,
+  getNewSellers,
+  getOfferAcceptance,
+  getTimeToShip,
+  getDisputeRates
+};
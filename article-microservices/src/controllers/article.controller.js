@@ -1,9 +1,57 @@
 // controllers/article.controller.js
 const prisma = require('../prismaClient');
 const { ValidationError } = require('../utils/errors');
-const { serializeBigInt, validateArticleData } = require('../utils/helpers');
+const { serializeBigInt, validateArticleData, getViewerCurrency } = require('../utils/helpers');
+const { toMinorUnits } = require('../utils/money');
+const CurrencyService = require('../services/currencyService');
+const PriceRuleService = require('../services/priceRuleService');
 const jwt = require('jsonwebtoken');
 
+// Articles as returned by the API, amounts in major units plus a display amount.
+// Price rules are only shown to the article's owner.
+const present = (data, req) => {
+  const viewer = req.headers['x-user-username'];
+  const visible = (article) => article.owner === viewer ? article : PriceRuleService.hideRules(article);
+
+  return serializeBigInt(CurrencyService.present(
+    Array.isArray(data) ? data.map(visible) : visible(data),
+    getViewerCurrency(req)
+  ));
+};
+
+/**
+ * Buy-now price from a request body, in minor units of currency. Undefined
+ * when not given; an empty value removes it.
+ */
+const parseBuyNowPrice = (value, currency) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  const minor = toMinorUnits(parseFloat(value), currency);
+  if (isNaN(minor) || minor <= 0) {
+    throw new ValidationError('Invalid buy-now price', {
+      buyNowPrice: 'Must be a positive amount, or empty to remove it'
+    });
+  }
+
+  return minor;
+};
+
+/**
+ * Price bounds given in the viewer's currency, as one condition per
+ * supported currency with the bounds converted into it
+ */
+const priceRangeFilter = (minPrice, maxPrice, viewerCurrency) =>
+  CurrencyService.getSupportedCurrencies().map(currency => {
+    const bound = (value) => CurrencyService.convert(toMinorUnits(parseFloat(value), viewerCurrency), viewerCurrency, currency);
+    const price = {};
+
+    if (minPrice) price.gte = bound(minPrice);
+    if (maxPrice) price.lte = bound(maxPrice);
+
+    return { currency, price };
+  });
+
 /**
  * @swagger
  * /api/articles:
@@ -34,6 +82,19 @@ const jwt = require('jsonwebtoken');
  *               price:
  *                 type: number
  *                 minimum: 0
+ *               currency:
+ *                 type: string
+ *                 default: USD
+ *                 description: Currency of the price; offers on the article are made in it
+ *               floorPrice:
+ *                 type: number
+ *                 description: Offers below this amount are declined automatically
+ *               autoAcceptPrice:
+ *                 type: number
+ *                 description: Offers at or above this amount are accepted immediately
+ *               buyNowPrice:
+ *                 type: number
+ *                 description: Buyers can purchase at this price straight away (/api/transactions/buy-now)
  *               category:
  *                 type: string
  *               state:
@@ -71,7 +132,7 @@ const jwt = require('jsonwebtoken');
 const createArticle = async (req, res) => {
   try {
     const {
-      name, gender, description, price, category, state,
+      name, gender, description, price, currency, category, state,
       color, brand, size, babySize, childSize, adultSize,
       creationDate, perishable, published
     } = req.body;
@@ -100,11 +161,17 @@ const createArticle = async (req, res) => {
     const mainImage = mainImageFile ? mainImageFile.filename : null;
     const images = imagesFiles.length ? imagesFiles.map(f => f.filename).join(',') : null;
 
+    const articleCurrency = CurrencyService.normalizeCurrency(currency);
+    const priceRules = PriceRuleService.parseRules(req.body, articleCurrency);
+
     const articleData = {
       name: name.trim(),
       gender,
       description: description?.trim() || '',
-      price: parseFloat(price),
+      price: toMinorUnits(parseFloat(price), articleCurrency),
+      currency: articleCurrency,
+      buyNowPrice: parseBuyNowPrice(req.body.buyNowPrice, articleCurrency) || null,
+      ...priceRules,
       category,
       state,
       color: color?.trim() || '',
@@ -121,6 +188,8 @@ const createArticle = async (req, res) => {
       published: published === 'true',
     };
 
+    PriceRuleService.validate(articleData);
+
     const article = await prisma.article.create({
       data: articleData,
       include: {
@@ -131,7 +200,7 @@ const createArticle = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Article created successfully',
-      data: serializeBigInt(article)
+      data: present(article, req)
     });
 
   } catch (error) {
@@ -210,7 +279,7 @@ const getArticleById = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(article)
+      data: present(article, req)
     });
 
   } catch (error) {
@@ -271,17 +340,34 @@ const updateArticleById = async (req, res) => {
 
     // Build update data
     const {
-      name, gender, description, price, category, state,
+      name, gender, description, price, currency, category, state,
       color, brand, size, babySize, childSize, adultSize,
       perishable, published
     } = req.body;
 
     const updateData = {};
+    const articleCurrency = CurrencyService.normalizeCurrency(currency, existingArticle.currency);
     
     if (name) updateData.name = name.trim();
     if (gender) updateData.gender = gender;
     if (description !== undefined) updateData.description = description.trim();
-    if (price) updateData.price = parseFloat(price);
+    if (articleCurrency !== existingArticle.currency) {
+      // Without a new price, the current one is converted into the new currency
+      updateData.currency = articleCurrency;
+      updateData.price = CurrencyService.convert(existingArticle.price, existingArticle.currency, articleCurrency);
+    }
+    if (price) updateData.price = toMinorUnits(parseFloat(price), articleCurrency);
+    if (articleCurrency !== existingArticle.currency) {
+      // Buy-now and rule prices move to the new currency along with the price
+      ['buyNowPrice', ...PriceRuleService.RULE_FIELDS]
+        .filter(field => existingArticle[field])
+        .forEach(field => {
+          updateData[field] = CurrencyService.convert(existingArticle[field], existingArticle.currency, articleCurrency);
+        });
+    }
+    const buyNowPrice = parseBuyNowPrice(req.body.buyNowPrice, articleCurrency);
+    if (buyNowPrice !== undefined) updateData.buyNowPrice = buyNowPrice;
+    Object.assign(updateData, PriceRuleService.parseRules(req.body, articleCurrency));
     if (category) updateData.category = category;
     if (state) updateData.state = state;
     if (color !== undefined) updateData.color = color.trim();
@@ -309,6 +395,8 @@ const updateArticleById = async (req, res) => {
       });
     }
 
+    PriceRuleService.validate({ ...existingArticle, ...updateData });
+
     updateData.updatedDate = new Date();
 
     const updatedArticle = await prisma.article.update({
@@ -322,11 +410,19 @@ const updateArticleById = async (req, res) => {
     res.json({
       success: true,
       message: 'Article updated successfully',
-      data: serializeBigInt(updatedArticle)
+      data: present(updatedArticle, req)
     });
 
   } catch (error) {
     console.error('Error updating article:', error);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
     
     if (error.code === 'P2025') {
       return res.status(404).json({ 
@@ -474,7 +570,7 @@ const togglePublishArticle = async (req, res) => {
     res.json({
       success: true,
       message: `Article ${isPublished ? 'published' : 'unpublished'} successfully`,
-      data: serializeBigInt(updatedArticle)
+      data: present(updatedArticle, req)
     });
 
   } catch (error) {
@@ -534,7 +630,7 @@ const getUserArticles = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(articles),
+      data: present(articles, req),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -564,8 +660,9 @@ const getAllArticlesSortedByLatest = async (req, res) => {
     if (category) where.category = category;
     if (gender) where.gender = gender;
     if (state) where.state = state;
-    if (minPrice) where.price = { ...where.price, gte: parseFloat(minPrice) };
-    if (maxPrice) where.price = { ...where.price, lte: parseFloat(maxPrice) };
+    if (minPrice || maxPrice) {
+      where.OR = priceRangeFilter(minPrice, maxPrice, CurrencyService.getDisplayCurrency(getViewerCurrency(req)));
+    }
 
     const [articles, total] = await Promise.all([
       prisma.article.findMany({
@@ -591,7 +688,7 @@ const getAllArticlesSortedByLatest = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(articles),
+      data: present(articles, req),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -655,7 +752,7 @@ const getArticlesByUsername = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(articles),
+      data: present(articles, req),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
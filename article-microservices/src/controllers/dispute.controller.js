@@ -0,0 +1,482 @@
+// controllers/dispute.controller.js
+const fs = require('fs');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError,
+  PaymentError
+} = require('../utils/errors');
+const { serializeBigInt, validateId, getViewerCurrency } = require('../utils/helpers');
+const { isModerator } = require('../middleware/auth');
+const DisputeService = require('../services/disputeService');
+const CurrencyService = require('../services/currencyService');
+
+/**
+ * Delete the photos multer saved for a reply that was not posted
+ */
+const removeUploads = async (files = []) => {
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(unlinkError => {
+    console.error(`Error removing upload ${file.path}:`, unlinkError);
+  })));
+};
+
+/**
+ * Send the uniform response for dispute thread errors.
+ * Returns true when the error was handled.
+ */
+const handleThreadError = (error, res) => {
+  if (error instanceof ValidationError) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  if (error instanceof ForbiddenError) {
+    res.status(403).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error instanceof NotFoundError) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error instanceof ConflictError) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * @swagger
+ * /api/admin/disputes:
+ *   get:
+ *     summary: List disputes (moderators and admins)
+ *     description: Open disputes are listed oldest first, resolved ones newest first.
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Disputes retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Moderator access required
+ *       500:
+ *         description: Server error
+ */
+const listDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, state = 'open' } = req.query;
+
+    const { disputes, pagination } = await DisputeService.listDisputes({
+      page,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      state
+    });
+
+    res.json({
+      success: true,
+      data: serializeBigInt(CurrencyService.present(disputes, getViewerCurrency(req))),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Error retrieving disputes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving disputes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/disputes/{id}:
+ *   get:
+ *     summary: Get a dispute with its refunds (moderators and admins)
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Dispute retrieved successfully
+ *       400:
+ *         description: Invalid transaction ID
+ *       403:
+ *         description: Moderator access required
+ *       404:
+ *         description: Dispute not found
+ *       500:
+ *         description: Server error
+ */
+const getDispute = async (req, res) => {
+  try {
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const dispute = await DisputeService.getDispute(req.params.id);
+
+    res.json({
+      success: true,
+      data: serializeBigInt(CurrencyService.present(dispute, getViewerCurrency(req)))
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error retrieving dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/disputes/{id}/resolve:
+ *   post:
+ *     summary: Resolve an open dispute (moderators and admins)
+ *     description: |
+ *       REFUND_BUYER refunds everything not yet refunded and marks the
+ *       transaction REFUNDED. RELEASE_TO_SELLER releases the escrowed payment
+ *       and completes the transaction. SPLIT refunds buyerAmount to the buyer
+ *       and releases the rest to the seller. Both parties are notified.
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [REFUND_BUYER, RELEASE_TO_SELLER, SPLIT]
+ *               buyerAmount:
+ *                 type: number
+ *                 description: Amount refunded to the buyer (SPLIT only)
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Explanation shared with both parties
+ *     responses:
+ *       200:
+ *         description: Dispute resolved
+ *       400:
+ *         description: Invalid outcome or split amount
+ *       402:
+ *         description: The payment provider declined the refund or release
+ *       403:
+ *         description: Moderator access required
+ *       404:
+ *         description: Dispute not found
+ *       409:
+ *         description: Dispute already resolved
+ *       500:
+ *         description: Server error
+ */
+const resolveDispute = async (req, res) => {
+  try {
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { outcome, buyerAmount, note } = req.body || {};
+
+    const transaction = await DisputeService.resolveDispute(req.params.id, {
+      outcome,
+      buyerAmount,
+      note: typeof note === 'string' ? note.trim() : undefined
+    }, req.user.username);
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: serializeBigInt(CurrencyService.present(transaction, getViewerCurrency(req)))
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({
+        success: false,
+        message: 'This dispute is no longer open',
+        errors: error.details
+      });
+    }
+
+    if (error instanceof PaymentError) {
+      return res.status(402).json({
+        success: false,
+        message: error.message,
+        errors: {
+          code: error.code,
+          operation: error.operation
+        }
+      });
+    }
+
+    console.error('Error resolving dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/dispute/messages:
+ *   get:
+ *     summary: Dispute thread of a transaction (buyer, seller or moderator)
+ *     description: |
+ *       The opening reason and description followed by every reply, oldest
+ *       first. readOnly is true once the dispute is resolved.
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Thread retrieved successfully
+ *       400:
+ *         description: Invalid transaction ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a party to this dispute
+ *       404:
+ *         description: Dispute not found
+ *       500:
+ *         description: Server error
+ */
+const getDisputeThread = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const thread = await DisputeService.getThread(req.params.id, {
+      username,
+      moderator: isModerator(username)
+    });
+
+    res.json({
+      success: true,
+      data: serializeBigInt(thread)
+    });
+
+  } catch (error) {
+    if (handleThreadError(error, res)) return;
+
+    console.error('Error retrieving dispute thread:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving dispute thread',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/dispute/messages:
+ *   post:
+ *     summary: Reply on an open dispute, optionally with evidence photos
+ *     description: |
+ *       The other party is notified (both parties when a moderator replies).
+ *       Replies are refused once the dispute is resolved.
+ *     tags: [Disputes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 2000
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Reply posted
+ *       400:
+ *         description: Empty or too long message, or invalid photo
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a party to this dispute
+ *       404:
+ *         description: Dispute not found
+ *       409:
+ *         description: Dispute already resolved
+ *       500:
+ *         description: Server error
+ */
+const postDisputeMessage = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      await removeUploads(req.files);
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      await removeUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const attachments = (req.files || []).map(file => file.filename);
+
+    const message = await DisputeService.addMessage(req.params.id, {
+      username,
+      moderator: isModerator(username)
+    }, {
+      message: req.body?.message,
+      attachments
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply posted successfully',
+      data: serializeBigInt(message)
+    });
+
+  } catch (error) {
+    await removeUploads(req.files);
+
+    if (handleThreadError(error, res)) return;
+
+    console.error('Error posting dispute reply:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error posting dispute reply',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listDisputes,
+  getDispute,
+  resolveDispute,
+  getDisputeThread,
+  postDisputeMessage
+};
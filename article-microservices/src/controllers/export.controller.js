@@ -0,0 +1,175 @@
+// controllers/export.controller.js
+const { pipeline } = require('stream');
+const ExportService = require('../services/exportService');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Stream an export to the response. Errors before the first row get a JSON
+ * error; once streaming has started the response can only be aborted.
+ */
+const streamExport = (req, res, username) => {
+  try {
+    const format = req.query.format || 'csv';
+    const where = ExportService.buildWhere(req.query, username);
+    const exportStream = ExportService.createExportStream(where, format);
+    const { contentType, extension } = ExportService.getContentType(format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="transactions-${date}.${extension}"`
+    });
+
+    pipeline(exportStream, res, (error) => {
+      if (error) {
+        console.error('Error streaming transaction export:', error);
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Error exporting transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting transactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/export:
+ *   get:
+ *     summary: Export the user's purchases and sales for accounting
+ *     description: |
+ *       Streams CSV (with a header row) or JSON Lines, one transaction per
+ *       row, oldest first. Columns are stable; amounts are in major units of
+ *       the currency column.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created before (a plain date includes that day)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *         description: Only purchases or only sales
+ *       - in: query
+ *         name: party
+ *         schema:
+ *           type: string
+ *         description: Only transactions with this counterparty
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filters or format
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const exportMyTransactions = (req, res) => {
+  const username = req.headers['x-user-username'];
+
+  if (!username) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  streamExport(req, res, username);
+};
+
+/**
+ * @swagger
+ * /api/admin/exports/transactions:
+ *   get:
+ *     summary: Export all platform transactions for accounting (admin only)
+ *     description: Same columns and filters as /api/transactions/export; party selects one user's transactions, on the side given by role.
+ *     tags: [Exports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *       - in: query
+ *         name: party
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       400:
+ *         description: Invalid filters or format
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const exportAllTransactions = (req, res) => {
+  streamExport(req, res, null);
+};
+
+module.exports = {
+  exportMyTransactions,
+  exportAllTransactions
+};
@@ -0,0 +1,182 @@
+// controllers/job.controller.js
+const { NotFoundError } = require('../utils/errors');
+const { serializeBigInt } = require('../utils/helpers');
+const JobService = require('../services/jobService');
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List background jobs with their schedule and last run (admin only)
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const listJobs = async (req, res) => {
+  try {
+    const jobs = await JobService.listJobs();
+
+    res.json({
+      success: true,
+      data: serializeBigInt(jobs)
+    });
+
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/runs:
+ *   get:
+ *     summary: Get the run history of a background job (admin only)
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [RUNNING, SUCCEEDED, FAILED, SKIPPED]
+ *     responses:
+ *       200:
+ *         description: Run history retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+const getJobRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const { runs, total } = await JobService.getJobRuns(name, { page, limit, status });
+
+    res.json({
+      success: true,
+      data: serializeBigInt(runs),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error retrieving job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving job runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/run:
+ *   post:
+ *     summary: Trigger a background job immediately (admin only)
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job finished (check the run status for the outcome)
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running on another instance
+ *       500:
+ *         description: Server error
+ */
+const triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const username = req.headers['x-user-username'];
+
+    const run = await JobService.runJob(name, {
+      trigger: 'MANUAL',
+      triggeredBy: username
+    });
+
+    if (run.status === 'SKIPPED') {
+      return res.status(409).json({
+        success: false,
+        message: `Job '${name}' is already running`,
+        data: serializeBigInt(run)
+      });
+    }
+
+    res.json({
+      success: run.status === 'SUCCEEDED',
+      message: run.status === 'SUCCEEDED' ? 'Job completed successfully' : 'Job failed',
+      data: serializeBigInt(run)
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error triggering job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error triggering job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJobRuns,
+  triggerJob
+};
@@ -0,0 +1,100 @@
+// controllers/ledger.controller.js
+const { serializeBigInt, validateId } = require('../utils/helpers');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+const LedgerService = require('../services/ledgerService');
+
+/**
+ * @swagger
+ * /api/admin/ledger/trial-balance:
+ *   get:
+ *     summary: Ledger balances per account type (admin only)
+ *     description: Balances are integer minor units. `balanced` is false if the books do not sum to zero.
+ *     tags: [Ledger]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *     responses:
+ *       200:
+ *         description: Trial balance retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getTrialBalance = async (req, res) => {
+  try {
+    const currency = (req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+    const trialBalance = await LedgerService.getTrialBalance(currency);
+
+    res.json({
+      success: true,
+      data: serializeBigInt(trialBalance)
+    });
+
+  } catch (error) {
+    console.error('Error getting trial balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving trial balance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/ledger/transactions/{id}:
+ *   get:
+ *     summary: Ledger entries recorded for a transaction (admin only)
+ *     tags: [Ledger]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entries retrieved successfully
+ *       400:
+ *         description: Invalid transaction ID
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const getTransactionLedger = async (req, res) => {
+  try {
+    const { isValid, error } = validateId(req.params.id);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const entries = await LedgerService.getTransactionEntries(req.params.id);
+
+    res.json({
+      success: true,
+      data: serializeBigInt(entries)
+    });
+
+  } catch (error) {
+    console.error('Error getting transaction ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving ledger entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTrialBalance,
+  getTransactionLedger
+};
@@ -1,8 +1,23 @@
 // controllers/offer.controller.js
 const prisma = require('../prismaClient');
-const { serializeBigInt } = require('../utils/helpers');
+const { serializeBigInt, getViewerCurrency } = require('../utils/helpers');
+const { toMinorUnits } = require('../utils/money');
 const { sendToSeller } = require('../SSE/sseManager'); // Fixed import
 const NotificationService = require('../services/notificationService');
+const RiskService = require('../services/riskService');
+const CurrencyService = require('../services/currencyService');
+const OfferNegotiationService = require('../services/offerNegotiationService');
+const PriceRuleService = require('../services/priceRuleService');
+const CompetingOfferService = require('../services/competingOfferService');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError
+} = require('../utils/errors');
+
+// Offers as returned by the API, amounts in major units plus a display amount
+const present = (data, req) => serializeBigInt(CurrencyService.present(data, getViewerCurrency(req)));
 
 /**
  * @swagger
@@ -10,6 +25,14 @@ const NotificationService = require('../services/notificationService');
  *   post:
  *     summary: Create a new offer for an article
  *     tags: [Offers]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this offer; retries with the same key replay the first response
  *     requestBody:
  *       required: true
  *       content:
@@ -25,23 +48,35 @@ const NotificationService = require('../services/notificationService');
  *               price:
  *                 type: number
  *                 minimum: 0
+ *                 description: Amount in the article's currency
+ *               currency:
+ *                 type: string
+ *                 description: Optional; when given it must be the article's currency
  *     responses:
+ *       200:
+ *         description: Existing offer updated, or answered by the article's price rules
  *       201:
- *         description: Offer created successfully
+ *         description: Offer created, or accepted or declined straight away by the article's price rules (floorPrice, autoAcceptPrice)
+ *       202:
+ *         description: Offer held for risk review; the seller sees it once approved
  *       400:
  *         description: Invalid input data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Offer blocked by risk checks
  *       404:
  *         description: Article not found
  *       409:
- *         description: Offer already exists
+ *         description: A price was already agreed for this offer, the offer is held for risk review, or a request with the same Idempotency-Key is in progress
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
  *       500:
  *         description: Server error
  */
 const createOffer = async (req, res) => {
   try {
-    const { articleId, price } = req.body;
+    const { articleId, price, currency } = req.body;
     const username = req.headers['x-user-username'];
 
     // Validation
@@ -108,6 +143,57 @@ const createOffer = async (req, res) => {
       });
     }
 
+    // Offers are always in the article's currency
+    if (currency && String(currency).toUpperCase() !== article.currency) {
+      return res.status(400).json({
+        success: false,
+        message: `Offers on this article must be made in ${article.currency}`,
+        errors: {
+          currency: `Must be ${article.currency}`
+        }
+      });
+    }
+
+    const offerMinor = toMinorUnits(offerPrice, article.currency);
+    if (offerMinor <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price must be a valid positive number'
+      });
+    }
+
+    const risk = await RiskService.assess({
+      subject: 'OFFER',
+      username,
+      amount: offerMinor,
+      currency: article.currency
+    });
+
+    if (risk.decision === RiskService.DECISIONS.BLOCK) {
+      await RiskService.recordBlock(risk);
+      return res.status(403).json({
+        success: false,
+        message: 'This offer cannot be placed. Please contact support.'
+      });
+    }
+
+    // The seller's price rules answer the offer straight away. Offers below
+    // the floor are declined even when they would be held for review.
+    const rule = PriceRuleService.evaluate(article, offerMinor);
+
+    // Held offers reach the seller once an admin approves them
+    const held = rule !== PriceRuleService.OUTCOMES.DECLINE && risk.decision === RiskService.DECISIONS.HOLD;
+
+    // Status, risk review and expiry for the rule saveOffer finally applies
+    const offerState = (applied) => {
+      const state = held
+        ? { status: 'HELD', riskAssessments: { create: RiskService.toRecord(risk) } }
+        : { status: RULE_STATUSES[applied] || 'PENDING' };
+      state.expiresAt = OfferNegotiationService.getExpiresAt(state.status);
+      return state;
+    };
+    const heldMessage = 'Offer received. It will be sent to the seller once it has been reviewed.';
+
     // Check for existing offer from this user
     const existingOffer = await prisma.offer.findUnique({
       where: {
@@ -119,28 +205,67 @@ const createOffer = async (req, res) => {
     });
 
     if (existingOffer) {
-      // Update existing offer
-      const updatedOffer = await prisma.offer.update({
-        where: { id: existingOffer.id },
-        data: {
-          price: offerPrice,
-          status: 'PENDING', // Reset status when updating offer
-          updatedDate: new Date()
-        },
-        include: {
-          article: {
-            select: {
-              name: true,
-              category: true,
-              size: true,
-              mainImage: true,
-              owner: true
+      if (['ACCEPTED', 'DONE'].includes(existingOffer.status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A price has already been agreed for this offer'
+        });
+      }
+
+      // Its risk review is still open; a new price would slip past it
+      if (existingOffer.status === 'HELD') {
+        return res.status(409).json({
+          success: false,
+          message: 'Your offer is being reviewed. You can change it once it has been answered.'
+        });
+      }
+
+      // A new price from the buyer; earlier rounds stay in the offer history.
+      // The status is compared so an offer held or answered meanwhile is not overwritten.
+      const write = (tx, applied) => {
+        const state = offerState(applied);
+
+        return tx.offer.update({
+          where: { id: existingOffer.id, status: existingOffer.status },
+          data: {
+            price: offerMinor,
+            currency: article.currency,
+            proposedBy: 'buyer',
+            agreedPrice: applied === PriceRuleService.OUTCOMES.ACCEPT ? offerMinor : null,
+            ...state, // Reset status when updating offer
+            updatedDate: new Date(),
+            events: {
+              create: offerEvents(existingOffer.status, state.status, applied, username, offerMinor)
+            }
+          },
+          include: {
+            article: {
+              select: {
+                name: true,
+                category: true,
+                size: true,
+                mainImage: true,
+                owner: true
+              }
             }
           }
-        }
-      });
+        });
+      };
+      const { saved: updatedOffer, closed, rule: applied } = await saveOffer(article, username, held ? null : rule, write);
 
-      const serialized = serializeBigInt(updatedOffer);
+      if (applied) {
+        return respondToPriceRule(req, res, updatedOffer, applied, 200, closed);
+      }
+
+      const serialized = present(updatedOffer, req);
+
+      if (held) {
+        return res.status(202).json({
+          success: true,
+          message: heldMessage,
+          data: serialized
+        });
+      }
 
       // Send SSE notification to seller
       try {
@@ -164,32 +289,54 @@ const createOffer = async (req, res) => {
     }
 
     // Create new offer
-    const offer = await prisma.offer.create({
-      data: {
-        articleId: articleBigIntId,
-        articleName: article.name,
-        price: offerPrice,
-        articleCategory: article.category,
-        articleSize: article.size,
-        seller: article.owner,
-        username,
-        status: 'PENDING',
-        mainImage: article.mainImage,
-      },
-      include: {
-        article: {
-          select: {
-            name: true,
-            category: true,
-            size: true,
-            mainImage: true,
-            owner: true
+    const write = (tx, applied) => {
+      const state = offerState(applied);
+
+      return tx.offer.create({
+        data: {
+          articleId: articleBigIntId,
+          articleName: article.name,
+          price: offerMinor,
+          currency: article.currency,
+          articleCategory: article.category,
+          articleSize: article.size,
+          seller: article.owner,
+          username,
+          agreedPrice: applied === PriceRuleService.OUTCOMES.ACCEPT ? offerMinor : null,
+          ...state,
+          mainImage: article.mainImage,
+          events: {
+            create: offerEvents(null, state.status, applied, username, offerMinor)
+          }
+        },
+        include: {
+          article: {
+            select: {
+              name: true,
+              category: true,
+              size: true,
+              mainImage: true,
+              owner: true
+            }
           }
         }
-      }
-    });
+      });
+    };
+    const { saved: offer, closed, rule: applied } = await saveOffer(article, username, held ? null : rule, write);
+
+    if (applied) {
+      return respondToPriceRule(req, res, offer, applied, 201, closed);
+    }
 
-    const serialized = serializeBigInt(offer);
+    const serialized = present(offer, req);
+
+    if (held) {
+      return res.status(202).json({
+        success: true,
+        message: heldMessage,
+        data: serialized
+      });
+    }
 
     // Send SSE notification to seller
     try {
@@ -220,6 +367,14 @@ const createOffer = async (req, res) => {
         message: 'An offer from this user already exists for this article' 
       });
     }
+
+    // The existing offer changed status while it was being updated
+    if (error.code === 'P2025') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your offer changed in the meantime. Please reload it and try again.'
+      });
+    }
     
     res.status(500).json({ 
       success: false,
@@ -229,118 +384,423 @@ const createOffer = async (req, res) => {
   }
 };
 
+// Offer status set by each price rule outcome
+const RULE_STATUSES = {
+  [PriceRuleService.OUTCOMES.DECLINE]: 'DENIED',
+  [PriceRuleService.OUTCOMES.ACCEPT]: 'ACCEPTED'
+};
+
 /**
- * Update offer status by seller (accept/deny)
+ * History entries for a buyer's offer: the offer itself, then the system's
+ * answer when a price rule applied
  */
-const updateOfferStatusBySeller = async (req, res) => {
-  try {
-    const { offerId } = req.params;
-    const { action } = req.body;
-    const seller = req.headers['x-user-username'];
+const offerEvents = (fromStatus, toStatus, rule, username, price) => {
+  const offered = { event: 'offer', fromStatus, actor: 'buyer', username, price };
 
-    if (!seller) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Authentication required' 
-      });
+  if (!rule) {
+    return [{ ...offered, toStatus }];
+  }
+
+  return [
+    { ...offered, toStatus: 'PENDING' },
+    {
+      event: rule === PriceRuleService.OUTCOMES.ACCEPT ? 'accept' : 'decline',
+      fromStatus: 'PENDING',
+      toStatus,
+      actor: 'system',
+      username: null,
+      price: rule === PriceRuleService.OUTCOMES.ACCEPT ? price : null
     }
+  ];
+};
 
-    if (!['ACCEPTED', 'DENIED'].includes(action)) {
-      return res.status(400).json({ 
+/**
+ * Write an offer with write(tx, rule). An auto-accept only stands when no
+ * other buyer's offer on the article is accepted (checked with the article
+ * row locked); otherwise the offer is left to the seller. When a price rule
+ * accepted it, the other offers on the article are closed in the same
+ * database transaction.
+ *
+ * @returns {Promise<object>} { saved, closed, rule } with closed as from
+ *   CompetingOfferService.close and rule the one applied (null if none)
+ */
+const saveOffer = (article, username, rule, write) => prisma.$transaction(async (tx) => {
+  const applied = rule === PriceRuleService.OUTCOMES.ACCEPT &&
+    await OfferNegotiationService.hasAcceptedOffer(tx, article.id, { NOT: { username } })
+    ? null
+    : rule;
+
+  const saved = await write(tx, applied);
+  const closed = applied === PriceRuleService.OUTCOMES.ACCEPT
+    ? await CompetingOfferService.close(tx, saved, CompetingOfferService.REASONS.ACCEPTED)
+    : [];
+
+  return { saved, closed, rule: applied };
+});
+
+/**
+ * Notify and respond for an offer answered by the article's price rules.
+ * The seller only hears about accepted offers; declined ones are exactly the
+ * noise the floor price keeps away from them. Buyers whose offers were
+ * closed by an acceptance are told too.
+ */
+const respondToPriceRule = async (req, res, offer, rule, statusCode, closed = []) => {
+  const serialized = present(offer, req);
+  const accepted = rule === PriceRuleService.OUTCOMES.ACCEPT;
+
+  try {
+    if (accepted) {
+      for (const recipient of [offer.seller, offer.username]) {
+        sendToSeller(recipient, {
+          type: 'OFFER_AUTO_ACCEPTED',
+          payload: serialized
+        });
+      }
+      await NotificationService.createOfferNotification(offer, 'OFFER_AUTO_ACCEPTED');
+    } else {
+      await NotificationService.createOfferNotification(
+        offer,
+        'OFFER_DENIED',
+        `Your offer for ${offer.articleName} is below the lowest price the seller accepts`
+      );
+    }
+  } catch (notificationError) {
+    console.error('Error sending notification for offer answered by price rules:', notificationError);
+    // Don't fail the request if notification fails
+  }
+
+  await CompetingOfferService.notify(closed);
+
+  res.status(statusCode).json({
+    success: true,
+    message: accepted
+      ? 'Offer accepted automatically'
+      : 'Offer declined automatically: it is below the lowest price the seller accepts',
+    data: serialized
+  });
+};
+
+/**
+ * Map negotiation errors to responses; returns false for anything else
+ */
+const handleNegotiationError = (error, res) => {
+  if (error instanceof ValidationError) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  if (error instanceof ForbiddenError) {
+    res.status(403).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error instanceof NotFoundError) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  // Includes InvalidTransitionError
+  if (error instanceof ConflictError) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Validate the caller and offer ID, then run an OfferNegotiationService move
+ */
+const negotiationAction = (label, message, run) => async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
         success: false,
-        message: 'Action must be ACCEPTED or DENIED' 
+        message: 'Authentication required'
       });
     }
 
     if (!offerId || isNaN(parseInt(offerId))) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         success: false,
-        message: 'Invalid offer ID format' 
+        message: 'Invalid offer ID format'
       });
     }
 
-    const offer = await prisma.offer.findUnique({
-      where: { id: BigInt(offerId) },
-      include: {
-        article: {
-          select: {
-            name: true,
-            owner: true
-          }
-        }
-      }
+    const offer = await run(offerId, username, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      message: offer.status === 'HELD'
+        ? 'Counter-offer received. It will be sent to the seller once it has been reviewed.'
+        : (typeof message === 'function' ? message(offer) : message),
+      data: present(offer, req)
     });
 
-    if (!offer) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Offer not found' 
+  } catch (error) {
+    if (handleNegotiationError(error, res)) return;
+
+    console.error(`Error ${label}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error ${label}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const SELLER_ACTIONS = {
+  ACCEPTED: (offerId, username, { buyWithinHours }) =>
+    OfferNegotiationService.accept(offerId, username, 'seller', { buyWithinHours }),
+  DENIED: (offerId, username) => OfferNegotiationService.decline(offerId, username, 'seller'),
+  COUNTERED: (offerId, username, { price, buyWithinHours }) =>
+    OfferNegotiationService.counter(offerId, username, price, 'seller', { buyWithinHours })
+};
+
+/**
+ * @swagger
+ * /offer/{offerId}/status:
+ *   post:
+ *     summary: Seller accepts, declines or counters a pending offer
+ *     tags: [Offers]
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [ACCEPTED, DENIED, COUNTERED]
+ *               price:
+ *                 type: number
+ *                 description: Counter price in the offer's currency, required for COUNTERED
+ *               buyWithinHours:
+ *                 type: integer
+ *                 description: Hours the buyer has to buy once the price is agreed (1-720, default ACCEPTED_OFFER_TTL_HOURS)
+ *     responses:
+ *       200:
+ *         description: Offer updated
+ *       400:
+ *         description: Invalid action or price
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the seller of this offer
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: It is not the seller's turn, or the offer changed in the meantime
+ *       500:
+ *         description: Server error
+ */
+const updateOfferStatusBySeller = negotiationAction(
+  'updating offer',
+  (offer) => `Offer ${offer.status.toLowerCase()}`,
+  (offerId, username, body) => {
+    const action = SELLER_ACTIONS[body.action];
+
+    if (!action) {
+      throw new ValidationError('Invalid action', {
+        action: `Must be one of ${Object.keys(SELLER_ACTIONS).join(', ')}`
       });
     }
 
-    // if (offer.username !== seller) {
-    //   return res.status(403).json({ 
-    //     success: false,
-    //     message: 'You are not authorized to cancel this offer' 
-    //   });
-    // }
+    return action(offerId, username, body);
+  }
+);
 
-    if (!['PENDING', 'ACCEPTED'].includes(offer.status)) {
-      return res.status(400).json({ 
+/**
+ * @swagger
+ * /offer/{offerId}/counter:
+ *   post:
+ *     summary: Counter the price on the table
+ *     description: |
+ *       The seller counters a pending offer; the buyer counters the seller's
+ *       counter-offer. Every round is kept in the offer history. A buyer's
+ *       counter goes through the risk checks of a new offer.
+ *     tags: [Offers]
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 description: Price in the offer's currency
+ *               buyWithinHours:
+ *                 type: integer
+ *                 description: Seller only. Hours the buyer has to buy if they accept (1-720)
+ *     responses:
+ *       200:
+ *         description: Counter-offer made, or held for risk review
+ *       400:
+ *         description: Invalid price
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a party to this offer, or blocked by risk checks
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: It is the other side's turn, or the offer changed in the meantime
+ *       500:
+ *         description: Server error
+ */
+const counterOffer = negotiationAction(
+  'countering offer',
+  'Counter-offer sent',
+  (offerId, username, { price, buyWithinHours }) =>
+    OfferNegotiationService.counter(offerId, username, price, null, { buyWithinHours })
+);
+
+/**
+ * @swagger
+ * /offer/{offerId}/accept:
+ *   post:
+ *     summary: Accept the price on the table
+ *     description: |
+ *       The seller accepts a pending offer; the buyer accepts the seller's
+ *       counter-offer. The price becomes the agreed price the purchase is
+ *       charged at. The buyer then has buyWithinHours (set by the seller,
+ *       default ACCEPTED_OFFER_TTL_HOURS) to buy before the offer expires.
+ *     tags: [Offers]
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               buyWithinHours:
+ *                 type: integer
+ *                 description: Seller only. Hours the buyer has to buy (1-720)
+ *     responses:
+ *       200:
+ *         description: Offer accepted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a party to this offer
+ *       404:
+ *         description: Offer not found
+ *       409:
+ *         description: It is the other side's turn, or the offer changed in the meantime
+ *       500:
+ *         description: Server error
+ */
+const acceptOffer = negotiationAction(
+  'accepting offer',
+  'Offer accepted',
+  (offerId, username, { buyWithinHours }) =>
+    OfferNegotiationService.accept(offerId, username, null, { buyWithinHours })
+);
+
+/**
+ * @swagger
+ * /offer/{offerId}/history:
+ *   get:
+ *     summary: Offer with its negotiation history
+ *     description: Every offer, counter-offer, acceptance, decline and expiry, oldest first.
+ *     tags: [Offers]
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer with events
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a party to this offer
+ *       404:
+ *         description: Offer not found
+ *       500:
+ *         description: Server error
+ */
+const getOfferHistory = async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
         success: false,
-        message: 'Only pending or accepted offers can be cancelled' 
+        message: 'Authentication required'
       });
     }
 
-    const cancelledOffer = await prisma.offer.update({
-      where: { id: BigInt(offerId) },
-      data: { 
-        status: 'CANCELLED',
-        updatedDate: new Date()
-      },
-      include: {
-        article: {
-          select: {
-            name: true,
-            category: true,
-            size: true,
-            mainImage: true
-          }
-        }
-      }
-    });
-
-    // Send notification to seller
-    try {
-      sendToSeller(offer.seller, {
-        type: 'OFFER_CANCELLED',
-        payload: {
-          ...serializeBigInt(cancelledOffer),
-          message: 'Offer has been cancelled by the buyer'
-        }
+    if (!offerId || isNaN(parseInt(offerId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid offer ID format'
       });
-
-      // Create notification
-      await NotificationService.createOfferNotification(cancelledOffer, 'OFFER_CANCELLED');
-    } catch (notificationError) {
-      console.error('Error sending offer cancellation notification:', notificationError);
     }
 
-    res.status(200).json({
+    const offer = await OfferNegotiationService.getHistory(offerId, username);
+
+    res.json({
       success: true,
-      message: 'Offer cancelled successfully',
-      data: serializeBigInt(cancelledOffer)
+      data: present(offer, req)
     });
 
   } catch (error) {
-    console.error('Error cancelling offer:', error);
-    res.status(500).json({ 
+    if (handleNegotiationError(error, res)) return;
+
+    console.error('Error retrieving offer history:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error cancelling offer',
+      message: 'Error retrieving offer history',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
+
 /**
  * Conclude offer by buyer (mark as done)
  */
@@ -396,6 +856,8 @@ const concludeOfferByUser = async (req, res) => {
       });
     }
 
+    let closed = [];
+
     // Start transaction to update offer and article
     const result = await prisma.$transaction(async (tx) => {
       // Update offer status
@@ -427,14 +889,18 @@ const concludeOfferByUser = async (req, res) => {
         }
       });
 
+      closed = await CompetingOfferService.close(tx, offer, CompetingOfferService.REASONS.SOLD);
+
       return updatedOffer;
     });
 
+    await CompetingOfferService.notify(closed);
+
     // Send notification to seller
     sendToSeller(offer.seller, {
       type: 'OFFER_CONCLUDED',
       payload: {
-        ...serializeBigInt(result),
+        ...present(result, req),
         message: 'Transaction completed successfully'
       }
     });
@@ -444,7 +910,7 @@ const concludeOfferByUser = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Offer concluded successfully',
-      data: serializeBigInt(result)
+      data: present(result, req)
     });
 
   } catch (error) {
@@ -475,7 +941,8 @@ const getOffersBySeller = async (req, res) => {
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const where = { seller: sellerName };
+    // Offers held for risk review are not shown to the seller
+    const where = { seller: sellerName, NOT: { status: 'HELD' } };
 
     if (status) {
       where.status = status.toUpperCase();
@@ -513,7 +980,7 @@ const getOffersBySeller = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(offers),
+      data: present(offers, req),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -589,7 +1056,7 @@ const getOffersByUsername = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(offers),
+      data: present(offers, req),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -609,98 +1076,14 @@ const getOffersByUsername = async (req, res) => {
 };
 
 /**
- * Cancel offer by user (buyer)
+ * Cancel offer by user (buyer): walk away from the negotiation, also after
+ * a price was agreed as long as no purchase was made
  */
-const cancelOfferByUser = async (req, res) => {
-  try {
-    const { offerId } = req.params;
-    const username = req.headers['x-user-username'];
-
-    if (!username) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Authentication required' 
-      });
-    }
-
-    if (!offerId || isNaN(parseInt(offerId))) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid offer ID format' 
-      });
-    }
-
-    const offer = await prisma.offer.findUnique({
-      where: { id: BigInt(offerId) },
-    });
-
-    if (!offer) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Offer not found' 
-      });
-    }
-
-    if (offer.username !== username) {
-      return res.status(403).json({ 
-        success: false,
-        message: 'You are not authorized to cancel this offer' 
-      });
-    }
-
-    if (!['PENDING', 'ACCEPTED'].includes(offer.status)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Only pending or accepted offers can be cancelled' 
-      });
-    }
-
-    const cancelledOffer = await prisma.offer.update({
-      where: { id: BigInt(offerId) },
-      data: { 
-        status: 'CANCELLED',
-        updatedDate: new Date()
-      },
-      include: {
-        article: {
-          select: {
-            name: true,
-            category: true,
-            size: true,
-            mainImage: true
-          }
-        }
-      }
-    });
-
-    // Send notification to seller
-    sendToSeller(offer.seller, {
-      type: 'OFFER_CANCELLED',
-      payload: {
-        ...serializeBigInt(cancelledOffer),
-        message: 'Offer has been cancelled by the buyer'
-      }
-    });
-
-    // Create notification
-    await NotificationService.createOfferNotification(cancelledOffer, 'OFFER_CANCELLED');
-
-
-    res.status(200).json({
-      success: true,
-      message: 'Offer cancelled successfully',
-      data: serializeBigInt(cancelledOffer)
-    });
-
-  } catch (error) {
-    console.error('Error cancelling offer:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Error cancelling offer',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-};
+const cancelOfferByUser = negotiationAction(
+  'cancelling offer',
+  'Offer cancelled successfully',
+  (offerId, username) => OfferNegotiationService.decline(offerId, username, 'buyer')
+);
 
 module.exports = { 
   createOffer, 
@@ -708,6 +1091,9 @@ module.exports = {
   concludeOfferByUser, 
   getOffersBySeller, 
   getOffersByUsername,
-  cancelOfferByUser
+  cancelOfferByUser,
+  counterOffer,
+  acceptOffer,
+  getOfferHistory
 };
 
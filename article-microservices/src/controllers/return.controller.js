@@ -0,0 +1,367 @@
+// controllers/return.controller.js
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  PaymentError
+} = require('../utils/errors');
+const { serializeBigInt, validateId } = require('../utils/helpers');
+const ReturnService = require('../services/returnService');
+
+/**
+ * Send the uniform response for return errors. Returns true when the error
+ * was handled.
+ */
+const handleReturnError = (error, res) => {
+  if (error instanceof ValidationError) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  if (error instanceof ForbiddenError) {
+    res.status(403).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error instanceof NotFoundError) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  // Includes InvalidTransitionError
+  if (error instanceof ConflictError) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  if (error instanceof PaymentError) {
+    res.status(402).json({
+      success: false,
+      message: error.message,
+      errors: {
+        code: error.code,
+        operation: error.operation
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Wrap a return action with the authentication, ID validation and error
+ * handling shared by every return endpoint
+ */
+const returnAction = (label, status, action) => async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { message, data } = await action(req.params.id, username, req.body || {});
+
+    res.status(status).json({
+      success: true,
+      message,
+      data: serializeBigInt(data)
+    });
+
+  } catch (error) {
+    if (handleReturnError(error, res)) return;
+
+    console.error(`Error ${label}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error ${label}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/return:
+ *   post:
+ *     summary: Request a return of a completed transaction (buyer)
+ *     description: |
+ *       Allowed within RETURN_WINDOW_DAYS (default 14) of delivery
+ *       confirmation, once per transaction. The seller is notified.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [NOT_AS_DESCRIBED, DAMAGED_ITEM, WRONG_SIZE, CHANGED_MIND, OTHER]
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Invalid reason or description
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the buyer can request a return
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction not completed, return window closed or return already requested
+ *       500:
+ *         description: Server error
+ */
+const requestReturn = returnAction('requesting return', 201, async (id, username, body) => ({
+  message: 'Return requested successfully',
+  data: await ReturnService.requestReturn(id, username, {
+    reason: body.reason,
+    description: typeof body.description === 'string' ? body.description.trim() : undefined
+  })
+}));
+
+/**
+ * @swagger
+ * /api/transactions/{id}/return:
+ *   get:
+ *     summary: Get the return of a transaction (buyer, seller or admin)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Return retrieved, with its returnDeadline
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this transaction
+ *       404:
+ *         description: Transaction not found or no return requested
+ *       500:
+ *         description: Server error
+ */
+const getReturn = returnAction('retrieving return', 200, async (id, username) => ({
+  data: await ReturnService.getReturn(id, username)
+}));
+
+/**
+ * @swagger
+ * /api/transactions/{id}/return/approve:
+ *   put:
+ *     summary: Approve a requested return (seller)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Return approved; the buyer is asked to ship the item back
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the seller can approve a return
+ *       404:
+ *         description: Transaction not found or no return requested
+ *       409:
+ *         description: Return is not awaiting a decision
+ *       500:
+ *         description: Server error
+ */
+const approveReturn = returnAction('approving return', 200, async (id, username) => ({
+  message: 'Return approved successfully',
+  data: await ReturnService.approveReturn(id, username)
+}));
+
+/**
+ * @swagger
+ * /api/transactions/{id}/return/decline:
+ *   put:
+ *     summary: Decline a requested return (seller)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Return declined
+ *       400:
+ *         description: Reason too long
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the seller can decline a return
+ *       404:
+ *         description: Transaction not found or no return requested
+ *       409:
+ *         description: Return is not awaiting a decision
+ *       500:
+ *         description: Server error
+ */
+const declineReturn = returnAction('declining return', 200, async (id, username, body) => ({
+  message: 'Return declined',
+  data: await ReturnService.declineReturn(id, username, {
+    reason: typeof body.reason === 'string' ? body.reason.trim() : undefined
+  })
+}));
+
+/**
+ * @swagger
+ * /api/transactions/{id}/return/ship:
+ *   put:
+ *     summary: Add the return shipment tracking number (buyer)
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *               - trackingNumber
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return marked as shipped
+ *       400:
+ *         description: Carrier or tracking number missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the buyer can ship a return
+ *       404:
+ *         description: Transaction not found or no return requested
+ *       409:
+ *         description: Return has not been approved
+ *       500:
+ *         description: Server error
+ */
+const shipReturn = returnAction('shipping return', 200, async (id, username, body) => ({
+  message: 'Return marked as shipped',
+  data: await ReturnService.shipReturn(id, username, {
+    carrier: body.carrier,
+    trackingNumber: body.trackingNumber
+  })
+}));
+
+/**
+ * @swagger
+ * /api/transactions/{id}/return/receive:
+ *   put:
+ *     summary: Confirm the returned item arrived and refund the buyer (seller)
+ *     description: |
+ *       Refunds whatever has not been refunded yet and marks the transaction
+ *       REFUNDED. If the payment provider declines, the return stays
+ *       RECEIVED and calling this again retries the refund.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Return received and refunded
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: The payment provider declined the refund
+ *       403:
+ *         description: Only the seller can confirm receipt
+ *       404:
+ *         description: Transaction not found or no return requested
+ *       409:
+ *         description: Return has not been shipped
+ *       500:
+ *         description: Server error
+ */
+const confirmReturnReceipt = returnAction('confirming return receipt', 200, async (id, username) => ({
+  message: 'Return received and buyer refunded',
+  data: await ReturnService.confirmReceipt(id, username)
+}));
+
+module.exports = {
+  requestReturn,
+  getReturn,
+  approveReturn,
+  declineReturn,
+  shipReturn,
+  confirmReturnReceipt
+};
@@ -0,0 +1,214 @@
+// controllers/risk.controller.js
+const { NotFoundError, ConflictError, PaymentError } = require('../utils/errors');
+const { serializeBigInt, validateId, getViewerCurrency } = require('../utils/helpers');
+const RiskService = require('../services/riskService');
+const CurrencyService = require('../services/currencyService');
+
+/**
+ * @swagger
+ * /api/admin/risk/reviews:
+ *   get:
+ *     summary: Risk review queue (admin only)
+ *     description: |
+ *       Offers and purchases held by the risk checks, with the score and the
+ *       rules that fired. Pending reviews are listed oldest first, reviewed
+ *       and blocked requests newest first.
+ *     tags: [Risk]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewed, blocked]
+ *           default: pending
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *           enum: [OFFER, TRANSACTION]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+const listRiskReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, state = 'pending', subject } = req.query;
+
+    const { reviews, pagination } = await RiskService.listReviews({
+      page,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      state,
+      subject
+    });
+
+    res.json({
+      success: true,
+      data: serializeBigInt(CurrencyService.present(reviews, getViewerCurrency(req))),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Error retrieving risk reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving risk reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Approve or reject a held request
+ */
+const reviewAction = (label, action) => async (req, res) => {
+  try {
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { note } = req.body || {};
+    const review = await RiskService[action](
+      req.params.id,
+      req.user.username,
+      typeof note === 'string' && note.trim() ? note.trim() : null
+    );
+
+    res.json({
+      success: true,
+      message: `Request ${label}`,
+      data: serializeBigInt(CurrencyService.present(review, getViewerCurrency(req)))
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error instanceof ConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    if (error instanceof PaymentError) {
+      return res.status(402).json({
+        success: false,
+        message: error.message,
+        errors: {
+          code: error.code,
+          operation: error.operation
+        }
+      });
+    }
+
+    console.error(`Error during risk review (${action}):`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/risk/reviews/{id}/approve:
+ *   post:
+ *     summary: Approve a held offer or purchase (admin only)
+ *     description: A held offer is sent to the seller; a held purchase goes on to payment capture.
+ *     tags: [Risk]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Risk assessment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Risk review not found
+ *       409:
+ *         description: Already reviewed
+ *       500:
+ *         description: Server error
+ */
+const approveRiskReview = reviewAction('approved', 'approve');
+
+/**
+ * @swagger
+ * /api/admin/risk/reviews/{id}/reject:
+ *   post:
+ *     summary: Reject a held offer or purchase (admin only)
+ *     description: A held offer is declined; a held purchase is cancelled. The buyer is notified.
+ *     tags: [Risk]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Risk assessment ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Risk review not found
+ *       402:
+ *         description: The payment provider refused to void the authorization; the review stays pending
+ *       409:
+ *         description: Already reviewed
+ *       500:
+ *         description: Server error
+ */
+const rejectRiskReview = reviewAction('rejected', 'reject');
+
+module.exports = {
+  listRiskReviews,
+  approveRiskReview,
+  rejectRiskReview
+};
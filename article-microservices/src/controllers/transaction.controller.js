@@ -1,15 +1,152 @@
 // controllers/transaction.controller.js
 const prisma = require('../prismaClient');
-const { ValidationError } = require('../utils/errors');
-const { serializeBigInt } = require('../utils/helpers');
-const NotificationService = require('../services/notificationService');
+const {
+  ForbiddenError,
+  ConflictError,
+  NotFoundError,
+  PaymentError,
+  ValidationError
+} = require('../utils/errors');
+const { serializeBigInt, getViewerCurrency } = require('../utils/helpers');
+const TransactionService = require('../services/transactionService');
+const PurchaseService = require('../services/purchaseService');
+const OfferNegotiationService = require('../services/offerNegotiationService');
+const TransactionStateMachine = require('../services/transactionStateMachine');
+const FeeService = require('../services/feeService');
+const TrackingService = require('../services/trackingService');
+const ReceiptService = require('../services/receiptService');
+const CurrencyService = require('../services/currencyService');
+const { isAdmin, isModerator } = require('../middleware/auth');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+/**
+ * Send the uniform response for state machine and payment provider errors.
+ * Returns true when the error was handled.
+ */
+const handleTransitionError = (error, res) => {
+  // Includes InvalidTransitionError
+  if (error instanceof ConflictError) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  if (error instanceof ForbiddenError) {
+    res.status(403).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error instanceof NotFoundError) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error instanceof ValidationError) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.details
+    });
+    return true;
+  }
+
+  if (error instanceof PaymentError) {
+    res.status(402).json({
+      success: false,
+      message: error.message,
+      errors: {
+        code: error.code,
+        operation: error.operation
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Transactions as returned by the API: amounts in major units, with a display
+ * amount in the caller's preferred currency
+ */
+const present = (data, req) => serializeBigInt(CurrencyService.present(data, getViewerCurrency(req)));
+
+/**
+ * Capture the payment of a new transaction in the background and build the
+ * response. The transaction moves to PAYMENT_CONFIRMED (or CANCELLED if
+ * declined) once the provider answers; held purchases are captured once an
+ * admin approves them.
+ */
+const startPurchase = (req, transaction, { fees, tax, total }, { held, paymentReference }) => {
+  const { currency } = transaction;
+
+  if (!held) {
+    TransactionService.capturePayment(transaction.id).catch(error => {
+      console.error('Error confirming payment:', error);
+    });
+  }
+
+  return {
+    success: true,
+    message: held
+      ? 'Transaction initiated. Payment will be processed once the purchase has been reviewed.'
+      : 'Transaction initiated successfully. Payment is being processed.',
+    data: {
+      transaction: present(transaction, req),
+      fees: {
+        currency,
+        itemPrice: fromMinorUnits(fees.itemPrice, currency),
+        buyerFee: fromMinorUnits(fees.buyerFee, currency),
+        tax: fromMinorUnits(tax.taxAmount, currency),
+        taxRate: tax.rate,
+        total: fromMinorUnits(total, currency)
+      },
+      paymentReference,
+      underReview: held,
+      estimatedProcessingTime: held ? null : '1-3 minutes'
+    }
+  };
+};
+
+/**
+ * Add the seller's net payout (price less seller fees) when the seller is viewing
+ */
+const withNetPayout = (transaction, username) => (
+  transaction.sellerUsername === username
+    ? { ...transaction, netPayout: fromMinorUnits(FeeService.getSellerPayout(transaction), transaction.currency) }
+    : transaction
+);
 
 /**
  * @swagger
  * /api/transactions/initiate:
  *   post:
  *     summary: Initiate a purchase transaction
+ *     description: |
+ *       The buyer is charged the price agreed on the offer plus the buyer fee and
+ *       the tax for the shipping destination (country, and region where the
+ *       rate depends on it). The fee breakdown (buyer fee, seller fee, seller
+ *       payout) and the tax are stored on the transaction. Purchases are
+ *       risk scored first: risky ones are held (underReview, payment captured
+ *       after admin approval) or refused.
  *     tags: [Transactions]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this purchase; retries with the same key replay the first response
  *     requestBody:
  *       required: true
  *       content:
@@ -34,8 +171,12 @@ const NotificationService = require('../services/notificationService');
  *                     type: string
  *                   postalCode:
  *                     type: string
+ *                   region:
+ *                     type: string
+ *                     description: State or province code, e.g. CA
  *                   country:
  *                     type: string
+ *                     description: ISO 3166-1 alpha-2 code, e.g. FR
  *     responses:
  *       201:
  *         description: Transaction initiated successfully
@@ -43,8 +184,16 @@ const NotificationService = require('../services/notificationService');
  *         description: Invalid input data
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         description: Payment authorization declined
+ *       403:
+ *         description: Not the buyer of the offer, or purchase blocked by risk checks
  *       404:
  *         description: Offer not found
+ *       409:
+ *         description: The article is reserved by another buyer or sold, or a request with the same Idempotency-Key is in progress
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
  *       500:
  *         description: Server error
  */
@@ -67,16 +216,7 @@ const initiateTransaction = async (req, res) => {
       });
     }
 
-    // Validate shipping address
-    const requiredFields = ['fullName', 'street', 'city', 'postalCode', 'country'];
-    for (const field of requiredFields) {
-      if (!shippingAddress[field]?.trim()) {
-        return res.status(400).json({
-          success: false,
-          message: `Shipping address field '${field}' is required`
-        });
-      }
-    }
+    PurchaseService.validateShippingAddress(shippingAddress);
 
     const offerIdBigInt = BigInt(offerId);
 
@@ -102,16 +242,25 @@ const initiateTransaction = async (req, res) => {
       });
     }
 
-    if (offer.status !== 'ACCEPTED') {
+    // Only a price both sides agreed on can be charged
+    if (offer.status !== 'ACCEPTED' || offer.agreedPrice === null || offer.agreedPrice === undefined) {
       return res.status(400).json({
         success: false,
         message: 'Offer must be accepted before initiating transaction'
       });
     }
 
-    // Check if transaction already exists
+    // The expiry sweep may not have run yet
+    if (offer.expiresAt && new Date(offer.expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    // Check if transaction already exists; a cancelled one may be retried
     const existingTransaction = await prisma.transaction.findFirst({
-      where: { offerId: offerIdBigInt }
+      where: { offerId: offerIdBigInt, ...OfferNegotiationService.LIVE_TRANSACTION }
     });
 
     if (existingTransaction) {
@@ -121,95 +270,39 @@ const initiateTransaction = async (req, res) => {
       });
     }
 
-    // Simulate payment processing (replace with actual payment gateway)
-    const paymentReference = `PAY_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Create transaction
-    const transaction = await prisma.transaction.create({
-      data: {
-        offerId: offerIdBigInt,
-        articleId: offer.articleId,
-        buyerUsername,
-        sellerUsername: offer.seller,
-        amount: offer.price,
-        status: 'PAYMENT_PENDING',
-        paymentReference,
-        shippingAddress: JSON.stringify(shippingAddress),
-        createdDate: new Date(),
-        updatedDate: new Date()
-      },
-      include: {
-        offer: {
-          include: {
-            article: true
-          }
-        }
-      }
+    // Everything is charged in the offer's currency, in minor units
+    const { currency } = offer;
+    const quote = await PurchaseService.quote({
+      price: offer.agreedPrice,
+      category: offer.article?.category,
+      currency,
+      shippingAddress
+    });
+    const authorization = await PurchaseService.authorize({
+      username: buyerUsername,
+      orderId: offer.id.toString(),
+      quote,
+      currency
     });
 
-    // Simulate payment processing delay
-    setTimeout(async () => {
-      try {
-        await prisma.transaction.update({
-          where: { id: transaction.id },
-          data: {
-            status: 'PAYMENT_CONFIRMED',
-            paymentConfirmedAt: new Date(),
-            updatedDate: new Date()
-          }
-        });
-
-        // Update offer status
-        await prisma.offer.update({
-          where: { id: offerIdBigInt },
-          data: {
-            status: 'DONE',
-            updatedDate: new Date()
-          }
-        });
-
-        // Notify seller about payment confirmation
-        await NotificationService.createNotification({
-          userId: offer.seller,
-          type: 'PAYMENT_CONFIRMED',
-          title: 'Payment Received!',
-          message: `Payment of $${offer.price} has been confirmed for "${offer.articleName}". Please prepare the item for shipping.`,
-          data: {
-            transactionId: transaction.id.toString(),
-            articleId: offer.articleId.toString(),
-            buyerUsername
-          }
-        });
-
-        // Notify buyer about payment confirmation
-        await NotificationService.createNotification({
-          userId: buyerUsername,
-          type: 'PAYMENT_CONFIRMED',
-          title: 'Payment Confirmed',
-          message: `Your payment of $${offer.price} for "${offer.articleName}" has been confirmed. The seller will ship the item soon.`,
-          data: {
-            transactionId: transaction.id.toString(),
-            articleId: offer.articleId.toString(),
-            sellerUsername: offer.seller
-          }
-        });
-
-      } catch (error) {
-        console.error('Error confirming payment:', error);
-      }
-    }, 3000); // 3 second delay to simulate payment processing
+    // Reserve the article and create the transaction together
+    const transaction = await PurchaseService.recordPurchase(authorization, async (tx) => {
+      await PurchaseService.reserveArticle(tx, offer.articleId, buyerUsername);
 
-    res.status(201).json({
-      success: true,
-      message: 'Transaction initiated successfully. Payment is being processed.',
-      data: {
-        transaction: serializeBigInt(transaction),
-        paymentReference,
-        estimatedProcessingTime: '1-3 minutes'
-      }
+      return PurchaseService.createTransaction(tx, {
+        offer,
+        username: buyerUsername,
+        shippingAddress,
+        quote,
+        authorization
+      });
     });
 
+    res.status(201).json(startPurchase(req, transaction, quote, authorization));
+
   } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
     console.error('Error initiating transaction:', error);
     res.status(500).json({
       success: false,
@@ -218,6 +311,98 @@ const initiateTransaction = async (req, res) => {
     });
   }
 };
+/**
+ * @swagger
+ * /api/transactions/buy-now:
+ *   post:
+ *     summary: Buy an article at its buy-now price
+ *     description: |
+ *       Skips the offer round-trip: an offer accepted at the article's
+ *       buy-now price, the reservation of the article and the transaction are
+ *       created together, so only one buyer can win. Pricing, risk checks and
+ *       payment work as for an accepted offer.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this purchase; retries with the same key replay the first response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - articleId
+ *               - shippingAddress
+ *             properties:
+ *               articleId:
+ *                 type: string
+ *               shippingAddress:
+ *                 type: object
+ *                 description: Same fields as for /api/transactions/initiate
+ *     responses:
+ *       201:
+ *         description: Transaction initiated successfully
+ *       400:
+ *         description: Invalid input data, no buy-now price, or the buyer's own article
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Payment authorization declined
+ *       403:
+ *         description: Purchase blocked by risk checks
+ *       404:
+ *         description: Article not found
+ *       409:
+ *         description: The article is sold, reserved or promised to another buyer, or a request with the same Idempotency-Key is in progress
+ *       422:
+ *         description: Idempotency-Key reused with a different payload
+ *       500:
+ *         description: Server error
+ */
+const buyNow = async (req, res) => {
+  try {
+    const { articleId, shippingAddress } = req.body;
+    const buyerUsername = req.headers['x-user-username'];
+
+    if (!buyerUsername) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!articleId || isNaN(parseInt(articleId)) || !shippingAddress) {
+      return res.status(400).json({
+        success: false,
+        message: 'Article ID and shipping address are required'
+      });
+    }
+
+    const { transaction, quote, held, paymentReference } = await PurchaseService.buyNow(
+      articleId,
+      buyerUsername,
+      shippingAddress
+    );
+
+    res.status(201).json(startPurchase(req, transaction, quote, { held, paymentReference }));
+
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
+    console.error('Error buying article:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error buying article',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
 
 /**
  * @swagger
@@ -244,8 +429,10 @@ const initiateTransaction = async (req, res) => {
  *             properties:
  *               trackingNumber:
  *                 type: string
+ *                 description: Must match the carrier's tracking number format
  *               carrier:
  *                 type: string
+ *                 enum: [UPS, USPS, FEDEX, DHL, STUB]
  *               estimatedDelivery:
  *                 type: string
  *                 format: date
@@ -253,11 +440,15 @@ const initiateTransaction = async (req, res) => {
  *       200:
  *         description: Item marked as shipped
  *       400:
- *         description: Invalid input data
+ *         description: Missing fields, unsupported carrier or malformed tracking number
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to perform this action on the transaction
  *       404:
  *         description: Transaction not found
+ *       409:
+ *         description: Transition not allowed from the current transaction status
  *       500:
  *         description: Server error
  */
@@ -281,6 +472,9 @@ const markAsShipped = async (req, res) => {
       });
     }
 
+    // Throws ValidationError for unsupported carriers and malformed tracking numbers
+    const shipment = TrackingService.validateShipment({ carrier, trackingNumber });
+
     const transactionId = BigInt(id);
 
     const transaction = await prisma.transaction.findUnique({
@@ -301,68 +495,27 @@ const markAsShipped = async (req, res) => {
       });
     }
 
-    if (transaction.sellerUsername !== sellerUsername) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not authorized to update this transaction'
-      });
-    }
-
-    if (transaction.status !== 'PAYMENT_CONFIRMED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Transaction must have confirmed payment before shipping'
-      });
-    }
-
-    // Update transaction
-    const updatedTransaction = await prisma.transaction.update({
-      where: { id: transactionId },
-      data: {
-        status: 'SHIPPED',
-        trackingNumber,
-        carrier,
-        estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
-        shippedAt: new Date(),
-        updatedDate: new Date()
-      },
-      include: {
-        offer: {
-          include: {
-            article: true
-          }
-        }
-      }
-    });
-
-    // Notify buyer about shipment
-    await NotificationService.createNotification({
-      userId: transaction.buyerUsername,
-      type: 'ITEM_SHIPPED',
-      title: 'Item Shipped!',
-      message: `Your item "${transaction.offer.articleName}" has been shipped by ${carrier}. Tracking: ${trackingNumber}`,
-      data: {
-        transactionId: transaction.id.toString(),
-        trackingNumber,
-        carrier,
-        estimatedDelivery
-      }
+    const updatedTransaction = await TransactionStateMachine.transition(transaction, 'ship', {
+      actor: TransactionStateMachine.getActor(transaction, sellerUsername),
+      username: sellerUsername,
+      payload: { ...shipment, estimatedDelivery }
     });
 
     res.json({
       success: true,
       message: 'Item marked as shipped successfully',
       data: {
-        transaction: serializeBigInt(updatedTransaction),
+        transaction: present(withNetPayout(updatedTransaction, sellerUsername), req),
         trackingInfo: {
-          trackingNumber,
-          carrier,
+          ...shipment,
           estimatedDelivery
         }
       }
     });
 
   } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
     console.error('Error marking as shipped:', error);
     res.status(500).json({
       success: false,
@@ -405,8 +558,14 @@ const markAsShipped = async (req, res) => {
  *         description: Invalid input data
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         description: Payment release declined by the payment provider
+ *       403:
+ *         description: Not allowed to perform this action on the transaction
  *       404:
  *         description: Transaction not found
+ *       409:
+ *         description: Transition not allowed from the current transaction status
  *       500:
  *         description: Server error
  */
@@ -443,95 +602,29 @@ const confirmDelivery = async (req, res) => {
       });
     }
 
-    if (transaction.buyerUsername !== buyerUsername) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not authorized to update this transaction'
-      });
-    }
-
-    if (transaction.status !== 'SHIPPED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Item must be shipped before confirming delivery'
-      });
-    }
-
-    // Simulate payment release to seller
-    const releaseReference = `REL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // Update transaction
-    const updatedTransaction = await prisma.transaction.update({
-      where: { id: transactionId },
-      data: {
-        status: 'COMPLETED',
-        deliveryConfirmedAt: new Date(),
-        paymentReleasedAt: new Date(),
-        paymentReleaseReference: releaseReference,
-        buyerRating: rating || null,
-        buyerReview: review || null,
-        updatedDate: new Date()
-      },
-      include: {
-        offer: {
-          include: {
-            article: true
-          }
-        }
-      }
-    });
-
-    // Mark article as bought
-    await prisma.article.update({
-      where: { id: transaction.articleId },
-      data: {
-        boughtBy: buyerUsername,
-        published: false, // Remove from marketplace
-        updatedDate: new Date()
-      }
-    });
-
-    // Notify seller about payment release
-    await NotificationService.createNotification({
-      userId: transaction.sellerUsername,
-      type: 'PAYMENT_RELEASED',
-      title: 'Payment Released!',
-      message: `Payment of $${transaction.amount} has been released for "${transaction.offer.articleName}". The transaction is now complete.`,
-      data: {
-        transactionId: transaction.id.toString(),
-        amount: transaction.amount,
-        releaseReference,
-        buyerRating: rating,
-        buyerReview: review
-      }
-    });
-
-    // Notify buyer about completion
-    await NotificationService.createNotification({
-      userId: buyerUsername,
-      type: 'TRANSACTION_COMPLETED',
-      title: 'Transaction Complete!',
-      message: `Your purchase of "${transaction.offer.articleName}" is now complete. Thank you for your business!`,
-      data: {
-        transactionId: transaction.id.toString(),
-        articleId: transaction.articleId.toString()
-      }
+    const updatedTransaction = await TransactionStateMachine.transition(transaction, 'confirmDelivery', {
+      actor: TransactionStateMachine.getActor(transaction, buyerUsername),
+      username: buyerUsername,
+      payload: { rating, review }
     });
 
     res.json({
       success: true,
       message: 'Delivery confirmed and payment released successfully',
       data: {
-        transaction: serializeBigInt(updatedTransaction),
+        transaction: present(updatedTransaction, req),
         paymentReleased: {
-          amount: transaction.amount,
-          reference: releaseReference,
-          releasedAt: new Date()
+          amount: fromMinorUnits(FeeService.getSellerPayout(updatedTransaction), updatedTransaction.currency),
+          currency: updatedTransaction.currency,
+          reference: updatedTransaction.paymentReleaseReference,
+          releasedAt: updatedTransaction.paymentReleasedAt
         }
       }
     });
 
   } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
     console.error('Error confirming delivery:', error);
     res.status(500).json({
       success: false,
@@ -577,8 +670,12 @@ const confirmDelivery = async (req, res) => {
  *         description: Invalid input data
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to perform this action on the transaction
  *       404:
  *         description: Transaction not found
+ *       409:
+ *         description: Transition not allowed from the current transaction status
  *       500:
  *         description: Server error
  */
@@ -631,89 +728,29 @@ const openDispute = async (req, res) => {
     }
 
     // Only buyer or seller can open disputes
-    if (transaction.buyerUsername !== username && transaction.sellerUsername !== username) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not authorized to dispute this transaction'
-      });
-    }
-
-    if (transaction.status === 'COMPLETED' || transaction.status === 'DISPUTED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot open dispute for this transaction status'
-      });
-    }
-
-    // Update transaction status
-    const updatedTransaction = await prisma.transaction.update({
-      where: { id: transactionId },
-      data: {
-        status: 'DISPUTED',
-        disputeReason: reason,
-        disputeDescription: description,
-        disputeOpenedBy: username,
-        disputeOpenedAt: new Date(),
-        updatedDate: new Date()
-      },
-      include: {
-        offer: {
-          include: {
-            article: true
-          }
-        }
-      }
-    });
-
-    // Notify the other party
-    const otherParty = username === transaction.buyerUsername 
-      ? transaction.sellerUsername 
-      : transaction.buyerUsername;
-
-    await NotificationService.createNotification({
-      userId: otherParty,
-      type: 'TRANSACTION_DISPUTED',
-      title: 'Transaction Disputed',
-      message: `A dispute has been opened for "${transaction.offer.articleName}". Reason: ${reason}`,
-      data: {
-        transactionId: transaction.id.toString(),
-        disputeReason: reason,
-        disputeDescription: description,
-        disputeOpenedBy: username
-      }
-    });
-
-    // Notify admin/support (you would have admin users in a real system)
-    await NotificationService.createNotification({
-      userId: 'admin', // Replace with actual admin user handling
-      type: 'DISPUTE_OPENED',
-      title: 'New Dispute Opened',
-      message: `Transaction ${transaction.id} disputed: ${reason}`,
-      data: {
-        transactionId: transaction.id.toString(),
-        disputeReason: reason,
-        disputeDescription: description,
-        disputeOpenedBy: username,
-        buyerUsername: transaction.buyerUsername,
-        sellerUsername: transaction.sellerUsername
-      }
+    const updatedTransaction = await TransactionStateMachine.transition(transaction, 'openDispute', {
+      actor: TransactionStateMachine.getActor(transaction, username),
+      username,
+      payload: { reason, description }
     });
 
     res.json({
       success: true,
       message: 'Dispute opened successfully',
       data: {
-        transaction: serializeBigInt(updatedTransaction),
+        transaction: present(updatedTransaction, req),
         dispute: {
           reason,
           description,
           openedBy: username,
-          openedAt: new Date()
+          openedAt: updatedTransaction.disputeOpenedAt
         }
       }
     });
 
   } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
     console.error('Error opening dispute:', error);
     res.status(500).json({
       success: false,
@@ -819,7 +856,7 @@ const getUserTransactions = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(transactions),
+      data: present(transactions.map(transaction => withNetPayout(transaction, username)), req),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -903,7 +940,7 @@ const getTransactionById = async (req, res) => {
 
     res.json({
       success: true,
-      data: serializeBigInt(transaction)
+      data: present(withNetPayout(transaction, username), req)
     });
 
   } catch (error) {
@@ -921,7 +958,16 @@ const getTransactionById = async (req, res) => {
  * /api/transactions/stats:
  *   get:
  *     summary: Get user's transaction statistics
+ *     description: |
+ *       Money totals over all the currencies the user traded in, converted
+ *       into the requested currency, with the per-currency totals in byCurrency.
  *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to convert the totals into; defaults to the x-user-currency header, then the base currency
  *     responses:
  *       200:
  *         description: Transaction statistics retrieved
@@ -941,8 +987,10 @@ const getTransactionStats = async (req, res) => {
       });
     }
 
-    const TransactionService = require('../services/transactionService');
-    const stats = await TransactionService.getUserTransactionStats(username);
+    const stats = await TransactionService.getUserTransactionStats(
+      username,
+      CurrencyService.getDisplayCurrency(getViewerCurrency(req))
+    );
 
     res.json({
       success: true,
@@ -964,6 +1012,7 @@ const getTransactionStats = async (req, res) => {
  * /api/transactions/{id}/cancel:
  *   put:
  *     summary: Cancel a transaction (buyer only, payment pending status)
+ *     description: The payment authorization is voided, or the payment refunded if it was already captured.
  *     tags: [Transactions]
  *     parameters:
  *       - in: path
@@ -975,14 +1024,16 @@ const getTransactionStats = async (req, res) => {
  *     responses:
  *       200:
  *         description: Transaction cancelled successfully
- *       400:
- *         description: Cannot cancel transaction in current status
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Not authorized to cancel this transaction
+ *       402:
+ *         description: The payment provider refused to return the payment; the transaction is not cancelled
  *       404:
  *         description: Transaction not found
+ *       409:
+ *         description: Cannot cancel transaction in current status
  *       500:
  *         description: Server error
  */
@@ -1018,61 +1069,469 @@ const cancelTransaction = async (req, res) => {
       });
     }
 
-    if (transaction.buyerUsername !== username) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only the buyer can cancel a transaction'
-      });
-    }
-
-    if (transaction.status !== 'PAYMENT_PENDING') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only cancel transactions with pending payment'
-      });
-    }
-
-    // Update transaction status
-    const updatedTransaction = await prisma.transaction.update({
-      where: { id: transactionId },
-      data: {
-        status: 'CANCELLED',
-        updatedDate: new Date()
-      }
+    const updatedTransaction = await TransactionStateMachine.transition(transaction, 'cancel', {
+      actor: TransactionStateMachine.getActor(transaction, username),
+      username
     });
 
-    // Update offer back to ACCEPTED
-    await prisma.offer.update({
-      where: { id: transaction.offerId },
-      data: {
-        status: 'ACCEPTED',
-        updatedDate: new Date()
-      }
+    res.json({
+      success: true,
+      message: 'Transaction cancelled successfully',
+      data: present(updatedTransaction, req)
     });
 
-    // Notify seller
-    await NotificationService.createNotification({
-      userId: transaction.sellerUsername,
-      type: 'TRANSACTION_CANCELLED',
-      title: 'Transaction Cancelled',
-      message: `The buyer cancelled the transaction for "${transaction.offer.articleName}".`,
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
+    console.error('Error cancelling transaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling transaction',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/refunds:
+ *   post:
+ *     summary: Refund the buyer, fully or partially (seller or admin)
+ *     description: |
+ *       Without an amount, or with the whole refundable amount, the refund is
+ *       full and the transaction moves to REFUNDED; an article already marked
+ *       as bought goes back on the marketplace. A smaller amount is a partial
+ *       refund and leaves the status unchanged. Refunds after completion are
+ *       taken back from the seller's balance.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund; defaults to everything not yet refunded
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Refund issued
+ *       400:
+ *         description: Invalid amount or missing reason
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Refund declined by the payment provider
+ *       403:
+ *         description: Only the seller or an admin can refund
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction cannot be refunded in its current status
+ *       500:
+ *         description: Server error
+ */
+const refundTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body || {};
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!reason?.trim() || reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'A refund reason of at most 500 characters is required'
+      });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        offer: {
+          include: {
+            article: true
+          }
+        }
+      }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const { currency } = transaction;
+    const refundable = transaction.amount - (transaction.refundedAmount || 0);
+    const requested = amount === undefined || amount === null || amount === ''
+      ? refundable
+      : toMinorUnits(parseFloat(amount), currency);
+
+    if (isNaN(requested) || requested <= 0 || requested > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be a positive number up to ${fromMinorUnits(refundable, currency)} ${currency}`
+      });
+    }
+
+    const event = requested === refundable ? 'refund' : 'partialRefund';
+
+    const updatedTransaction = await TransactionStateMachine.transition(transaction, event, {
+      actor: isAdmin(username)
+        ? TransactionStateMachine.ACTORS.ADMIN
+        : TransactionStateMachine.getActor(transaction, username),
+      username,
+      payload: {
+        amount: fromMinorUnits(requested, currency),
+        reason: reason.trim()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: event === 'refund' ? 'Transaction refunded successfully' : 'Partial refund issued successfully',
+      data: {
+        transaction: present(withNetPayout(updatedTransaction, username), req),
+        refund: {
+          type: event === 'refund' ? 'FULL' : 'PARTIAL',
+          amount: fromMinorUnits(requested, currency),
+          currency,
+          totalRefunded: fromMinorUnits(updatedTransaction.refundedAmount, currency)
+        }
+      }
+    });
+
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
+    console.error('Error refunding transaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refunding transaction',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/refunds:
+ *   get:
+ *     summary: Refund history of a transaction (buyer, seller or admin)
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved, oldest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this transaction
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Server error
+ */
+const getTransactionRefunds = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        refunds: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.buyerUsername !== username && transaction.sellerUsername !== username && !isAdmin(username)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this transaction'
+      });
+    }
+
+    res.json({
+      success: true,
       data: {
         transactionId: transaction.id.toString(),
-        reason: 'buyer_cancelled'
+        currency: transaction.currency,
+        amount: fromMinorUnits(transaction.amount, transaction.currency),
+        refundedAmount: fromMinorUnits(transaction.refundedAmount, transaction.currency),
+        refunds: serializeBigInt(CurrencyService.present(transaction.refunds, getViewerCurrency(req), transaction.currency))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving refunds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/tracking:
+ *   get:
+ *     summary: Shipment tracking timeline (buyer, seller or admin)
+ *     description: |
+ *       Carrier events oldest first, as polled by the poll-shipment-tracking
+ *       job. Once the carrier reports delivery the buyer has
+ *       DELIVERY_CONFIRMATION_DAYS to confirm or dispute before the payment
+ *       is released automatically at autoCompleteAt.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Tracking timeline retrieved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this transaction
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Server error
+ */
+const getTransactionTracking = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const timeline = await TrackingService.getTimeline(req.params.id, username);
+
+    res.json({
+      success: true,
+      data: serializeBigInt(timeline)
+    });
+
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
+    console.error('Error retrieving tracking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving tracking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/events:
+ *   get:
+ *     summary: Event history of a transaction (buyer, seller, moderator or admin)
+ *     description: |
+ *       Every status change oldest first, from creation onwards, with the
+ *       actor, the payload and the source (USER, CRON, WEBHOOK or SYSTEM).
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Events retrieved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this transaction
+ *       404:
+ *         description: Transaction not found
+ *       500:
+ *         description: Server error
+ */
+const getTransactionEvents = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        events: {
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        }
       }
     });
 
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.buyerUsername !== username && transaction.sellerUsername !== username && !isModerator(username)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this transaction'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Transaction cancelled successfully',
-      data: serializeBigInt(updatedTransaction)
+      data: {
+        transactionId: transaction.id.toString(),
+        status: transaction.status,
+        events: serializeBigInt(transaction.events)
+      }
     });
 
   } catch (error) {
-    console.error('Error cancelling transaction:', error);
+    console.error('Error retrieving transaction events:', error);
     res.status(500).json({
       success: false,
-      message: 'Error cancelling transaction',
+      message: 'Error retrieving transaction events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transactions/{id}/receipt:
+ *   get:
+ *     summary: Download the receipt of a completed transaction (buyer, seller or admin)
+ *     description: |
+ *       PDF by default, or the receipt data with format=json. Receipts are
+ *       issued with a sequential invoice number when the transaction
+ *       completes and do not change afterwards.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not authorized to view this transaction
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction not completed yet
+ *       500:
+ *         description: Server error
+ */
+const getTransactionReceipt = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const receipt = await ReceiptService.getReceipt(req.params.id, username);
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: serializeBigInt(receipt)
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${receipt.invoiceNumber}.pdf"`
+    });
+    ReceiptService.renderPdf(receipt).pipe(res);
+
+  } catch (error) {
+    if (handleTransitionError(error, res)) return;
+
+    console.error('Error retrieving receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving receipt',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -1080,11 +1539,17 @@ const cancelTransaction = async (req, res) => {
 
 module.exports = {
   initiateTransaction,
+  buyNow,
   markAsShipped,
   confirmDelivery,
   openDispute,
   getUserTransactions,
   getTransactionById,
   getTransactionStats,
-  cancelTransaction
+  cancelTransaction,
+  refundTransaction,
+  getTransactionRefunds,
+  getTransactionTracking,
+  getTransactionEvents,
+  getTransactionReceipt
 };
\ No newline at end of file
@@ -0,0 +1,285 @@
+// controllers/wallet.controller.js
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { serializeBigInt, validateId } = require('../utils/helpers');
+const PayoutService = require('../services/payoutService');
+const CurrencyService = require('../services/currencyService');
+
+/**
+ * @swagger
+ * /api/wallet:
+ *   get:
+ *     summary: Get the seller's wallet balances
+ *     description: |
+ *       available - released funds that can be paid out;
+ *       pending - funds held in escrow for confirmed, shipped or disputed sales;
+ *       inPayout - requested or processing payouts;
+ *       paidOut - payouts already sent.
+ *       Sellers have one wallet per currency they sold in.
+ *     tags: [Wallet]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       400:
+ *         description: Unsupported currency
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getWallet = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const wallet = await PayoutService.getWallet(username, CurrencyService.normalizeCurrency(req.query.currency));
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Error retrieving wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving wallet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/wallet/payouts:
+ *   post:
+ *     summary: Request a payout of the available balance
+ *     tags: [Wallet]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to pay out; defaults to the whole available balance
+ *               currency:
+ *                 type: string
+ *                 default: USD
+ *                 description: Wallet to pay out from
+ *     responses:
+ *       201:
+ *         description: Payout requested
+ *       400:
+ *         description: Invalid amount or below the minimum payout
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Insufficient available balance
+ *       500:
+ *         description: Server error
+ */
+const requestPayout = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const payout = await PayoutService.requestPayout(username, {
+      amount: req.body?.amount,
+      currency: CurrencyService.normalizeCurrency(req.body?.currency)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested successfully',
+      data: serializeBigInt(payout)
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    if (error instanceof ConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: 'Insufficient available balance for this payout'
+      });
+    }
+
+    console.error('Error requesting payout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/wallet/payouts:
+ *   get:
+ *     summary: List the seller's payouts
+ *     tags: [Wallet]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, PROCESSING, PAID, FAILED]
+ *     responses:
+ *       200:
+ *         description: Payouts retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getPayouts = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const { payouts, pagination } = await PayoutService.listPayouts(username, {
+      page,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: serializeBigInt(payouts),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Error retrieving payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/wallet/payouts/{id}:
+ *   get:
+ *     summary: Get one of the seller's payouts
+ *     tags: [Wallet]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout retrieved successfully
+ *       400:
+ *         description: Invalid payout ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Payout not found
+ *       500:
+ *         description: Server error
+ */
+const getPayoutById = async (req, res) => {
+  try {
+    const username = req.headers['x-user-username'];
+
+    if (!username) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const { isValid, error } = validateId(req.params.id);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const payout = await PayoutService.getPayout(req.params.id, username);
+
+    res.json({
+      success: true,
+      data: serializeBigInt(payout)
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error retrieving payout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving payout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getWallet,
+  requestPayout,
+  getPayouts,
+  getPayoutById
+};
@@ -0,0 +1,130 @@
+// controllers/webhook.controller.js
+const { ValidationError } = require('../utils/errors');
+const { serializeBigInt } = require('../utils/helpers');
+const { getPaymentProvider } = require('../payments');
+const { verifySignature, DEFAULT_TOLERANCE_SECONDS } = require('../payments/webhookSignature');
+const PaymentWebhookService = require('../services/paymentWebhookService');
+
+/**
+ * @swagger
+ * /api/transactions/webhooks/payment:
+ *   post:
+ *     summary: Receive a signed payment provider event
+ *     description: |
+ *       Called by the payment provider, not by users. The request must carry
+ *       X-Payment-Timestamp (unix seconds) and X-Payment-Signature, the hex
+ *       HMAC-SHA256 of "<timestamp>.<raw body>" keyed with PAYMENT_WEBHOOK_SECRET.
+ *       Events are deduplicated by provider event ID.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: header
+ *         name: X-Payment-Timestamp
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: X-Payment-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - type
+ *               - data
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Provider event ID
+ *               type:
+ *                 type: string
+ *                 enum: [payment.confirmed, payment.failed, payment.refunded]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   reference:
+ *                     type: string
+ *                     description: Payment reference returned at authorization
+ *                   amount:
+ *                     type: number
+ *                   reason:
+ *                     type: string
+ *                   refundReference:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event received (applied, ignored or already seen)
+ *       400:
+ *         description: Malformed event
+ *       401:
+ *         description: Missing or invalid signature
+ *       500:
+ *         description: Event could not be applied; the provider should retry
+ */
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+    if (!secret) {
+      console.error('PAYMENT_WEBHOOK_SECRET is not configured, rejecting payment webhook');
+      return res.status(500).json({
+        success: false,
+        message: 'Payment webhooks are not configured'
+      });
+    }
+
+    const verification = verifySignature({
+      secret,
+      timestamp: req.headers['x-payment-timestamp'],
+      signature: req.headers['x-payment-signature'],
+      rawBody: req.rawBody || '',
+      toleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS
+    });
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid webhook signature: ${verification.reason}`
+      });
+    }
+
+    const provider = req.body?.provider || getPaymentProvider().name;
+    const { event, duplicate } = await PaymentWebhookService.receiveEvent(req.body, provider);
+
+    res.json({
+      success: true,
+      message: duplicate ? 'Event already received' : 'Event received',
+      data: serializeBigInt({
+        eventId: event.eventId,
+        status: event.status,
+        transactionId: event.transactionId,
+        duplicate
+      })
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Error processing payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing payment webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  handlePaymentWebhook
+};
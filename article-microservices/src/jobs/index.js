@@ -0,0 +1,76 @@
+// jobs/index.js - Scheduled maintenance job definitions
+const TransactionService = require('../services/transactionService');
+const NotificationService = require('../services/notificationService');
+const IdempotencyService = require('../services/idempotencyService');
+const PayoutService = require('../services/payoutService');
+const TrackingService = require('../services/trackingService');
+const OfferNegotiationService = require('../services/offerNegotiationService');
+
+/**
+ * Background jobs run by the JobService.
+ *
+ * Every job can be rescheduled or switched off without a code change:
+ *   JOB_<NAME>_SCHEDULE=<cron expression>   e.g. JOB_CLEANUP_OLD_NOTIFICATIONS_SCHEDULE="0 4 * * *"
+ *   JOB_<NAME>_ENABLED=false
+ * where <NAME> is the job name upper-cased with dashes replaced by underscores.
+ */
+const jobs = [
+  {
+    name: 'cleanup-expired-transactions',
+    description: 'Cancel transactions whose payment has been pending for more than 24 hours',
+    schedule: '*/15 * * * *', // every 15 minutes
+    handler: async () => ({
+      processed: await TransactionService.cleanupExpiredTransactions()
+    })
+  },
+  {
+    name: 'auto-complete-shipped-transactions',
+    description: 'Release payment for shipped transactions the buyer did not confirm in time after delivery (or 7 days after shipping when untracked)',
+    schedule: '0 * * * *', // hourly
+    handler: async () => ({
+      processed: await TransactionService.autoCompleteShippedTransactions()
+    })
+  },
+  {
+    name: 'expire-stale-offers',
+    description: 'Expire open offers nobody answered in time and accepted offers the buyer did not buy in time',
+    schedule: '*/15 * * * *', // every 15 minutes
+    handler: async () => ({
+      processed: await OfferNegotiationService.expireStaleOffers()
+    })
+  },
+  {
+    name: 'poll-shipment-tracking',
+    description: 'Fetch carrier tracking events for shipped transactions and record deliveries',
+    schedule: '*/30 * * * *', // every 30 minutes
+    handler: async () => ({
+      updated: await TrackingService.pollShipments()
+    })
+  },
+  {
+    name: 'process-payouts',
+    description: 'Send requested seller payouts through the payment provider',
+    schedule: '*/10 * * * *', // every 10 minutes
+    handler: async () => ({
+      processed: await PayoutService.processPayouts()
+    })
+  },
+  {
+    name: 'cleanup-old-notifications',
+    description: 'Delete read notifications older than 30 days',
+    schedule: '30 3 * * *', // daily at 03:30
+    handler: async () => ({
+      deleted: await NotificationService.cleanupOldNotifications()
+    })
+  },
+  {
+    name: 'cleanup-expired-idempotency-keys',
+    description: 'Delete stored Idempotency-Key responses past their expiry',
+    schedule: '45 * * * *', // hourly at :45
+    handler: async () => ({
+      deleted: await IdempotencyService.cleanupExpiredKeys()
+    })
+  }
+];
+
+module.exports = jobs;
@@ -65,8 +65,61 @@ const authorize = (resourceOwnerField = 'owner') => {
   };
 };
 
+/**
+ * Staff roles. Admins are listed in the ADMIN_USERNAMES environment variable
+ * (comma separated, defaults to "admin"); moderators in MODERATOR_USERNAMES.
+ * Admins can do everything moderators can.
+ */
+const parseUsernames = (value) => (value || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const isAdmin = (username) => Boolean(username)
+  && parseUsernames(process.env.ADMIN_USERNAMES || 'admin').includes(username);
+
+const isModerator = (username) => isAdmin(username)
+  || (Boolean(username) && parseUsernames(process.env.MODERATOR_USERNAMES).includes(username));
+
+const requireRole = (hasRole, message) => (req, res, next) => {
+  const username = req.headers['x-user-username'];
+
+  if (!username) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!hasRole(username)) {
+    return res.status(403).json({
+      success: false,
+      message
+    });
+  }
+
+  req.user = {
+    username,
+    isAuthenticated: true,
+    isAdmin: isAdmin(username),
+    isModerator: true
+  };
+
+  next();
+};
+
+// Admin-only middleware
+const requireAdmin = requireRole(isAdmin, 'Admin access required');
+
+// Moderator (or admin) middleware
+const requireModerator = requireRole(isModerator, 'Moderator access required');
+
 module.exports = {
   authenticate,
   optionalAuth,
-  authorize
+  authorize,
+  requireAdmin,
+  requireModerator,
+  isAdmin,
+  isModerator
 };
\ No newline at end of file
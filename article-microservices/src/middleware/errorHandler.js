@@ -1,5 +1,12 @@
 // Found in middleware/errorHandler.js
-const { ValidationError, AuthorizationError, NotFoundError } = require('../utils/errors');
+const {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  PaymentError
+} = require('../utils/errors');
 
 /**
  * Global error handler middleware
@@ -28,6 +35,17 @@ const errorHandler = (error, req, res, next) => {
   } else if (error instanceof NotFoundError) {
     statusCode = 404;
     response.message = error.message;
+  } else if (error instanceof ForbiddenError) {
+    statusCode = 403;
+    response.message = error.message;
+  } else if (error instanceof ConflictError) {
+    statusCode = 409;
+    response.message = error.message;
+    response.errors = error.details;
+  } else if (error instanceof PaymentError) {
+    statusCode = 402;
+    response.message = error.message;
+    response.errors = { code: error.code, operation: error.operation };
   } else if (error.name === 'CastError') {
     statusCode = 400;
     response.message = 'Invalid ID format';
@@ -0,0 +1,106 @@
+// middleware/idempotency.js
+const IdempotencyService = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Make a POST endpoint safe to retry with an Idempotency-Key header.
+ *
+ * The first request with a given key is processed normally and its response
+ * is stored. Retries with the same key and payload get the stored response
+ * back (with an Idempotent-Replayed: true header) instead of running again.
+ * Keys are scoped per user and endpoint; requests without the header are
+ * not affected.
+ *
+ * Responses with a 5xx status are not stored, so the client may retry.
+ */
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    const username = req.headers['x-user-username'];
+
+    // Unauthenticated requests are rejected by the handler itself
+    if (!key || !username) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    let claim;
+
+    try {
+      claim = await IdempotencyService.begin({
+        key,
+        username,
+        scope,
+        requestHash: IdempotencyService.fingerprint({
+          method: req.method,
+          path: req.baseUrl + req.path,
+          body: req.body
+        })
+      });
+    } catch (error) {
+      console.error('Error checking idempotency key:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking idempotency key',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    const { state, record } = claim;
+
+    if (state === 'mismatch') {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request payload'
+      });
+    }
+
+    if (state === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    if (state === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    const report = (error) => {
+      console.error(`Error storing response for idempotency key ${key}:`, error);
+    };
+
+    // Store the response as soon as the handler produces it, even if the
+    // client has already disconnected, so its retry gets the same answer
+    let responded = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responded = true;
+      const stored = res.statusCode < 500
+        ? IdempotencyService.complete(record, { statusCode: res.statusCode, body })
+        : IdempotencyService.release(record);
+      stored.catch(report);
+      return json(body);
+    };
+
+    res.on('close', () => {
+      if (!responded) {
+        IdempotencyService.release(record).catch(report);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency
+};
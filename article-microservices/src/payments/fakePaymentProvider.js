@@ -0,0 +1,258 @@
+// payments/fakePaymentProvider.js - Local, deterministic payment gateway for dev and tests
+const { setTimeout: sleep } = require('timers/promises');
+const PaymentProvider = require('./paymentProvider');
+const { PaymentError } = require('../utils/errors');
+
+const OPERATIONS = ['authorize', 'void', 'capture', 'release', 'refund', 'payout'];
+
+/**
+ * In-memory payment provider.
+ *
+ * Options (all optional):
+ *   outcome          - 'success' (default) or 'failure' for every operation
+ *   failOperations   - operations that always fail, e.g. ['capture']
+ *   delayMs          - simulated processing time per operation (default 0)
+ *   referencePrefix  - prefix of generated references; pass a fixed value in
+ *                      tests to get predictable references (FAKE_AUTH_1, ...)
+ *   asyncCapture     - report captures as PENDING so the transaction waits for
+ *                      a signed payment.confirmed webhook, like a real gateway
+ *   strict           - reject operations on references this instance has not
+ *                      seen. Off by default so a restarted dev server can still
+ *                      release or refund payments created before the restart.
+ */
+class FakePaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('fake');
+    this.outcome = options.outcome || 'success';
+    this.failOperations = options.failOperations || [];
+    this.delayMs = options.delayMs || 0;
+    this.referencePrefix = options.referencePrefix || `FAKE${Date.now().toString(36).toUpperCase()}`;
+    this.asyncCapture = Boolean(options.asyncCapture);
+    this.strict = Boolean(options.strict);
+    this.reset();
+  }
+
+  /**
+   * Build a provider from FAKE_PAYMENT_* environment variables
+   */
+  static fromEnv(env = process.env) {
+    return new FakePaymentProvider({
+      outcome: env.FAKE_PAYMENT_OUTCOME,
+      failOperations: (env.FAKE_PAYMENT_FAIL_OPERATIONS || '')
+        .split(',')
+        .map(op => op.trim())
+        .filter(op => OPERATIONS.includes(op)),
+      delayMs: parseInt(env.FAKE_PAYMENT_DELAY_MS) || 0,
+      referencePrefix: env.FAKE_PAYMENT_REFERENCE_PREFIX,
+      asyncCapture: env.FAKE_PAYMENT_ASYNC_CAPTURE === 'true'
+    });
+  }
+
+  /**
+   * Forget every payment and payout, and restart reference numbering
+   */
+  reset() {
+    this.payments = new Map();
+    this.payouts = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Change behaviour at runtime (useful for tests driving failure paths)
+   */
+  configure({ outcome, failOperations, delayMs, asyncCapture } = {}) {
+    if (outcome !== undefined) this.outcome = outcome;
+    if (failOperations !== undefined) this.failOperations = failOperations;
+    if (delayMs !== undefined) this.delayMs = delayMs;
+    if (asyncCapture !== undefined) this.asyncCapture = asyncCapture;
+  }
+
+  nextReference(kind) {
+    this.sequence += 1;
+    return `${this.referencePrefix}_${kind}_${this.sequence}`;
+  }
+
+  async simulate(operation) {
+    if (this.delayMs > 0) {
+      await sleep(this.delayMs);
+    }
+
+    if (this.outcome === 'failure' || this.failOperations.includes(operation)) {
+      throw new PaymentError(`Payment ${operation} declined by fake provider`, {
+        code: 'PAYMENT_DECLINED',
+        operation,
+        provider: this.name
+      });
+    }
+  }
+
+  getPayment(reference, operation, assumedStatus, amount) {
+    let payment = this.payments.get(reference);
+
+    if (!payment) {
+      if (this.strict) {
+        throw new PaymentError(`Unknown payment reference ${reference}`, {
+          code: 'PAYMENT_NOT_FOUND',
+          operation,
+          provider: this.name
+        });
+      }
+
+      payment = {
+        reference,
+        status: assumedStatus,
+        amount,
+        capturedAmount: assumedStatus === 'AUTHORIZED' ? 0 : amount,
+        refundedAmount: 0,
+        history: []
+      };
+      this.payments.set(reference, payment);
+    }
+
+    return payment;
+  }
+
+  assertStatus(payment, operation, allowed) {
+    if (!allowed.includes(payment.status)) {
+      throw new PaymentError(`Cannot ${operation} a payment in status ${payment.status}`, {
+        code: 'INVALID_PAYMENT_STATE',
+        operation,
+        provider: this.name
+      });
+    }
+  }
+
+  record(payment, operation, amount, reference = payment.reference) {
+    const processedAt = new Date();
+    payment.history.push({ operation, amount, reference, processedAt });
+
+    return {
+      success: true,
+      reference,
+      paymentReference: payment.reference,
+      amount,
+      status: payment.status,
+      processedAt
+    };
+  }
+
+  async authorize({ amount, currency = 'USD', orderId = null, customer = null } = {}) {
+    await this.simulate('authorize');
+
+    const reference = this.nextReference('AUTH');
+    const payment = {
+      reference,
+      status: 'AUTHORIZED',
+      amount,
+      currency,
+      orderId,
+      customer,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      history: []
+    };
+    this.payments.set(reference, payment);
+
+    return this.record(payment, 'authorize', amount);
+  }
+
+  async void(reference, { reason = null } = {}) {
+    const payment = this.getPayment(reference, 'void', 'AUTHORIZED');
+    this.assertStatus(payment, 'void', ['AUTHORIZED']);
+    await this.simulate('void');
+
+    payment.status = 'VOIDED';
+    payment.voidReason = reason;
+
+    return this.record(payment, 'void', payment.amount);
+  }
+
+  async capture(reference, { amount } = {}) {
+    const payment = this.getPayment(reference, 'capture', 'AUTHORIZED', amount);
+    this.assertStatus(payment, 'capture', ['AUTHORIZED']);
+    await this.simulate('capture');
+
+    const captured = amount ?? payment.amount;
+    payment.status = 'CAPTURED';
+    payment.capturedAmount = captured;
+
+    const result = this.record(payment, 'capture', captured);
+    return this.asyncCapture ? { ...result, status: 'PENDING' } : result;
+  }
+
+  async release(reference, { amount, recipient = null } = {}) {
+    const payment = this.getPayment(reference, 'release', 'CAPTURED', amount);
+    this.assertStatus(payment, 'release', ['CAPTURED', 'PARTIALLY_REFUNDED']);
+    await this.simulate('release');
+
+    const released = amount ?? payment.capturedAmount - payment.refundedAmount;
+    payment.status = 'RELEASED';
+    payment.recipient = recipient;
+
+    return this.record(payment, 'release', released, this.nextReference('REL'));
+  }
+
+  async refund(reference, { amount, reason = null } = {}) {
+    const payment = this.getPayment(reference, 'refund', 'CAPTURED', amount);
+    // Released payments can still be refunded; the platform recovers the money from the seller
+    this.assertStatus(payment, 'refund', ['CAPTURED', 'PARTIALLY_REFUNDED', 'RELEASED']);
+
+    const refundable = payment.capturedAmount - payment.refundedAmount;
+    const refunded = amount ?? refundable;
+
+    if (refunded <= 0 || refunded > refundable) {
+      throw new PaymentError(`Refund amount must be between 0 and ${refundable}`, {
+        code: 'INVALID_REFUND_AMOUNT',
+        operation: 'refund',
+        provider: this.name
+      });
+    }
+
+    await this.simulate('refund');
+
+    payment.refundedAmount += refunded;
+    payment.status = payment.refundedAmount >= payment.capturedAmount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    payment.lastRefundReason = reason;
+
+    return this.record(payment, 'refund', refunded, this.nextReference('REF'));
+  }
+
+  async payout(recipient, { amount, currency = 'USD', payoutId = null } = {}) {
+    await this.simulate('payout');
+
+    const reference = this.nextReference('PO');
+    const processedAt = new Date();
+    this.payouts.set(reference, { reference, recipient, amount, currency, payoutId, processedAt });
+
+    return {
+      success: true,
+      reference,
+      amount,
+      status: 'PAID',
+      processedAt
+    };
+  }
+
+  async getStatus(reference) {
+    const payment = this.payments.get(reference);
+
+    if (!payment) {
+      throw new PaymentError(`Unknown payment reference ${reference}`, {
+        code: 'PAYMENT_NOT_FOUND',
+        operation: 'status',
+        provider: this.name
+      });
+    }
+
+    return {
+      reference,
+      status: payment.status,
+      amount: payment.amount,
+      capturedAmount: payment.capturedAmount,
+      refundedAmount: payment.refundedAmount,
+      history: payment.history
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,55 @@
+// payments/index.js - Payment provider registry
+const PaymentProvider = require('./paymentProvider');
+const FakePaymentProvider = require('./fakePaymentProvider');
+
+/**
+ * Factories for the available providers, keyed by PAYMENT_PROVIDER value.
+ * A real gateway is added by implementing PaymentProvider and registering it
+ * here; controllers and services only ever call getPaymentProvider().
+ */
+const factories = {
+  fake: () => FakePaymentProvider.fromEnv()
+};
+
+let activeProvider = null;
+
+/**
+ * Register a provider factory under a name
+ */
+function registerPaymentProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Get the configured provider (PAYMENT_PROVIDER, defaults to "fake")
+ */
+function getPaymentProvider() {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    activeProvider = factory();
+    console.log(`💳 Using payment provider: ${activeProvider.name}`);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. with a configured FakePaymentProvider in tests)
+ */
+function setPaymentProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  PaymentProvider,
+  FakePaymentProvider
+};
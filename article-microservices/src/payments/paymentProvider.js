@@ -0,0 +1,87 @@
+// payments/paymentProvider.js
+
+/**
+ * Base class for payment providers.
+ *
+ * A provider moves buyer funds through the escrow lifecycle:
+ *   authorize -> capture -> release (to the seller) or refund (to the buyer)
+ * or authorize -> void when the purchase is not recorded after all,
+ * and pays released seller balances out with payout().
+ *
+ * Every method resolves to a result object
+ *   { success, reference, amount, status, processedAt }
+ * and rejects with a PaymentError when the provider declines the operation.
+ * A capture may resolve with status PENDING when the gateway settles
+ * asynchronously; the payment is then confirmed by a signed webhook
+ * (POST /api/transactions/webhooks/payment).
+ * Amounts are in the transaction currency's major unit (e.g. 12.5 for $12.50).
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve funds on the buyer's payment method
+   * @param {object} params - { amount, currency, orderId, customer }
+   */
+  async authorize() {
+    throw new Error(`${this.name}: authorize() not implemented`);
+  }
+
+  /**
+   * Cancel an authorization that will not be captured, releasing the
+   * reserved funds on the buyer's payment method
+   * @param {string} reference - Payment reference returned by authorize()
+   * @param {object} params - { reason }
+   */
+  async void() {
+    throw new Error(`${this.name}: void() not implemented`);
+  }
+
+  /**
+   * Collect previously authorized funds into escrow
+   * @param {string} reference - Payment reference returned by authorize()
+   * @param {object} params - { amount }
+   */
+  async capture() {
+    throw new Error(`${this.name}: capture() not implemented`);
+  }
+
+  /**
+   * Pay captured escrow funds out to the seller
+   * @param {string} reference - Payment reference
+   * @param {object} params - { amount, recipient }
+   */
+  async release() {
+    throw new Error(`${this.name}: release() not implemented`);
+  }
+
+  /**
+   * Return captured funds to the buyer, fully or partially
+   * @param {string} reference - Payment reference
+   * @param {object} params - { amount, reason }
+   */
+  async refund() {
+    throw new Error(`${this.name}: refund() not implemented`);
+  }
+
+  /**
+   * Send funds from a seller's released balance to their bank account
+   * @param {string} recipient - Seller username
+   * @param {object} params - { amount, currency, payoutId }
+   */
+  async payout() {
+    throw new Error(`${this.name}: payout() not implemented`);
+  }
+
+  /**
+   * Look up the provider-side status of a payment
+   * @param {string} reference - Payment reference
+   */
+  async getStatus() {
+    throw new Error(`${this.name}: getStatus() not implemented`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,61 @@
+// payments/webhookSignature.js - HMAC signing of payment webhook deliveries
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+
+/**
+ * Webhooks carry two headers:
+ *   X-Payment-Timestamp - unix time (seconds) the delivery was signed
+ *   X-Payment-Signature - hex HMAC-SHA256 of "<timestamp>.<raw request body>"
+ *
+ * Signing the timestamp together with the body stops an attacker from
+ * replaying an old delivery with a fresh timestamp.
+ */
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Check a webhook signature and timestamp.
+ * Returns { valid: true } or { valid: false, reason }.
+ */
+function verifySignature({
+  secret,
+  timestamp,
+  signature,
+  rawBody,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+}) {
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  const timestampSeconds = parseInt(timestamp);
+  if (isNaN(timestampSeconds)) {
+    return { valid: false, reason: 'Invalid timestamp' };
+  }
+
+  if (Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp outside tolerance window' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  signPayload,
+  verifySignature
+};
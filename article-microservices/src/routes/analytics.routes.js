@@ -0,0 +1,28 @@
+// routes/analytics.routes.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  getOverview,
+  getGmv,
+  getTopCategories,
+  getTopBrands,
+  getNewSellers,
+  getOfferAcceptance,
+  getTimeToShip,
+  getDisputeRates
+} = require('../controllers/analytics.controller');
+
+// Platform analytics are admin-only
+router.use(requireAdmin);
+
+router.get('/overview', getOverview);
+router.get('/gmv', getGmv);
+router.get('/top-categories', getTopCategories);
+router.get('/top-brands', getTopBrands);
+router.get('/new-sellers', getNewSellers);
+router.get('/offer-acceptance', getOfferAcceptance);
+router.get('/time-to-ship', getTimeToShip);
+router.get('/dispute-rates', getDisputeRates);
+
+module.exports = router;
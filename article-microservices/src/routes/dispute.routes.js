@@ -0,0 +1,18 @@
+// routes/dispute.routes.js
+const express = require('express');
+const router = express.Router();
+const { requireModerator } = require('../middleware/auth');
+const {
+  listDisputes,
+  getDispute,
+  resolveDispute
+} = require('../controllers/dispute.controller');
+
+// Dispute handling is for moderators and admins
+router.use(requireModerator);
+
+router.get('/', listDisputes);
+router.get('/:id', getDispute);
+router.post('/:id/resolve', resolveDispute);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// routes/export.routes.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { exportAllTransactions } = require('../controllers/export.controller');
+
+// Platform-wide exports are admin-only
+router.use(requireAdmin);
+
+router.get('/transactions', exportAllTransactions);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/job.routes.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  listJobs,
+  getJobRuns,
+  triggerJob
+} = require('../controllers/job.controller');
+
+// Every job endpoint is admin-only
+router.use(requireAdmin);
+
+router.get('/', listJobs);
+router.get('/:name/runs', getJobRuns);
+router.post('/:name/run', triggerJob);
+
+module.exports = router;
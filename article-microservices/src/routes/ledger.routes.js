@@ -0,0 +1,16 @@
+// routes/ledger.routes.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  getTrialBalance,
+  getTransactionLedger
+} = require('../controllers/ledger.controller');
+
+// Ledger data is admin-only
+router.use(requireAdmin);
+
+router.get('/trial-balance', getTrialBalance);
+router.get('/transactions/:id', getTransactionLedger);
+
+module.exports = router;
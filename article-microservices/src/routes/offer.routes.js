@@ -4,13 +4,17 @@ const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const { addEmitter, removeEmitter, getActiveConnections } = require('../SSE/sseManager');
+const { idempotency } = require('../middleware/idempotency');
 const {
   createOffer, 
   updateOfferStatusBySeller, 
   concludeOfferByUser, 
   getOffersBySeller, 
   getOffersByUsername,
-  cancelOfferByUser
+  cancelOfferByUser,
+  counterOffer,
+  acceptOffer,
+  getOfferHistory
 } = require('../controllers/offer.controller');
 
 // Rate limiting
@@ -105,11 +109,16 @@ router.get('/stream/:seller', (req, res) => {
 });
 
 // Offer CRUD operations
-router.post('/create', offerLimit, createOffer);
+router.post('/create', offerLimit, idempotency('offer.create'), createOffer);
 router.post('/:offerId/status', updateOfferStatusBySeller);
 router.post('/:offerId/conclude', concludeOfferByUser);
 router.post('/:offerId/cancel', cancelOfferByUser);
 
+// Negotiation
+router.post('/:offerId/counter', counterOffer);
+router.post('/:offerId/accept', acceptOffer);
+router.get('/:offerId/history', getOfferHistory);
+
 // Offer listing endpoints
 router.get('/seller/:sellerName', getOffersBySeller);
 router.get('/user/:userName', getOffersByUsername);
@@ -0,0 +1,18 @@
+// routes/risk.routes.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  listRiskReviews,
+  approveRiskReview,
+  rejectRiskReview
+} = require('../controllers/risk.controller');
+
+// The risk review queue is admin-only
+router.use(requireAdmin);
+
+router.get('/reviews', listRiskReviews);
+router.post('/reviews/:id/approve', approveRiskReview);
+router.post('/reviews/:id/reject', rejectRiskReview);
+
+module.exports = router;
@@ -2,16 +2,37 @@
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
+const { idempotency } = require('../middleware/idempotency');
+const upload = require('../middleware/upload');
 const {
   initiateTransaction,
+  buyNow,
   markAsShipped,
   confirmDelivery,
   openDispute,
   getUserTransactions,
   getTransactionById,
   getTransactionStats,
-  cancelTransaction
+  cancelTransaction,
+  refundTransaction,
+  getTransactionRefunds,
+  getTransactionTracking,
+  getTransactionEvents,
+  getTransactionReceipt
 } = require('../controllers/transaction.controller');
+const {
+  getDisputeThread,
+  postDisputeMessage
+} = require('../controllers/dispute.controller');
+const {
+  requestReturn,
+  getReturn,
+  approveReturn,
+  declineReturn,
+  shipReturn,
+  confirmReturnReceipt
+} = require('../controllers/return.controller');
+const { exportMyTransactions } = require('../controllers/export.controller');
 
 // Rate limiting
 const transactionLimit = rateLimit({
@@ -36,14 +57,31 @@ const disputeLimit = rateLimit({
 router.use(transactionLimit);
 
 // Transaction management routes
-router.post('/initiate', initiateTransaction);
+router.post('/initiate', idempotency('transaction.initiate'), initiateTransaction);
+router.post('/buy-now', idempotency('transaction.buyNow'), buyNow);
 router.put('/:id/ship', markAsShipped);
 router.put('/:id/confirm-delivery', confirmDelivery);
 router.put('/:id/dispute', disputeLimit, openDispute);
+router.get('/:id/dispute/messages', getDisputeThread);
+router.post('/:id/dispute/messages', upload.array('photos', 5), postDisputeMessage);
 router.put('/:id/cancel', cancelTransaction);
+router.post('/:id/refunds', refundTransaction);
+router.get('/:id/refunds', getTransactionRefunds);
+router.get('/:id/tracking', getTransactionTracking);
+router.get('/:id/events', getTransactionEvents);
+router.get('/:id/receipt', getTransactionReceipt);
+
+// Returns after delivery confirmation
+router.post('/:id/return', requestReturn);
+router.get('/:id/return', getReturn);
+router.put('/:id/return/approve', approveReturn);
+router.put('/:id/return/decline', declineReturn);
+router.put('/:id/return/ship', shipReturn);
+router.put('/:id/return/receive', confirmReturnReceipt);
 
 // Transaction query routes
 router.get('/stats', getTransactionStats);
+router.get('/export', exportMyTransactions);
 router.get('/', getUserTransactions);
 router.get('/:id', getTransactionById);
 
@@ -0,0 +1,26 @@
+// routes/wallet.routes.js
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const {
+  getWallet,
+  requestPayout,
+  getPayouts,
+  getPayoutById
+} = require('../controllers/wallet.controller');
+
+const payoutLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 payout requests per hour
+  message: {
+    success: false,
+    message: 'Too many payout requests, please try again later.'
+  }
+});
+
+router.get('/', getWallet);
+router.post('/payouts', payoutLimit, requestPayout);
+router.get('/payouts', getPayouts);
+router.get('/payouts/:id', getPayoutById);
+
+module.exports = router;
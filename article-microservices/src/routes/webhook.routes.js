@@ -0,0 +1,9 @@
+// routes/webhook.routes.js
+const express = require('express');
+const router = express.Router();
+const { handlePaymentWebhook } = require('../controllers/webhook.controller');
+
+// Provider callbacks authenticate with an HMAC signature, not a user header
+router.post('/payment', handlePaymentWebhook);
+
+module.exports = router;
@@ -0,0 +1,392 @@
+// services/analyticsService.js
+const prisma = require('../prismaClient');
+const TransactionService = require('./transactionService');
+const CurrencyService = require('./currencyService');
+const { ValidationError } = require('../utils/errors');
+const { fromMinorUnits } = require('../utils/money');
+
+const DAY = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 366;
+
+// Range used when no `from` is given, per interval
+const DEFAULT_RANGE_BUCKETS = { day: 30, week: 12, month: 12 };
+
+/**
+ * Start of the bucket containing a date (UTC): the day, the Monday of the
+ * week, or the first of the month. Matches the SQL bucket expressions.
+ */
+const bucketStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start;
+};
+
+const nextBucket = (date, interval) => {
+  const next = new Date(date);
+
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+
+  return next;
+};
+
+const toKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const round = (value, decimals = 2) => Number(Number(value || 0).toFixed(decimals));
+
+const rate = (part, total) => (total > 0 ? round(part / total * 100) : 0);
+
+/**
+ * Merge rows that differ only by currency: sales are added up and the money
+ * fields (minor units of the row's currency) converted into the report
+ * currency and summed
+ */
+const mergeCurrencies = (rows, key, fields, currency) => {
+  const merged = new Map();
+
+  for (const row of rows) {
+    const entry = merged.get(key(row))
+      || { ...row, sales: 0, ...Object.fromEntries(fields.map(field => [field, 0])) };
+
+    entry.sales += Number(row.sales || 0);
+    for (const field of fields) {
+      entry[field] += CurrencyService.convert(Number(row[field] || 0), row.currency, currency);
+    }
+
+    merged.set(key(row), entry);
+  }
+
+  return [...merged.values()];
+};
+
+class AnalyticsService {
+  /**
+   * Validate the query parameters shared by the analytics endpoints.
+   * `to` defaults to now and `from` to a range that suits the interval
+   * (30 days, 12 weeks or 12 months). A plain date as `to` includes that day.
+   * Amounts are reported in `currency`, by default the rate table's base.
+   *
+   * @param {object} query - { from, to, interval, limit, currency }
+   * @returns {{ from: Date, to: Date, interval: string, limit: number, currency: string }}
+   */
+  static parseRange({ from, to, interval = 'day', limit, currency } = {}) {
+    const errors = {};
+
+    if (!INTERVALS.includes(interval)) {
+      errors.interval = `Must be one of ${INTERVALS.join(', ')}`;
+    }
+
+    if (currency && !CurrencyService.isSupported(currency)) {
+      errors.currency = `Must be one of ${CurrencyService.getSupportedCurrencies().join(', ')}`;
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCDate(toDate.getUTCDate() + 1);
+    }
+
+    // Default: the last DEFAULT_RANGE_BUCKETS buckets, the current one included
+    let fromDate = from ? new Date(from) : null;
+    if (!fromDate && !isNaN(toDate) && !errors.interval) {
+      fromDate = bucketStart(toDate, interval);
+      for (let i = 1; i < DEFAULT_RANGE_BUCKETS[interval]; i++) {
+        fromDate = bucketStart(new Date(fromDate.getTime() - DAY), interval);
+      }
+    }
+
+    if (isNaN(toDate)) errors.to = 'Must be a valid date';
+    if (fromDate && isNaN(fromDate)) errors.from = 'Must be a valid date';
+
+    if (!errors.from && !errors.to && fromDate >= toDate) {
+      errors.from = 'Must be before to';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Invalid analytics range', errors);
+    }
+
+    if ((toDate - fromDate) / DAY > MAX_BUCKETS * { day: 1, week: 7, month: 31 }[interval]) {
+      throw new ValidationError('Analytics range too long', {
+        interval: `At most ${MAX_BUCKETS} ${interval}s; use a longer interval`
+      });
+    }
+
+    return {
+      from: fromDate,
+      to: toDate,
+      interval,
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 100),
+      currency: CurrencyService.getDisplayCurrency(currency)
+    };
+  }
+
+  /**
+   * Headline figures (see TransactionService.getPlatformStats)
+   */
+  static async getOverview(currency) {
+    return TransactionService.getPlatformStats(CurrencyService.getDisplayCurrency(currency));
+  }
+
+  /**
+   * Gross merchandise value: item prices of completed sales, bucketed by the
+   * time the payment was released to the seller. Empty buckets are included
+   * with zeros so the series can be charted as is.
+   */
+  static async getGmv({ from, to, interval, currency }) {
+    let rows;
+
+    if (interval === 'month') {
+      rows = await prisma.$queryRaw`
+        SELECT DATE_FORMAT(paymentReleasedAt, '%Y-%m-01') AS period,
+          COUNT(*) AS sales,
+          SUM(COALESCE(itemPrice, amount)) AS gmv,
+          SUM(buyerFee + sellerFee) AS fees,
+          currency
+        FROM Transaction
+        WHERE status = 'COMPLETED' AND paymentReleasedAt >= ${from} AND paymentReleasedAt < ${to}
+        GROUP BY period, currency
+      `;
+    } else if (interval === 'week') {
+      rows = await prisma.$queryRaw`
+        SELECT DATE(DATE_SUB(paymentReleasedAt, INTERVAL WEEKDAY(paymentReleasedAt) DAY)) AS period,
+          COUNT(*) AS sales,
+          SUM(COALESCE(itemPrice, amount)) AS gmv,
+          SUM(buyerFee + sellerFee) AS fees,
+          currency
+        FROM Transaction
+        WHERE status = 'COMPLETED' AND paymentReleasedAt >= ${from} AND paymentReleasedAt < ${to}
+        GROUP BY period, currency
+      `;
+    } else {
+      rows = await prisma.$queryRaw`
+        SELECT DATE(paymentReleasedAt) AS period,
+          COUNT(*) AS sales,
+          SUM(COALESCE(itemPrice, amount)) AS gmv,
+          SUM(buyerFee + sellerFee) AS fees,
+          currency
+        FROM Transaction
+        WHERE status = 'COMPLETED' AND paymentReleasedAt >= ${from} AND paymentReleasedAt < ${to}
+        GROUP BY period, currency
+      `;
+    }
+
+    const merged = mergeCurrencies(rows, row => toKey(row.period), ['gmv', 'fees'], currency);
+    const series = this.fillBuckets(merged, { from, to, interval }, row => ({
+      sales: row?.sales || 0,
+      gmv: fromMinorUnits(row?.gmv || 0, currency),
+      fees: fromMinorUnits(row?.fees || 0, currency)
+    }));
+
+    return {
+      interval,
+      from,
+      to,
+      currency,
+      totals: {
+        sales: series.reduce((sum, bucket) => sum + bucket.sales, 0),
+        gmv: round(series.reduce((sum, bucket) => sum + bucket.gmv, 0)),
+        fees: round(series.reduce((sum, bucket) => sum + bucket.fees, 0))
+      },
+      series
+    };
+  }
+
+  /**
+   * Categories with the highest GMV among sales completed in the range.
+   * Sales in other currencies are converted before ranking, so the ranking
+   * is done here rather than in SQL.
+   */
+  static async getTopCategories({ from, to, limit, currency }) {
+    const rows = await prisma.$queryRaw`
+      SELECT a.category AS category,
+        t.currency AS currency,
+        COUNT(*) AS sales,
+        SUM(COALESCE(t.itemPrice, t.amount)) AS gmv
+      FROM Transaction t
+      JOIN Article a ON a.id = t.articleId
+      WHERE t.status = 'COMPLETED' AND t.paymentReleasedAt >= ${from} AND t.paymentReleasedAt < ${to}
+      GROUP BY a.category, t.currency
+    `;
+
+    return mergeCurrencies(rows, row => row.category, ['gmv'], currency)
+      .sort((a, b) => b.gmv - a.gmv)
+      .slice(0, limit)
+      .map(row => ({
+        category: row.category,
+        sales: row.sales,
+        gmv: fromMinorUnits(row.gmv, currency)
+      }));
+  }
+
+  /**
+   * Brands with the highest GMV among sales completed in the range
+   */
+  static async getTopBrands({ from, to, limit, currency }) {
+    const rows = await prisma.$queryRaw`
+      SELECT a.brand AS brand,
+        t.currency AS currency,
+        COUNT(*) AS sales,
+        SUM(COALESCE(t.itemPrice, t.amount)) AS gmv
+      FROM Transaction t
+      JOIN Article a ON a.id = t.articleId
+      WHERE t.status = 'COMPLETED' AND t.paymentReleasedAt >= ${from} AND t.paymentReleasedAt < ${to}
+      GROUP BY a.brand, t.currency
+    `;
+
+    return mergeCurrencies(rows, row => row.brand, ['gmv'], currency)
+      .sort((a, b) => b.gmv - a.gmv)
+      .slice(0, limit)
+      .map(row => ({
+        brand: row.brand,
+        sales: row.sales,
+        gmv: fromMinorUnits(row.gmv, currency)
+      }));
+  }
+
+  /**
+   * Sellers whose first article was created in the range, per bucket
+   */
+  static async getNewSellers({ from, to, interval }) {
+    let rows;
+
+    if (interval === 'month') {
+      rows = await prisma.$queryRaw`
+        SELECT DATE_FORMAT(firstListing, '%Y-%m-01') AS period, COUNT(*) AS sellers
+        FROM (SELECT owner, MIN(creationDate) AS firstListing FROM Article GROUP BY owner) s
+        WHERE firstListing >= ${from} AND firstListing < ${to}
+        GROUP BY period
+      `;
+    } else if (interval === 'week') {
+      rows = await prisma.$queryRaw`
+        SELECT DATE(DATE_SUB(firstListing, INTERVAL WEEKDAY(firstListing) DAY)) AS period, COUNT(*) AS sellers
+        FROM (SELECT owner, MIN(creationDate) AS firstListing FROM Article GROUP BY owner) s
+        WHERE firstListing >= ${from} AND firstListing < ${to}
+        GROUP BY period
+      `;
+    } else {
+      rows = await prisma.$queryRaw`
+        SELECT DATE(firstListing) AS period, COUNT(*) AS sellers
+        FROM (SELECT owner, MIN(creationDate) AS firstListing FROM Article GROUP BY owner) s
+        WHERE firstListing >= ${from} AND firstListing < ${to}
+        GROUP BY period
+      `;
+    }
+
+    const series = this.fillBuckets(rows, { from, to, interval }, row => ({
+      sellers: Number(row?.sellers || 0)
+    }));
+
+    return {
+      interval,
+      from,
+      to,
+      total: series.reduce((sum, bucket) => sum + bucket.sellers, 0),
+      series
+    };
+  }
+
+  /**
+   * Share of offers made in the range that the seller accepted, out of those
+   * the seller decided on. Offers concluded into a sale (DONE) count as
+   * accepted; pending, held and cancelled offers are left out.
+   */
+  static async getOfferAcceptance({ from, to }) {
+    const groups = await prisma.offer.groupBy({
+      by: ['status'],
+      where: { createdDate: { gte: from, lt: to } },
+      _count: { status: true }
+    });
+
+    const byStatus = groups.reduce((acc, group) => {
+      acc[group.status] = group._count.status;
+      return acc;
+    }, {});
+
+    const accepted = (byStatus.ACCEPTED || 0) + (byStatus.DONE || 0);
+    const decided = accepted + (byStatus.DENIED || 0);
+
+    return {
+      from,
+      to,
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      byStatus,
+      accepted,
+      decided,
+      acceptanceRate: rate(accepted, decided)
+    };
+  }
+
+  /**
+   * Time from payment confirmation to shipping, for items shipped in the range
+   */
+  static async getTimeToShip({ from, to }) {
+    const [row] = await prisma.$queryRaw`
+      SELECT COUNT(*) AS shipments,
+        AVG(TIMESTAMPDIFF(SECOND, paymentConfirmedAt, shippedAt)) AS averageSeconds,
+        MAX(TIMESTAMPDIFF(SECOND, paymentConfirmedAt, shippedAt)) AS maxSeconds
+      FROM Transaction
+      WHERE shippedAt >= ${from} AND shippedAt < ${to} AND paymentConfirmedAt IS NOT NULL
+    `;
+
+    return {
+      from,
+      to,
+      shipments: Number(row?.shipments || 0),
+      averageHours: round(Number(row?.averageSeconds || 0) / 3600, 1),
+      maxHours: round(Number(row?.maxSeconds || 0) / 3600, 1)
+    };
+  }
+
+  /**
+   * Share of paid transactions created in the range that had a dispute
+   * opened, per article category, highest rate first
+   */
+  static async getDisputeRateByCategory({ from, to }) {
+    const rows = await prisma.$queryRaw`
+      SELECT a.category AS category,
+        COUNT(*) AS transactions,
+        SUM(CASE WHEN t.disputeOpenedAt IS NOT NULL THEN 1 ELSE 0 END) AS disputes
+      FROM Transaction t
+      JOIN Article a ON a.id = t.articleId
+      WHERE t.paymentConfirmedAt IS NOT NULL AND t.createdDate >= ${from} AND t.createdDate < ${to}
+      GROUP BY a.category
+    `;
+
+    return rows
+      .map(row => ({
+        category: row.category,
+        transactions: Number(row.transactions),
+        disputes: Number(row.disputes || 0),
+        disputeRate: rate(Number(row.disputes || 0), Number(row.transactions))
+      }))
+      .sort((a, b) => b.disputeRate - a.disputeRate || b.transactions - a.transactions);
+  }
+
+  /**
+   * One entry per bucket from `from` to `to`, with the matching row's values
+   * or zeros. Rows carry the bucket start as `period`.
+   */
+  static fillBuckets(rows, { from, to, interval }, values) {
+    const byPeriod = new Map(rows.map(row => [toKey(row.period), row]));
+    const series = [];
+
+    for (let start = bucketStart(from, interval); start < to; start = nextBucket(start, interval)) {
+      const period = toKey(start);
+      series.push({ period, ...values(byPeriod.get(period)) });
+    }
+
+    return series;
+  }
+}
+
+AnalyticsService.INTERVALS = INTERVALS;
+
+module.exports = AnalyticsService;
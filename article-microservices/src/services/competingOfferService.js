@@ -0,0 +1,117 @@
+// services/competingOfferService.js
+const NotificationService = require('./notificationService');
+const CurrencyService = require('./currencyService');
+const { serializeBigInt } = require('../utils/helpers');
+
+/**
+ * Why the other offers on an article were closed
+ */
+const REASONS = {
+  ACCEPTED: 'ACCEPTED', // the seller accepted another buyer's offer
+  SOLD: 'SOLD' // another buyer bought the article
+};
+
+const MESSAGES = {
+  [REASONS.ACCEPTED]: (offer) => `${offer.articleName} is no longer available: the seller accepted another offer.`,
+  [REASONS.SOLD]: (offer) => `${offer.articleName} is no longer available: it has been sold to another buyer.`
+};
+
+// Offers still in play, and the status they are closed with. Another
+// buyer's agreed price is called off; everything else is declined.
+const CLOSING_STATUSES = {
+  PENDING: 'DENIED',
+  COUNTERED: 'DENIED',
+  HELD: 'DENIED',
+  ACCEPTED: 'CANCELLED'
+};
+
+class CompetingOfferService {
+  /**
+   * Close the other buyers' open offers on the article of offer, inside the
+   * database transaction that accepted or sold it. Each closed offer gets a
+   * system decline in its history.
+   *
+   * @param {object} tx - Prisma transaction client
+   * @param {object} offer - The winning offer, { id, articleId }
+   * @param {string} reason - A REASONS value
+   * @returns {Promise<Array>} Closed offers, to pass to notify once committed
+   */
+  static async close(tx, offer, reason) {
+    const competing = await tx.offer.findMany({
+      where: {
+        articleId: offer.articleId,
+        id: { not: offer.id },
+        status: { in: Object.keys(CLOSING_STATUSES) }
+      }
+    });
+
+    const closed = [];
+
+    for (const other of competing) {
+      const toStatus = CLOSING_STATUSES[other.status];
+
+      // Skip offers that moved on since they were read
+      const { count } = await tx.offer.updateMany({
+        where: { id: other.id, status: other.status },
+        data: {
+          status: toStatus,
+          agreedPrice: null,
+          expiresAt: null,
+          updatedDate: new Date()
+        }
+      });
+
+      if (count === 0) continue;
+
+      await tx.offerEvent.create({
+        data: {
+          offerId: other.id,
+          event: 'decline',
+          fromStatus: other.status,
+          toStatus,
+          actor: 'system',
+          username: null,
+          price: null
+        }
+      });
+
+      closed.push({ ...other, status: toStatus, agreedPrice: null, expiresAt: null, closedReason: reason });
+    }
+
+    return closed;
+  }
+
+  /**
+   * Tell each buyer whose offer was closed that the item is gone
+   */
+  static async notify(closed = []) {
+    if (closed.length === 0) return;
+
+    // Import SSE manager here to avoid circular dependency
+    const { sendToSeller } = require('../SSE/sseManager');
+
+    for (const { closedReason, ...offer } of closed) {
+      const message = MESSAGES[closedReason](offer);
+
+      try {
+        sendToSeller(offer.username, {
+          type: 'OFFER_DENIED',
+          payload: {
+            ...serializeBigInt(CurrencyService.present(offer)),
+            message
+          }
+        });
+
+        await NotificationService.createOfferNotification(offer, 'OFFER_DENIED', message);
+      } catch (notificationError) {
+        // Don't fail the caller if a notification fails
+        console.error(`Error notifying the buyer of closed offer ${offer.id}:`, notificationError);
+      }
+    }
+  }
+}
+
+CompetingOfferService.REASONS = REASONS;
+CompetingOfferService.CLOSING_STATUSES = CLOSING_STATUSES;
+
+module.exports = CompetingOfferService;
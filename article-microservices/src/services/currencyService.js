@@ -0,0 +1,190 @@
+// services/currencyService.js
+const { ValidationError } = require('../utils/errors');
+const { DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits, formatMoney } = require('../utils/money');
+
+/**
+ * Exchange rate table: units of each currency for one unit of the base
+ * currency. Only currencies listed here can be used for prices.
+ *
+ * Override it with the EXCHANGE_RATES environment variable (JSON, same
+ * shape). Rates with the default base are merged into the defaults; a table
+ * with another base replaces them, e.g.
+ *   EXCHANGE_RATES='{"rates":{"EUR":0.9,"SEK":11.2}}'
+ *   EXCHANGE_RATES='{"base":"EUR","rates":{"USD":1.09,"XAF":655.957}}'
+ */
+const DEFAULT_EXCHANGE_RATES = {
+  base: DEFAULT_CURRENCY,
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CAD: 1.36,
+    CHF: 0.88,
+    JPY: 150,
+    NGN: 1550,
+    XAF: 603.5,
+    XOF: 603.5
+  }
+};
+
+// Money columns stored in minor units, in the currency of their record
+const MONEY_FIELDS = ['price', 'agreedPrice', 'buyNowPrice', 'floorPrice', 'autoAcceptPrice', 'amount', 'itemPrice', 'buyerFee', 'sellerFee', 'sellerPayout', 'taxAmount', 'refundedAmount'];
+
+// The field shown in the viewer's currency, first one present
+const DISPLAY_FIELDS = ['price', 'amount'];
+
+// Relations presented along with their parent; they share its currency
+const RELATIONS = ['article', 'offer', 'offers', 'events', 'transaction', 'transactions', 'refunds'];
+
+let cachedRates = null;
+let cachedSource = null;
+
+class CurrencyService {
+  /**
+   * Current rate table (EXCHANGE_RATES env, falling back to the defaults)
+   */
+  static getRates() {
+    const source = process.env.EXCHANGE_RATES || null;
+
+    if (cachedRates && cachedSource === source) {
+      return cachedRates;
+    }
+
+    let table = DEFAULT_EXCHANGE_RATES;
+
+    if (source) {
+      try {
+        const parsed = JSON.parse(source);
+        const base = String(parsed.base || DEFAULT_EXCHANGE_RATES.base).toUpperCase();
+        const rates = base === DEFAULT_EXCHANGE_RATES.base
+          ? { ...DEFAULT_EXCHANGE_RATES.rates, ...parsed.rates }
+          : { ...parsed.rates };
+
+        table = { base, rates: { ...rates, [base]: 1 } };
+      } catch (error) {
+        console.error('Invalid EXCHANGE_RATES, using default rates:', error.message);
+      }
+    }
+
+    cachedRates = table;
+    cachedSource = source;
+    return table;
+  }
+
+  static getSupportedCurrencies() {
+    return Object.keys(this.getRates().rates);
+  }
+
+  static isSupported(currency) {
+    return typeof currency === 'string' && Number(this.getRates().rates[currency.toUpperCase()]) > 0;
+  }
+
+  /**
+   * Upper-cased currency code, or the fallback when none is given
+   * @throws {ValidationError} When the currency is not in the rate table
+   */
+  static normalizeCurrency(currency, fallback = DEFAULT_CURRENCY) {
+    if (currency === undefined || currency === null || currency === '') {
+      return fallback;
+    }
+
+    if (!this.isSupported(currency)) {
+      throw new ValidationError('Unsupported currency', {
+        currency: `Must be one of ${this.getSupportedCurrencies().join(', ')}`
+      });
+    }
+
+    return currency.toUpperCase();
+  }
+
+  /**
+   * Convert an amount in minor units from one currency to another,
+   * through the base currency of the rate table
+   * @returns {number} Minor units of the target currency
+   */
+  static convert(amount, from, to) {
+    const source = this.normalizeCurrency(from);
+    const target = this.normalizeCurrency(to);
+
+    if (source === target) {
+      return Number(amount);
+    }
+
+    const { rates } = this.getRates();
+    const major = fromMinorUnits(amount, source) / rates[source] * rates[target];
+    return toMinorUnits(major, target);
+  }
+
+  /**
+   * Format minor units for people, e.g. in notification messages
+   */
+  static format(amount, currency = DEFAULT_CURRENCY) {
+    return formatMoney(amount, currency);
+  }
+
+  /**
+   * Currency to show amounts in: the viewer's when supported, else the fallback
+   */
+  static getDisplayCurrency(viewerCurrency, fallback = this.getRates().base) {
+    return this.isSupported(viewerCurrency) ? viewerCurrency.toUpperCase() : fallback;
+  }
+
+  /**
+   * Amount in the viewer's currency, for display next to the original one
+   */
+  static display(amount, currency, viewerCurrency = null) {
+    const target = this.getDisplayCurrency(viewerCurrency, currency);
+    const converted = this.convert(amount, currency, target);
+
+    return {
+      currency: target,
+      amount: fromMinorUnits(converted, target),
+      formatted: this.format(converted, target),
+      converted: target !== currency
+    };
+  }
+
+  /**
+   * Records (articles, offers, transactions and their relations) as returned
+   * by the API: money fields in major units of the record's currency, plus a
+   * display amount in the viewer's currency. Unsupported viewer currencies
+   * fall back to the record's own.
+   */
+  static present(data, viewerCurrency = null, currency = null) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.present(item, viewerCurrency, currency));
+    }
+
+    if (!data || typeof data !== 'object' || data instanceof Date) {
+      return data;
+    }
+
+    const recordCurrency = data.currency || currency;
+    const presented = { ...data };
+
+    if (recordCurrency) {
+      for (const field of MONEY_FIELDS) {
+        if (typeof data[field] === 'number') {
+          presented[field] = fromMinorUnits(data[field], recordCurrency);
+        }
+      }
+
+      const displayField = DISPLAY_FIELDS.find(field => typeof data[field] === 'number');
+      if (displayField) {
+        presented.display = this.display(data[displayField], recordCurrency, viewerCurrency);
+      }
+    }
+
+    for (const relation of RELATIONS) {
+      if (data[relation] && typeof data[relation] === 'object') {
+        presented[relation] = this.present(data[relation], viewerCurrency, recordCurrency);
+      }
+    }
+
+    return presented;
+  }
+}
+
+CurrencyService.DEFAULT_EXCHANGE_RATES = DEFAULT_EXCHANGE_RATES;
+
+module.exports = CurrencyService;
@@ -0,0 +1,303 @@
+// services/disputeService.js
+const prisma = require('../prismaClient');
+const TransactionStateMachine = require('./transactionStateMachine');
+const NotificationService = require('./notificationService');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError
+} = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { getPaginationMeta } = require('../utils/helpers');
+
+const OUTCOMES = ['REFUND_BUYER', 'RELEASE_TO_SELLER', 'SPLIT'];
+const MAX_MESSAGE_LENGTH = 2000;
+
+const disputeInclude = {
+  offer: {
+    include: {
+      article: true
+    }
+  },
+  refunds: {
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+class DisputeService {
+  /**
+   * List disputes for moderators. Open disputes come oldest first so the
+   * longest-waiting ones are handled first; resolved ones newest first.
+   *
+   * @param {object} params - { page, limit, state: 'open' | 'resolved' }
+   */
+  static async listDisputes({ page = 1, limit = 20, state = 'open' } = {}) {
+    const where = state === 'resolved'
+      ? { disputeResolvedAt: { not: null } }
+      : { status: 'DISPUTED', disputeResolvedAt: null };
+
+    const [disputes, total] = await Promise.all([
+      prisma.transaction.findMany({
+        where,
+        include: {
+          offer: {
+            select: { articleName: true }
+          }
+        },
+        orderBy: state === 'resolved' ? { disputeResolvedAt: 'desc' } : { disputeOpenedAt: 'asc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.transaction.count({ where })
+    ]);
+
+    return {
+      disputes,
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  /**
+   * Get a disputed (or formerly disputed) transaction with its refunds
+   */
+  static async getDispute(id) {
+    const transaction = await prisma.transaction.findFirst({
+      where: {
+        id: BigInt(id),
+        disputeOpenedAt: { not: null }
+      },
+      include: disputeInclude
+    });
+
+    if (!transaction) {
+      throw new NotFoundError('Dispute not found');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Settle an open dispute.
+   *
+   *   REFUND_BUYER      - the buyer gets back everything not yet refunded
+   *   RELEASE_TO_SELLER - the escrowed payment is released to the seller
+   *   SPLIT             - the buyer is refunded buyerAmount and the rest is
+   *                       released to the seller
+   *
+   * A split runs as two steps. If the release fails after the refund went
+   * through, the refund is kept and the dispute stays open; resolving it
+   * again as RELEASE_TO_SELLER pays out the rest.
+   *
+   * @param {string|bigint} id - Transaction ID
+   * @param {object} decision - { outcome, buyerAmount, note }
+   * @param {string} username - Moderator
+   * @returns {Promise<object>} The updated transaction
+   */
+  static async resolveDispute(id, { outcome, buyerAmount, note } = {}, username) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new ValidationError('Invalid dispute outcome', {
+        outcome: `Must be one of ${OUTCOMES.join(', ')}`
+      });
+    }
+
+    if (note && note.length > MAX_MESSAGE_LENGTH) {
+      throw new ValidationError('Resolution note is too long', {
+        note: `Must be at most ${MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+
+    const transaction = await this.getDispute(id);
+
+    if (transaction.status !== 'DISPUTED') {
+      throw new InvalidTransitionError('resolveDispute', transaction.status, ['DISPUTED']);
+    }
+
+    const context = {
+      actor: TransactionStateMachine.ACTORS.ADMIN,
+      username
+    };
+
+    if (outcome === 'REFUND_BUYER') {
+      return TransactionStateMachine.transition(transaction, 'resolveDisputeRefund', {
+        ...context,
+        payload: { note, reason: note || 'Dispute resolved in favour of the buyer' }
+      });
+    }
+
+    if (outcome === 'RELEASE_TO_SELLER') {
+      return TransactionStateMachine.transition(transaction, 'resolveDisputeRelease', {
+        ...context,
+        payload: { note, outcome }
+      });
+    }
+
+    const { currency } = transaction;
+    const refundable = transaction.amount - (transaction.refundedAmount || 0);
+    const splitMinor = toMinorUnits(parseFloat(buyerAmount), currency);
+
+    if (isNaN(splitMinor) || splitMinor <= 0 || splitMinor >= refundable) {
+      throw new ValidationError('Invalid split amount', {
+        buyerAmount: `Must be more than 0 and less than ${fromMinorUnits(refundable, currency)} ${currency}`
+      });
+    }
+
+    const refunded = await TransactionStateMachine.transition(transaction, 'partialRefund', {
+      ...context,
+      payload: {
+        amount: fromMinorUnits(splitMinor, currency),
+        reason: note ? `Dispute split: ${note}` : 'Dispute split'
+      }
+    });
+
+    return TransactionStateMachine.transition(refunded, 'resolveDisputeRelease', {
+      ...context,
+      payload: { note, outcome }
+    });
+  }
+
+  /**
+   * Dispute thread: the opening reason and description followed by every
+   * reply, oldest first. Visible to both parties and to moderators.
+   *
+   * @param {string|bigint} id - Transaction ID
+   * @param {object} viewer - { username, moderator }
+   */
+  static async getThread(id, viewer) {
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        disputeMessages: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    const role = getThreadRole(transaction, viewer);
+
+    return {
+      transactionId: transaction.id.toString(),
+      role,
+      readOnly: isResolved(transaction),
+      dispute: {
+        reason: transaction.disputeReason,
+        description: transaction.disputeDescription,
+        openedBy: transaction.disputeOpenedBy,
+        openedAt: transaction.disputeOpenedAt,
+        resolvedAt: transaction.disputeResolvedAt,
+        outcome: transaction.disputeOutcome,
+        resolution: transaction.disputeResolution
+      },
+      messages: transaction.disputeMessages.map(toMessageResponse)
+    };
+  }
+
+  /**
+   * Post a reply, optionally with evidence photos, on an open dispute and
+   * notify the other party (both parties when a moderator posts).
+   * Throws ConflictError once the dispute is resolved.
+   *
+   * @param {string|bigint} id - Transaction ID
+   * @param {object} viewer - { username, moderator }
+   * @param {object} params - { message, attachments } with attachments as upload filenames
+   */
+  static async addMessage(id, viewer, { message, attachments = [] } = {}) {
+    const text = typeof message === 'string' ? message.trim() : '';
+
+    if (!text && attachments.length === 0) {
+      throw new ValidationError('A message or at least one photo is required', {
+        message: 'Write a message or attach a photo'
+      });
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw new ValidationError('Message is too long', {
+        message: `Must be at most ${MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        offer: {
+          select: { articleName: true }
+        }
+      }
+    });
+
+    const role = getThreadRole(transaction, viewer);
+
+    if (isResolved(transaction)) {
+      throw new ConflictError('This dispute has been resolved; its thread is read-only');
+    }
+
+    const created = await prisma.disputeMessage.create({
+      data: {
+        transactionId: transaction.id,
+        author: viewer.username,
+        authorRole: role,
+        message: text || null,
+        attachments: attachments.length ? attachments.join(',') : null
+      }
+    });
+
+    const recipients = [transaction.buyerUsername, transaction.sellerUsername]
+      .filter(username => username !== viewer.username);
+
+    for (const recipient of recipients) {
+      try {
+        await NotificationService.createNotification({
+          userId: recipient,
+          type: 'DISPUTE_MESSAGE',
+          title: role === 'moderator' ? 'Moderator Reply on Dispute' : 'New Reply on Dispute',
+          message: `${viewer.username} replied to the dispute for "${transaction.offer.articleName}"${attachments.length ? ` with ${attachments.length} photo(s)` : ''}.`,
+          data: {
+            transactionId: transaction.id.toString(),
+            messageId: created.id.toString(),
+            author: viewer.username,
+            authorRole: role
+          }
+        });
+      } catch (notificationError) {
+        // Don't fail the reply if a notification fails
+        console.error('Error sending DISPUTE_MESSAGE notification:', notificationError);
+      }
+    }
+
+    return toMessageResponse(created);
+  }
+}
+
+/**
+ * Who the viewer is on a dispute thread. Throws when the transaction was
+ * never disputed or the viewer is neither a party nor a moderator.
+ */
+function getThreadRole(transaction, { username, moderator = false }) {
+  if (!transaction || !transaction.disputeOpenedAt) {
+    throw new NotFoundError('Dispute not found');
+  }
+
+  const role = TransactionStateMachine.getActor(transaction, username) || (moderator ? 'moderator' : null);
+
+  if (!role) {
+    throw new ForbiddenError('You are not a party to this dispute');
+  }
+
+  return role;
+}
+
+function isResolved(transaction) {
+  return Boolean(transaction.disputeResolvedAt) || transaction.status !== 'DISPUTED';
+}
+
+function toMessageResponse(message) {
+  return {
+    ...message,
+    attachments: message.attachments ? message.attachments.split(',') : []
+  };
+}
+
+DisputeService.OUTCOMES = OUTCOMES;
+
+module.exports = DisputeService;
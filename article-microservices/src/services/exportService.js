@@ -0,0 +1,200 @@
+// services/exportService.js
+const { Readable } = require('stream');
+const prisma = require('../prismaClient');
+const { ValidationError } = require('../utils/errors');
+const { fromMinorUnits } = require('../utils/money');
+
+const BATCH_SIZE = 500;
+const FORMATS = ['csv', 'ndjson'];
+const STATUSES = ['PAYMENT_PENDING', 'PAYMENT_CONFIRMED', 'SHIPPED', 'COMPLETED', 'DISPUTED', 'CANCELLED', 'REFUNDED'];
+
+const date = (value) => (value ? new Date(value).toISOString() : null);
+const major = (t, amount) => (amount === null || amount === undefined ? null : fromMinorUnits(amount, t.currency));
+
+/**
+ * Export columns, in output order. Columns are only ever appended so that
+ * spreadsheets and scripts built on an export keep working; amounts are in
+ * major units of the currency column.
+ */
+const COLUMNS = [
+  { name: 'transaction_id', value: (t) => t.id.toString() },
+  { name: 'created_at', value: (t) => date(t.createdDate) },
+  { name: 'status', value: (t) => t.status },
+  { name: 'buyer', value: (t) => t.buyerUsername },
+  { name: 'seller', value: (t) => t.sellerUsername },
+  { name: 'article_id', value: (t) => t.articleId.toString() },
+  { name: 'article_name', value: (t) => t.offer?.articleName ?? null },
+  { name: 'currency', value: (t) => t.currency },
+  { name: 'item_price', value: (t) => major(t, t.itemPrice ?? t.amount) },
+  { name: 'buyer_fee', value: (t) => major(t, t.buyerFee) },
+  { name: 'amount', value: (t) => major(t, t.amount) },
+  { name: 'seller_fee', value: (t) => major(t, t.sellerFee) },
+  { name: 'seller_payout', value: (t) => major(t, t.sellerPayout ?? t.amount) },
+  { name: 'refunded_amount', value: (t) => major(t, t.refundedAmount) },
+  { name: 'payment_reference', value: (t) => t.paymentReference },
+  { name: 'payment_confirmed_at', value: (t) => date(t.paymentConfirmedAt) },
+  { name: 'release_reference', value: (t) => t.paymentReleaseReference },
+  { name: 'released_at', value: (t) => date(t.paymentReleasedAt) },
+  { name: 'shipped_at', value: (t) => date(t.shippedAt) },
+  { name: 'delivery_confirmed_at', value: (t) => date(t.deliveryConfirmedAt) },
+  { name: 'dispute_opened_at', value: (t) => date(t.disputeOpenedAt) },
+  { name: 'dispute_outcome', value: (t) => t.disputeOutcome },
+  { name: 'updated_at', value: (t) => date(t.updatedDate) },
+  { name: 'tax_amount', value: (t) => major(t, t.taxAmount ?? 0) },
+  { name: 'tax_rate', value: (t) => t.taxRate ?? 0 },
+  { name: 'tax_jurisdiction', value: (t) => t.taxJurisdiction ?? null }
+];
+
+class ExportService {
+  /**
+   * Validate export filters and turn them into a transaction filter.
+   *
+   * Without a username the export is platform-wide (admins) and party/role
+   * select one user's transactions. With a username it is limited to that
+   * user's purchases (role=buyer), sales (role=seller) or both, and party
+   * selects the counterparty.
+   *
+   * @param {object} filters - { from, to, status, role, party }
+   * @param {string|null} username - Exporting user, null for platform-wide
+   */
+  static buildWhere({ from, to, status, role, party } = {}, username = null) {
+    const conditions = [];
+    const errors = {};
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    // A plain date as upper bound includes that whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCDate(toDate.getUTCDate() + 1);
+    }
+
+    if (fromDate && isNaN(fromDate)) errors.from = 'Must be a valid date';
+    if (toDate && isNaN(toDate)) errors.to = 'Must be a valid date';
+    if (status && !STATUSES.includes(status)) errors.status = `Must be one of ${STATUSES.join(', ')}`;
+    if (role && !['buyer', 'seller'].includes(role)) errors.role = 'Must be buyer or seller';
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Invalid export filters', errors);
+    }
+
+    if (fromDate || toDate) {
+      conditions.push({
+        createdDate: {
+          ...(fromDate ? { gte: fromDate } : {}),
+          ...(toDate ? { lt: toDate } : {})
+        }
+      });
+    }
+
+    if (status) {
+      conditions.push({ status });
+    }
+
+    if (username) {
+      // Own purchases and/or sales; party is then the counterparty
+      const buyer = { buyerUsername: username, ...(party ? { sellerUsername: party } : {}) };
+      const seller = { sellerUsername: username, ...(party ? { buyerUsername: party } : {}) };
+
+      if (role === 'buyer') conditions.push(buyer);
+      else if (role === 'seller') conditions.push(seller);
+      else conditions.push({ OR: [buyer, seller] });
+    } else if (party) {
+      if (role === 'buyer') conditions.push({ buyerUsername: party });
+      else if (role === 'seller') conditions.push({ sellerUsername: party });
+      else conditions.push({ OR: [{ buyerUsername: party }, { sellerUsername: party }] });
+    }
+
+    return conditions.length ? { AND: conditions } : {};
+  }
+
+  /**
+   * Read matching transactions in id order, one batch at a time, so an
+   * export never holds more than BATCH_SIZE rows in memory
+   */
+  static async *iterateTransactions(where, batchSize = BATCH_SIZE) {
+    let lastId = null;
+
+    while (true) {
+      const batch = await prisma.transaction.findMany({
+        where: lastId === null ? where : { AND: [where, { id: { gt: lastId } }] },
+        include: {
+          offer: {
+            select: { articleName: true }
+          }
+        },
+        orderBy: { id: 'asc' },
+        take: batchSize
+      });
+
+      yield* batch;
+
+      if (batch.length < batchSize) return;
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+
+  /**
+   * Stream of the export body: CSV with a header row, or one JSON object
+   * per line (NDJSON). Pipe it to the response.
+   *
+   * @param {object} where - Filter from buildWhere()
+   * @param {string} format - csv or ndjson
+   */
+  static createExportStream(where, format = 'csv') {
+    if (!FORMATS.includes(format)) {
+      throw new ValidationError('Invalid export format', {
+        format: `Must be one of ${FORMATS.join(', ')}`
+      });
+    }
+
+    const transactions = this.iterateTransactions(where);
+
+    return Readable.from((async function* () {
+      if (format === 'csv') {
+        yield toCsvLine(COLUMNS.map(column => column.name));
+      }
+
+      for await (const transaction of transactions) {
+        const values = COLUMNS.map(column => column.value(transaction));
+
+        yield format === 'csv'
+          ? toCsvLine(values)
+          : JSON.stringify(Object.fromEntries(COLUMNS.map((column, i) => [column.name, values[i]]))) + '\n';
+      }
+    })());
+  }
+
+  /**
+   * Content type and file extension of an export format
+   */
+  static getContentType(format) {
+    return format === 'ndjson'
+      ? { contentType: 'application/x-ndjson', extension: 'ndjson' }
+      : { contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  }
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180). Fields starting with a formula
+ * character are prefixed with a quote so spreadsheets do not evaluate them.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(toCsvField).join(',') + '\r\n';
+}
+
+ExportService.COLUMNS = COLUMNS;
+ExportService.FORMATS = FORMATS;
+
+module.exports = ExportService;
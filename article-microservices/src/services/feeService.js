@@ -0,0 +1,138 @@
+// services/feeService.js
+const CurrencyService = require('./currencyService');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('../utils/money');
+
+/**
+ * Platform fee schedule.
+ *
+ * Each side has a percentage of the item price plus a fixed amount (in major
+ * units of the exchange rate table's base currency, converted for sales in
+ * other currencies). The buyer fee is added on top of the price the buyer
+ * pays; the seller fee is deducted from what the seller receives. Categories
+ * may override either side, field by field.
+ *
+ * Override the whole schedule with the FEE_SCHEDULE environment variable
+ * (JSON, same shape), e.g.
+ *   FEE_SCHEDULE='{"buyer":{"percent":5,"fixed":0.7},"seller":{"percent":0,"fixed":0},
+ *                 "categories":{"SHOES":{"seller":{"percent":3}}}}'
+ */
+const DEFAULT_FEE_SCHEDULE = {
+  buyer: { percent: 5, fixed: 0.70 },
+  seller: { percent: 3, fixed: 0 },
+  categories: {}
+};
+
+let cachedSchedule = null;
+let cachedSource = null;
+
+class FeeService {
+  /**
+   * Current fee schedule (FEE_SCHEDULE env, falling back to the defaults)
+   */
+  static getSchedule() {
+    const source = process.env.FEE_SCHEDULE || null;
+
+    if (cachedSchedule && cachedSource === source) {
+      return cachedSchedule;
+    }
+
+    let schedule = DEFAULT_FEE_SCHEDULE;
+
+    if (source) {
+      try {
+        const parsed = JSON.parse(source);
+        schedule = {
+          buyer: { ...DEFAULT_FEE_SCHEDULE.buyer, ...parsed.buyer },
+          seller: { ...DEFAULT_FEE_SCHEDULE.seller, ...parsed.seller },
+          categories: parsed.categories || {}
+        };
+      } catch (error) {
+        console.error('Invalid FEE_SCHEDULE, using default fees:', error.message);
+      }
+    }
+
+    cachedSchedule = schedule;
+    cachedSource = source;
+    return schedule;
+  }
+
+  /**
+   * Fee rule for one side, with the category override applied
+   */
+  static getRule(side, category = null, schedule = this.getSchedule()) {
+    const override = (category && schedule.categories[category]?.[side]) || {};
+    return {
+      percent: Number(override.percent ?? schedule[side].percent) || 0,
+      fixed: Number(override.fixed ?? schedule[side].fixed) || 0
+    };
+  }
+
+  /**
+   * Work out the fees for a sale.
+   *
+   * All amounts are minor units of the sale's currency, so the parts always
+   * add up:
+   *   buyerTotal   = itemPrice + buyerFee     (charged to the buyer)
+   *   sellerPayout = itemPrice - sellerFee    (released to the seller)
+   *   platformFee  = buyerFee + sellerFee     (kept by the platform)
+   * The seller fee never exceeds the item price.
+   *
+   * @param {object} params - { price (minor units), category, currency }
+   * @returns {object} Breakdown in minor units, plus the rules applied
+   */
+  static calculateFees({ price, category = null, currency = DEFAULT_CURRENCY }) {
+    const schedule = this.getSchedule();
+    const buyerRule = this.getRule('buyer', category, schedule);
+    const sellerRule = this.getRule('seller', category, schedule);
+
+    const { base } = CurrencyService.getRates();
+    const feeFor = (rule) => Math.max(
+      Math.round(price * rule.percent / 100)
+        + CurrencyService.convert(toMinorUnits(rule.fixed, base), base, currency),
+      0
+    );
+
+    const buyerFee = feeFor(buyerRule);
+    const sellerFee = Math.min(feeFor(sellerRule), price);
+
+    return {
+      currency,
+      category,
+      itemPrice: price,
+      buyerFee,
+      sellerFee,
+      buyerTotal: price + buyerFee,
+      sellerPayout: price - sellerFee,
+      platformFee: buyerFee + sellerFee,
+      rules: {
+        buyer: buyerRule,
+        seller: sellerRule
+      }
+    };
+  }
+
+  /**
+   * Amount the seller receives for a transaction, less any partial refunds
+   * (refunds come out of the seller's share). Transactions created before
+   * fees existed pay out their full amount. Minor units of the transaction's
+   * currency.
+   */
+  static getSellerPayout(transaction) {
+    const payout = (transaction.sellerPayout ?? transaction.amount) - (transaction.refundedAmount || 0);
+    return Math.max(payout, 0);
+  }
+
+  /**
+   * Platform fee kept on a transaction, in minor units. Tax is part of the
+   * amount but not of the fee.
+   */
+  static getPlatformFee(transaction) {
+    return transaction.amount
+      - (transaction.taxAmount || 0)
+      - (transaction.sellerPayout ?? transaction.amount);
+  }
+}
+
+FeeService.DEFAULT_FEE_SCHEDULE = DEFAULT_FEE_SCHEDULE;
+
+module.exports = FeeService;
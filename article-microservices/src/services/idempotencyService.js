@@ -0,0 +1,138 @@
+// services/idempotencyService.js
+const crypto = require('crypto');
+const prisma = require('../prismaClient');
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * JSON.stringify with object keys sorted, so the same payload always
+ * produces the same fingerprint regardless of key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
+
+class IdempotencyService {
+  static getTtlMs() {
+    const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    return hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * SHA-256 of the request method, path and body
+   */
+  static fingerprint({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(`${method} ${path}\n${stableStringify(body ?? null)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Claim an idempotency key for a request.
+   *
+   * Returns { state, record } where state is one of:
+   *   started     - first time this key is seen; the caller should process the request
+   *   replay      - a completed response is stored for this key
+   *   in_progress - another request with this key is still being processed
+   *   mismatch    - the key was used for a different payload
+   */
+  static async begin({ key, username, scope, requestHash }) {
+    const where = {
+      username_scope_key: { username, scope, key }
+    };
+
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          key,
+          username,
+          scope,
+          requestHash,
+          expiresAt: new Date(Date.now() + this.getTtlMs())
+        }
+      });
+      return { state: 'started', record };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({ where });
+
+    // Released or expired between our insert and this read: claim it again
+    if (!existing || existing.expiresAt < new Date()) {
+      if (existing) {
+        await prisma.idempotencyKey.deleteMany({
+          where: { id: existing.id, expiresAt: { lt: new Date() } }
+        });
+      }
+      return this.begin({ key, username, scope, requestHash });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return { state: 'mismatch', record: existing };
+    }
+
+    if (existing.status !== 'COMPLETED') {
+      return { state: 'in_progress', record: existing };
+    }
+
+    return { state: 'replay', record: existing };
+  }
+
+  /**
+   * Store the response sent for a claimed key
+   */
+  static async complete(record, { statusCode, body }) {
+    return prisma.idempotencyKey.update({
+      where: { id: record.id },
+      data: {
+        status: 'COMPLETED',
+        responseStatus: statusCode,
+        responseBody: body ?? null,
+        completedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Forget a claimed key so the client can retry, e.g. after a server error
+   */
+  static async release(record) {
+    return prisma.idempotencyKey.deleteMany({
+      where: { id: record.id, status: 'IN_PROGRESS' }
+    });
+  }
+
+  /**
+   * Delete keys past their expiry
+   */
+  static async cleanupExpiredKeys() {
+    const result = await prisma.idempotencyKey.deleteMany({
+      where: {
+        expiresAt: {
+          lt: new Date()
+        }
+      }
+    });
+
+    console.log(`🧹 Cleaned up ${result.count} expired idempotency keys`);
+    return result.count;
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,268 @@
+// services/jobService.js
+const os = require('os');
+const cron = require('node-cron');
+const prisma = require('../prismaClient');
+const jobDefinitions = require('../jobs');
+const { NotFoundError } = require('../utils/errors');
+
+// Identifies this process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+// A lock older than this is considered abandoned (e.g. the instance crashed mid-run)
+const LOCK_TTL_MS = parseInt(process.env.JOB_LOCK_TTL_MS) || 30 * 60 * 1000;
+
+const scheduledTasks = new Map();
+
+class JobService {
+  /**
+   * Resolve the effective schedule of a job, applying environment overrides
+   */
+  static getJobConfig(definition) {
+    const envPrefix = `JOB_${definition.name.toUpperCase().replace(/-/g, '_')}`;
+    const schedule = process.env[`${envPrefix}_SCHEDULE`] || definition.schedule;
+    const enabled = process.env[`${envPrefix}_ENABLED`] !== 'false';
+
+    return {
+      name: definition.name,
+      description: definition.description,
+      schedule,
+      enabled
+    };
+  }
+
+  /**
+   * Find a job definition by name
+   */
+  static getJob(name) {
+    const definition = jobDefinitions.find(job => job.name === name);
+
+    if (!definition) {
+      throw new NotFoundError(`Job '${name}' not found`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Schedule every enabled job. Set JOBS_ENABLED=false to run an instance
+   * without any background jobs (manual triggers still work).
+   */
+  static start() {
+    if (process.env.JOBS_ENABLED === 'false') {
+      console.log('⏸️ Background jobs disabled (JOBS_ENABLED=false)');
+      return;
+    }
+
+    for (const definition of jobDefinitions) {
+      const config = this.getJobConfig(definition);
+
+      if (!config.enabled) {
+        console.log(`⏸️ Job ${config.name} disabled`);
+        continue;
+      }
+
+      if (!cron.validate(config.schedule)) {
+        console.error(`❌ Invalid schedule "${config.schedule}" for job ${config.name}, not scheduling it`);
+        continue;
+      }
+
+      const task = cron.schedule(config.schedule, async () => {
+        try {
+          await this.runJob(config.name);
+        } catch (error) {
+          console.error(`Error running scheduled job ${config.name}:`, error);
+        }
+      }, { name: config.name });
+
+      scheduledTasks.set(config.name, task);
+      console.log(`⏰ Scheduled job ${config.name} (${config.schedule})`);
+    }
+  }
+
+  /**
+   * Stop all scheduled jobs
+   */
+  static stop() {
+    scheduledTasks.forEach(task => task.stop());
+    scheduledTasks.clear();
+  }
+
+  /**
+   * Run a job once, recording the run in the history table.
+   * If another instance holds the job's lock the run is recorded as SKIPPED.
+   */
+  static async runJob(name, { trigger = 'SCHEDULED', triggeredBy = null } = {}) {
+    const definition = this.getJob(name);
+
+    const acquired = await this.acquireLock(name);
+    if (!acquired) {
+      console.log(`⏭️ Job ${name} is already running elsewhere, skipping`);
+      return prisma.jobRun.create({
+        data: {
+          jobName: name,
+          status: 'SKIPPED',
+          trigger,
+          triggeredBy,
+          instanceId: INSTANCE_ID,
+          finishedAt: new Date(),
+          durationMs: 0
+        }
+      });
+    }
+
+    const run = await prisma.jobRun.create({
+      data: {
+        jobName: name,
+        status: 'RUNNING',
+        trigger,
+        triggeredBy,
+        instanceId: INSTANCE_ID
+      }
+    });
+
+    const startedAt = Date.now();
+
+    try {
+      const result = await definition.handler();
+
+      return await prisma.jobRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'SUCCEEDED',
+          result: result ?? null,
+          finishedAt: new Date(),
+          durationMs: Date.now() - startedAt
+        }
+      });
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+
+      return await prisma.jobRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'FAILED',
+          error: error.message,
+          finishedAt: new Date(),
+          durationMs: Date.now() - startedAt
+        }
+      });
+    } finally {
+      await this.releaseLock(name);
+    }
+  }
+
+  /**
+   * Take the lock for a job. Succeeds if nobody holds it or the
+   * current holder's lock has expired.
+   */
+  static async acquireLock(name) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + LOCK_TTL_MS);
+
+    try {
+      await prisma.jobLock.create({
+        data: {
+          jobName: name,
+          lockedBy: INSTANCE_ID,
+          lockedAt: now,
+          expiresAt
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    // Lock row exists: take it over only if it has expired
+    const { count } = await prisma.jobLock.updateMany({
+      where: {
+        jobName: name,
+        expiresAt: { lt: now }
+      },
+      data: {
+        lockedBy: INSTANCE_ID,
+        lockedAt: now,
+        expiresAt
+      }
+    });
+
+    return count === 1;
+  }
+
+  /**
+   * Release a job lock held by this instance
+   */
+  static async releaseLock(name) {
+    try {
+      await prisma.jobLock.deleteMany({
+        where: {
+          jobName: name,
+          lockedBy: INSTANCE_ID
+        }
+      });
+    } catch (error) {
+      console.error(`Error releasing lock for job ${name}:`, error);
+    }
+  }
+
+  /**
+   * List all jobs with their schedule, lock state and last run
+   */
+  static async listJobs() {
+    const names = jobDefinitions.map(job => job.name);
+
+    const [locks, lastRuns] = await Promise.all([
+      prisma.jobLock.findMany({
+        where: { jobName: { in: names } }
+      }),
+      Promise.all(names.map(name => prisma.jobRun.findFirst({
+        where: { jobName: name },
+        orderBy: { startedAt: 'desc' }
+      })))
+    ]);
+
+    return jobDefinitions.map((definition, index) => {
+      const config = this.getJobConfig(definition);
+      const task = scheduledTasks.get(definition.name);
+      const lock = locks.find(l => l.jobName === definition.name);
+
+      return {
+        ...config,
+        scheduled: Boolean(task),
+        nextRun: task ? task.getNextRun() : null,
+        lock: lock || null,
+        lastRun: lastRuns[index]
+      };
+    });
+  }
+
+  /**
+   * Get paginated run history for a job
+   */
+  static async getJobRuns(name, { page = 1, limit = 20, status } = {}) {
+    this.getJob(name);
+
+    const where = { jobName: name };
+    if (status) {
+      where.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [runs, total] = await Promise.all([
+      prisma.jobRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.jobRun.count({ where })
+    ]);
+
+    return { runs, total };
+  }
+}
+
+module.exports = JobService;
@@ -0,0 +1,456 @@
+// services/ledgerService.js
+const prisma = require('../prismaClient');
+const { ConflictError } = require('../utils/errors');
+const { DEFAULT_CURRENCY, fromMinorUnits } = require('../utils/money');
+
+const ACCOUNT_TYPES = {
+  PROVIDER: 'PROVIDER',
+  BUYER: 'BUYER',
+  ESCROW: 'ESCROW',
+  SELLER: 'SELLER',
+  PLATFORM_FEES: 'PLATFORM_FEES',
+  TAX_PAYABLE: 'TAX_PAYABLE',
+  PAYOUTS: 'PAYOUTS'
+};
+
+const ENTRY_KINDS = {
+  CAPTURE: 'CAPTURE',
+  HOLD: 'HOLD',
+  FEE: 'FEE',
+  TAX: 'TAX',
+  RELEASE: 'RELEASE',
+  REFUND: 'REFUND',
+  PAYOUT: 'PAYOUT',
+  PAYOUT_SETTLED: 'PAYOUT_SETTLED',
+  PAYOUT_REVERSED: 'PAYOUT_REVERSED'
+};
+
+/**
+ * Double-entry ledger for escrowed money.
+ *
+ * Money moves through the accounts as follows:
+ *   payment confirmed   CAPTURE  provider -> buyer
+ *                       HOLD     buyer    -> escrow
+ *   payment released    TAX      escrow   -> tax payable (when tax applies)
+ *                       FEE      escrow   -> platform fees (when a fee applies)
+ *                       RELEASE  escrow   -> seller
+ *   payment refunded    REFUND   escrow   -> buyer -> provider
+ *   payout requested    PAYOUT           seller  -> payouts
+ *   payout paid         PAYOUT_SETTLED   payouts -> provider
+ *   payout failed       PAYOUT_REVERSED  payouts -> seller
+ *
+ * Amounts are integer minor units. Accounts are kept per currency and
+ * transaction entries are posted in the transaction's currency. Methods that
+ * write take a Prisma client as first argument so they can join the caller's
+ * database transaction (the state machine passes its `tx`).
+ */
+class LedgerService {
+  static accountKey({ type, owner = null, currency = DEFAULT_CURRENCY }) {
+    return [type, owner, currency].filter(Boolean).join(':');
+  }
+
+  /**
+   * Find or create the account for a type/owner/currency
+   */
+  static async getOrCreateAccount(client, { type, owner = null, currency = DEFAULT_CURRENCY }) {
+    const key = this.accountKey({ type, owner, currency });
+
+    return client.ledgerAccount.upsert({
+      where: { key },
+      update: {},
+      create: { key, type, owner, currency }
+    });
+  }
+
+  /**
+   * Write a balanced entry and update the balances of the accounts it touches.
+   *
+   * @param {object} client - Prisma client or interactive transaction client
+   * @param {object} entry - { kind, transactionId, reference, description, currency,
+   *                           lines: [{ account: { type, owner }, amount, noOverdraft }] }
+   *                         amounts in minor units, positive = credit. A debit line
+   *                         with noOverdraft fails with a ConflictError instead of
+   *                         taking the account below zero.
+   */
+  static async postEntry(client, { kind, transactionId = null, reference = null, description = null, currency = DEFAULT_CURRENCY, lines }) {
+    if (!ENTRY_KINDS[kind]) {
+      throw new Error(`Unknown ledger entry kind: ${kind}`);
+    }
+
+    if (!lines || lines.length < 2) {
+      throw new Error('A ledger entry needs at least two lines');
+    }
+
+    const amounts = lines.map(line => BigInt(line.amount));
+
+    if (amounts.some(amount => amount === 0n)) {
+      throw new Error('Ledger lines must have a non-zero amount');
+    }
+
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+    if (total !== 0n) {
+      throw new Error(`Unbalanced ledger entry (${kind}): lines sum to ${total}`);
+    }
+
+    const accounts = [];
+    for (const line of lines) {
+      accounts.push(await this.getOrCreateAccount(client, { ...line.account, currency }));
+    }
+
+    for (const [index, account] of accounts.entries()) {
+      if (lines[index].noOverdraft && amounts[index] < 0n) {
+        // Compare-and-set so concurrent debits cannot both pass the check
+        const { count } = await client.ledgerAccount.updateMany({
+          where: { id: account.id, balance: { gte: -amounts[index] } },
+          data: { balance: { increment: amounts[index] } }
+        });
+
+        if (count === 0) {
+          throw new ConflictError('Insufficient balance', {
+            account: account.key,
+            required: (-amounts[index]).toString()
+          });
+        }
+      } else {
+        await client.ledgerAccount.update({
+          where: { id: account.id },
+          data: { balance: { increment: amounts[index] } }
+        });
+      }
+    }
+
+    return client.ledgerEntry.create({
+      data: {
+        kind,
+        transactionId,
+        reference,
+        description,
+        currency,
+        lines: {
+          create: accounts.map((account, index) => ({
+            accountId: account.id,
+            amount: amounts[index]
+          }))
+        }
+      },
+      include: { lines: true }
+    });
+  }
+
+  /**
+   * Buyer payment captured: CAPTURE then HOLD in escrow
+   */
+  static async recordCapture(client, transaction, { reference = transaction.paymentReference } = {}) {
+    const { amount, currency } = transaction;
+    const buyer = { type: ACCOUNT_TYPES.BUYER, owner: transaction.buyerUsername };
+
+    await this.postEntry(client, {
+      kind: ENTRY_KINDS.CAPTURE,
+      transactionId: transaction.id,
+      reference,
+      currency,
+      description: `Payment captured from ${transaction.buyerUsername}`,
+      lines: [
+        { account: { type: ACCOUNT_TYPES.PROVIDER }, amount: -amount },
+        { account: buyer, amount }
+      ]
+    });
+
+    return this.postEntry(client, {
+      kind: ENTRY_KINDS.HOLD,
+      transactionId: transaction.id,
+      reference,
+      currency,
+      description: `Funds held in escrow for transaction ${transaction.id}`,
+      lines: [
+        { account: buyer, amount: -amount },
+        { account: { type: ACCOUNT_TYPES.ESCROW }, amount }
+      ]
+    });
+  }
+
+  /**
+   * Escrow paid out: optional TAX to tax payable and FEE to the platform,
+   * then RELEASE of the rest to the seller. Partial refunds already taken
+   * out of escrow are deducted.
+   *
+   * @param {number} feeAmount - Platform fee in minor units
+   * @param {number} taxAmount - Tax collected from the buyer in minor units
+   */
+  static async recordRelease(client, transaction, { reference = null, feeAmount = 0, taxAmount = 0 } = {}) {
+    const { currency } = transaction;
+    const amount = transaction.amount - (transaction.refundedAmount || 0);
+    const tax = Math.min(Math.max(taxAmount, 0), amount);
+    const fee = Math.min(Math.max(feeAmount, 0), amount - tax);
+    const escrow = { type: ACCOUNT_TYPES.ESCROW };
+
+    if (tax > 0) {
+      await this.postEntry(client, {
+        kind: ENTRY_KINDS.TAX,
+        transactionId: transaction.id,
+        reference,
+        currency,
+        description: `Tax collected on transaction ${transaction.id}`,
+        lines: [
+          { account: escrow, amount: -tax },
+          { account: { type: ACCOUNT_TYPES.TAX_PAYABLE }, amount: tax }
+        ]
+      });
+    }
+
+    if (fee > 0) {
+      await this.postEntry(client, {
+        kind: ENTRY_KINDS.FEE,
+        transactionId: transaction.id,
+        reference,
+        currency,
+        description: `Platform fee for transaction ${transaction.id}`,
+        lines: [
+          { account: escrow, amount: -fee },
+          { account: { type: ACCOUNT_TYPES.PLATFORM_FEES }, amount: fee }
+        ]
+      });
+    }
+
+    if (amount - tax - fee === 0) {
+      return null;
+    }
+
+    return this.postEntry(client, {
+      kind: ENTRY_KINDS.RELEASE,
+      transactionId: transaction.id,
+      reference,
+      currency,
+      description: `Payment released to ${transaction.sellerUsername}`,
+      lines: [
+        { account: escrow, amount: -(amount - tax - fee) },
+        { account: { type: ACCOUNT_TYPES.SELLER, owner: transaction.sellerUsername }, amount: amount - tax - fee }
+      ]
+    });
+  }
+
+  /**
+   * Funds returned to the buyer's payment method.
+   *
+   * Before release the refund comes out of escrow. Once released it is
+   * clawed back from the seller's balance, except returnedFee, which the
+   * platform gives back out of its fees, and returnedTax, which comes back
+   * out of tax payable.
+   *
+   * @param {object} options - { reference, amount, released, returnedFee, returnedTax }
+   *                           amounts in minor units; amount defaults to the
+   *                           full transaction amount
+   */
+  static async recordRefund(client, transaction, {
+    reference = null,
+    amount = transaction.amount,
+    released = false,
+    returnedFee = 0,
+    returnedTax = 0
+  } = {}) {
+    const buyer = { type: ACCOUNT_TYPES.BUYER, owner: transaction.buyerUsername };
+    const tax = Math.min(Math.max(returnedTax, 0), amount);
+    const fee = Math.min(Math.max(returnedFee, 0), amount - tax);
+
+    const sources = released
+      ? [
+        { account: { type: ACCOUNT_TYPES.SELLER, owner: transaction.sellerUsername }, amount: -(amount - fee - tax) },
+        { account: { type: ACCOUNT_TYPES.PLATFORM_FEES }, amount: -fee },
+        { account: { type: ACCOUNT_TYPES.TAX_PAYABLE }, amount: -tax }
+      ]
+      : [{ account: { type: ACCOUNT_TYPES.ESCROW }, amount: -amount }];
+
+    return this.postEntry(client, {
+      kind: ENTRY_KINDS.REFUND,
+      transactionId: transaction.id,
+      reference,
+      currency: transaction.currency,
+      description: `Refund to ${transaction.buyerUsername}`,
+      lines: [
+        ...sources.filter(line => line.amount !== 0),
+        { account: buyer, amount },
+        { account: buyer, amount: -amount },
+        { account: { type: ACCOUNT_TYPES.PROVIDER }, amount }
+      ]
+    });
+  }
+
+  /**
+   * Platform fee collected on a transaction so far, in minor units
+   */
+  static async getCollectedFee(client, transactionId) {
+    return this.sumTransactionLines(client, transactionId, ACCOUNT_TYPES.PLATFORM_FEES);
+  }
+
+  /**
+   * Tax collected on a transaction so far, in minor units
+   */
+  static async getCollectedTax(client, transactionId) {
+    return this.sumTransactionLines(client, transactionId, ACCOUNT_TYPES.TAX_PAYABLE);
+  }
+
+  static async sumTransactionLines(client, transactionId, type) {
+    const result = await client.ledgerLine.aggregate({
+      where: {
+        account: { type },
+        entry: { transactionId: BigInt(transactionId) }
+      },
+      _sum: { amount: true }
+    });
+
+    return Number(result._sum.amount || 0);
+  }
+
+  /**
+   * Reserve a seller's available balance for a payout request.
+   * Throws ConflictError if the balance is too low.
+   */
+  static async recordPayoutRequest(client, payout) {
+    return this.postEntry(client, {
+      kind: ENTRY_KINDS.PAYOUT,
+      reference: `payout:${payout.id}`,
+      description: `Payout ${payout.id} requested by ${payout.sellerUsername}`,
+      currency: payout.currency,
+      lines: [
+        { account: { type: ACCOUNT_TYPES.SELLER, owner: payout.sellerUsername }, amount: -BigInt(payout.amount), noOverdraft: true },
+        { account: { type: ACCOUNT_TYPES.PAYOUTS }, amount: BigInt(payout.amount) }
+      ]
+    });
+  }
+
+  /**
+   * Payout sent by the provider
+   */
+  static async recordPayoutSettled(client, payout, { reference = null } = {}) {
+    return this.postEntry(client, {
+      kind: ENTRY_KINDS.PAYOUT_SETTLED,
+      reference: reference || `payout:${payout.id}`,
+      description: `Payout ${payout.id} paid to ${payout.sellerUsername}`,
+      currency: payout.currency,
+      lines: [
+        { account: { type: ACCOUNT_TYPES.PAYOUTS }, amount: -BigInt(payout.amount) },
+        { account: { type: ACCOUNT_TYPES.PROVIDER }, amount: BigInt(payout.amount) }
+      ]
+    });
+  }
+
+  /**
+   * Failed payout: return the reserved funds to the seller's balance
+   */
+  static async recordPayoutReversed(client, payout) {
+    return this.postEntry(client, {
+      kind: ENTRY_KINDS.PAYOUT_REVERSED,
+      reference: `payout:${payout.id}`,
+      description: `Payout ${payout.id} failed, funds returned to ${payout.sellerUsername}`,
+      currency: payout.currency,
+      lines: [
+        { account: { type: ACCOUNT_TYPES.PAYOUTS }, amount: -BigInt(payout.amount) },
+        { account: { type: ACCOUNT_TYPES.SELLER, owner: payout.sellerUsername }, amount: BigInt(payout.amount) }
+      ]
+    });
+  }
+
+  /**
+   * Current balance of an account in minor units (0 if it does not exist yet)
+   */
+  static async getBalance({ type, owner = null, currency = DEFAULT_CURRENCY }) {
+    const account = await prisma.ledgerAccount.findUnique({
+      where: { key: this.accountKey({ type, owner, currency }) }
+    });
+
+    return account ? BigInt(account.balance) : 0n;
+  }
+
+  /**
+   * Sum of a user's ledger lines of one kind on one account type, in minor units.
+   * sign selects only credits (1) or only debits (-1).
+   */
+  static async sumLines({ type, owner, kind, sign, currency = DEFAULT_CURRENCY }) {
+    const result = await prisma.ledgerLine.aggregate({
+      where: {
+        amount: sign > 0 ? { gt: 0 } : { lt: 0 },
+        account: { type, owner, currency },
+        entry: { kind }
+      },
+      _sum: { amount: true }
+    });
+
+    return BigInt(result._sum.amount || 0);
+  }
+
+  /**
+   * Money totals for a user, in minor units:
+   *   spent    - held in escrow for their purchases, less refunds
+   *   refunded - returned to them
+   *   earned   - released to them as a seller (after fees)
+   */
+  static async getUserTotals(username, currency = DEFAULT_CURRENCY) {
+    const [held, refunded, earned] = await Promise.all([
+      this.sumLines({ type: ACCOUNT_TYPES.BUYER, owner: username, kind: ENTRY_KINDS.HOLD, sign: -1, currency }),
+      this.sumLines({ type: ACCOUNT_TYPES.BUYER, owner: username, kind: ENTRY_KINDS.REFUND, sign: 1, currency }),
+      this.sumLines({ type: ACCOUNT_TYPES.SELLER, owner: username, kind: ENTRY_KINDS.RELEASE, sign: 1, currency })
+    ]);
+
+    return {
+      currency,
+      spent: -held - refunded,
+      refunded,
+      earned
+    };
+  }
+
+  /**
+   * All entries recorded for a transaction, oldest first
+   */
+  static async getTransactionEntries(transactionId) {
+    return prisma.ledgerEntry.findMany({
+      where: { transactionId: BigInt(transactionId) },
+      include: {
+        lines: {
+          include: {
+            account: {
+              select: { key: true, type: true, owner: true }
+            }
+          }
+        }
+      },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  /**
+   * Balance of every system account plus per-type totals. The grand total
+   * is always zero when the books reconcile.
+   */
+  static async getTrialBalance(currency = DEFAULT_CURRENCY) {
+    const byType = await prisma.ledgerAccount.groupBy({
+      by: ['type'],
+      where: { currency },
+      _sum: { balance: true },
+      _count: { id: true }
+    });
+
+    const types = byType.map(row => ({
+      type: row.type,
+      accounts: row._count.id,
+      balance: BigInt(row._sum.balance || 0)
+    }));
+
+    const total = types.reduce((sum, row) => sum + row.balance, 0n);
+
+    return {
+      currency,
+      types: types.map(row => ({
+        ...row,
+        amount: fromMinorUnits(row.balance, currency)
+      })),
+      total,
+      balanced: total === 0n
+    };
+  }
+}
+
+LedgerService.ACCOUNT_TYPES = ACCOUNT_TYPES;
+LedgerService.ENTRY_KINDS = ENTRY_KINDS;
+
+module.exports = LedgerService;
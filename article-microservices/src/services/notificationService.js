@@ -1,5 +1,6 @@
 // services/notificationService.js - Fixed version
 const prisma = require('../prismaClient');
+const { fromMinorUnits, formatMoney } = require('../utils/money');
 
 class NotificationService {
   /**
@@ -54,29 +55,52 @@ class NotificationService {
    * Create offer-related notifications
    */
   static async createOfferNotification(offer, notificationType, customMessage = null) {
+    const price = formatMoney(offer.price, offer.currency);
     const notificationTemplates = {
       NEW_OFFER: {
         seller: {
           title: 'New Offer Received',
-          message: `${offer.username} made an offer of $${offer.price} for your ${offer.articleName}`
+          message: `${offer.username} made an offer of ${price} for your ${offer.articleName}`
         }
       },
       OFFER_UPDATED: {
         seller: {
           title: 'Offer Updated',
-          message: `${offer.username} updated their offer to $${offer.price} for your ${offer.articleName}`
+          message: `${offer.username} updated their offer to ${price} for your ${offer.articleName}`
         }
       },
       OFFER_ACCEPTED: {
         buyer: {
           title: 'Offer Accepted!',
-          message: `Your offer of $${offer.price} for ${offer.articleName} has been accepted`
+          message: `Your offer of ${price} for ${offer.articleName} has been accepted`
         }
       },
       OFFER_DENIED: {
         buyer: {
           title: 'Offer Declined',
-          message: `Your offer of $${offer.price} for ${offer.articleName} has been declined`
+          message: `Your offer of ${price} for ${offer.articleName} has been declined`
+        }
+      },
+      OFFER_COUNTERED: {
+        buyer: {
+          title: 'Counter-Offer Received',
+          message: `${offer.seller} countered your offer for ${offer.articleName} with ${price}`
+        }
+      },
+      OFFER_COUNTER_ACCEPTED: {
+        seller: {
+          title: 'Counter-Offer Accepted!',
+          message: `${offer.username} accepted your counter-offer of ${price} for your ${offer.articleName}`
+        }
+      },
+      OFFER_AUTO_ACCEPTED: {
+        buyer: {
+          title: 'Offer Accepted!',
+          message: `Your offer of ${price} for ${offer.articleName} has been accepted`
+        },
+        seller: {
+          title: 'Offer Accepted Automatically',
+          message: `${offer.username}'s offer of ${price} for your ${offer.articleName} met your auto-accept price and has been accepted`
         }
       },
       OFFER_CANCELLED: {
@@ -85,6 +109,16 @@ class NotificationService {
           message: `The offer from ${offer.username} for ${offer.articleName} has been cancelled`
         }
       },
+      OFFER_EXPIRED: {
+        buyer: {
+          title: 'Offer Expired',
+          message: `Your offer of ${price} for ${offer.articleName} has expired`
+        },
+        seller: {
+          title: 'Offer Expired',
+          message: `The offer from ${offer.username} for your ${offer.articleName} has expired`
+        }
+      },
       OFFER_CONCLUDED: {
         seller: {
           title: 'Transaction Completed',
@@ -126,7 +160,8 @@ class NotificationService {
             offerId: offer.id.toString(),
             articleId: offer.articleId.toString(),
             articleName: offer.articleName,
-            price: offer.price,
+            price: fromMinorUnits(offer.price, offer.currency),
+            currency: offer.currency,
             mainImage: offer.mainImage,
             status: offer.status
           }
@@ -0,0 +1,465 @@
+// services/offerNegotiationService.js
+const prisma = require('../prismaClient');
+const NotificationService = require('./notificationService');
+const RiskService = require('./riskService');
+const CompetingOfferService = require('./competingOfferService');
+const CurrencyService = require('./currencyService');
+const { sendToSeller } = require('../SSE/sseManager');
+const { isAdmin } = require('../middleware/auth');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError
+} = require('../utils/errors');
+const { serializeBigInt } = require('../utils/helpers');
+const { toMinorUnits } = require('../utils/money');
+
+/**
+ * Offer negotiation. The price on the table was proposed by one side and
+ * waits for the other:
+ *
+ *   PENDING   - the buyer's price, the seller moves next
+ *   COUNTERED - the seller's price, the buyer moves next
+ *
+ * The side whose turn it is accepts (ACCEPTED, the price becomes the agreed
+ * price) or counters with another price. The seller can decline a pending
+ * or countered offer (DENIED); the buyer can walk away at any point until
+ * they start the purchase (CANCELLED), after which they cancel the
+ * transaction instead. Every move is kept in the offer's history.
+ *
+ * Open offers expire (EXPIRED) when the side whose turn it is does not move
+ * within OFFER_TTL_HOURS (default 72), and accepted offers when the buyer
+ * does not start the purchase in time: the hours the seller gave when
+ * accepting or countering, else ACCEPTED_OFFER_TTL_HOURS (default 48).
+ */
+const MOVES = {
+  counter: {
+    buyer: { from: ['COUNTERED'], to: 'PENDING', notification: 'OFFER_UPDATED' },
+    seller: { from: ['PENDING'], to: 'COUNTERED', notification: 'OFFER_COUNTERED' }
+  },
+  accept: {
+    buyer: { from: ['COUNTERED'], to: 'ACCEPTED', notification: 'OFFER_COUNTER_ACCEPTED' },
+    seller: { from: ['PENDING'], to: 'ACCEPTED', notification: 'OFFER_ACCEPTED' }
+  },
+  decline: {
+    buyer: { from: ['PENDING', 'COUNTERED', 'ACCEPTED'], to: 'CANCELLED', notification: 'OFFER_CANCELLED' },
+    seller: { from: ['PENDING', 'COUNTERED'], to: 'DENIED', notification: 'OFFER_DENIED' }
+  },
+  expire: {
+    system: { from: ['PENDING', 'COUNTERED', 'ACCEPTED'], to: 'EXPIRED', notification: 'OFFER_EXPIRED' }
+  }
+};
+
+// Transactions that still hold an accepted offer. Once its transaction is
+// cancelled the buyer may start another one, or the offer expires.
+const LIVE_TRANSACTION = { status: { not: 'CANCELLED' } };
+
+const DEFAULT_OFFER_TTL_HOURS = 72;
+const DEFAULT_ACCEPTED_OFFER_TTL_HOURS = 48;
+const MAX_BUY_WITHIN_HOURS = 30 * 24;
+const HOUR = 60 * 60 * 1000;
+
+const hoursFromEnv = (name, fallback) => {
+  const hours = parseFloat(process.env[name]);
+  return isNaN(hours) || hours <= 0 ? fallback : hours;
+};
+
+const offerInclude = {
+  article: {
+    select: {
+      name: true,
+      category: true,
+      size: true,
+      mainImage: true,
+      owner: true
+    }
+  }
+};
+
+class OfferNegotiationService {
+  /**
+   * Hours an open offer waits for the side whose turn it is
+   */
+  static getOfferTtlHours() {
+    return hoursFromEnv('OFFER_TTL_HOURS', DEFAULT_OFFER_TTL_HOURS);
+  }
+
+  /**
+   * Hours the buyer has to buy after acceptance when the seller gave none
+   */
+  static getAcceptedTtlHours() {
+    return hoursFromEnv('ACCEPTED_OFFER_TTL_HOURS', DEFAULT_ACCEPTED_OFFER_TTL_HOURS);
+  }
+
+  /**
+   * When an offer entering status expires, or null when it does not
+   */
+  static getExpiresAt(status, buyWithinHours = null, now = new Date()) {
+    if (['PENDING', 'COUNTERED'].includes(status)) {
+      return new Date(now.getTime() + this.getOfferTtlHours() * HOUR);
+    }
+
+    if (status === 'ACCEPTED') {
+      return new Date(now.getTime() + (buyWithinHours || this.getAcceptedTtlHours()) * HOUR);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the hours a seller gives the buyer to buy once accepted
+   * @returns {number|null} Whole hours, or null when none were given
+   */
+  static parseBuyWithinHours(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const hours = parseInt(value);
+    if (isNaN(hours) || hours < 1 || hours > MAX_BUY_WITHIN_HOURS) {
+      throw new ValidationError('Invalid purchase window', {
+        buyWithinHours: `Must be between 1 and ${MAX_BUY_WITHIN_HOURS} hours`
+      });
+    }
+
+    return hours;
+  }
+
+  /**
+   * Propose another price. A buyer's counter goes through the same risk
+   * checks as a new offer and may be held for review.
+   *
+   * @param {string|bigint} id - Offer ID
+   * @param {string} username - Buyer or seller
+   * @param {number|string} price - Major units of the offer's currency
+   * @param {string|null} role - buyer or seller when only that side may do this
+   * @param {object} options - { buyWithinHours } from the seller, used if the buyer accepts
+   */
+  static async counter(id, username, price, role = null, { buyWithinHours } = {}) {
+    const offer = await findOffer(id);
+    const actor = getActor(offer, username, role);
+    const hours = actor === 'seller' ? this.parseBuyWithinHours(buyWithinHours) : null;
+    const parsed = parseFloat(price);
+    const priceMinor = isNaN(parsed) ? NaN : toMinorUnits(parsed, offer.currency);
+
+    if (isNaN(priceMinor) || priceMinor <= 0) {
+      throw new ValidationError('Price must be a valid positive number', {
+        price: 'Must be a positive amount'
+      });
+    }
+
+    if (priceMinor === offer.price) {
+      throw new ValidationError('This is already the price on the table; accept the offer instead', {
+        price: 'Must differ from the current price'
+      });
+    }
+
+    let risk = null;
+    if (actor === 'buyer') {
+      risk = await RiskService.assess({
+        subject: 'OFFER',
+        username,
+        amount: priceMinor,
+        currency: offer.currency
+      });
+
+      if (risk.decision === RiskService.DECISIONS.BLOCK) {
+        await RiskService.recordBlock(risk);
+        throw new ForbiddenError('This offer cannot be placed. Please contact support.');
+      }
+    }
+
+    return this.move(offer, actor, username, 'counter', {
+      price: priceMinor,
+      buyWithinHours: hours,
+      held: risk?.decision === RiskService.DECISIONS.HOLD ? risk : null
+    });
+  }
+
+  /**
+   * Agree to the price on the table. The seller may set how many hours the
+   * buyer has to buy (buyWithinHours).
+   */
+  static async accept(id, username, role = null, { buyWithinHours } = {}) {
+    const offer = await findOffer(id);
+    const actor = getActor(offer, username, role);
+
+    return this.move(offer, actor, username, 'accept', {
+      buyWithinHours: actor === 'seller' ? this.parseBuyWithinHours(buyWithinHours) : null
+    });
+  }
+
+  /**
+   * Seller declines, or buyer walks away
+   */
+  static async decline(id, username, role = null) {
+    const offer = await findOffer(id);
+    return this.move(offer, getActor(offer, username, role), username, 'decline');
+  }
+
+  /**
+   * Expire offers whose time ran out (see getExpiresAt). Offers from before
+   * expiry times existed count from their last update. Accepted offers with
+   * a transaction in progress or concluded are left alone.
+   *
+   * @returns {Promise<number>} Number of offers expired
+   */
+  static async expireStaleOffers(now = new Date()) {
+    try {
+      const openBefore = new Date(now.getTime() - this.getOfferTtlHours() * HOUR);
+      const acceptedBefore = new Date(now.getTime() - this.getAcceptedTtlHours() * HOUR);
+
+      const stale = await prisma.offer.findMany({
+        where: {
+          transactions: { none: LIVE_TRANSACTION },
+          OR: [
+            { status: { in: ['PENDING', 'COUNTERED', 'ACCEPTED'] }, expiresAt: { lte: now } },
+            { status: { in: ['PENDING', 'COUNTERED'] }, expiresAt: null, updatedDate: { lt: openBefore } },
+            { status: 'ACCEPTED', expiresAt: null, updatedDate: { lt: acceptedBefore } }
+          ]
+        }
+      });
+
+      if (stale.length === 0) {
+        console.log('No offers to expire');
+        return 0;
+      }
+
+      let expired = 0;
+
+      for (const offer of stale) {
+        try {
+          await this.move(offer, 'system', null, 'expire');
+          expired++;
+        } catch (error) {
+          if (error instanceof InvalidTransitionError) {
+            console.log(`Skipping offer ${offer.id}: ${error.message}`);
+            continue;
+          }
+          throw error;
+        }
+      }
+
+      console.log(`Expired ${expired} offers`);
+      return expired;
+    } catch (error) {
+      console.error('Error expiring offers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a move for one side, record it in the history and tell both
+   * sides. Fails when the offer changed since it was read.
+   *
+   * @param {object} offer - Offer as read
+   * @param {string} actor - buyer, seller or system
+   * @param {string|null} username - User making the move, null for system moves
+   * @param {string} event - Key of MOVES
+   * @param {object} options - { price (minor units, counters only), buyWithinHours (seller),
+   *                              held (risk assessment holding a counter) }
+   */
+  static async move(offer, actor, username, event, { price = offer.price, buyWithinHours = null, held = null } = {}) {
+    const definition = MOVES[event][actor];
+
+    if (!definition.from.includes(offer.status)) {
+      throw new InvalidTransitionError(event, offer.status, definition.from);
+    }
+
+    const toStatus = held ? 'HELD' : definition.to;
+    const data = {
+      status: toStatus,
+      updatedDate: new Date()
+    };
+
+    if (event === 'counter') {
+      data.price = price;
+      data.proposedBy = actor;
+    }
+    if (buyWithinHours) {
+      data.buyWithinHours = buyWithinHours;
+    }
+    data.agreedPrice = event === 'accept' ? offer.price : null;
+    data.expiresAt = this.getExpiresAt(toStatus, buyWithinHours || offer.buyWithinHours, data.updatedDate);
+
+    let closed = [];
+
+    const moved = await prisma.$transaction(async (tx) => {
+      // One accepted offer per article; it is freed again if that offer expires
+      if (event === 'accept' && await this.hasAcceptedOffer(tx, offer.articleId, { id: { not: offer.id } })) {
+        throw new ConflictError('Another offer on this article has already been accepted');
+      }
+
+      const purchasing = ['decline', 'expire'].includes(event) && offer.status === 'ACCEPTED'
+        && await tx.transaction.count({ where: { offerId: offer.id, ...LIVE_TRANSACTION } }) > 0;
+
+      if (purchasing && event === 'decline') {
+        throw new ConflictError('You have already started the purchase of this offer; cancel the transaction instead');
+      }
+
+      if (purchasing) {
+        return false;
+      }
+
+      const { count } = await tx.offer.updateMany({
+        where: { id: offer.id, status: offer.status, price: offer.price },
+        data
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      await tx.offerEvent.create({
+        data: {
+          offerId: offer.id,
+          event,
+          fromStatus: offer.status,
+          toStatus,
+          actor,
+          username,
+          price: ['decline', 'expire'].includes(event) ? null : price
+        }
+      });
+
+      if (held) {
+        await tx.riskAssessment.create({
+          data: { ...RiskService.toRecord(held), offerId: offer.id }
+        });
+      }
+
+      // The article is promised to this buyer now
+      if (event === 'accept') {
+        closed = await CompetingOfferService.close(tx, offer, CompetingOfferService.REASONS.ACCEPTED);
+      }
+
+      return true;
+    });
+
+    if (!moved) {
+      const current = await prisma.offer.findUnique({
+        where: { id: offer.id },
+        select: { status: true }
+      });
+      throw new InvalidTransitionError(event, current ? current.status : 'UNKNOWN', definition.from);
+    }
+
+    const updated = await prisma.offer.findUnique({
+      where: { id: offer.id },
+      include: offerInclude
+    });
+
+    if (!held) {
+      await this.notify(updated, definition.notification, actor);
+    }
+    await CompetingOfferService.notify(closed);
+
+    return updated;
+  }
+
+  /**
+   * Whether another offer on the article is accepted, inside a database
+   * transaction. The article row is locked until the transaction ends, so
+   * two offers on the same article cannot both pass this check and be
+   * accepted.
+   *
+   * @param {object} tx - Prisma transaction client
+   * @param {bigint} articleId
+   * @param {object} others - Offer filter picking the other offers, e.g. { id: { not: offerId } }
+   */
+  static async hasAcceptedOffer(tx, articleId, others) {
+    await tx.$queryRaw`SELECT id FROM Article WHERE id = ${articleId} FOR UPDATE`;
+
+    return await tx.offer.count({
+      where: { articleId, status: 'ACCEPTED', ...others }
+    }) > 0;
+  }
+
+  /**
+   * Offer with its negotiation history (events), oldest move first. Visible
+   * to both sides and to admins; the seller does not see offers held for
+   * risk review.
+   */
+  static async getHistory(id, username) {
+    const offer = await prisma.offer.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        ...offerInclude,
+        events: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!offer || (offer.status === 'HELD' && offer.username !== username && !isAdmin(username))) {
+      throw new NotFoundError('Offer not found');
+    }
+
+    if (offer.username !== username && offer.seller !== username && !isAdmin(username)) {
+      throw new ForbiddenError('You are not a party to this offer');
+    }
+
+    return offer;
+  }
+
+  /**
+   * Stored notification for the other side, and the move pushed over SSE to
+   * both sides so open negotiation views stay in step
+   */
+  static async notify(offer, type, actor) {
+    const payload = serializeBigInt(CurrencyService.present(offer));
+
+    for (const recipient of [offer.seller, offer.username]) {
+      sendToSeller(recipient, {
+        type,
+        payload: {
+          ...payload,
+          movedBy: actor
+        }
+      });
+    }
+
+    try {
+      await NotificationService.createOfferNotification(offer, type);
+    } catch (notificationError) {
+      // Don't fail the move if a notification fails
+      console.error(`Error sending ${type} notification:`, notificationError);
+    }
+  }
+}
+
+async function findOffer(id) {
+  const offer = await prisma.offer.findUnique({
+    where: { id: BigInt(id) }
+  });
+
+  if (!offer) {
+    throw new NotFoundError('Offer not found');
+  }
+
+  return offer;
+}
+
+/**
+ * Side the user is on, optionally required to be role
+ */
+function getActor(offer, username, role = null) {
+  const actor = { [offer.username]: 'buyer', [offer.seller]: 'seller' }[username];
+
+  if (!actor) {
+    throw new ForbiddenError('You are not a party to this offer');
+  }
+
+  if (role && actor !== role) {
+    throw new ForbiddenError(`Only the ${role} can do this`);
+  }
+
+  return actor;
+}
+
+OfferNegotiationService.MOVES = MOVES;
+OfferNegotiationService.LIVE_TRANSACTION = LIVE_TRANSACTION;
+
+module.exports = OfferNegotiationService;
@@ -0,0 +1,168 @@
+// services/paymentWebhookService.js
+const prisma = require('../prismaClient');
+const TransactionStateMachine = require('./transactionStateMachine');
+const { ValidationError, InvalidTransitionError } = require('../utils/errors');
+const { toMinorUnits } = require('../utils/money');
+
+/**
+ * Provider event types and the transaction event each one applies
+ */
+const EVENT_TRANSITIONS = {
+  'payment.confirmed': 'confirmPayment',
+  'payment.failed': 'failPayment',
+  'payment.refunded': 'refund'
+};
+
+// Events that reached an outcome. Anything else (RECEIVED by a request that
+// died before applying it, or FAILED) is applied again when redelivered.
+const SETTLED_STATUSES = ['PROCESSED', 'IGNORED'];
+
+class PaymentWebhookService {
+  /**
+   * Record and apply a verified webhook event.
+   *
+   * Events are deduplicated on (provider, event ID): a redelivered event is
+   * acknowledged without being applied again once it was PROCESSED or
+   * IGNORED. Events still RECEIVED or FAILED are retried; the state machine
+   * keeps a retry from applying the same transition twice.
+   *
+   * Expected body:
+   *   { id, type, data: { reference, amount?, reason?, refundReference? } }
+   *
+   * @returns {Promise<{ event: object, duplicate: boolean }>}
+   */
+  static async receiveEvent(body, provider) {
+    const { id: eventId, type, data = {} } = body || {};
+
+    if (!eventId || !type || !data.reference) {
+      throw new ValidationError('Invalid webhook event', {
+        id: !eventId ? 'Event ID is required' : undefined,
+        type: !type ? 'Event type is required' : undefined,
+        reference: !data.reference ? 'Payment reference is required' : undefined
+      });
+    }
+
+    let record;
+
+    try {
+      record = await prisma.paymentWebhookEvent.create({
+        data: {
+          provider,
+          eventId: String(eventId),
+          type,
+          paymentReference: data.reference,
+          payload: body
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      const existing = await prisma.paymentWebhookEvent.findUnique({
+        where: {
+          provider_eventId: {
+            provider,
+            eventId: String(eventId)
+          }
+        }
+      });
+
+      if (SETTLED_STATUSES.includes(existing.status)) {
+        return { event: existing, duplicate: true };
+      }
+
+      record = existing;
+    }
+
+    const event = await this.applyEvent(record, type, data);
+    return { event, duplicate: false };
+  }
+
+  /**
+   * Apply a recorded event to its transaction through the state machine
+   */
+  static async applyEvent(record, type, data) {
+    const transitionEvent = EVENT_TRANSITIONS[type];
+
+    if (!transitionEvent) {
+      return this.markEvent(record, 'IGNORED', { error: `Unsupported event type: ${type}` });
+    }
+
+    const transaction = await prisma.transaction.findFirst({
+      where: { paymentReference: data.reference },
+      include: {
+        offer: {
+          include: {
+            article: true
+          }
+        }
+      },
+      orderBy: { createdDate: 'desc' }
+    });
+
+    if (!transaction) {
+      return this.markEvent(record, 'IGNORED', {
+        error: `No transaction found for payment reference ${data.reference}`
+      });
+    }
+
+    try {
+      await TransactionStateMachine.transition(transaction, this.resolveTransition(transitionEvent, transaction, data), {
+        actor: TransactionStateMachine.ACTORS.SYSTEM,
+        payload: {
+          reason: data.reason,
+          amount: data.amount,
+          // The provider has already moved the money for refund events
+          refundReference: data.refundReference || (type === 'payment.refunded' ? record.eventId : undefined)
+        },
+        source: TransactionStateMachine.SOURCES.WEBHOOK
+      });
+    } catch (error) {
+      // Out-of-order or already-applied events are acknowledged, not retried
+      if (error instanceof InvalidTransitionError) {
+        return this.markEvent(record, 'IGNORED', {
+          transactionId: transaction.id,
+          error: error.message
+        });
+      }
+
+      await this.markEvent(record, 'FAILED', {
+        transactionId: transaction.id,
+        error: error.message
+      });
+      throw error;
+    }
+
+    return this.markEvent(record, 'PROCESSED', { transactionId: transaction.id });
+  }
+
+  /**
+   * A refund event for less than what is left to refund is a partial refund
+   */
+  static resolveTransition(transitionEvent, transaction, data) {
+    if (transitionEvent !== 'refund' || data.amount === undefined || data.amount === null) {
+      return transitionEvent;
+    }
+
+    const refundable = transaction.amount - (transaction.refundedAmount || 0);
+    return toMinorUnits(data.amount, transaction.currency) < refundable ? 'partialRefund' : transitionEvent;
+  }
+
+  static async markEvent(record, status, { transactionId = null, error = null } = {}) {
+    return prisma.paymentWebhookEvent.update({
+      where: { id: record.id },
+      data: {
+        status,
+        transactionId,
+        error,
+        processedAt: new Date()
+      }
+    });
+  }
+}
+
+PaymentWebhookService.EVENT_TRANSITIONS = EVENT_TRANSITIONS;
+PaymentWebhookService.SETTLED_STATUSES = SETTLED_STATUSES;
+
+module.exports = PaymentWebhookService;
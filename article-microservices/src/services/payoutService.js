@@ -0,0 +1,352 @@
+// services/payoutService.js
+const prisma = require('../prismaClient');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const FeeService = require('./feeService');
+const { getPaymentProvider } = require('../payments');
+const {
+  ValidationError,
+  NotFoundError,
+  InvalidTransitionError,
+  PaymentError
+} = require('../utils/errors');
+const CurrencyService = require('./currencyService');
+const { DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits, formatMoney } = require('../utils/money');
+const { getPaginationMeta } = require('../utils/helpers');
+
+const DEFAULT_MINIMUM_PAYOUT = 10;
+const PROCESS_BATCH_SIZE = 50;
+
+// Transactions whose money is still held in escrow for the seller
+const PENDING_TRANSACTION_STATUSES = ['PAYMENT_CONFIRMED', 'SHIPPED', 'DISPUTED'];
+
+/**
+ * Payout lifecycle: REQUESTED -> PROCESSING -> PAID or FAILED.
+ * A REQUESTED payout may also fail directly (e.g. cancelled by support).
+ */
+const PAYOUT_TRANSITIONS = {
+  PROCESSING: ['REQUESTED'],
+  PAID: ['PROCESSING'],
+  FAILED: ['REQUESTED', 'PROCESSING']
+};
+
+const NOTIFICATIONS = {
+  REQUESTED: {
+    type: 'PAYOUT_REQUESTED',
+    title: 'Payout Requested',
+    message: (amount) => `Your payout of ${amount} has been requested and will be processed shortly.`
+  },
+  PROCESSING: {
+    type: 'PAYOUT_PROCESSING',
+    title: 'Payout Processing',
+    message: (amount) => `Your payout of ${amount} is being processed.`
+  },
+  PAID: {
+    type: 'PAYOUT_PAID',
+    title: 'Payout Sent!',
+    message: (amount) => `Your payout of ${amount} has been sent to your bank account.`
+  },
+  FAILED: {
+    type: 'PAYOUT_FAILED',
+    title: 'Payout Failed',
+    message: (amount) => `Your payout of ${amount} could not be completed. The funds are back in your available balance.`
+  }
+};
+
+class PayoutService {
+  /**
+   * Smallest payout a seller may request, in minor units (PAYOUT_MINIMUM_AMOUNT
+   * in the rate table's base currency, default $10, converted into currency)
+   */
+  static getMinimumAmount(currency = DEFAULT_CURRENCY) {
+    const minimum = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT);
+    const { base } = CurrencyService.getRates();
+    return CurrencyService.convert(toMinorUnits(isNaN(minimum) ? DEFAULT_MINIMUM_PAYOUT : minimum, base), base, currency);
+  }
+
+  /**
+   * Seller balances in one currency, in major units:
+   *   available - released funds that can be paid out
+   *   pending   - net proceeds still held in escrow for confirmed, shipped or disputed sales
+   *   inPayout  - requested or processing payouts
+   *   paidOut   - payouts already sent
+   */
+  static async getWallet(username, currency = DEFAULT_CURRENCY) {
+    const [available, pendingTransactions, inPayout, paidOut] = await Promise.all([
+      LedgerService.getBalance({
+        type: LedgerService.ACCOUNT_TYPES.SELLER,
+        owner: username,
+        currency
+      }),
+      prisma.transaction.findMany({
+        where: {
+          sellerUsername: username,
+          currency,
+          status: { in: PENDING_TRANSACTION_STATUSES }
+        },
+        select: { amount: true, sellerPayout: true, refundedAmount: true }
+      }),
+      prisma.payout.aggregate({
+        where: {
+          sellerUsername: username,
+          currency,
+          status: { in: ['REQUESTED', 'PROCESSING'] }
+        },
+        _sum: { amount: true }
+      }),
+      prisma.payout.aggregate({
+        where: {
+          sellerUsername: username,
+          currency,
+          status: 'PAID'
+        },
+        _sum: { amount: true }
+      })
+    ]);
+
+    const pending = pendingTransactions.reduce(
+      (sum, transaction) => sum + FeeService.getSellerPayout(transaction),
+      0
+    );
+
+    return {
+      currency,
+      available: fromMinorUnits(available, currency),
+      pending: fromMinorUnits(pending, currency),
+      inPayout: fromMinorUnits(inPayout._sum.amount || 0, currency),
+      paidOut: fromMinorUnits(paidOut._sum.amount || 0, currency),
+      minimumPayout: fromMinorUnits(this.getMinimumAmount(currency), currency)
+    };
+  }
+
+  /**
+   * File a payout request. Without an amount the whole available balance is requested.
+   * The amount is reserved in the ledger straight away so it cannot be requested twice.
+   *
+   * @param {string} username - Seller
+   * @param {object} params - { amount } in major units
+   */
+  static async requestPayout(username, { amount, currency = DEFAULT_CURRENCY } = {}) {
+    let minorAmount;
+
+    if (amount === undefined || amount === null || amount === '') {
+      minorAmount = Number(await LedgerService.getBalance({
+        type: LedgerService.ACCOUNT_TYPES.SELLER,
+        owner: username,
+        currency
+      }));
+    } else {
+      const parsed = parseFloat(amount);
+      if (isNaN(parsed) || parsed <= 0) {
+        throw new ValidationError('Amount must be a valid positive number', { amount: 'Invalid amount' });
+      }
+      minorAmount = toMinorUnits(parsed, currency);
+    }
+
+    const minimum = this.getMinimumAmount(currency);
+    if (minorAmount < minimum) {
+      throw new ValidationError(
+        `Payouts must be at least ${formatMoney(minimum, currency)}`,
+        { amount: `Minimum payout is ${formatMoney(minimum, currency)}` }
+      );
+    }
+
+    const payout = await prisma.$transaction(async (tx) => {
+      const created = await tx.payout.create({
+        data: {
+          sellerUsername: username,
+          amount: minorAmount,
+          currency
+        }
+      });
+
+      // Throws ConflictError (rolling back the payout) if the balance is too low
+      await LedgerService.recordPayoutRequest(tx, created);
+
+      return created;
+    });
+
+    await this.notify(payout);
+    return toResponse(payout);
+  }
+
+  /**
+   * Move a payout to a new status, with its ledger entry, then notify the seller
+   */
+  static async transition(payout, status, { providerReference = null, failureReason = null } = {}) {
+    const allowedFrom = PAYOUT_TRANSITIONS[status];
+
+    if (!allowedFrom) {
+      throw new Error(`Unknown payout status: ${status}`);
+    }
+
+    if (!allowedFrom.includes(payout.status)) {
+      throw new InvalidTransitionError(status, payout.status, allowedFrom);
+    }
+
+    const timestampField = {
+      PROCESSING: 'processingAt',
+      PAID: 'paidAt',
+      FAILED: 'failedAt'
+    }[status];
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.payout.updateMany({
+        where: { id: payout.id, status: payout.status },
+        data: {
+          status,
+          [timestampField]: new Date(),
+          ...(providerReference ? { providerReference } : {}),
+          ...(failureReason ? { failureReason } : {})
+        }
+      });
+
+      if (count === 0) {
+        const current = await tx.payout.findUnique({
+          where: { id: payout.id },
+          select: { status: true }
+        });
+        throw new InvalidTransitionError(status, current ? current.status : 'UNKNOWN', allowedFrom);
+      }
+
+      if (status === 'PAID') {
+        await LedgerService.recordPayoutSettled(tx, payout, { reference: providerReference });
+      } else if (status === 'FAILED') {
+        await LedgerService.recordPayoutReversed(tx, payout);
+      }
+
+      return tx.payout.findUnique({ where: { id: payout.id } });
+    });
+
+    await this.notify(updated);
+    return updated;
+  }
+
+  /**
+   * Send requested payouts through the payment provider. Run by the
+   * process-payouts job.
+   *
+   * @returns {Promise<number>} Number of payouts processed
+   */
+  static async processPayouts() {
+    const payouts = await prisma.payout.findMany({
+      where: { status: 'REQUESTED' },
+      orderBy: { requestedAt: 'asc' },
+      take: PROCESS_BATCH_SIZE
+    });
+
+    let processed = 0;
+
+    for (const payout of payouts) {
+      let processing;
+
+      try {
+        processing = await this.transition(payout, 'PROCESSING');
+      } catch (error) {
+        // Picked up by another instance in the meantime
+        if (error instanceof InvalidTransitionError) continue;
+        throw error;
+      }
+
+      try {
+        const result = await getPaymentProvider().payout(payout.sellerUsername, {
+          amount: fromMinorUnits(payout.amount, payout.currency),
+          currency: payout.currency,
+          payoutId: payout.id.toString()
+        });
+
+        await this.transition(processing, 'PAID', { providerReference: result.reference });
+      } catch (error) {
+        if (!(error instanceof PaymentError)) throw error;
+
+        await this.transition(processing, 'FAILED', { failureReason: error.message });
+      }
+
+      processed++;
+    }
+
+    console.log(`💸 Processed ${processed} payouts`);
+    return processed;
+  }
+
+  /**
+   * List a seller's payouts, newest first
+   */
+  static async listPayouts(username, { page = 1, limit = 20, status } = {}) {
+    const where = {
+      sellerUsername: username,
+      ...(status ? { status } : {})
+    };
+
+    const [payouts, total] = await Promise.all([
+      prisma.payout.findMany({
+        where,
+        orderBy: { requestedAt: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.payout.count({ where })
+    ]);
+
+    return {
+      payouts: payouts.map(toResponse),
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  /**
+   * Get one of a seller's payouts
+   */
+  static async getPayout(id, username) {
+    const payout = await prisma.payout.findFirst({
+      where: {
+        id: BigInt(id),
+        sellerUsername: username
+      }
+    });
+
+    if (!payout) {
+      throw new NotFoundError('Payout not found');
+    }
+
+    return toResponse(payout);
+  }
+
+  static async notify(payout) {
+    const template = NOTIFICATIONS[payout.status];
+
+    try {
+      await NotificationService.createNotification({
+        userId: payout.sellerUsername,
+        type: template.type,
+        title: template.title,
+        message: template.message(formatMoney(payout.amount, payout.currency)),
+        data: {
+          payoutId: payout.id.toString(),
+          amount: fromMinorUnits(payout.amount, payout.currency),
+          currency: payout.currency,
+          status: payout.status,
+          failureReason: payout.failureReason || undefined
+        }
+      });
+    } catch (notificationError) {
+      // Don't fail the payout if a notification fails
+      console.error(`Error sending ${template.type} notification:`, notificationError);
+    }
+  }
+}
+
+/**
+ * Payout as returned by the API, with the amount in major units
+ */
+function toResponse(payout) {
+  return {
+    ...payout,
+    amount: fromMinorUnits(payout.amount, payout.currency),
+    amountMinor: payout.amount
+  };
+}
+
+PayoutService.PAYOUT_TRANSITIONS = PAYOUT_TRANSITIONS;
+
+module.exports = PayoutService;
@@ -0,0 +1,101 @@
+// services/priceRuleService.js
+const { ValidationError } = require('../utils/errors');
+const { toMinorUnits } = require('../utils/money');
+
+/**
+ * Seller price rules on an article, both optional and in minor units of the
+ * article's currency:
+ *
+ *   floorPrice      - offers below it are declined automatically
+ *   autoAcceptPrice - offers at or above it are accepted immediately
+ */
+const OUTCOMES = {
+  DECLINE: 'DECLINE',
+  ACCEPT: 'ACCEPT'
+};
+
+const RULE_FIELDS = ['floorPrice', 'autoAcceptPrice'];
+
+class PriceRuleService {
+  /**
+   * Read the rules given in a request body, in major units of currency.
+   * Fields left out are not returned; an empty value clears the rule.
+   *
+   * @returns {object} { floorPrice, autoAcceptPrice } in minor units or null
+   * @throws {ValidationError} When a rule is not a positive amount
+   */
+  static parseRules(body, currency) {
+    const rules = {};
+
+    for (const field of RULE_FIELDS) {
+      const value = body[field];
+
+      if (value === undefined) continue;
+
+      if (value === null || value === '' || value === 'null') {
+        rules[field] = null;
+        continue;
+      }
+
+      const minor = toMinorUnits(parseFloat(value), currency);
+      if (isNaN(minor) || minor <= 0) {
+        throw new ValidationError('Invalid price rule', {
+          [field]: 'Must be a positive amount, or empty to remove the rule'
+        });
+      }
+
+      rules[field] = minor;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Check the rules an article would end up with against its price
+   * @param {object} article - { price, floorPrice, autoAcceptPrice } in minor units
+   * @throws {ValidationError}
+   */
+  static validate({ price, floorPrice, autoAcceptPrice }) {
+    if (floorPrice && floorPrice > price) {
+      throw new ValidationError('Invalid price rule', {
+        floorPrice: 'Must not be above the article price'
+      });
+    }
+
+    if (floorPrice && autoAcceptPrice && autoAcceptPrice <= floorPrice) {
+      throw new ValidationError('Invalid price rule', {
+        autoAcceptPrice: 'Must be above the floor price'
+      });
+    }
+  }
+
+  /**
+   * What the article's rules say about an offer of amount (minor units)
+   * @returns {string|null} An OUTCOMES value, or null when the seller decides
+   */
+  static evaluate(article, amount) {
+    if (article.floorPrice && amount < article.floorPrice) {
+      return OUTCOMES.DECLINE;
+    }
+
+    if (article.autoAcceptPrice && amount >= article.autoAcceptPrice) {
+      return OUTCOMES.ACCEPT;
+    }
+
+    return null;
+  }
+
+  /**
+   * Article without its rules, for anyone but its owner
+   */
+  static hideRules(article) {
+    const visible = { ...article };
+    RULE_FIELDS.forEach(field => delete visible[field]);
+    return visible;
+  }
+}
+
+PriceRuleService.OUTCOMES = OUTCOMES;
+PriceRuleService.RULE_FIELDS = RULE_FIELDS;
+
+module.exports = PriceRuleService;
@@ -0,0 +1,372 @@
+// services/purchaseService.js
+const prisma = require('../prismaClient');
+const { getPaymentProvider } = require('../payments');
+const { getTaxCalculator } = require('../tax');
+const FeeService = require('./feeService');
+const RiskService = require('./riskService');
+const TransactionStateMachine = require('./transactionStateMachine');
+const OfferNegotiationService = require('./offerNegotiationService');
+const NotificationService = require('./notificationService');
+const CompetingOfferService = require('./competingOfferService');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError
+} = require('../utils/errors');
+const { fromMinorUnits, formatMoney } = require('../utils/money');
+
+const ADDRESS_FIELDS = ['fullName', 'street', 'city', 'postalCode', 'country'];
+
+const transactionInclude = {
+  offer: {
+    include: {
+      article: true
+    }
+  }
+};
+
+/**
+ * Starting a purchase: pricing, risk checks, payment authorization and the
+ * PAYMENT_PENDING transaction, either for an accepted offer or straight from
+ * an article's buy-now price.
+ *
+ * The article is reserved for the buyer in the database transaction that
+ * creates the purchase, so only one buyer can have a purchase in progress.
+ * The state machine releases it when the purchase falls through.
+ */
+class PurchaseService {
+  /**
+   * @throws {ValidationError} When a required address field is missing
+   */
+  static validateShippingAddress(shippingAddress) {
+    for (const field of ADDRESS_FIELDS) {
+      if (!shippingAddress?.[field]?.trim()) {
+        throw new ValidationError(`Shipping address field '${field}' is required`, {
+          [field]: 'Required'
+        });
+      }
+    }
+  }
+
+  /**
+   * What the buyer pays for an item at price (minor units): the item, the
+   * buyer fee and the tax for the shipping destination
+   *
+   * @returns {Promise<object>} { fees, tax, total } with total in minor units
+   */
+  static async quote({ price, category = null, currency, shippingAddress }) {
+    const fees = FeeService.calculateFees({ price, category, currency });
+
+    const tax = await getTaxCalculator().calculate({
+      amount: fees.itemPrice,
+      currency,
+      category,
+      address: shippingAddress
+    });
+
+    return {
+      fees,
+      tax,
+      total: fees.buyerTotal + tax.taxAmount
+    };
+  }
+
+  /**
+   * Risk check the purchase, then reserve the buyer's funds
+   *
+   * @returns {Promise<object>} { risk, held, paymentReference }
+   * @throws {ForbiddenError} When the risk checks block the purchase
+   */
+  static async authorize({ username, orderId, quote, currency }) {
+    const risk = await RiskService.assess({
+      subject: 'TRANSACTION',
+      username,
+      amount: quote.total,
+      currency
+    });
+
+    if (risk.decision === RiskService.DECISIONS.BLOCK) {
+      await RiskService.recordBlock(risk);
+      throw new ForbiddenError('This purchase cannot be completed. Please contact support.');
+    }
+
+    const authorization = await getPaymentProvider().authorize({
+      amount: fromMinorUnits(quote.total, currency),
+      currency,
+      orderId,
+      customer: username
+    });
+
+    return {
+      risk,
+      held: risk.decision === RiskService.DECISIONS.HOLD,
+      paymentReference: authorization.reference
+    };
+  }
+
+  /**
+   * Record the purchase with write(tx) in one database transaction. If it
+   * fails (e.g. another buyer got the article first), the payment
+   * authorization is voided so the buyer's funds are not held for nothing.
+   *
+   * @param {object} authorization - As returned by authorize()
+   * @param {Function} write - async (tx) => transaction
+   */
+  static async recordPurchase(authorization, write) {
+    try {
+      return await prisma.$transaction(write);
+    } catch (error) {
+      await this.voidAuthorization(authorization);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the authorization of a purchase that was not recorded. A failure
+   * is logged; the authorization then lapses with the provider.
+   */
+  static async voidAuthorization({ paymentReference }) {
+    try {
+      await getPaymentProvider().void(paymentReference, { reason: 'Purchase not completed' });
+    } catch (voidError) {
+      console.error(`Error voiding payment authorization ${paymentReference}:`, voidError);
+    }
+  }
+
+  /**
+   * Reserve the article for the buyer inside a database transaction. Only an
+   * unreserved article can be reserved, so even the same buyer cannot start
+   * two purchases of it at once.
+   * @throws {ConflictError} When it is sold or a purchase is in progress
+   */
+  static async reserveArticle(tx, articleId, username) {
+    const { count } = await tx.article.updateMany({
+      where: {
+        id: articleId,
+        boughtBy: null,
+        reservedBy: null
+      },
+      data: {
+        reservedBy: username,
+        reservedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw new ConflictError('This article is no longer available');
+    }
+  }
+
+  /**
+   * Create the PAYMENT_PENDING transaction for an accepted offer
+   *
+   * @param {object} tx - Prisma transaction client
+   * @param {object} purchase - { offer, username, shippingAddress, quote, authorization, buyNow }
+   */
+  static async createTransaction(tx, { offer, username, shippingAddress, quote, authorization, buyNow = false }) {
+    const { fees, tax, total } = quote;
+    const { currency } = offer;
+    const { risk, held, paymentReference } = authorization;
+
+    return tx.transaction.create({
+      data: {
+        offerId: offer.id,
+        articleId: offer.articleId,
+        buyerUsername: username,
+        sellerUsername: offer.seller,
+        amount: total,
+        currency,
+        itemPrice: fees.itemPrice,
+        buyerFee: fees.buyerFee,
+        sellerFee: fees.sellerFee,
+        sellerPayout: fees.sellerPayout,
+        feeBreakdown: fees,
+        taxAmount: tax.taxAmount,
+        taxRate: tax.rate,
+        taxJurisdiction: tax.jurisdiction,
+        taxBreakdown: tax,
+        status: 'PAYMENT_PENDING',
+        paymentReference,
+        shippingAddress: JSON.stringify(shippingAddress),
+        riskHold: held,
+        ...(held ? { riskAssessments: { create: RiskService.toRecord(risk) } } : {}),
+        createdDate: new Date(),
+        updatedDate: new Date(),
+        events: {
+          create: {
+            event: 'initiate',
+            toStatus: 'PAYMENT_PENDING',
+            actor: TransactionStateMachine.ACTORS.BUYER,
+            username,
+            source: TransactionStateMachine.SOURCES.USER,
+            payload: {
+              offerId: offer.id.toString(),
+              amount: fromMinorUnits(total, currency),
+              currency,
+              paymentReference,
+              ...(buyNow ? { buyNow: true } : {})
+            }
+          }
+        }
+      },
+      include: transactionInclude
+    });
+  }
+
+  /**
+   * Buy an article at its buy-now price. The accepted offer, the article
+   * reservation, the transaction and the closing of the other buyers' offers
+   * are written in one database transaction.
+   *
+   * @param {string|bigint} articleId
+   * @param {string} username - Buyer
+   * @param {object} shippingAddress
+   * @returns {Promise<object>} { transaction, quote, held, paymentReference }
+   */
+  static async buyNow(articleId, username, shippingAddress) {
+    this.validateShippingAddress(shippingAddress);
+
+    const article = await prisma.article.findUnique({
+      where: { id: BigInt(articleId) }
+    });
+
+    if (!article) {
+      throw new NotFoundError('Article not found');
+    }
+
+    if (!article.buyNowPrice) {
+      throw new ValidationError('This article has no buy-now price; make an offer instead');
+    }
+
+    if (article.owner === username) {
+      throw new ValidationError('You cannot buy your own article');
+    }
+
+    if (article.reservedBy === username) {
+      throw new ConflictError('You have already started a purchase for this article');
+    }
+
+    if (!article.published || article.boughtBy || article.reservedBy) {
+      throw new ConflictError('This article is no longer available');
+    }
+
+    const { currency } = article;
+    const price = article.buyNowPrice;
+    const quote = await this.quote({ price, category: article.category, currency, shippingAddress });
+    const authorization = await this.authorize({
+      username,
+      orderId: `article-${article.id}`,
+      quote,
+      currency
+    });
+
+    let closed = [];
+
+    const transaction = await this.recordPurchase(authorization, async (tx) => {
+      await this.reserveArticle(tx, article.id, username);
+
+      const promised = await tx.offer.count({
+        where: { articleId: article.id, status: 'ACCEPTED', NOT: { username } }
+      });
+
+      if (promised > 0) {
+        throw new ConflictError('This article has been promised to another buyer');
+      }
+
+      const existing = await tx.offer.findUnique({
+        where: {
+          articleId_username: { articleId: article.id, username }
+        },
+        include: {
+          transactions: {
+            where: OfferNegotiationService.LIVE_TRANSACTION,
+            select: { id: true }
+          }
+        }
+      });
+
+      if (existing?.transactions.length) {
+        throw new ConflictError('You have already started a purchase for this article');
+      }
+
+      const now = new Date();
+      const offerData = {
+        price,
+        currency,
+        proposedBy: 'buyer',
+        agreedPrice: price,
+        status: 'ACCEPTED',
+        expiresAt: OfferNegotiationService.getExpiresAt('ACCEPTED', null, now),
+        updatedDate: now,
+        events: {
+          create: {
+            event: 'buyNow',
+            fromStatus: existing ? existing.status : null,
+            toStatus: 'ACCEPTED',
+            actor: 'buyer',
+            username,
+            price
+          }
+        }
+      };
+
+      const offer = existing
+        ? await tx.offer.update({ where: { id: existing.id }, data: offerData })
+        : await tx.offer.create({
+          data: {
+            ...offerData,
+            articleId: article.id,
+            articleName: article.name,
+            articleCategory: article.category,
+            articleSize: article.size,
+            seller: article.owner,
+            username,
+            mainImage: article.mainImage
+          }
+        });
+
+      closed = await CompetingOfferService.close(tx, offer, CompetingOfferService.REASONS.SOLD);
+
+      return this.createTransaction(tx, {
+        offer,
+        username,
+        shippingAddress,
+        quote,
+        authorization,
+        buyNow: true
+      });
+    });
+
+    await CompetingOfferService.notify(closed);
+
+    try {
+      await NotificationService.createNotification({
+        userId: article.owner,
+        type: 'ARTICLE_SOLD',
+        title: 'Item Bought!',
+        message: `${username} bought your ${article.name} at its buy-now price of ${formatMoney(price, currency)}. You will be told once the payment is confirmed.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          offerId: transaction.offerId.toString(),
+          articleId: article.id.toString(),
+          buyerUsername: username
+        }
+      });
+    } catch (notificationError) {
+      // Don't fail the purchase if a notification fails
+      console.error('Error sending ARTICLE_SOLD notification:', notificationError);
+    }
+
+    return {
+      transaction,
+      quote,
+      held: authorization.held,
+      paymentReference: authorization.paymentReference
+    };
+  }
+}
+
+PurchaseService.ADDRESS_FIELDS = ADDRESS_FIELDS;
+
+module.exports = PurchaseService;
@@ -0,0 +1,260 @@
+// services/receiptService.js
+const PDFDocument = require('pdfkit');
+const prisma = require('../prismaClient');
+const FeeService = require('./feeService');
+const { isAdmin } = require('../middleware/auth');
+const { NotFoundError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits, formatMoney } = require('../utils/money');
+
+const INVOICE_PREFIX = 'INV';
+
+class ReceiptService {
+  /**
+   * Issue the receipt of a completed transaction, inside the database
+   * transaction that completes it. Invoice numbers are sequential per
+   * calendar year (INV-2026-000001) with no gaps: the counter row is
+   * incremented in the same database transaction as the receipt.
+   * Returns the existing receipt if one was already issued.
+   *
+   * @param {object} tx - Prisma transaction client
+   * @param {object} transaction - Transaction with offer and article
+   * @param {object} payment - { releaseReference, releasedAt }
+   */
+  static async issueReceipt(tx, transaction, { releaseReference = null, releasedAt = new Date() } = {}) {
+    const existing = await tx.receipt.findUnique({
+      where: { transactionId: transaction.id }
+    });
+
+    if (existing) return existing;
+
+    const issuedAt = new Date();
+    const year = issuedAt.getUTCFullYear();
+
+    const counter = await tx.invoiceCounter.upsert({
+      where: { year },
+      create: { year, lastNumber: 1 },
+      update: { lastNumber: { increment: 1 } }
+    });
+
+    return tx.receipt.create({
+      data: {
+        transactionId: transaction.id,
+        invoiceNumber: formatInvoiceNumber(year, counter.lastNumber),
+        buyerUsername: transaction.buyerUsername,
+        sellerUsername: transaction.sellerUsername,
+        issuedAt,
+        details: buildDetails(transaction, {
+          releaseReference: releaseReference || transaction.paymentReleaseReference,
+          releasedAt: transaction.paymentReleasedAt || releasedAt
+        })
+      }
+    });
+  }
+
+  /**
+   * Receipt of a transaction, visible to the buyer, the seller and admins.
+   * Transactions completed before receipts existed get one on first request.
+   */
+  static async getReceipt(id, username) {
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        receipt: true,
+        offer: {
+          include: {
+            article: true
+          }
+        }
+      }
+    });
+
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (transaction.buyerUsername !== username && transaction.sellerUsername !== username && !isAdmin(username)) {
+      throw new ForbiddenError('You are not authorized to view this transaction');
+    }
+
+    if (transaction.receipt) {
+      return transaction.receipt;
+    }
+
+    if (transaction.status !== 'COMPLETED') {
+      throw new ConflictError('A receipt is issued once the transaction is completed', {
+        status: transaction.status
+      });
+    }
+
+    return prisma.$transaction(tx => this.issueReceipt(tx, transaction));
+  }
+
+  /**
+   * Render a receipt as a PDF. The returned document has already been ended;
+   * pipe it to the response or any other writable stream.
+   */
+  static renderPdf(receipt) {
+    const details = receipt.details;
+    const money = (amount) => formatMoney(toMinorUnits(amount || 0, details.currency), details.currency);
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.invoiceNumber}` } });
+
+    doc.fontSize(20).text('Receipt', { align: 'right' });
+    doc.fontSize(10)
+      .text(`Invoice number: ${receipt.invoiceNumber}`, { align: 'right' })
+      .text(`Issued: ${formatDate(receipt.issuedAt)}`, { align: 'right' })
+      .text(`Transaction: #${details.transaction.id}`, { align: 'right' });
+
+    doc.moveDown(2);
+    const partiesTop = doc.y;
+
+    doc.fontSize(12).text('Buyer', 50, partiesTop, { underline: true });
+    doc.fontSize(10)
+      .text(details.buyer.name || details.buyer.username)
+      .text(`@${details.buyer.username}`);
+    for (const line of details.buyer.address) {
+      doc.text(line);
+    }
+
+    doc.fontSize(12).text('Seller', 320, partiesTop, { underline: true });
+    doc.fontSize(10).text(`@${details.seller.username}`, 320);
+
+    doc.moveDown(4);
+    doc.x = 50;
+
+    doc.fontSize(12).text('Article', { underline: true });
+    doc.fontSize(10)
+      .text(details.article.name)
+      .text([details.article.brand, details.article.category, details.article.size, details.article.state]
+        .filter(Boolean)
+        .join(' · '));
+
+    doc.moveDown();
+    doc.fontSize(12).text('Amounts', { underline: true });
+    doc.fontSize(10);
+
+    const rows = [
+      ['Item price', money(details.amounts.itemPrice)],
+      ['Buyer fee', money(details.amounts.buyerFee)]
+    ];
+
+    // Receipts issued before tax was computed have no tax block
+    if (details.tax) {
+      rows.push([
+        details.tax.exempt
+          ? `Tax (${details.tax.jurisdiction || 'n/a'}, exempt)`
+          : `Tax (${details.tax.jurisdiction || 'n/a'} ${details.tax.rate}%)`,
+        money(details.amounts.tax)
+      ]);
+    }
+
+    rows.push(['Total paid by the buyer', money(details.amounts.total)]);
+
+    if (details.amounts.refunded > 0) {
+      rows.push(['Refunded to the buyer', `-${money(details.amounts.refunded)}`]);
+    }
+
+    rows.push(
+      ['Seller fee', money(details.amounts.sellerFee)],
+      ['Released to the seller', money(details.amounts.sellerPayout)]
+    );
+
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.text(label, 50, y);
+      doc.text(value, 350, y, { width: 195, align: 'right' });
+    }
+
+    doc.moveDown();
+    doc.x = 50;
+    doc.fontSize(12).text('Payment', { underline: true });
+    doc.fontSize(10)
+      .text(`Payment reference: ${details.payment.reference || 'n/a'}`)
+      .text(`Paid: ${formatDate(details.payment.confirmedAt)}`)
+      .text(`Release reference: ${details.payment.releaseReference || 'n/a'}`)
+      .text(`Released: ${formatDate(details.payment.releasedAt)}`);
+
+    doc.end();
+    return doc;
+  }
+}
+
+function formatInvoiceNumber(year, sequence) {
+  return `${INVOICE_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : 'n/a';
+}
+
+function parseAddress(shippingAddress) {
+  try {
+    return JSON.parse(shippingAddress) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Snapshot of everything printed on the receipt, so later changes to the
+ * article or the transaction do not alter an issued receipt. Amounts are
+ * major units of the transaction's currency.
+ */
+function buildDetails(transaction, { releaseReference, releasedAt }) {
+  const address = parseAddress(transaction.shippingAddress);
+  const article = transaction.offer.article || {};
+  const { currency } = transaction;
+  const major = (amount) => fromMinorUnits(amount || 0, currency);
+
+  return {
+    currency,
+    transaction: {
+      id: transaction.id.toString(),
+      createdAt: transaction.createdDate,
+      deliveryConfirmedAt: transaction.deliveryConfirmedAt || null
+    },
+    buyer: {
+      username: transaction.buyerUsername,
+      name: address.fullName || null,
+      address: [
+        address.street,
+        [address.postalCode, address.city].filter(Boolean).join(' '),
+        address.country
+      ].filter(Boolean)
+    },
+    seller: {
+      username: transaction.sellerUsername
+    },
+    article: {
+      id: transaction.articleId.toString(),
+      name: transaction.offer.articleName,
+      category: article.category || transaction.offer.articleCategory || null,
+      brand: article.brand || null,
+      size: transaction.offer.articleSize || null,
+      state: article.state || null
+    },
+    amounts: {
+      itemPrice: major(transaction.itemPrice ?? transaction.amount),
+      buyerFee: major(transaction.buyerFee),
+      tax: major(transaction.taxAmount),
+      total: major(transaction.amount),
+      refunded: major(transaction.refundedAmount),
+      sellerFee: major(transaction.sellerFee),
+      sellerPayout: major(FeeService.getSellerPayout(transaction))
+    },
+    tax: {
+      jurisdiction: transaction.taxJurisdiction || null,
+      rate: transaction.taxRate || 0,
+      exempt: Boolean(transaction.taxBreakdown?.exempt)
+    },
+    payment: {
+      reference: transaction.paymentReference,
+      confirmedAt: transaction.paymentConfirmedAt || null,
+      releaseReference,
+      releasedAt
+    }
+  };
+}
+
+ReceiptService.formatInvoiceNumber = formatInvoiceNumber;
+
+module.exports = ReceiptService;
@@ -0,0 +1,351 @@
+// services/returnService.js
+const prisma = require('../prismaClient');
+const TransactionStateMachine = require('./transactionStateMachine');
+const NotificationService = require('./notificationService');
+const { isAdmin } = require('../middleware/auth');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError
+} = require('../utils/errors');
+
+const DEFAULT_RETURN_WINDOW_DAYS = 14;
+const REASONS = ['NOT_AS_DESCRIBED', 'DAMAGED_ITEM', 'WRONG_SIZE', 'CHANGED_MIND', 'OTHER'];
+
+/**
+ * Return lifecycle:
+ *
+ *   REQUESTED -> APPROVED -> SHIPPED -> RECEIVED -> REFUNDED
+ *            \-> DECLINED
+ *
+ * The buyer requests and ships the return; the seller approves or declines
+ * it and confirms receipt, which refunds the buyer in full.
+ */
+const RETURN_TRANSITIONS = {
+  APPROVED: { from: ['REQUESTED'], actor: 'seller', timestamp: 'approvedAt' },
+  DECLINED: { from: ['REQUESTED'], actor: 'seller', timestamp: 'declinedAt' },
+  SHIPPED: { from: ['APPROVED'], actor: 'buyer', timestamp: 'shippedAt' },
+  RECEIVED: { from: ['SHIPPED'], actor: 'seller', timestamp: 'receivedAt' },
+  REFUNDED: { from: ['RECEIVED'], actor: 'seller', timestamp: 'refundedAt' }
+};
+
+// Refunds are announced by the transaction's own PAYMENT_REFUNDED notifications
+const NOTIFICATIONS = {
+  REQUESTED: {
+    recipient: 'seller',
+    type: 'RETURN_REQUESTED',
+    title: 'Return Requested',
+    message: (ret, articleName) => `The buyer of "${articleName}" has requested a return. Reason: ${ret.reason}`
+  },
+  APPROVED: {
+    recipient: 'buyer',
+    type: 'RETURN_APPROVED',
+    title: 'Return Approved',
+    message: (ret, articleName) => `Your return of "${articleName}" has been approved. Please ship the item back and add the tracking number.`
+  },
+  DECLINED: {
+    recipient: 'buyer',
+    type: 'RETURN_DECLINED',
+    title: 'Return Declined',
+    message: (ret, articleName) => `Your return of "${articleName}" has been declined.${ret.declineReason ? ` Reason: ${ret.declineReason}` : ''}`
+  },
+  SHIPPED: {
+    recipient: 'seller',
+    type: 'RETURN_SHIPPED',
+    title: 'Return Shipped',
+    message: (ret, articleName) => `The buyer has shipped "${articleName}" back with ${ret.carrier}. Tracking: ${ret.trackingNumber}`
+  },
+  RECEIVED: {
+    recipient: 'buyer',
+    type: 'RETURN_RECEIVED',
+    title: 'Return Received',
+    message: (ret, articleName) => `The seller has received your return of "${articleName}". Your refund is on its way.`
+  }
+};
+
+const transactionInclude = {
+  offer: {
+    include: {
+      article: true
+    }
+  }
+};
+
+class ReturnService {
+  /**
+   * Days after delivery confirmation during which a return may be requested
+   * (RETURN_WINDOW_DAYS, default 14)
+   */
+  static getReturnWindowDays() {
+    const days = parseInt(process.env.RETURN_WINDOW_DAYS);
+    return isNaN(days) || days < 0 ? DEFAULT_RETURN_WINDOW_DAYS : days;
+  }
+
+  /**
+   * Last moment a return may be requested, or null when the item was never delivered
+   */
+  static getReturnDeadline(transaction) {
+    if (!transaction.deliveryConfirmedAt) return null;
+
+    const deadline = new Date(transaction.deliveryConfirmedAt);
+    deadline.setDate(deadline.getDate() + this.getReturnWindowDays());
+    return deadline;
+  }
+
+  /**
+   * Buyer requests a return of a completed transaction within the return window
+   *
+   * @param {string|bigint} id - Transaction ID
+   * @param {string} username - Buyer
+   * @param {object} params - { reason, description }
+   */
+  static async requestReturn(id, username, { reason, description } = {}) {
+    if (!REASONS.includes(reason)) {
+      throw new ValidationError('Invalid return reason', {
+        reason: `Must be one of ${REASONS.join(', ')}`
+      });
+    }
+
+    if (description && description.length > 1000) {
+      throw new ValidationError('Description is too long', {
+        description: 'Must be at most 1000 characters'
+      });
+    }
+
+    const transaction = await findTransaction(id);
+
+    if (transaction.buyerUsername !== username) {
+      throw new ForbiddenError('Only the buyer can request a return');
+    }
+
+    if (transaction.status !== 'COMPLETED' || !transaction.deliveryConfirmedAt) {
+      throw new InvalidTransitionError('requestReturn', transaction.status, ['COMPLETED']);
+    }
+
+    const deadline = this.getReturnDeadline(transaction);
+    if (new Date() > deadline) {
+      throw new ConflictError('The return window for this transaction has closed', {
+        returnDeadline: deadline
+      });
+    }
+
+    const existing = await prisma.returnRequest.findUnique({
+      where: { transactionId: transaction.id }
+    });
+
+    if (existing) {
+      throw new ConflictError('A return has already been requested for this transaction', {
+        status: existing.status
+      });
+    }
+
+    const created = await prisma.returnRequest.create({
+      data: {
+        transactionId: transaction.id,
+        buyerUsername: transaction.buyerUsername,
+        sellerUsername: transaction.sellerUsername,
+        reason,
+        description: description || null
+      }
+    });
+
+    await this.notify(created, transaction);
+    return created;
+  }
+
+  /**
+   * Return of a transaction, visible to the buyer, the seller and admins
+   */
+  static async getReturn(id, username) {
+    const transaction = await findTransaction(id);
+
+    if (!TransactionStateMachine.getActor(transaction, username) && !isAdmin(username)) {
+      throw new ForbiddenError('You are not authorized to view this transaction');
+    }
+
+    const ret = await prisma.returnRequest.findUnique({
+      where: { transactionId: transaction.id }
+    });
+
+    if (!ret) {
+      throw new NotFoundError('No return has been requested for this transaction');
+    }
+
+    return {
+      ...ret,
+      returnDeadline: this.getReturnDeadline(transaction)
+    };
+  }
+
+  static async approveReturn(id, username) {
+    return this.transition(id, username, 'APPROVED');
+  }
+
+  static async declineReturn(id, username, { reason } = {}) {
+    if (reason && reason.length > 1000) {
+      throw new ValidationError('Reason is too long', {
+        reason: 'Must be at most 1000 characters'
+      });
+    }
+
+    return this.transition(id, username, 'DECLINED', {
+      declineReason: reason || null
+    });
+  }
+
+  static async shipReturn(id, username, { carrier, trackingNumber } = {}) {
+    if (!carrier || !trackingNumber) {
+      throw new ValidationError('Carrier and tracking number are required', {
+        ...(carrier ? {} : { carrier: 'Required' }),
+        ...(trackingNumber ? {} : { trackingNumber: 'Required' })
+      });
+    }
+
+    return this.transition(id, username, 'SHIPPED', {
+      carrier,
+      trackingNumber
+    });
+  }
+
+  /**
+   * Seller confirms the returned item arrived; the buyer is then refunded in
+   * full. If the payment provider declines the refund the return stays
+   * RECEIVED and calling this again retries the refund.
+   */
+  static async confirmReceipt(id, username) {
+    const transaction = await findTransaction(id);
+    let ret = await prisma.returnRequest.findUnique({
+      where: { transactionId: transaction.id }
+    });
+
+    if (!ret) {
+      throw new NotFoundError('No return has been requested for this transaction');
+    }
+
+    if (ret.status === 'SHIPPED') {
+      ret = await this.transition(transaction, username, 'RECEIVED');
+    }
+
+    assertAllowed(ret, transaction, username, 'REFUNDED');
+
+    // Already refunded when an earlier attempt failed after the refund went through
+    if (transaction.status !== 'REFUNDED') {
+      await TransactionStateMachine.transition(transaction, 'refund', {
+        actor: TransactionStateMachine.ACTORS.SELLER,
+        username,
+        payload: { reason: `Return received (${ret.reason})` }
+      });
+    }
+
+    return this.transition(transaction, username, 'REFUNDED');
+  }
+
+  /**
+   * Move a return to a new status with a compare-and-set on its current
+   * status, then notify the other party
+   *
+   * @param {object|string|bigint} transactionOrId - Transaction (with offer) or its ID
+   * @param {string} username - User making the change
+   * @param {string} status - Key of RETURN_TRANSITIONS
+   * @param {object} data - Extra fields to write
+   */
+  static async transition(transactionOrId, username, status, data = {}) {
+    const transaction = typeof transactionOrId === 'object'
+      ? transactionOrId
+      : await findTransaction(transactionOrId);
+
+    const ret = await prisma.returnRequest.findUnique({
+      where: { transactionId: transaction.id }
+    });
+
+    if (!ret) {
+      throw new NotFoundError('No return has been requested for this transaction');
+    }
+
+    const { from, timestamp } = assertAllowed(ret, transaction, username, status);
+
+    const { count } = await prisma.returnRequest.updateMany({
+      where: { id: ret.id, status: ret.status },
+      data: {
+        status,
+        [timestamp]: new Date(),
+        ...data
+      }
+    });
+
+    if (count === 0) {
+      const current = await prisma.returnRequest.findUnique({
+        where: { id: ret.id },
+        select: { status: true }
+      });
+      throw new InvalidTransitionError(status, current ? current.status : 'UNKNOWN', from);
+    }
+
+    const updated = await prisma.returnRequest.findUnique({ where: { id: ret.id } });
+
+    await this.notify(updated, transaction);
+    return updated;
+  }
+
+  static async notify(ret, transaction) {
+    const template = NOTIFICATIONS[ret.status];
+    if (!template) return;
+
+    try {
+      await NotificationService.createNotification({
+        userId: template.recipient === 'buyer' ? ret.buyerUsername : ret.sellerUsername,
+        type: template.type,
+        title: template.title,
+        message: template.message(ret, transaction.offer.articleName),
+        data: {
+          transactionId: transaction.id.toString(),
+          returnId: ret.id.toString(),
+          status: ret.status,
+          carrier: ret.carrier || undefined,
+          trackingNumber: ret.trackingNumber || undefined
+        }
+      });
+    } catch (notificationError) {
+      // Don't fail the return if a notification fails
+      console.error(`Error sending ${template.type} notification:`, notificationError);
+    }
+  }
+}
+
+async function findTransaction(id) {
+  const transaction = await prisma.transaction.findUnique({
+    where: { id: BigInt(id) },
+    include: transactionInclude
+  });
+
+  if (!transaction) {
+    throw new NotFoundError('Transaction not found');
+  }
+
+  return transaction;
+}
+
+/**
+ * Check the user is the party who may move the return to status and that
+ * its current status allows it
+ */
+function assertAllowed(ret, transaction, username, status) {
+  const definition = RETURN_TRANSITIONS[status];
+
+  if (TransactionStateMachine.getActor(transaction, username) !== definition.actor) {
+    throw new ForbiddenError(`Only the ${definition.actor} can do this`);
+  }
+
+  if (!definition.from.includes(ret.status)) {
+    throw new InvalidTransitionError(status, ret.status, definition.from);
+  }
+
+  return definition;
+}
+
+ReturnService.REASONS = REASONS;
+ReturnService.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
+
+module.exports = ReturnService;
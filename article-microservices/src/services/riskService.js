@@ -0,0 +1,430 @@
+// services/riskService.js
+const prisma = require('../prismaClient');
+const TransactionService = require('./transactionService');
+const TransactionStateMachine = require('./transactionStateMachine');
+const NotificationService = require('./notificationService');
+const CurrencyService = require('./currencyService');
+const { getUserDirectory } = require('../users');
+const { sendToSeller } = require('../SSE/sseManager');
+const { ConflictError, InvalidTransitionError, NotFoundError } = require('../utils/errors');
+const { serializeBigInt, getPaginationMeta } = require('../utils/helpers');
+const { DEFAULT_CURRENCY, fromMinorUnits, formatMoney } = require('../utils/money');
+
+const SUBJECTS = ['OFFER', 'TRANSACTION'];
+const DECISIONS = {
+  ALLOW: 'ALLOW',
+  HOLD: 'HOLD',
+  BLOCK: 'BLOCK'
+};
+
+/**
+ * Risk rules for offers and purchases.
+ *
+ * Every rule that fires adds its score; the total is compared with the
+ * thresholds: below hold the request goes through, from hold it waits in the
+ * admin review queue, from block it is refused.
+ *
+ *   velocity   - more than maxTransactions purchases/sales or maxOffers offers
+ *                in the last windowHours
+ *   disputes   - more than max disputes opened on the user's transactions
+ *                in the last windowDays
+ *   accountAge - account younger than minDays in the user service
+ *   highValue  - this request is worth at least amount; repeatScore when the
+ *                user already had more than maxPerWindow such transactions
+ *
+ * Override with the RISK_RULES environment variable (JSON, same shape; each
+ * section is merged with its defaults), e.g.
+ *   RISK_RULES='{"highValue":{"amount":500},"thresholds":{"hold":30}}'
+ */
+const DEFAULT_RISK_RULES = {
+  velocity: { windowHours: 24, maxTransactions: 20, maxOffers: 30, score: 30 },
+  disputes: { windowDays: 90, max: 3, score: 40 },
+  accountAge: { minDays: 7, score: 25 },
+  highValue: { amount: 1000, score: 20, maxPerWindow: 5, repeatScore: 30 },
+  thresholds: { hold: 40, block: 80 }
+};
+
+let cachedRules = null;
+let cachedSource = null;
+
+const offerInclude = {
+  article: {
+    select: {
+      name: true,
+      category: true,
+      size: true,
+      mainImage: true,
+      owner: true
+    }
+  }
+};
+
+class RiskService {
+  /**
+   * Current risk rules (RISK_RULES env, falling back to the defaults)
+   */
+  static getRules() {
+    const source = process.env.RISK_RULES || null;
+
+    if (cachedRules && cachedSource === source) {
+      return cachedRules;
+    }
+
+    let rules = DEFAULT_RISK_RULES;
+
+    if (source) {
+      try {
+        const parsed = JSON.parse(source);
+        rules = Object.fromEntries(Object.entries(DEFAULT_RISK_RULES).map(
+          ([section, defaults]) => [section, { ...defaults, ...parsed[section] }]
+        ));
+      } catch (error) {
+        console.error('Invalid RISK_RULES, using default risk rules:', error.message);
+      }
+    }
+
+    cachedRules = rules;
+    cachedSource = source;
+    return rules;
+  }
+
+  /**
+   * Score an offer or a purchase before it is created. Rule amounts are in
+   * the exchange rate table's base currency; so is the assessed amount.
+   *
+   * @param {object} params - { subject: OFFER | TRANSACTION, username, amount (minor units), currency }
+   * @returns {Promise<object>} { subject, username, amount, score, decision, flags, metrics }
+   */
+  static async assess({ subject, username, amount: amountMinor, currency = DEFAULT_CURRENCY }, rules = this.getRules()) {
+    const { velocity, disputes, accountAge, highValue, thresholds } = rules;
+    const { base } = CurrencyService.getRates();
+    const amount = fromMinorUnits(CurrencyService.convert(amountMinor, currency, base), base);
+    const since = new Date(Date.now() - velocity.windowHours * 60 * 60 * 1000);
+
+    const [activity, recentOffers, account] = await Promise.all([
+      TransactionService.detectSuspiciousActivity(username, {
+        windowHours: velocity.windowHours,
+        maxTransactions: velocity.maxTransactions,
+        disputeWindowDays: disputes.windowDays,
+        maxDisputes: disputes.max,
+        highValueAmount: highValue.amount,
+        maxHighValue: highValue.maxPerWindow
+      }),
+      prisma.offer.count({
+        where: {
+          username,
+          createdDate: { gte: since }
+        }
+      }),
+      getUserDirectory().getAccount(username)
+    ]);
+
+    const ruleScores = {
+      HIGH_TRANSACTION_VOLUME: velocity.score,
+      HIGH_DISPUTE_RATE: disputes.score,
+      HIGH_VALUE_TRANSACTIONS: highValue.repeatScore
+    };
+    const flags = activity.flags.map(code => ({ code, score: ruleScores[code] }));
+
+    if (recentOffers > velocity.maxOffers) {
+      flags.push({ code: 'HIGH_OFFER_VOLUME', score: velocity.score });
+    }
+
+    const accountAgeDays = account
+      ? Math.floor((Date.now() - account.createdAt.getTime()) / (24 * 60 * 60 * 1000))
+      : null;
+
+    if (accountAgeDays !== null && accountAgeDays < accountAge.minDays) {
+      flags.push({ code: 'NEW_ACCOUNT', score: accountAge.score });
+    }
+
+    if (amount >= highValue.amount) {
+      flags.push({ code: 'HIGH_VALUE', score: highValue.score });
+    }
+
+    const score = flags.reduce((total, flag) => total + flag.score, 0);
+    let decision = DECISIONS.ALLOW;
+
+    if (score >= thresholds.block) {
+      decision = DECISIONS.BLOCK;
+    } else if (score >= thresholds.hold) {
+      decision = DECISIONS.HOLD;
+    }
+
+    return {
+      subject,
+      username,
+      amount,
+      score,
+      decision,
+      flags,
+      metrics: {
+        ...activity.metrics,
+        recentOffers,
+        accountAgeDays
+      }
+    };
+  }
+
+  /**
+   * Data for a RiskAssessment row; held assessments start the review
+   */
+  static toRecord(assessment) {
+    return {
+      subject: assessment.subject,
+      username: assessment.username,
+      amount: assessment.amount,
+      score: assessment.score,
+      decision: assessment.decision,
+      flags: assessment.flags,
+      metrics: assessment.metrics,
+      reviewStatus: assessment.decision === DECISIONS.HOLD ? 'PENDING' : null
+    };
+  }
+
+  /**
+   * Keep a record of a blocked request; nothing else is created for it
+   */
+  static async recordBlock(assessment) {
+    try {
+      await prisma.riskAssessment.create({
+        data: this.toRecord(assessment)
+      });
+    } catch (error) {
+      // The request is refused either way
+      console.error('Error recording blocked request:', error);
+    }
+  }
+
+  /**
+   * Review queue for admins. Pending reviews come oldest first; reviewed and
+   * blocked ones newest first.
+   *
+   * @param {object} params - { page, limit, state: 'pending' | 'reviewed' | 'blocked', subject }
+   */
+  static async listReviews({ page = 1, limit = 20, state = 'pending', subject } = {}) {
+    const where = {
+      pending: { reviewStatus: 'PENDING' },
+      reviewed: { reviewStatus: { in: ['APPROVED', 'REJECTED'] } },
+      blocked: { decision: DECISIONS.BLOCK }
+    }[state] || { reviewStatus: 'PENDING' };
+
+    if (subject && SUBJECTS.includes(subject.toUpperCase())) {
+      where.subject = subject.toUpperCase();
+    }
+
+    const [reviews, total] = await Promise.all([
+      prisma.riskAssessment.findMany({
+        where,
+        include: {
+          offer: true,
+          transaction: {
+            select: { id: true, status: true, amount: true, currency: true, sellerUsername: true, articleId: true }
+          }
+        },
+        orderBy: { createdAt: state === 'pending' ? 'asc' : 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.riskAssessment.count({ where })
+    ]);
+
+    return {
+      reviews,
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  /**
+   * Release a held offer to the seller, or let a held purchase go on to
+   * payment capture. The review is claimed before the offer or purchase is
+   * touched, so two admins cannot both decide it.
+   */
+  static async approve(id, username, note = null) {
+    const review = await this.getPendingReview(id);
+    const closed = await this.closeReview(review, 'APPROVED', username, note);
+
+    if (review.subject === 'OFFER') {
+      // Required here to avoid a circular dependency
+      const OfferNegotiationService = require('./offerNegotiationService');
+
+      // The seller's time to answer starts once they can see the offer
+      const { count } = await this.applyOfferDecision(review, closed, {
+        status: 'PENDING',
+        expiresAt: OfferNegotiationService.getExpiresAt('PENDING'),
+        updatedDate: new Date()
+      });
+
+      // The buyer may have cancelled the offer in the meantime
+      if (count > 0) {
+        await this.notifyOfferReleased(review.offerId);
+      }
+
+      return closed;
+    }
+
+    const released = await this.applyTransactionDecision(review, closed, 'approveRisk', username, note);
+
+    if (released) {
+      TransactionService.capturePayment(review.transactionId).catch(error => {
+        console.error('Error confirming payment:', error);
+      });
+    }
+
+    return closed;
+  }
+
+  /**
+   * Decline a held offer or cancel a held purchase; the buyer is told
+   */
+  static async reject(id, username, note = null) {
+    const review = await this.getPendingReview(id);
+    const closed = await this.closeReview(review, 'REJECTED', username, note);
+
+    if (review.subject === 'OFFER') {
+      const { count } = await this.applyOfferDecision(review, closed, {
+        status: 'DENIED',
+        updatedDate: new Date()
+      });
+
+      if (count > 0) {
+        const offer = await prisma.offer.findUnique({ where: { id: review.offerId } });
+        await NotificationService.createOfferNotification(
+          offer,
+          'OFFER_DENIED',
+          `Your offer of ${formatMoney(offer.price, offer.currency)} for ${offer.articleName} could not be accepted`
+        );
+      }
+
+      return closed;
+    }
+
+    await this.applyTransactionDecision(review, closed, 'rejectRisk', username, note);
+    return closed;
+  }
+
+  static async getPendingReview(id) {
+    const review = await prisma.riskAssessment.findUnique({
+      where: { id: BigInt(id) }
+    });
+
+    if (!review) {
+      throw new NotFoundError('Risk review not found');
+    }
+
+    if (review.reviewStatus !== 'PENDING') {
+      throw new ConflictError('This request is not waiting for review', {
+        decision: review.decision,
+        reviewStatus: review.reviewStatus
+      });
+    }
+
+    return review;
+  }
+
+  /**
+   * Move the held offer out of HELD for a claimed review. Reopens the review
+   * if the write fails, so it can be decided again.
+   */
+  static async applyOfferDecision(review, closed, data) {
+    try {
+      return await prisma.offer.updateMany({
+        where: { id: review.offerId, status: 'HELD' },
+        data
+      });
+    } catch (error) {
+      await this.reopenReview(closed);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the decision of a claimed review to the held transaction. Returns
+   * false when the transaction left PAYMENT_PENDING in the meantime (e.g. the
+   * buyer cancelled). Reopens the review on any other failure.
+   */
+  static async applyTransactionDecision(review, closed, event, username, note) {
+    try {
+      await TransactionStateMachine.transition(review.transactionId, event, {
+        actor: TransactionStateMachine.ACTORS.ADMIN,
+        username,
+        payload: { riskAssessmentId: review.id.toString(), note }
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return false;
+      }
+      await this.reopenReview(closed);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the review by recording the decision. Compare-and-set on PENDING
+   * so two admins cannot both decide the same review.
+   */
+  static async closeReview(review, reviewStatus, username, note) {
+    const { count } = await prisma.riskAssessment.updateMany({
+      where: { id: review.id, reviewStatus: 'PENDING' },
+      data: {
+        reviewStatus,
+        reviewedBy: username,
+        reviewedAt: new Date(),
+        reviewNote: note
+      }
+    });
+
+    if (count === 0) {
+      throw new ConflictError('This request has already been reviewed');
+    }
+
+    return prisma.riskAssessment.findUnique({
+      where: { id: review.id }
+    });
+  }
+
+  /**
+   * Put a claimed review back in the queue when its decision could not be
+   * applied. Only the claim made by closeReview is undone.
+   */
+  static async reopenReview(closed) {
+    await prisma.riskAssessment.updateMany({
+      where: {
+        id: closed.id,
+        reviewStatus: closed.reviewStatus,
+        reviewedAt: closed.reviewedAt
+      },
+      data: {
+        reviewStatus: 'PENDING',
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNote: null
+      }
+    });
+  }
+
+  static async notifyOfferReleased(offerId) {
+    try {
+      const offer = await prisma.offer.findUnique({
+        where: { id: offerId },
+        include: offerInclude
+      });
+
+      sendToSeller(offer.seller, {
+        type: 'NEW_OFFER',
+        payload: serializeBigInt(CurrencyService.present(offer))
+      });
+
+      await NotificationService.createOfferNotification(offer, 'NEW_OFFER');
+    } catch (notificationError) {
+      // Don't fail the review if a notification fails
+      console.error('Error sending notification for approved offer:', notificationError);
+    }
+  }
+}
+
+RiskService.DECISIONS = DECISIONS;
+RiskService.DEFAULT_RISK_RULES = DEFAULT_RISK_RULES;
+
+module.exports = RiskService;
@@ -0,0 +1,243 @@
+// services/trackingService.js
+const prisma = require('../prismaClient');
+const NotificationService = require('./notificationService');
+const TransactionStateMachine = require('./transactionStateMachine');
+const { getCarrier, listCarriers, listTrackedCarriers } = require('../shipping');
+const { isAdmin } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../utils/errors');
+
+const DEFAULT_CONFIRMATION_DAYS = 3;
+const UNTRACKED_AUTO_COMPLETE_DAYS = 7;
+const POLL_BATCH_SIZE = 100;
+
+class TrackingService {
+  /**
+   * Days the buyer has to confirm delivery once the carrier reports it
+   * (DELIVERY_CONFIRMATION_DAYS, default 3)
+   */
+  static getConfirmationDays() {
+    const days = parseFloat(process.env.DELIVERY_CONFIRMATION_DAYS);
+    return isNaN(days) || days < 0 ? DEFAULT_CONFIRMATION_DAYS : days;
+  }
+
+  /**
+   * When a shipped transaction is auto-completed: DELIVERY_CONFIRMATION_DAYS
+   * after the carrier reported delivery, or 7 days after shipping when the
+   * carrier has not reported it
+   */
+  static getAutoCompleteAt(transaction) {
+    if (transaction.deliveredAt) {
+      return new Date(new Date(transaction.deliveredAt).getTime() + this.getConfirmationDays() * 24 * 60 * 60 * 1000);
+    }
+
+    if (transaction.shippedAt) {
+      return new Date(new Date(transaction.shippedAt).getTime() + UNTRACKED_AUTO_COMPLETE_DAYS * 24 * 60 * 60 * 1000);
+    }
+
+    return null;
+  }
+
+  /**
+   * Filter for shipped transactions whose buyer confirmation time is up
+   */
+  static getAutoCompleteWhere(now = new Date()) {
+    const day = 24 * 60 * 60 * 1000;
+
+    return {
+      status: 'SHIPPED',
+      OR: [
+        { deliveredAt: { lt: new Date(now.getTime() - this.getConfirmationDays() * day) } },
+        {
+          deliveredAt: null,
+          shippedAt: { lt: new Date(now.getTime() - UNTRACKED_AUTO_COMPLETE_DAYS * day) }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Check the carrier is supported and the tracking number matches its format
+   *
+   * @returns {{ carrier: string, trackingNumber: string }} Normalized values to store
+   */
+  static validateShipment({ carrier, trackingNumber } = {}) {
+    const adapter = getCarrier(carrier);
+
+    if (!adapter) {
+      throw new ValidationError('Unsupported carrier', {
+        carrier: `Must be one of ${listCarriers().join(', ')}`
+      });
+    }
+
+    if (!adapter.isValidTrackingNumber(trackingNumber)) {
+      throw new ValidationError(`Invalid ${adapter.name} tracking number`, {
+        trackingNumber: adapter.example
+          ? `Does not match the ${adapter.name} format, e.g. ${adapter.example}`
+          : `Does not match the ${adapter.name} format`
+      });
+    }
+
+    return {
+      carrier: adapter.code,
+      trackingNumber: adapter.normalizeTrackingNumber(trackingNumber)
+    };
+  }
+
+  /**
+   * Fetch new carrier events for a shipped transaction and store them. The
+   * first DELIVERED event sets deliveredAt, which starts the buyer
+   * confirmation countdown, and tells the buyer.
+   *
+   * @returns {Promise<number>} Number of new events stored
+   */
+  static async refreshTracking(transaction) {
+    const carrier = getCarrier(transaction.carrier);
+
+    // Shipped before carriers were validated, with a free-text carrier, or
+    // with a carrier we cannot track yet
+    if (!carrier || !carrier.tracksShipments || !transaction.trackingNumber) return 0;
+
+    const events = await carrier.getTrackingEvents(transaction.trackingNumber, {
+      shippedAt: transaction.shippedAt
+    });
+
+    const { count } = events.length
+      ? await prisma.trackingEvent.createMany({
+        data: events.map(event => ({
+          transactionId: transaction.id,
+          carrier: carrier.code,
+          trackingNumber: transaction.trackingNumber,
+          eventId: event.eventId,
+          status: event.status,
+          description: event.description || null,
+          location: event.location || null,
+          occurredAt: event.occurredAt
+        })),
+        skipDuplicates: true
+      })
+      : { count: 0 };
+
+    const delivered = events.find(event => event.status === 'DELIVERED');
+    let newlyDelivered = false;
+
+    if (delivered && !transaction.deliveredAt) {
+      const { count: marked } = await prisma.transaction.updateMany({
+        where: { id: transaction.id, status: 'SHIPPED', deliveredAt: null },
+        data: { deliveredAt: delivered.occurredAt, trackingCheckedAt: new Date() }
+      });
+      newlyDelivered = marked > 0;
+    } else {
+      await prisma.transaction.update({
+        where: { id: transaction.id },
+        data: { trackingCheckedAt: new Date() }
+      });
+    }
+
+    if (newlyDelivered) {
+      await this.notifyDelivered({ ...transaction, deliveredAt: delivered.occurredAt });
+    }
+
+    return count;
+  }
+
+  /**
+   * Poll the carrier of every shipped transaction not yet delivered, for
+   * carriers that report tracking events. Run by the poll-shipment-tracking job.
+   *
+   * @returns {Promise<number>} Number of shipments with new events
+   */
+  static async pollShipments() {
+    const shipments = await prisma.transaction.findMany({
+      where: {
+        status: 'SHIPPED',
+        deliveredAt: null,
+        carrier: { in: listTrackedCarriers() },
+        trackingNumber: { not: null }
+      },
+      include: {
+        offer: {
+          select: { articleName: true }
+        }
+      },
+      orderBy: { trackingCheckedAt: 'asc' },
+      take: POLL_BATCH_SIZE
+    });
+
+    let updated = 0;
+
+    for (const transaction of shipments) {
+      try {
+        if (await this.refreshTracking(transaction) > 0) {
+          updated++;
+        }
+      } catch (error) {
+        // One unreachable carrier should not hold up the other shipments
+        console.error(`Error polling tracking for transaction ${transaction.id}:`, error.message);
+      }
+    }
+
+    console.log(`📦 Polled ${shipments.length} shipments, ${updated} with new tracking events`);
+    return updated;
+  }
+
+  /**
+   * Tracking timeline of a transaction, oldest event first. Visible to the
+   * buyer, the seller and admins.
+   */
+  static async getTimeline(id, username) {
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(id) },
+      include: {
+        trackingEvents: {
+          orderBy: { occurredAt: 'asc' }
+        }
+      }
+    });
+
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (!TransactionStateMachine.getActor(transaction, username) && !isAdmin(username)) {
+      throw new ForbiddenError('You are not authorized to view this transaction');
+    }
+
+    const carrier = transaction.carrier ? getCarrier(transaction.carrier) : null;
+
+    return {
+      transactionId: transaction.id.toString(),
+      status: transaction.status,
+      carrier: transaction.carrier,
+      carrierName: carrier ? carrier.name : transaction.carrier,
+      trackingNumber: transaction.trackingNumber,
+      tracked: Boolean(carrier && carrier.tracksShipments),
+      shippedAt: transaction.shippedAt,
+      deliveredAt: transaction.deliveredAt,
+      deliveryConfirmedAt: transaction.deliveryConfirmedAt,
+      autoCompleteAt: transaction.status === 'SHIPPED' ? this.getAutoCompleteAt(transaction) : null,
+      lastCheckedAt: transaction.trackingCheckedAt,
+      events: transaction.trackingEvents
+    };
+  }
+
+  static async notifyDelivered(transaction) {
+    try {
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'ITEM_DELIVERED',
+        title: 'Item Delivered',
+        message: `"${transaction.offer.articleName}" has been delivered. Please confirm delivery or open a dispute within ${this.getConfirmationDays()} days, after which the payment is released to the seller automatically.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          deliveredAt: transaction.deliveredAt,
+          autoCompleteAt: this.getAutoCompleteAt(transaction)
+        }
+      });
+    } catch (notificationError) {
+      // Don't fail the tracking update if a notification fails
+      console.error('Error sending ITEM_DELIVERED notification:', notificationError);
+    }
+  }
+}
+
+module.exports = TrackingService;
@@ -1,9 +1,48 @@
 // services/transactionService.js
 const prisma = require('../prismaClient');
-const NotificationService = require('./notificationService');
-const { serializeBigInt } = require('../utils/helpers');
+const TransactionStateMachine = require('./transactionStateMachine');
+const LedgerService = require('./ledgerService');
+const TrackingService = require('./trackingService');
+const CurrencyService = require('./currencyService');
+const { ConflictError, InvalidTransitionError, NotFoundError, PaymentError } = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+/**
+ * Add up minor-unit amounts given per currency, converted into one currency
+ * @param {Array<{ currency: string, amount: number }>} amounts
+ */
+const sumConverted = (amounts, currency) => amounts.reduce(
+  (sum, { amount, currency: from }) => sum + CurrencyService.convert(Number(amount || 0), from, currency),
+  0
+);
 
 class TransactionService {
+  /**
+   * Apply a system-triggered state machine event, skipping transactions
+   * that were moved by someone else since they were selected, and ones the
+   * payment provider refused to move money for (retried on the next run)
+   */
+  static async applySystemTransition(transaction, event, payload = {}, source = TransactionStateMachine.SOURCES.SYSTEM) {
+    try {
+      await TransactionStateMachine.transition(transaction, event, {
+        actor: TransactionStateMachine.ACTORS.SYSTEM,
+        payload,
+        source
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        console.log(`Skipping transaction ${transaction.id}: ${error.message}`);
+        return false;
+      }
+      if (error instanceof PaymentError) {
+        console.error(`Payment provider refused ${event} for transaction ${transaction.id}:`, error.message);
+        return false;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Clean up expired transactions (payment pending for more than 24 hours)
    */
@@ -15,6 +54,7 @@ class TransactionService {
       const expiredTransactions = await prisma.transaction.findMany({
         where: {
           status: 'PAYMENT_PENDING',
+          riskHold: false, // waiting for an admin, not for the buyer
           createdDate: {
             lt: twentyFourHoursAgo
           }
@@ -30,57 +70,21 @@ class TransactionService {
 
       if (expiredTransactions.length === 0) {
         console.log('No expired transactions found');
-        return;
+        return 0;
       }
 
       console.log(`Found ${expiredTransactions.length} expired transactions`);
 
+      let cancelled = 0;
+
       for (const transaction of expiredTransactions) {
-        // Update transaction status
-        await prisma.transaction.update({
-          where: { id: transaction.id },
-          data: {
-            status: 'CANCELLED',
-            updatedDate: new Date()
-          }
-        });
-
-        // Update offer back to ACCEPTED if it was in DONE status
-        if (transaction.offer.status === 'DONE') {
-          await prisma.offer.update({
-            where: { id: transaction.offerId },
-            data: {
-              status: 'ACCEPTED',
-              updatedDate: new Date()
-            }
-          });
+        if (await this.applySystemTransition(transaction, 'expire', {}, TransactionStateMachine.SOURCES.CRON)) {
+          cancelled++;
         }
-
-        // Notify both parties
-        await NotificationService.createNotification({
-          userId: transaction.buyerUsername,
-          type: 'TRANSACTION_CANCELLED',
-          title: 'Transaction Expired',
-          message: `Your transaction for "${transaction.offer.articleName}" has been cancelled due to payment timeout.`,
-          data: {
-            transactionId: transaction.id.toString(),
-            reason: 'payment_timeout'
-          }
-        });
-
-        await NotificationService.createNotification({
-          userId: transaction.sellerUsername,
-          type: 'TRANSACTION_CANCELLED',
-          title: 'Transaction Expired',
-          message: `Transaction for "${transaction.offer.articleName}" has been cancelled due to buyer payment timeout.`,
-          data: {
-            transactionId: transaction.id.toString(),
-            reason: 'payment_timeout'
-          }
-        });
       }
 
-      console.log(`Cleaned up ${expiredTransactions.length} expired transactions`);
+      console.log(`Cleaned up ${cancelled} expired transactions`);
+      return cancelled;
     } catch (error) {
       console.error('Error cleaning up expired transactions:', error);
       throw error;
@@ -88,20 +92,14 @@ class TransactionService {
   }
 
   /**
-   * Auto-complete transactions that have been shipped for more than 7 days
-   * without buyer confirmation (simulate auto-release)
+   * Auto-complete shipped transactions the buyer did not confirm in time:
+   * DELIVERY_CONFIRMATION_DAYS after the carrier reported delivery, or 7 days
+   * after shipping when it has not (see TrackingService.getAutoCompleteAt)
    */
   static async autoCompleteShippedTransactions() {
     try {
-      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-
       const shippedTransactions = await prisma.transaction.findMany({
-        where: {
-          status: 'SHIPPED',
-          shippedAt: {
-            lt: sevenDaysAgo
-          }
-        },
+        where: TrackingService.getAutoCompleteWhere(),
         include: {
           offer: {
             include: {
@@ -113,65 +111,21 @@ class TransactionService {
 
       if (shippedTransactions.length === 0) {
         console.log('No shipped transactions to auto-complete');
-        return;
+        return 0;
       }
 
       console.log(`Auto-completing ${shippedTransactions.length} shipped transactions`);
 
+      let completed = 0;
+
       for (const transaction of shippedTransactions) {
-        // Generate release reference
-        const releaseReference = `AUTO_REL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-        // Update transaction
-        const updatedTransaction = await prisma.transaction.update({
-          where: { id: transaction.id },
-          data: {
-            status: 'COMPLETED',
-            deliveryConfirmedAt: new Date(),
-            paymentReleasedAt: new Date(),
-            paymentReleaseReference: releaseReference,
-            updatedDate: new Date()
-          }
-        });
-
-        // Mark article as bought
-        await prisma.article.update({
-          where: { id: transaction.articleId },
-          data: {
-            boughtBy: transaction.buyerUsername,
-            published: false,
-            updatedDate: new Date()
-          }
-        });
-
-        // Notify seller
-        await NotificationService.createNotification({
-          userId: transaction.sellerUsername,
-          type: 'PAYMENT_RELEASED',
-          title: 'Payment Auto-Released',
-          message: `Payment of $${transaction.amount} has been automatically released for "${transaction.offer.articleName}" after 7 days.`,
-          data: {
-            transactionId: transaction.id.toString(),
-            amount: transaction.amount,
-            releaseReference,
-            autoReleased: true
-          }
-        });
-
-        // Notify buyer
-        await NotificationService.createNotification({
-          userId: transaction.buyerUsername,
-          type: 'TRANSACTION_COMPLETED',
-          title: 'Transaction Auto-Completed',
-          message: `Your purchase of "${transaction.offer.articleName}" has been automatically completed after 7 days.`,
-          data: {
-            transactionId: transaction.id.toString(),
-            autoCompleted: true
-          }
-        });
+        if (await this.applySystemTransition(transaction, 'autoComplete', {}, TransactionStateMachine.SOURCES.CRON)) {
+          completed++;
+        }
       }
 
-      console.log(`Auto-completed ${shippedTransactions.length} transactions`);
+      console.log(`Auto-completed ${completed} transactions`);
+      return completed;
     } catch (error) {
       console.error('Error auto-completing shipped transactions:', error);
       throw error;
@@ -179,9 +133,11 @@ class TransactionService {
   }
 
   /**
-   * Get transaction statistics for a user
+   * Get transaction statistics for a user. Amounts are read from the ledger,
+   * which keeps one set of accounts per currency; they are converted into
+   * `currency` (default: the rate table's base) and given in major units.
    */
-  static async getUserTransactionStats(username) {
+  static async getUserTransactionStats(username, currency = CurrencyService.getRates().base) {
     try {
       const [buyerStats, sellerStats] = await Promise.all([
         // As buyer
@@ -198,29 +154,33 @@ class TransactionService {
         })
       ]);
 
-      const [totalAsBuyer, totalAsSeller, totalSpent, totalEarned] = await Promise.all([
+      const [totalAsBuyer, totalAsSeller, currencies] = await Promise.all([
         prisma.transaction.count({
           where: { buyerUsername: username }
         }),
         prisma.transaction.count({
           where: { sellerUsername: username }
         }),
-        prisma.transaction.aggregate({
-          where: {
-            buyerUsername: username,
-            status: 'COMPLETED'
-          },
-          _sum: { amount: true }
-        }),
-        prisma.transaction.aggregate({
+        prisma.transaction.groupBy({
+          by: ['currency'],
           where: {
-            sellerUsername: username,
-            status: 'COMPLETED'
-          },
-          _sum: { amount: true }
+            OR: [
+              { buyerUsername: username },
+              { sellerUsername: username }
+            ]
+          }
         })
       ]);
 
+      // Money totals come from the ledger so they reconcile with escrow
+      const byCurrency = await Promise.all(
+        currencies.map(group => LedgerService.getUserTotals(username, group.currency))
+      );
+      const total = (field) => fromMinorUnits(
+        sumConverted(byCurrency.map(totals => ({ amount: totals[field], currency: totals.currency })), currency),
+        currency
+      );
+
       return {
         buyer: {
           total: totalAsBuyer,
@@ -228,7 +188,8 @@ class TransactionService {
             acc[stat.status] = stat._count.status;
             return acc;
           }, {}),
-          totalSpent: totalSpent._sum.amount || 0
+          totalSpent: total('spent'),
+          totalRefunded: total('refunded')
         },
         seller: {
           total: totalAsSeller,
@@ -236,8 +197,15 @@ class TransactionService {
             acc[stat.status] = stat._count.status;
             return acc;
           }, {}),
-          totalEarned: totalEarned._sum.amount || 0
-        }
+          totalEarned: total('earned')
+        },
+        currency,
+        byCurrency: byCurrency.map(totals => ({
+          currency: totals.currency,
+          spent: fromMinorUnits(totals.spent, totals.currency),
+          refunded: fromMinorUnits(totals.refunded, totals.currency),
+          earned: fromMinorUnits(totals.earned, totals.currency)
+        }))
       };
     } catch (error) {
       console.error('Error getting user transaction stats:', error);
@@ -246,16 +214,16 @@ class TransactionService {
   }
 
   /**
-   * Calculate platform statistics
+   * Calculate platform statistics. Volumes are converted into `currency`
+   * (default: the rate table's base) and given in major units.
    */
-  static async getPlatformStats() {
+  static async getPlatformStats(currency = CurrencyService.getRates().base) {
     try {
       const [
         totalTransactions,
         completedTransactions,
         disputedTransactions,
-        totalVolume,
-        avgTransactionValue
+        volumeByCurrency
       ] = await Promise.all([
         prisma.transaction.count(),
         prisma.transaction.count({
@@ -264,16 +232,18 @@ class TransactionService {
         prisma.transaction.count({
           where: { status: 'DISPUTED' }
         }),
-        prisma.transaction.aggregate({
+        prisma.transaction.groupBy({
+          by: ['currency'],
           where: { status: 'COMPLETED' },
           _sum: { amount: true }
-        }),
-        prisma.transaction.aggregate({
-          where: { status: 'COMPLETED' },
-          _avg: { amount: true }
         })
       ]);
 
+      const totalVolume = sumConverted(
+        volumeByCurrency.map(group => ({ amount: group._sum.amount, currency: group.currency })),
+        currency
+      );
+
       // Get transaction volume by month (last 12 months)
       const twelveMonthsAgo = new Date();
       twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
@@ -281,24 +251,40 @@ class TransactionService {
       const monthlyVolume = await prisma.$queryRaw`
         SELECT 
           DATE_FORMAT(createdDate, '%Y-%m') as month,
+          currency,
           COUNT(*) as count,
           SUM(amount) as volume
         FROM Transaction 
         WHERE createdDate >= ${twelveMonthsAgo}
           AND status = 'COMPLETED'
-        GROUP BY DATE_FORMAT(createdDate, '%Y-%m')
+        GROUP BY DATE_FORMAT(createdDate, '%Y-%m'), currency
         ORDER BY month ASC
       `;
 
+      // One row per month, all currencies converted
+      const months = new Map();
+      for (const row of monthlyVolume) {
+        const month = months.get(row.month) || { month: row.month, count: 0, volume: 0 };
+        month.count += Number(row.count);
+        month.volume += CurrencyService.convert(Number(row.volume || 0), row.currency, currency);
+        months.set(row.month, month);
+      }
+
       return {
         totalTransactions,
         completedTransactions,
         disputedTransactions,
         successRate: totalTransactions > 0 ? (completedTransactions / totalTransactions * 100).toFixed(2) : 0,
         disputeRate: totalTransactions > 0 ? (disputedTransactions / totalTransactions * 100).toFixed(2) : 0,
-        totalVolume: totalVolume._sum.amount || 0,
-        avgTransactionValue: avgTransactionValue._avg.amount || 0,
-        monthlyVolume: serializeBigInt(monthlyVolume)
+        currency,
+        totalVolume: fromMinorUnits(totalVolume, currency),
+        avgTransactionValue: completedTransactions > 0
+          ? fromMinorUnits(Math.round(totalVolume / completedTransactions), currency)
+          : 0,
+        monthlyVolume: [...months.values()].map(month => ({
+          ...month,
+          volume: fromMinorUnits(month.volume, currency)
+        }))
       };
     } catch (error) {
       console.error('Error getting platform stats:', error);
@@ -307,105 +293,123 @@ class TransactionService {
   }
 
   /**
-   * Simulate payment processing (replace with actual payment gateway)
+   * Capture an authorized payment through the state machine's capture event
+   * and move the transaction to PAYMENT_CONFIRMED, or cancel it if the
+   * capture is declined. If the provider reports the capture as pending, the
+   * transaction stays in PAYMENT_PENDING until the payment webhook confirms
+   * it. Transactions that were cancelled, are held for risk review or were
+   * already captured are skipped.
    */
-  static async simulatePaymentProcessing(transactionId, amount) {
-    return new Promise((resolve, reject) => {
-      // Simulate processing time (1-5 seconds)
-      const processingTime = Math.random() * 4000 + 1000;
-      
-      setTimeout(() => {
-        // Simulate 95% success rate
-        const success = Math.random() < 0.95;
-        
-        if (success) {
-          resolve({
-            success: true,
-            reference: `PAY_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            amount,
-            processedAt: new Date()
-          });
-        } else {
-          reject(new Error('Payment processing failed'));
+  static async capturePayment(transactionId) {
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(transactionId) },
+      include: {
+        offer: {
+          include: {
+            article: true
+          }
         }
-      }, processingTime);
+      }
     });
-  }
 
-  /**
-   * Simulate payment release (replace with actual payment gateway)
-   */
-  static async simulatePaymentRelease(transactionId, amount, sellerUsername) {
-    return new Promise((resolve) => {
-      // Simulate release processing time
-      const processingTime = Math.random() * 2000 + 500;
-      
-      setTimeout(() => {
-        resolve({
-          success: true,
-          reference: `REL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          amount,
-          recipient: sellerUsername,
-          releasedAt: new Date()
-        });
-      }, processingTime);
-    });
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    let captured;
+
+    try {
+      captured = await TransactionStateMachine.transition(transaction, 'capture', {
+        actor: TransactionStateMachine.ACTORS.SYSTEM
+      });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        console.error(`Payment capture failed for transaction ${transaction.id}:`, error.message);
+        await this.applySystemTransition(transaction, 'failPayment', { reason: error.code });
+        return false;
+      }
+      if (error instanceof ConflictError) {
+        console.log(`Not capturing transaction ${transaction.id}: ${error.message}`);
+        return false;
+      }
+      throw error;
+    }
+
+    // Asynchronous gateways confirm later through the payment webhook
+    if (captured.paymentCaptureStatus !== 'CAPTURED') {
+      console.log(`Capture pending for transaction ${transaction.id}, awaiting payment webhook`);
+      return false;
+    }
+
+    return this.applySystemTransition(captured, 'confirmPayment');
   }
 
   /**
-   * Check for suspicious transactions
+   * Count a user's recent activity and flag what exceeds the thresholds.
+   * Used by RiskService, which passes its configured rules; the defaults
+   * look at the last 24 hours.
+   *
+   * @param {string} username
+   * @param {object} thresholds - { windowHours, maxTransactions, disputeWindowDays,
+   *                                maxDisputes, highValueAmount, maxHighValue }
+   *                                highValueAmount is in major units of the rate
+   *                                table's base currency
    */
-  static async detectSuspiciousActivity(username) {
+  static async detectSuspiciousActivity(username, thresholds = {}) {
+    const {
+      windowHours = 24,
+      maxTransactions = 20,
+      disputeWindowDays = 1,
+      maxDisputes = 3,
+      highValueAmount = 1000,
+      maxHighValue = 5
+    } = thresholds;
+
     try {
-      const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      
-      const [
-        recentTransactions,
-        recentDisputes,
-        highValueTransactions
-      ] = await Promise.all([
-        prisma.transaction.count({
-          where: {
-            OR: [
-              { buyerUsername: username },
-              { sellerUsername: username }
-            ],
-            createdDate: { gte: last24Hours }
-          }
-        }),
-        prisma.transaction.count({
+      const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+      const disputeSince = new Date(Date.now() - disputeWindowDays * 24 * 60 * 60 * 1000);
+      const involving = {
+        OR: [
+          { buyerUsername: username },
+          { sellerUsername: username }
+        ]
+      };
+
+      const [recent, recentDisputes] = await Promise.all([
+        prisma.transaction.findMany({
           where: {
-            OR: [
-              { buyerUsername: username },
-              { sellerUsername: username }
-            ],
-            status: 'DISPUTED',
-            createdDate: { gte: last24Hours }
-          }
+            ...involving,
+            createdDate: { gte: since }
+          },
+          select: { amount: true, currency: true }
         }),
         prisma.transaction.count({
           where: {
-            OR: [
-              { buyerUsername: username },
-              { sellerUsername: username }
-            ],
-            amount: { gte: 1000 }, // Transactions over $1000
-            createdDate: { gte: last24Hours }
+            ...involving,
+            disputeOpenedAt: { gte: disputeSince }
           }
         })
       ]);
 
+      // Amounts are in several currencies; compare them in the base one
+      const { base } = CurrencyService.getRates();
+      const highValueMinor = toMinorUnits(highValueAmount, base);
+      const recentTransactions = recent.length;
+      const highValueTransactions = recent.filter(
+        transaction => CurrencyService.convert(transaction.amount, transaction.currency, base) >= highValueMinor
+      ).length;
+
       const flags = [];
       
-      if (recentTransactions > 20) {
+      if (recentTransactions > maxTransactions) {
         flags.push('HIGH_TRANSACTION_VOLUME');
       }
       
-      if (recentDisputes > 3) {
+      if (recentDisputes > maxDisputes) {
         flags.push('HIGH_DISPUTE_RATE');
       }
       
-      if (highValueTransactions > 5) {
+      if (highValueTransactions > maxHighValue) {
         flags.push('HIGH_VALUE_TRANSACTIONS');
       }
 
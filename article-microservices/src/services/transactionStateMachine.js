@@ -0,0 +1,1039 @@
+// services/transactionStateMachine.js
+const prisma = require('../prismaClient');
+const NotificationService = require('./notificationService');
+const LedgerService = require('./ledgerService');
+const FeeService = require('./feeService');
+const ReceiptService = require('./receiptService');
+const CompetingOfferService = require('./competingOfferService');
+const { getPaymentProvider } = require('../payments');
+const {
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+const { toMinorUnits, fromMinorUnits, formatMoney } = require('../utils/money');
+
+const ACTORS = {
+  BUYER: 'buyer',
+  SELLER: 'seller',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// What triggered an event, recorded in the TransactionEvent log
+const SOURCES = {
+  USER: 'USER',
+  CRON: 'CRON',
+  WEBHOOK: 'WEBHOOK',
+  SYSTEM: 'SYSTEM'
+};
+
+// A claim older than this was left by a request that died before finishing
+// the transition, and may be taken over
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Where clause for a transaction that no request is currently moving money
+ * for (see TransactionStateMachine.transition)
+ */
+const unclaimed = (now) => ({
+  OR: [
+    { claimedEvent: null },
+    { claimedAt: { lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+  ]
+});
+
+/**
+ * Error for a compare-and-set that matched nothing: the transaction was moved
+ * since it was read, or another request holds the claim on it
+ */
+const concurrentChangeError = async (client, transaction, event, definition) => {
+  const current = await client.transaction.findUnique({
+    where: { id: transaction.id },
+    select: { status: true, claimedEvent: true }
+  });
+
+  if (current && current.status === transaction.status) {
+    return current.claimedEvent
+      ? new ConflictError('Another change to this transaction is in progress; please try again shortly', {
+        event,
+        inProgress: current.claimedEvent
+      })
+      : new ConflictError('The transaction changed since it was loaded; please reload it and try again', { event });
+  }
+
+  return new InvalidTransitionError(event, current ? current.status : 'UNKNOWN', definition.from);
+};
+
+/**
+ * Collect the buyer's authorized funds through the payment provider. The
+ * provider answers CAPTURED, or PENDING when it confirms through the payment
+ * webhook later.
+ */
+const capturePayment = async (transaction) => {
+  const capture = await getPaymentProvider().capture(transaction.paymentReference, {
+    amount: fromMinorUnits(transaction.amount, transaction.currency)
+  });
+
+  return { captureStatus: capture.status };
+};
+
+/**
+ * Pay the escrowed amount, less platform fees, out to the seller through the
+ * payment provider
+ */
+const releasePayment = async (transaction) => {
+  const release = await getPaymentProvider().release(transaction.paymentReference, {
+    amount: fromMinorUnits(FeeService.getSellerPayout(transaction), transaction.currency),
+    recipient: transaction.sellerUsername
+  });
+
+  return { releaseReference: release.reference };
+};
+
+/**
+ * Let other buyers purchase the article again once this purchase fell
+ * through (see PurchaseService.reserveArticle)
+ */
+const releaseArticle = async (tx, transaction) => {
+  await tx.article.updateMany({
+    where: {
+      id: transaction.articleId,
+      reservedBy: transaction.buyerUsername
+    },
+    data: {
+      reservedBy: null,
+      reservedAt: null
+    }
+  });
+};
+
+/**
+ * Close the other buyers' offers on the sold article; they are told once the
+ * transition is committed
+ */
+const closeCompetingOffers = async (tx, transaction, context) => {
+  context.closedOffers = await CompetingOfferService.close(
+    tx,
+    { id: transaction.offerId, articleId: transaction.articleId },
+    CompetingOfferService.REASONS.SOLD
+  );
+};
+
+/**
+ * Mark the article as bought, book the released payment in the ledger,
+ * issue the receipt and close the other offers on the article
+ */
+const recordSale = async (tx, transaction, context) => {
+  const { prepared } = context;
+
+  await tx.article.update({
+    where: { id: transaction.articleId },
+    data: {
+      boughtBy: transaction.buyerUsername,
+      reservedBy: null,
+      reservedAt: null,
+      published: false, // Remove from marketplace
+      updatedDate: new Date()
+    }
+  });
+
+  await LedgerService.recordRelease(tx, transaction, {
+    reference: prepared.releaseReference,
+    feeAmount: FeeService.getPlatformFee(transaction),
+    taxAmount: transaction.taxAmount || 0
+  });
+
+  await ReceiptService.issueReceipt(tx, transaction, {
+    releaseReference: prepared.releaseReference
+  });
+
+  await closeCompetingOffers(tx, transaction, context);
+};
+
+// Statuses in which money can still be returned to the buyer
+const REFUNDABLE_STATUSES = ['PAYMENT_CONFIRMED', 'SHIPPED', 'DISPUTED', 'COMPLETED'];
+
+/**
+ * Amount that has not been refunded yet, in minor units
+ */
+const getRefundable = (transaction) => transaction.amount - (transaction.refundedAmount || 0);
+
+/**
+ * Format minor units of the transaction's currency for messages
+ */
+const money = (transaction, amount) => formatMoney(amount, transaction.currency);
+
+/**
+ * Refund through the payment provider: the whole refundable amount for FULL,
+ * payload.amount (major units, less than the refundable amount) for PARTIAL.
+ * prepared carries the amount in major units and in minor units (amountMinor).
+ */
+const issueRefund = (type) => async (transaction, { payload }) => {
+  const refundable = getRefundable(transaction);
+  const amountMinor = type === 'FULL' ? refundable : toMinorUnits(payload.amount, transaction.currency);
+
+  if (type === 'FULL' && refundable <= 0) {
+    throw new ValidationError('Nothing left to refund on this transaction');
+  }
+
+  if (type === 'PARTIAL' && (!(amountMinor > 0) || amountMinor >= refundable)) {
+    throw new ValidationError('A partial refund must be more than 0 and less than the refundable amount', {
+      amount: `Must be between 0 and ${fromMinorUnits(refundable, transaction.currency)} (exclusive); refund the full amount instead`
+    });
+  }
+
+  const amount = fromMinorUnits(amountMinor, transaction.currency);
+
+  // Refunds reported by the provider (webhooks) already moved the money
+  if (payload.refundReference) {
+    return { amount, amountMinor, refundReference: payload.refundReference };
+  }
+
+  const refund = await getPaymentProvider().refund(transaction.paymentReference, {
+    amount,
+    reason: payload.reason
+  });
+
+  return { amount, amountMinor, refundReference: refund.reference };
+};
+
+/**
+ * Give the buyer's money back when the purchase is called off before the
+ * payment was confirmed: void the authorization, or refund the capture if
+ * one was made (see the capture transition). A provider refusal fails the
+ * transition, so the purchase is not cancelled with the money still taken.
+ */
+const returnPayment = (reason) => async (transaction) => {
+  const provider = getPaymentProvider();
+
+  if (!transaction.paymentCaptureStatus) {
+    const voided = await provider.void(transaction.paymentReference, { reason });
+    return { reason, voidReference: voided.reference };
+  }
+
+  const amountMinor = getRefundable(transaction);
+  const amount = fromMinorUnits(amountMinor, transaction.currency);
+  const refund = await provider.refund(transaction.paymentReference, { amount, reason });
+
+  return { reason, amount, amountMinor, refundReference: refund.reference };
+};
+
+/**
+ * Refunded amount written with a cancellation that refunded a capture
+ */
+const returnedAmount = (transaction, { prepared }) => (
+  prepared.refundReference ? { refundedAmount: { increment: prepared.amountMinor } } : {}
+);
+
+/**
+ * Refund history row for a cancellation that refunded a capture. Nothing is
+ * booked in the ledger, which only records the capture once the payment is
+ * confirmed.
+ */
+const recordReturnedPayment = async (tx, transaction, { prepared, username }) => {
+  if (!prepared.refundReference) {
+    return;
+  }
+
+  await tx.refund.create({
+    data: {
+      transactionId: transaction.id,
+      amount: prepared.amountMinor,
+      type: 'FULL',
+      reason: prepared.reason,
+      requestedBy: username || 'system',
+      providerReference: prepared.refundReference
+    }
+  });
+};
+
+/**
+ * Refund history row and ledger entry. After a full refund the article
+ * goes back on the marketplace if it had been marked as bought.
+ */
+const recordRefund = (type) => async (tx, transaction, { prepared, payload, username, previousStatus }) => {
+  await tx.refund.create({
+    data: {
+      transactionId: transaction.id,
+      amount: prepared.amountMinor,
+      type,
+      reason: payload.reason || 'No reason given',
+      requestedBy: username || 'system',
+      providerReference: prepared.refundReference
+    }
+  });
+
+  // Once released, the money is clawed back from the seller; a full refund
+  // also returns the platform fee and the tax
+  const released = previousStatus === 'COMPLETED';
+  const returnAll = type === 'FULL' && released;
+  await LedgerService.recordRefund(tx, transaction, {
+    reference: prepared.refundReference,
+    amount: prepared.amountMinor,
+    released,
+    returnedFee: returnAll ? await LedgerService.getCollectedFee(tx, transaction.id) : 0,
+    returnedTax: returnAll ? await LedgerService.getCollectedTax(tx, transaction.id) : 0
+  });
+
+  if (type === 'FULL') {
+    await releaseArticle(tx, transaction);
+    await tx.article.updateMany({
+      where: {
+        id: transaction.articleId,
+        boughtBy: transaction.buyerUsername
+      },
+      data: {
+        boughtBy: null,
+        published: true,
+        updatedDate: new Date()
+      }
+    });
+  }
+};
+
+const notifyRefund = (type) => async (transaction, { prepared, payload }) => {
+  const label = type === 'FULL' ? 'Payment Refunded' : 'Partial Refund Issued';
+  const data = {
+    transactionId: transaction.id.toString(),
+    amount: prepared.amount,
+    currency: transaction.currency,
+    refundType: type,
+    reason: payload.reason,
+    totalRefunded: fromMinorUnits(transaction.refundedAmount, transaction.currency)
+  };
+
+  await NotificationService.createNotification({
+    userId: transaction.buyerUsername,
+    type: 'PAYMENT_REFUNDED',
+    title: label,
+    message: `${money(transaction, prepared.amountMinor)} of your payment for "${transaction.offer.articleName}" has been refunded.`,
+    data
+  });
+
+  await NotificationService.createNotification({
+    userId: transaction.sellerUsername,
+    type: 'PAYMENT_REFUNDED',
+    title: type === 'FULL' ? 'Transaction Refunded' : label,
+    message: type === 'FULL'
+      ? `The transaction for "${transaction.offer.articleName}" has been refunded to the buyer.`
+      : `${money(transaction, prepared.amountMinor)} has been refunded to the buyer of "${transaction.offer.articleName}".`,
+    data
+  });
+};
+
+/**
+ * Dispute fields written when a moderator settles a dispute
+ */
+const resolveDispute = (outcome, { username, payload }) => ({
+  disputeResolvedAt: new Date(),
+  disputeResolvedBy: username,
+  disputeOutcome: outcome,
+  disputeResolution: payload.note || null
+});
+
+const DISPUTE_OUTCOME_MESSAGES = {
+  REFUND_BUYER: {
+    buyer: (transaction) => `The dispute for "${transaction.offer.articleName}" was resolved in your favour. You have been refunded ${money(transaction, transaction.refundedAmount)}.`,
+    seller: (transaction) => `The dispute for "${transaction.offer.articleName}" was resolved in the buyer's favour. The payment has been refunded to the buyer.`
+  },
+  RELEASE_TO_SELLER: {
+    buyer: (transaction) => `The dispute for "${transaction.offer.articleName}" was resolved in the seller's favour. The payment has been released to the seller.`,
+    seller: (transaction) => `The dispute for "${transaction.offer.articleName}" was resolved in your favour. ${money(transaction, FeeService.getSellerPayout(transaction))} has been released to you.`
+  },
+  SPLIT: {
+    buyer: (transaction) => `The dispute for "${transaction.offer.articleName}" was settled with a split. You have been refunded ${money(transaction, transaction.refundedAmount)}.`,
+    seller: (transaction) => `The dispute for "${transaction.offer.articleName}" was settled with a split. ${money(transaction, FeeService.getSellerPayout(transaction))} has been released to you.`
+  }
+};
+
+const notifyDisputeResolved = async (transaction) => {
+  const messages = DISPUTE_OUTCOME_MESSAGES[transaction.disputeOutcome];
+  const data = {
+    transactionId: transaction.id.toString(),
+    outcome: transaction.disputeOutcome,
+    resolution: transaction.disputeResolution,
+    currency: transaction.currency,
+    refundedAmount: fromMinorUnits(transaction.refundedAmount, transaction.currency),
+    sellerAmount: transaction.status === 'COMPLETED'
+      ? fromMinorUnits(FeeService.getSellerPayout(transaction), transaction.currency)
+      : 0
+  };
+
+  await NotificationService.createNotification({
+    userId: transaction.buyerUsername,
+    type: 'DISPUTE_RESOLVED',
+    title: 'Dispute Resolved',
+    message: messages.buyer(transaction),
+    data
+  });
+
+  await NotificationService.createNotification({
+    userId: transaction.sellerUsername,
+    type: 'DISPUTE_RESOLVED',
+    title: 'Dispute Resolved',
+    message: messages.seller(transaction),
+    data
+  });
+};
+
+const transactionInclude = {
+  offer: {
+    include: {
+      article: true
+    }
+  }
+};
+
+/**
+ * Legal transaction status transitions.
+ *
+ * Each transition declares:
+ *   from    - statuses it may start from
+ *   to      - resulting status (null keeps the current one)
+ *   actors  - who may trigger it (buyer, seller, admin, system)
+ *   where   - other fields the transaction must have, checked with the
+ *             status when the transition is claimed and applied
+ *   prepare - calls to external systems (e.g. the payment provider) made
+ *             once the transition is claimed and before anything else is
+ *             written; the result is passed on as context.prepared so a
+ *             declined payment leaves the status as is
+ *   update  - extra transaction fields to write with the status change
+ *   effects - writes to other records (offer, article, ledger), run in the
+ *             same database transaction; offers they close (context.closedOffers)
+ *             are notified once committed
+ *   notify  - notifications sent once the change is committed
+ *
+ * Transitions are keyed by event name; several events may share the same
+ * from/to statuses when they differ in actor or side effects (e.g. a buyer
+ * confirming delivery versus the system auto-completing once the buyer's
+ * confirmation time is up).
+ */
+const TRANSITIONS = {
+  // Capture of an authorized purchase that is not held for risk review. The
+  // status stays PAYMENT_PENDING until the provider reports the capture as
+  // done: right away (the caller then applies confirmPayment) or through the
+  // payment webhook.
+  capture: {
+    from: ['PAYMENT_PENDING'],
+    to: null,
+    actors: [ACTORS.SYSTEM],
+    where: {
+      riskHold: false,
+      paymentCaptureStatus: null
+    },
+    prepare: capturePayment,
+    update: (transaction, { prepared }) => ({
+      paymentCaptureStatus: prepared.captureStatus
+    })
+  },
+
+  confirmPayment: {
+    from: ['PAYMENT_PENDING'],
+    to: 'PAYMENT_CONFIRMED',
+    actors: [ACTORS.SYSTEM],
+    update: () => ({
+      paymentCaptureStatus: 'CAPTURED',
+      paymentConfirmedAt: new Date()
+    }),
+    effects: async (tx, transaction, context) => {
+      await tx.offer.update({
+        where: { id: transaction.offerId },
+        data: {
+          status: 'DONE',
+          updatedDate: new Date()
+        }
+      });
+
+      await LedgerService.recordCapture(tx, transaction);
+      await closeCompetingOffers(tx, transaction, context);
+    },
+    notify: async (transaction) => {
+      await NotificationService.createNotification({
+        userId: transaction.sellerUsername,
+        type: 'PAYMENT_CONFIRMED',
+        title: 'Payment Received!',
+        message: `Payment for "${transaction.offer.articleName}" has been confirmed. You will receive ${money(transaction, FeeService.getSellerPayout(transaction))} after fees once the buyer confirms delivery. Please prepare the item for shipping.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          articleId: transaction.articleId.toString(),
+          buyerUsername: transaction.buyerUsername
+        }
+      });
+
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'PAYMENT_CONFIRMED',
+        title: 'Payment Confirmed',
+        message: `Your payment of ${money(transaction, transaction.amount)} for "${transaction.offer.articleName}" has been confirmed. The seller will ship the item soon.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          articleId: transaction.articleId.toString(),
+          sellerUsername: transaction.sellerUsername
+        }
+      });
+    }
+  },
+
+  failPayment: {
+    from: ['PAYMENT_PENDING'],
+    to: 'CANCELLED',
+    actors: [ACTORS.SYSTEM],
+    effects: async (tx, transaction) => {
+      await tx.offer.update({
+        where: { id: transaction.offerId },
+        data: {
+          status: 'ACCEPTED',
+          updatedDate: new Date()
+        }
+      });
+      await releaseArticle(tx, transaction);
+    },
+    notify: async (transaction, { payload }) => {
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'TRANSACTION_CANCELLED',
+        title: 'Payment Failed',
+        message: `Your payment for "${transaction.offer.articleName}" could not be processed. The transaction has been cancelled.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          reason: payload.reason || 'payment_failed'
+        }
+      });
+    }
+  },
+
+  cancel: {
+    from: ['PAYMENT_PENDING'],
+    to: 'CANCELLED',
+    actors: [ACTORS.BUYER],
+    prepare: returnPayment('Cancelled by the buyer'),
+    update: returnedAmount,
+    effects: async (tx, transaction, context) => {
+      await recordReturnedPayment(tx, transaction, context);
+      await tx.offer.update({
+        where: { id: transaction.offerId },
+        data: {
+          status: 'ACCEPTED',
+          updatedDate: new Date()
+        }
+      });
+      await releaseArticle(tx, transaction);
+    },
+    notify: async (transaction) => {
+      await NotificationService.createNotification({
+        userId: transaction.sellerUsername,
+        type: 'TRANSACTION_CANCELLED',
+        title: 'Transaction Cancelled',
+        message: `The buyer cancelled the transaction for "${transaction.offer.articleName}".`,
+        data: {
+          transactionId: transaction.id.toString(),
+          reason: 'buyer_cancelled'
+        }
+      });
+    }
+  },
+
+  expire: {
+    from: ['PAYMENT_PENDING'],
+    to: 'CANCELLED',
+    actors: [ACTORS.SYSTEM],
+    prepare: returnPayment('Payment timeout'),
+    update: returnedAmount,
+    effects: async (tx, transaction, context) => {
+      await recordReturnedPayment(tx, transaction, context);
+      // Put the offer back to ACCEPTED if it was already concluded
+      await tx.offer.updateMany({
+        where: {
+          id: transaction.offerId,
+          status: 'DONE'
+        },
+        data: {
+          status: 'ACCEPTED',
+          updatedDate: new Date()
+        }
+      });
+      await releaseArticle(tx, transaction);
+    },
+    notify: async (transaction) => {
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'TRANSACTION_CANCELLED',
+        title: 'Transaction Expired',
+        message: `Your transaction for "${transaction.offer.articleName}" has been cancelled due to payment timeout.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          reason: 'payment_timeout'
+        }
+      });
+
+      await NotificationService.createNotification({
+        userId: transaction.sellerUsername,
+        type: 'TRANSACTION_CANCELLED',
+        title: 'Transaction Expired',
+        message: `Transaction for "${transaction.offer.articleName}" has been cancelled due to buyer payment timeout.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          reason: 'payment_timeout'
+        }
+      });
+    }
+  },
+
+  // Risk review of a held purchase (see services/riskService.js). Approval
+  // leaves the status alone; the caller then captures the payment.
+  approveRisk: {
+    from: ['PAYMENT_PENDING'],
+    to: null,
+    actors: [ACTORS.ADMIN],
+    update: () => ({
+      riskHold: false
+    })
+  },
+
+  rejectRisk: {
+    from: ['PAYMENT_PENDING'],
+    to: 'CANCELLED',
+    actors: [ACTORS.ADMIN],
+    prepare: returnPayment('Declined by risk review'),
+    update: (transaction, context) => ({
+      riskHold: false,
+      ...returnedAmount(transaction, context)
+    }),
+    effects: async (tx, transaction, context) => {
+      await recordReturnedPayment(tx, transaction, context);
+      await tx.offer.update({
+        where: { id: transaction.offerId },
+        data: {
+          status: 'CANCELLED',
+          updatedDate: new Date()
+        }
+      });
+      await releaseArticle(tx, transaction);
+    },
+    notify: async (transaction) => {
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'TRANSACTION_CANCELLED',
+        title: 'Purchase Declined',
+        message: `Your purchase of "${transaction.offer.articleName}" could not be approved and has been cancelled. You have not been charged.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          reason: 'risk_review'
+        }
+      });
+
+      await NotificationService.createNotification({
+        userId: transaction.sellerUsername,
+        type: 'TRANSACTION_CANCELLED',
+        title: 'Transaction Cancelled',
+        message: `The purchase of "${transaction.offer.articleName}" has been cancelled by the platform. Your article is still available.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          reason: 'risk_review'
+        }
+      });
+    }
+  },
+
+  ship: {
+    from: ['PAYMENT_CONFIRMED'],
+    to: 'SHIPPED',
+    actors: [ACTORS.SELLER],
+    update: (transaction, { payload }) => ({
+      trackingNumber: payload.trackingNumber,
+      carrier: payload.carrier,
+      estimatedDelivery: payload.estimatedDelivery ? new Date(payload.estimatedDelivery) : null,
+      shippedAt: new Date()
+    }),
+    notify: async (transaction, { payload }) => {
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'ITEM_SHIPPED',
+        title: 'Item Shipped!',
+        message: `Your item "${transaction.offer.articleName}" has been shipped by ${payload.carrier}. Tracking: ${payload.trackingNumber}`,
+        data: {
+          transactionId: transaction.id.toString(),
+          trackingNumber: payload.trackingNumber,
+          carrier: payload.carrier,
+          estimatedDelivery: payload.estimatedDelivery
+        }
+      });
+    }
+  },
+
+  confirmDelivery: {
+    from: ['SHIPPED'],
+    to: 'COMPLETED',
+    actors: [ACTORS.BUYER],
+    prepare: releasePayment,
+    update: (transaction, { payload, prepared }) => ({
+      deliveryConfirmedAt: new Date(),
+      paymentReleasedAt: new Date(),
+      paymentReleaseReference: prepared.releaseReference,
+      buyerRating: payload.rating || null,
+      buyerReview: payload.review || null
+    }),
+    effects: recordSale,
+    notify: async (transaction, { payload }) => {
+      await NotificationService.createNotification({
+        userId: transaction.sellerUsername,
+        type: 'PAYMENT_RELEASED',
+        title: 'Payment Released!',
+        message: `Payment of ${money(transaction, FeeService.getSellerPayout(transaction))} has been released for "${transaction.offer.articleName}". The transaction is now complete.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          amount: fromMinorUnits(FeeService.getSellerPayout(transaction), transaction.currency),
+          currency: transaction.currency,
+          sellerFee: fromMinorUnits(transaction.sellerFee, transaction.currency),
+          releaseReference: transaction.paymentReleaseReference,
+          buyerRating: payload.rating,
+          buyerReview: payload.review
+        }
+      });
+
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'TRANSACTION_COMPLETED',
+        title: 'Transaction Complete!',
+        message: `Your purchase of "${transaction.offer.articleName}" is now complete. Thank you for your business!`,
+        data: {
+          transactionId: transaction.id.toString(),
+          articleId: transaction.articleId.toString()
+        }
+      });
+    }
+  },
+
+  autoComplete: {
+    from: ['SHIPPED'],
+    to: 'COMPLETED',
+    actors: [ACTORS.SYSTEM],
+    prepare: releasePayment,
+    update: (transaction, { prepared }) => ({
+      deliveryConfirmedAt: new Date(),
+      paymentReleasedAt: new Date(),
+      paymentReleaseReference: prepared.releaseReference
+    }),
+    effects: recordSale,
+    notify: async (transaction) => {
+      await NotificationService.createNotification({
+        userId: transaction.sellerUsername,
+        type: 'PAYMENT_RELEASED',
+        title: 'Payment Auto-Released',
+        message: `Payment of ${money(transaction, FeeService.getSellerPayout(transaction))} has been automatically released for "${transaction.offer.articleName}" as the buyer did not confirm delivery in time.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          amount: fromMinorUnits(FeeService.getSellerPayout(transaction), transaction.currency),
+          currency: transaction.currency,
+          sellerFee: fromMinorUnits(transaction.sellerFee, transaction.currency),
+          releaseReference: transaction.paymentReleaseReference,
+          autoReleased: true
+        }
+      });
+
+      await NotificationService.createNotification({
+        userId: transaction.buyerUsername,
+        type: 'TRANSACTION_COMPLETED',
+        title: 'Transaction Auto-Completed',
+        message: `Your purchase of "${transaction.offer.articleName}" has been automatically completed as delivery was not confirmed or disputed in time.`,
+        data: {
+          transactionId: transaction.id.toString(),
+          autoCompleted: true
+        }
+      });
+    }
+  },
+
+  openDispute: {
+    from: ['PAYMENT_CONFIRMED', 'SHIPPED'],
+    to: 'DISPUTED',
+    actors: [ACTORS.BUYER, ACTORS.SELLER],
+    update: (transaction, { username, payload }) => ({
+      disputeReason: payload.reason,
+      disputeDescription: payload.description,
+      disputeOpenedBy: username,
+      disputeOpenedAt: new Date()
+    }),
+    notify: async (transaction, { username, payload }) => {
+      const otherParty = username === transaction.buyerUsername
+        ? transaction.sellerUsername
+        : transaction.buyerUsername;
+
+      await NotificationService.createNotification({
+        userId: otherParty,
+        type: 'TRANSACTION_DISPUTED',
+        title: 'Transaction Disputed',
+        message: `A dispute has been opened for "${transaction.offer.articleName}". Reason: ${payload.reason}`,
+        data: {
+          transactionId: transaction.id.toString(),
+          disputeReason: payload.reason,
+          disputeDescription: payload.description,
+          disputeOpenedBy: username
+        }
+      });
+
+      // Notify admin/support (you would have admin users in a real system)
+      await NotificationService.createNotification({
+        userId: 'admin',
+        type: 'DISPUTE_OPENED',
+        title: 'New Dispute Opened',
+        message: `Transaction ${transaction.id} disputed: ${payload.reason}`,
+        data: {
+          transactionId: transaction.id.toString(),
+          disputeReason: payload.reason,
+          disputeDescription: payload.description,
+          disputeOpenedBy: username,
+          buyerUsername: transaction.buyerUsername,
+          sellerUsername: transaction.sellerUsername
+        }
+      });
+    }
+  },
+
+  refund: {
+    from: REFUNDABLE_STATUSES,
+    to: 'REFUNDED',
+    actors: [ACTORS.SELLER, ACTORS.ADMIN, ACTORS.SYSTEM],
+    prepare: issueRefund('FULL'),
+    update: (transaction, { prepared }) => ({
+      refundedAmount: { increment: prepared.amountMinor }
+    }),
+    effects: recordRefund('FULL'),
+    notify: notifyRefund('FULL')
+  },
+
+  partialRefund: {
+    from: REFUNDABLE_STATUSES,
+    to: null, // the transaction carries on; only the refunded amount changes
+    actors: [ACTORS.SELLER, ACTORS.ADMIN, ACTORS.SYSTEM],
+    prepare: issueRefund('PARTIAL'),
+    update: (transaction, { prepared }) => ({
+      refundedAmount: { increment: prepared.amountMinor }
+    }),
+    effects: recordRefund('PARTIAL'),
+    notify: notifyRefund('PARTIAL')
+  },
+
+  // Dispute decisions (see services/disputeService.js). A split is a
+  // partialRefund followed by resolveDisputeRelease with outcome SPLIT.
+  resolveDisputeRefund: {
+    from: ['DISPUTED'],
+    to: 'REFUNDED',
+    actors: [ACTORS.ADMIN],
+    prepare: issueRefund('FULL'),
+    update: (transaction, context) => ({
+      refundedAmount: { increment: context.prepared.amountMinor },
+      ...resolveDispute('REFUND_BUYER', context)
+    }),
+    effects: recordRefund('FULL'),
+    notify: notifyDisputeResolved
+  },
+
+  resolveDisputeRelease: {
+    from: ['DISPUTED'],
+    to: 'COMPLETED',
+    actors: [ACTORS.ADMIN],
+    prepare: releasePayment,
+    update: (transaction, context) => ({
+      paymentReleasedAt: new Date(),
+      paymentReleaseReference: context.prepared.releaseReference,
+      ...resolveDispute(context.payload.outcome === 'SPLIT' ? 'SPLIT' : 'RELEASE_TO_SELLER', context)
+    }),
+    effects: recordSale,
+    notify: notifyDisputeResolved
+  }
+};
+
+class TransactionStateMachine {
+  /**
+   * Work out whether a user is the buyer or the seller of a transaction
+   */
+  static getActor(transaction, username) {
+    if (username && transaction.buyerUsername === username) {
+      return ACTORS.BUYER;
+    }
+    if (username && transaction.sellerUsername === username) {
+      return ACTORS.SELLER;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an event can be applied to a transaction in its current status
+   */
+  static can(transaction, event, actor) {
+    const definition = TRANSITIONS[event];
+    return Boolean(definition)
+      && definition.from.includes(transaction.status)
+      && definition.actors.includes(actor);
+  }
+
+  /**
+   * List the events an actor may currently apply to a transaction
+   */
+  static getAvailableEvents(transaction, actor) {
+    return Object.keys(TRANSITIONS).filter(event => this.can(transaction, event, actor));
+  }
+
+  /**
+   * Apply an event to a transaction.
+   *
+   * The status change is written with a compare-and-set on the current
+   * status (and refunded amount, for events that keep the status), so two
+   * concurrent requests cannot both move the same transaction.
+   * Transitions with a prepare step first claim the transaction (claimedEvent,
+   * claimedAt) so the payment provider is only called by the request that
+   * will apply them; the claim is dropped if the provider declines.
+   * Throws ForbiddenError when the actor may not trigger the event,
+   * InvalidTransitionError (409) when the current status does not allow it,
+   * ConflictError (409) when the transaction does not have the fields the
+   * transition requires (where) or changed since it was read,
+   * PaymentError when the payment provider declines a prepare step and
+   * ValidationError when a prepare step rejects the payload.
+   *
+   * Every applied event is appended to the TransactionEvent log in the same
+   * database transaction as the status change. source defaults to USER, or
+   * SYSTEM for the system actor.
+   *
+   * @param {object|bigint|string} transactionOrId - Transaction record (with offer) or its ID
+   * @param {string} event - Key of TRANSITIONS
+   * @param {object} context - { actor, username, payload, source }
+   * @returns {Promise<object>} The updated transaction including offer and article
+   */
+  static async transition(transactionOrId, event, { actor, username = null, payload = {}, source } = {}) {
+    const definition = TRANSITIONS[event];
+    if (!definition) {
+      throw new Error(`Unknown transaction event: ${event}`);
+    }
+
+    const transaction = typeof transactionOrId === 'object' && transactionOrId !== null
+      ? transactionOrId
+      : await prisma.transaction.findUnique({
+        where: { id: BigInt(transactionOrId) },
+        include: transactionInclude
+      });
+
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (!actor) {
+      throw new ForbiddenError('You are not a party to this transaction');
+    }
+
+    if (!definition.actors.includes(actor)) {
+      throw new ForbiddenError(`Only the ${definition.actors.join(' or ')} can ${event} this transaction`);
+    }
+
+    if (!definition.from.includes(transaction.status)) {
+      throw new InvalidTransitionError(event, transaction.status, definition.from);
+    }
+
+    const required = definition.where || {};
+    const unmet = Object.keys(required).filter(field => transaction[field] !== required[field]);
+
+    if (unmet.length > 0) {
+      throw new ConflictError(`Transition '${event}' is not allowed for this transaction`, {
+        event,
+        unmet: Object.fromEntries(unmet.map(field => [field, transaction[field]]))
+      });
+    }
+
+    const context = { actor, username, payload, previousStatus: transaction.status };
+
+    // Events that keep the status (e.g. partialRefund) also compare the
+    // refunded amount, so two of them cannot both apply to the same state
+    const where = {
+      id: transaction.id,
+      status: transaction.status,
+      ...required,
+      ...(definition.to ? {} : { refundedAmount: transaction.refundedAmount || 0 })
+    };
+    let claim = null;
+
+    if (definition.prepare) {
+      claim = { claimedEvent: event, claimedAt: new Date() };
+
+      const { count } = await prisma.transaction.updateMany({
+        where: { ...where, ...unclaimed(claim.claimedAt) },
+        data: claim
+      });
+
+      if (count === 0) {
+        throw await concurrentChangeError(prisma, transaction, event, definition);
+      }
+
+      try {
+        context.prepared = await definition.prepare(transaction, context);
+      } catch (error) {
+        await prisma.transaction.updateMany({
+          where: { id: transaction.id, ...claim },
+          data: { claimedEvent: null, claimedAt: null }
+        });
+        throw error;
+      }
+    }
+
+    const updatedTransaction = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.transaction.updateMany({
+        where: { ...where, ...(claim || unclaimed(new Date())) },
+        data: {
+          status: definition.to || transaction.status,
+          ...(definition.update ? definition.update(transaction, context) : {}),
+          claimedEvent: null,
+          claimedAt: null,
+          updatedDate: new Date()
+        }
+      });
+
+      // Someone else moved the transaction since we read it
+      if (count === 0) {
+        throw await concurrentChangeError(tx, transaction, event, definition);
+      }
+
+      if (definition.effects) {
+        await definition.effects(tx, transaction, context);
+      }
+
+      await tx.transactionEvent.create({
+        data: {
+          transactionId: transaction.id,
+          event,
+          fromStatus: transaction.status,
+          toStatus: definition.to || transaction.status,
+          actor,
+          username,
+          source: source || (actor === ACTORS.SYSTEM ? SOURCES.SYSTEM : SOURCES.USER),
+          payload: { ...payload, ...context.prepared }
+        }
+      });
+
+      return tx.transaction.findUnique({
+        where: { id: transaction.id },
+        include: transactionInclude
+      });
+    });
+
+    if (definition.notify) {
+      try {
+        await definition.notify(updatedTransaction, context);
+      } catch (notificationError) {
+        // Don't fail the transition if a notification fails
+        console.error(`Error sending notifications for transaction event ${event}:`, notificationError);
+      }
+    }
+
+    await CompetingOfferService.notify(context.closedOffers);
+
+    return updatedTransaction;
+  }
+}
+
+TransactionStateMachine.ACTORS = ACTORS;
+TransactionStateMachine.SOURCES = SOURCES;
+TransactionStateMachine.TRANSITIONS = TRANSITIONS;
+
+module.exports = TransactionStateMachine;
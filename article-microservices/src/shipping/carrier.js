@@ -0,0 +1,58 @@
+// shipping/carrier.js
+
+const TRACKING_STATUSES = ['LABEL_CREATED', 'PICKED_UP', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'EXCEPTION'];
+
+/**
+ * Base class for carrier adapters.
+ *
+ * A carrier validates tracking numbers against its own format and reports
+ * the tracking events of a shipment. getTrackingEvents() resolves to an
+ * array of events, oldest first:
+ *   { eventId, status, description, location, occurredAt }
+ * where status is one of TRACKING_STATUSES and eventId is unique per
+ * shipment, so polling the same shipment twice never stores an event twice.
+ */
+class Carrier {
+  /**
+   * @param {string} code - Upper-case code stored on transactions, e.g. "UPS"
+   * @param {object} options - { name, trackingNumberPattern, example }
+   */
+  constructor(code, { name = code, trackingNumberPattern = /^[A-Z0-9]{8,40}$/, example = null } = {}) {
+    this.code = code;
+    this.name = name;
+    this.trackingNumberPattern = trackingNumberPattern;
+    this.example = example;
+  }
+
+  /**
+   * Upper-case the tracking number and drop spaces and dashes
+   */
+  normalizeTrackingNumber(trackingNumber) {
+    return String(trackingNumber || '').replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  isValidTrackingNumber(trackingNumber) {
+    return this.trackingNumberPattern.test(this.normalizeTrackingNumber(trackingNumber));
+  }
+
+  /**
+   * Whether the adapter reports tracking events. A plain Carrier only checks
+   * tracking numbers; subclasses that implement getTrackingEvents() track.
+   */
+  get tracksShipments() {
+    return this.getTrackingEvents !== Carrier.prototype.getTrackingEvents;
+  }
+
+  /**
+   * Fetch the tracking events of a shipment
+   * @param {string} trackingNumber - Normalized tracking number
+   * @param {object} shipment - { shippedAt }
+   */
+  async getTrackingEvents() {
+    throw new Error(`${this.code}: getTrackingEvents() not implemented`);
+  }
+}
+
+Carrier.TRACKING_STATUSES = TRACKING_STATUSES;
+
+module.exports = Carrier;
@@ -0,0 +1,86 @@
+// shipping/index.js - Carrier registry
+const Carrier = require('./carrier');
+const StubCarrier = require('./stubCarrier');
+
+/**
+ * Tracking number formats of the supported carriers. No carrier API is
+ * reachable from here, so real carriers only check the tracking number
+ * format and are not polled until an adapter is registered with
+ * registerCarrier(). Only STUB simulates tracking events.
+ */
+const CARRIER_FORMATS = {
+  UPS: { name: 'UPS', trackingNumberPattern: /^1Z[0-9A-Z]{16}$/, example: '1Z999AA10123456784' },
+  USPS: { name: 'USPS', trackingNumberPattern: /^(9[2-5]\d{20}|[A-Z]{2}\d{9}US)$/, example: '9400111899223856925231' },
+  FEDEX: { name: 'FedEx', trackingNumberPattern: /^(\d{12}|\d{15}|\d{20})$/, example: '123456789012' },
+  DHL: { name: 'DHL', trackingNumberPattern: /^(\d{10}|JD\d{18})$/, example: '1234567890' },
+  STUB: { name: 'Local stub carrier', trackingNumberPattern: /^STUB\d{6,}$/, example: 'STUB000001' }
+};
+
+const factories = Object.fromEntries(
+  Object.entries(CARRIER_FORMATS).map(([code, format]) => [
+    code,
+    code === 'STUB' ? () => StubCarrier.fromEnv(code, format) : () => new Carrier(code, format)
+  ])
+);
+
+const instances = new Map();
+
+/**
+ * Carrier codes are stored upper-case without spaces ("Fed Ex" -> "FEDEX")
+ */
+function normalizeCarrierCode(carrier) {
+  return String(carrier || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Register a carrier factory under a code, replacing any existing one
+ */
+function registerCarrier(code, factory) {
+  const normalized = normalizeCarrierCode(code);
+  factories[normalized] = factory;
+  instances.delete(normalized);
+}
+
+/**
+ * Get the adapter for a carrier, or null when the carrier is not supported
+ */
+function getCarrier(code) {
+  const normalized = normalizeCarrierCode(code);
+
+  if (!instances.has(normalized)) {
+    const factory = factories[normalized];
+    if (!factory) return null;
+    instances.set(normalized, factory());
+  }
+
+  return instances.get(normalized);
+}
+
+/**
+ * Replace the adapter for a carrier (e.g. with a StubCarrier on a fixed clock in tests)
+ */
+function setCarrier(code, carrier) {
+  instances.set(normalizeCarrierCode(code), carrier);
+}
+
+function listCarriers() {
+  return Object.keys(factories);
+}
+
+/**
+ * Codes of the carriers whose adapter reports tracking events
+ */
+function listTrackedCarriers() {
+  return listCarriers().filter(code => getCarrier(code).tracksShipments);
+}
+
+module.exports = {
+  registerCarrier,
+  getCarrier,
+  setCarrier,
+  listCarriers,
+  listTrackedCarriers,
+  normalizeCarrierCode,
+  Carrier,
+  StubCarrier
+};
@@ -0,0 +1,64 @@
+// shipping/stubCarrier.js - Local carrier that simulates tracking events for dev and tests
+const Carrier = require('./carrier');
+
+const DEFAULT_DELIVERY_HOURS = 48;
+
+// Simulated journey: each step happens at a fraction of the delivery time
+const JOURNEY = [
+  { status: 'LABEL_CREATED', at: 0, description: 'Shipping label created', location: 'Seller' },
+  { status: 'PICKED_UP', at: 0.1, description: 'Picked up by carrier', location: 'Origin facility' },
+  { status: 'IN_TRANSIT', at: 0.4, description: 'In transit', location: 'Sorting center' },
+  { status: 'OUT_FOR_DELIVERY', at: 0.85, description: 'Out for delivery', location: 'Local depot' },
+  { status: 'DELIVERED', at: 1, description: 'Delivered', location: 'Destination' }
+];
+
+/**
+ * Carrier that never leaves the process. A shipment moves through JOURNEY
+ * based on the time elapsed since shippedAt, so the same shipment always
+ * reports the same events.
+ *
+ * Options (all optional, besides the Carrier options):
+ *   deliveryHours - hours from shipping to delivery (default 48)
+ *   now           - clock function, for tests
+ */
+class StubCarrier extends Carrier {
+  constructor(code = 'STUB', options = {}) {
+    super(code, {
+      name: options.name || 'Local stub carrier',
+      trackingNumberPattern: options.trackingNumberPattern,
+      example: options.example
+    });
+    this.deliveryHours = options.deliveryHours || DEFAULT_DELIVERY_HOURS;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Build a stub for the given carrier code from STUB_CARRIER_* environment variables
+   */
+  static fromEnv(code, options = {}, env = process.env) {
+    return new StubCarrier(code, {
+      ...options,
+      deliveryHours: parseFloat(env.STUB_CARRIER_DELIVERY_HOURS) || undefined
+    });
+  }
+
+  async getTrackingEvents(trackingNumber, { shippedAt } = {}) {
+    if (!shippedAt) return [];
+
+    const start = new Date(shippedAt).getTime();
+    const now = this.now().getTime();
+    const duration = this.deliveryHours * 60 * 60 * 1000;
+
+    return JOURNEY
+      .map(step => ({
+        eventId: `${this.code}-${trackingNumber}-${step.status}`,
+        status: step.status,
+        description: step.description,
+        location: step.location,
+        occurredAt: new Date(start + step.at * duration)
+      }))
+      .filter(event => event.occurredAt.getTime() <= now);
+  }
+}
+
+module.exports = StubCarrier;
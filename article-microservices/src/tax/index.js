@@ -0,0 +1,52 @@
+// tax/index.js - Tax calculator registry
+const TaxCalculator = require('./taxCalculator');
+const TableTaxCalculator = require('./tableTaxCalculator');
+
+/**
+ * Factories for the available calculators, keyed by TAX_CALCULATOR value
+ */
+const factories = {
+  table: () => TableTaxCalculator.fromEnv()
+};
+
+let activeCalculator = null;
+
+/**
+ * Register a calculator factory under a name
+ */
+function registerTaxCalculator(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Get the configured calculator (TAX_CALCULATOR, defaults to "table")
+ */
+function getTaxCalculator() {
+  if (!activeCalculator) {
+    const name = process.env.TAX_CALCULATOR || 'table';
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown tax calculator: ${name}`);
+    }
+
+    activeCalculator = factory();
+  }
+
+  return activeCalculator;
+}
+
+/**
+ * Replace the active calculator (e.g. with a fixed table in tests)
+ */
+function setTaxCalculator(calculator) {
+  activeCalculator = calculator;
+}
+
+module.exports = {
+  registerTaxCalculator,
+  getTaxCalculator,
+  setTaxCalculator,
+  TaxCalculator,
+  TableTaxCalculator
+};
@@ -0,0 +1,74 @@
+// tax/tableTaxCalculator.js - Tax from a local table of rates
+const TaxCalculator = require('./taxCalculator');
+const { DEFAULT_TAX_RATES } = require('./taxRates');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+
+/**
+ * Looks the shipping destination up in a rules table (see tax/taxRates.js).
+ * The tax is computed in minor units and rounded half up.
+ */
+class TableTaxCalculator extends TaxCalculator {
+  constructor(table = DEFAULT_TAX_RATES) {
+    super('table');
+    this.table = table;
+  }
+
+  /**
+   * Build a calculator from the TAX_RATES environment variable, falling back
+   * to the default table when it is missing or invalid
+   */
+  static fromEnv(env = process.env) {
+    if (env.TAX_RATES) {
+      try {
+        return new TableTaxCalculator(JSON.parse(env.TAX_RATES));
+      } catch (error) {
+        console.error('Invalid TAX_RATES, using default tax rates:', error.message);
+      }
+    }
+
+    return new TableTaxCalculator();
+  }
+
+  /**
+   * Rule for a destination: the country rule with the region's rate and
+   * exemptions applied on top
+   */
+  getRule(country, region) {
+    const countryRule = country && this.table.countries?.[country];
+
+    if (!countryRule) {
+      return { jurisdiction: country || null, rate: Number(this.table.default?.rate) || 0, exemptCategories: [] };
+    }
+
+    const regionRule = region && countryRule.regions?.[region];
+
+    return {
+      jurisdiction: regionRule ? `${country}-${region}` : country,
+      rate: Number(regionRule?.rate ?? countryRule.rate) || 0,
+      exemptCategories: [
+        ...(countryRule.exemptCategories || []),
+        ...(regionRule?.exemptCategories || [])
+      ]
+    };
+  }
+
+  async calculate({ amount, currency = DEFAULT_CURRENCY, category = null, address = {} }) {
+    const country = String(address.country || '').trim().toUpperCase() || null;
+    const region = String(address.region || address.state || '').trim().toUpperCase() || null;
+    const rule = this.getRule(country, region);
+    const exempt = Boolean(category) && rule.exemptCategories.includes(category);
+    const rate = exempt ? 0 : rule.rate;
+
+    return {
+      calculator: this.name,
+      jurisdiction: rule.jurisdiction,
+      rate,
+      taxableAmount: amount,
+      taxAmount: Math.round(amount * rate / 100),
+      exempt,
+      currency
+    };
+  }
+}
+
+module.exports = TableTaxCalculator;
@@ -0,0 +1,27 @@
+// tax/taxCalculator.js
+
+/**
+ * Base class for tax calculators.
+ *
+ * calculate() works out the tax a buyer pays on a sale shipped to an
+ * address and resolves to
+ *   { calculator, jurisdiction, rate, taxableAmount, taxAmount, exempt, currency }
+ * where rate is a percentage and amounts are minor units of the currency.
+ * A calculator backed by an external tax service is added by implementing
+ * this class and registering it in tax/index.js.
+ */
+class TaxCalculator {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {object} params - { amount, currency, category, address }
+   *                          address is the parsed shipping address
+   */
+  async calculate() {
+    throw new Error(`${this.name}: calculate() not implemented`);
+  }
+}
+
+module.exports = TaxCalculator;
@@ -0,0 +1,60 @@
+// tax/taxRates.js - Default rules table for TableTaxCalculator
+
+// Apparel categories (everything but accessories and hats)
+const CLOTHING = [
+  'PANTS', 'SHIRTS', 'PULLOVERS', 'JACKETS', 'TSHIRTS', 'BLOUSES', 'POLO',
+  'CROP_TOPS', 'SOCKS', 'SHOES', 'UNDERWEAR', 'SWIMWEAR'
+];
+
+/**
+ * Sales tax / VAT rates in percent, by ISO 3166-1 alpha-2 country code and
+ * optional region (state or province code). A region rate replaces the
+ * country rate; exemptions of the country and the region both apply.
+ * Destinations not listed use `default`.
+ *
+ * Override the whole table with the TAX_RATES environment variable (JSON,
+ * same shape).
+ */
+const DEFAULT_TAX_RATES = {
+  default: { rate: 0 },
+  countries: {
+    US: {
+      rate: 0,
+      regions: {
+        CA: { rate: 7.25 },
+        FL: { rate: 6 },
+        MN: { rate: 6.875, exemptCategories: CLOTHING },
+        NJ: { rate: 6.625, exemptCategories: CLOTHING },
+        NY: { rate: 4 },
+        PA: { rate: 6, exemptCategories: CLOTHING },
+        TX: { rate: 6.25 },
+        WA: { rate: 6.5 }
+      }
+    },
+    CA: {
+      rate: 5,
+      regions: {
+        BC: { rate: 12 },
+        ON: { rate: 13 },
+        QC: { rate: 14.975 }
+      }
+    },
+    GB: { rate: 20 },
+    IE: { rate: 23 },
+    FR: { rate: 20 },
+    DE: { rate: 19 },
+    ES: { rate: 21 },
+    IT: { rate: 22 },
+    BE: { rate: 21 },
+    NL: { rate: 21 },
+    CM: { rate: 19.25 },
+    NG: { rate: 7.5 },
+    SN: { rate: 18 },
+    CI: { rate: 18 }
+  }
+};
+
+module.exports = {
+  CLOTHING,
+  DEFAULT_TAX_RATES
+};
@@ -0,0 +1,64 @@
+// users/httpUserDirectory.js - Accounts from the user service over HTTP
+const UserDirectory = require('./userDirectory');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Reads accounts from the user service's GET <baseUrl>/users/<username>,
+ * which answers { username, createdAt, badge } or a JSON 404 for unknown
+ * users.
+ *
+ * Lookups time out after timeoutMs; an unreachable user service yields null
+ * so it cannot block offers or purchases. A 404 that is not the user
+ * service's JSON answer means USER_SERVICE_URL points at the wrong service
+ * and is logged as a configuration error.
+ */
+class HttpUserDirectory extends UserDirectory {
+  constructor({ baseUrl, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super('http');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Build a directory from USER_SERVICE_URL and USER_SERVICE_TIMEOUT_MS
+   */
+  static fromEnv(env = process.env) {
+    return new HttpUserDirectory({
+      baseUrl: env.USER_SERVICE_URL,
+      timeoutMs: parseInt(env.USER_SERVICE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    });
+  }
+
+  async getAccount(username) {
+    try {
+      const response = await fetch(`${this.baseUrl}/users/${encodeURIComponent(username)}`, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      if (!response.ok) {
+        if (response.status !== 404) {
+          console.error(`User service answered ${response.status} for ${username}`);
+        } else if (!isJson(response)) {
+          console.error(`User service at ${this.baseUrl} has no account lookup endpoint; check USER_SERVICE_URL`);
+        }
+        return null;
+      }
+
+      const user = await response.json();
+      const createdAt = new Date(user.createdAt);
+
+      return isNaN(createdAt) ? null : { username, createdAt };
+    } catch (error) {
+      console.error(`Error looking up ${username} in the user service:`, error.message);
+      return null;
+    }
+  }
+}
+
+function isJson(response) {
+  return (response.headers.get('content-type') || '').includes('application/json');
+}
+
+module.exports = HttpUserDirectory;
@@ -0,0 +1,33 @@
+// users/index.js - User service lookups
+const UserDirectory = require('./userDirectory');
+const HttpUserDirectory = require('./httpUserDirectory');
+
+let activeDirectory = null;
+
+/**
+ * Get the user directory: the user service at USER_SERVICE_URL, or a
+ * directory that knows no accounts when it is not set
+ */
+function getUserDirectory() {
+  if (!activeDirectory) {
+    activeDirectory = process.env.USER_SERVICE_URL
+      ? HttpUserDirectory.fromEnv()
+      : new UserDirectory('none');
+  }
+
+  return activeDirectory;
+}
+
+/**
+ * Replace the active directory (e.g. with a stub in tests)
+ */
+function setUserDirectory(directory) {
+  activeDirectory = directory;
+}
+
+module.exports = {
+  getUserDirectory,
+  setUserDirectory,
+  UserDirectory,
+  HttpUserDirectory
+};
@@ -0,0 +1,24 @@
+// users/userDirectory.js
+
+/**
+ * Base class for looking up accounts in the user service.
+ *
+ * getAccount() resolves to { username, createdAt } or null when the account
+ * is unknown or the directory is not configured. Callers treat null as "no
+ * information", never as a reason to refuse a request.
+ */
+class UserDirectory {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {string} username
+   * @returns {Promise<{ username: string, createdAt: Date }|null>}
+   */
+  async getAccount() {
+    return null;
+  }
+}
+
+module.exports = UserDirectory;
@@ -22,8 +22,48 @@ class NotFoundError extends Error {
   }
 }
 
+class ForbiddenError extends Error {
+  constructor(message = 'Forbidden') {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message = 'Conflict', details = {}) {
+    super(message);
+    this.name = 'ConflictError';
+    this.details = details;
+  }
+}
+
+class InvalidTransitionError extends ConflictError {
+  constructor(event, currentStatus, allowedFrom = []) {
+    super(`Transition '${event}' is not allowed from status ${currentStatus}`, {
+      event,
+      currentStatus,
+      allowedFrom
+    });
+    this.name = 'InvalidTransitionError';
+  }
+}
+
+class PaymentError extends Error {
+  constructor(message = 'Payment failed', { code = 'PAYMENT_FAILED', operation = null, provider = null } = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.operation = operation;
+    this.provider = provider;
+  }
+}
+
 module.exports = {
   ValidationError,
   AuthorizationError,
-  NotFoundError
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError,
+  PaymentError
 };
\ No newline at end of file
@@ -153,6 +153,15 @@ function validateId(id) {
   return { isValid: true, bigIntId: BigInt(id) };
 }
 
+/**
+ * Currency the caller wants amounts displayed in: the currency query
+ * parameter, else the x-user-currency header set by the gateway from the
+ * user's preferences
+ */
+function getViewerCurrency(req) {
+  return req.query?.currency || req.headers['x-user-currency'] || null;
+}
+
 /**
  * Clean object by removing undefined/null values
  */
@@ -174,6 +183,7 @@ module.exports = {
   formatErrorResponse,
   formatSuccessResponse,
   validateId,
+  getViewerCurrency,
   cleanObject,
   validateArticleData
 };
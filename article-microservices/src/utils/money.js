@@ -0,0 +1,66 @@
+// utils/money.js - Conversion between decimal amounts and integer minor units
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Number of minor-unit digits for currencies that do not use cents
+const CURRENCY_EXPONENTS = {
+  JPY: 0,
+  KRW: 0,
+  XAF: 0,
+  XOF: 0,
+  BHD: 3,
+  KWD: 3,
+  TND: 3
+};
+
+function getCurrencyExponent(currency = DEFAULT_CURRENCY) {
+  const exponent = CURRENCY_EXPONENTS[String(currency).toUpperCase()];
+  return exponent === undefined ? 2 : exponent;
+}
+
+/**
+ * Convert a decimal amount (e.g. 12.34) to integer minor units (1234).
+ * Rounds half away from zero.
+ */
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  const factor = 10 ** getCurrencyExponent(currency);
+  const value = Number(amount) * factor;
+  // toFixed drops binary noise first: 1.005 * 100 is 100.49999999999999
+  return Math.sign(value) * Math.round(Number(Math.abs(value).toFixed(6)));
+}
+
+/**
+ * Convert integer minor units (number or BigInt) back to a decimal amount
+ */
+function fromMinorUnits(minor, currency = DEFAULT_CURRENCY) {
+  return Number(minor) / 10 ** getCurrencyExponent(currency);
+}
+
+/**
+ * Format integer minor units for display in their currency,
+ * e.g. formatMoney(123450, 'EUR') -> '€1,234.50', formatMoney(5000, 'XAF') -> 'FCFA 5,000'
+ */
+function formatMoney(minor, currency = DEFAULT_CURRENCY, locale = 'en-US') {
+  const exponent = getCurrencyExponent(currency);
+  const amount = fromMinorUnits(minor, currency);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent
+    }).format(amount);
+  } catch {
+    // Codes Intl does not know
+    return `${amount.toFixed(exponent)} ${currency}`;
+  }
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  getCurrencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney
+};
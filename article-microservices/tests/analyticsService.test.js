@@ -0,0 +1,168 @@
+jest.mock('../src/prismaClient', () => ({
+  $queryRaw: jest.fn(),
+  offer: {
+    groupBy: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/transactionService', () => ({
+  getPlatformStats: jest.fn()
+}));
+
+const prisma = require('../src/prismaClient');
+const AnalyticsService = require('../src/services/analyticsService');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('AnalyticsService.parseRange', () => {
+  it('defaults to the last 12 weeks, starting on a Monday', () => {
+    const { from, to, interval } = AnalyticsService.parseRange({ interval: 'week', to: '2026-03-11' });
+
+    expect(interval).toBe('week');
+    expect(to).toEqual(new Date('2026-03-12T00:00:00Z'));
+    expect(from).toEqual(new Date('2025-12-22T00:00:00Z'));
+    expect(from.getUTCDay()).toBe(1);
+  });
+
+  it('rejects invalid intervals, dates and reversed ranges', () => {
+    expect(() => AnalyticsService.parseRange({ interval: 'year' })).toThrow(ValidationError);
+    expect(() => AnalyticsService.parseRange({ from: 'soon' })).toThrow(ValidationError);
+    expect(() => AnalyticsService.parseRange({ from: '2026-03-10', to: '2026-03-01' })).toThrow(ValidationError);
+  });
+
+  it('caps the number of buckets', () => {
+    expect(() => AnalyticsService.parseRange({ from: '2020-01-01', to: '2026-01-01', interval: 'day' }))
+      .toThrow('Analytics range too long');
+    expect(AnalyticsService.parseRange({ from: '2020-01-01', to: '2026-01-01', interval: 'month' }).interval)
+      .toBe('month');
+  });
+});
+
+describe('AnalyticsService.getGmv', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists every bucket in the range, with zeros for empty ones', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { period: new Date('2026-03-02T00:00:00Z'), sales: 2n, gmv: 15050, fees: 1225, currency: 'USD' },
+      { period: new Date('2026-03-04T00:00:00Z'), sales: 1n, gmv: 4000, fees: 300, currency: 'USD' }
+    ]);
+
+    const gmv = await AnalyticsService.getGmv(AnalyticsService.parseRange({
+      from: '2026-03-01',
+      to: '2026-03-04',
+      interval: 'day'
+    }));
+
+    expect(gmv.series).toEqual([
+      { period: '2026-03-01', sales: 0, gmv: 0, fees: 0 },
+      { period: '2026-03-02', sales: 2, gmv: 150.5, fees: 12.25 },
+      { period: '2026-03-03', sales: 0, gmv: 0, fees: 0 },
+      { period: '2026-03-04', sales: 1, gmv: 40, fees: 3 }
+    ]);
+    expect(gmv.totals).toEqual({ sales: 3, gmv: 190.5, fees: 15.25 });
+  });
+
+  it('buckets by month', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ period: '2026-02-01', sales: 4n, gmv: 40000, fees: 3000, currency: 'USD' }]);
+
+    const gmv = await AnalyticsService.getGmv(AnalyticsService.parseRange({
+      from: '2026-01-15',
+      to: '2026-03-15',
+      interval: 'month'
+    }));
+
+    expect(gmv.series.map(bucket => [bucket.period, bucket.sales])).toEqual([
+      ['2026-01-01', 0],
+      ['2026-02-01', 4],
+      ['2026-03-01', 0]
+    ]);
+  });
+
+  it('converts sales in other currencies into the report currency', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { period: '2026-03-02', sales: 1n, gmv: 10000, fees: 800, currency: 'USD' },
+      { period: '2026-03-02', sales: 2n, gmv: 60350, fees: 4828, currency: 'XAF' }
+    ]);
+
+    const gmv = await AnalyticsService.getGmv(AnalyticsService.parseRange({
+      from: '2026-03-02',
+      to: '2026-03-02',
+      interval: 'day',
+      currency: 'eur'
+    }));
+
+    expect(gmv.currency).toBe('EUR');
+    expect(gmv.series).toEqual([{ period: '2026-03-02', sales: 3, gmv: 184, fees: 14.72 }]);
+  });
+
+  it('rejects unsupported report currencies', () => {
+    expect(() => AnalyticsService.parseRange({ currency: 'XYZ' })).toThrow(ValidationError);
+  });
+});
+
+describe('AnalyticsService aggregates', () => {
+  const range = { from: new Date('2026-03-01T00:00:00Z'), to: new Date('2026-04-01T00:00:00Z') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('computes the offer acceptance rate from decided offers', async () => {
+    prisma.offer.groupBy.mockResolvedValue([
+      { status: 'ACCEPTED', _count: { status: 3 } },
+      { status: 'DONE', _count: { status: 3 } },
+      { status: 'DENIED', _count: { status: 2 } },
+      { status: 'PENDING', _count: { status: 5 } }
+    ]);
+
+    const acceptance = await AnalyticsService.getOfferAcceptance(range);
+
+    expect(acceptance).toEqual(expect.objectContaining({
+      total: 13,
+      accepted: 6,
+      decided: 8,
+      acceptanceRate: 75
+    }));
+  });
+
+  it('reports time to ship in hours', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ shipments: 4n, averageSeconds: 95400, maxSeconds: 259200 }]);
+
+    await expect(AnalyticsService.getTimeToShip(range)).resolves.toEqual(expect.objectContaining({
+      shipments: 4,
+      averageHours: 26.5,
+      maxHours: 72
+    }));
+  });
+
+  it('ranks categories by GMV across currencies', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { category: 'SHOES', currency: 'USD', sales: 3n, gmv: 30000 },
+      { category: 'JACKETS', currency: 'USD', sales: 1n, gmv: 20000 },
+      { category: 'JACKETS', currency: 'JPY', sales: 2n, gmv: 30000 },
+      { category: 'HATS', currency: 'USD', sales: 1n, gmv: 1000 }
+    ]);
+
+    const categories = await AnalyticsService.getTopCategories({ ...range, limit: 2, currency: 'USD' });
+
+    expect(categories).toEqual([
+      { category: 'JACKETS', sales: 3, gmv: 400 },
+      { category: 'SHOES', sales: 3, gmv: 300 }
+    ]);
+  });
+
+  it('sorts categories by dispute rate', async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { category: 'SHOES', transactions: 50n, disputes: 1 },
+      { category: 'JACKETS', transactions: 10n, disputes: 2 }
+    ]);
+
+    const rates = await AnalyticsService.getDisputeRateByCategory(range);
+
+    expect(rates).toEqual([
+      { category: 'JACKETS', transactions: 10, disputes: 2, disputeRate: 20 },
+      { category: 'SHOES', transactions: 50, disputes: 1, disputeRate: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock('../src/services/notificationService', () => ({
+  createOfferNotification: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/SSE/sseManager', () => ({
+  sendToSeller: jest.fn()
+}));
+
+const NotificationService = require('../src/services/notificationService');
+const { sendToSeller } = require('../src/SSE/sseManager');
+const CompetingOfferService = require('../src/services/competingOfferService');
+
+const tx = {
+  offer: {
+    findMany: jest.fn(),
+    updateMany: jest.fn()
+  },
+  offerEvent: {
+    create: jest.fn()
+  }
+};
+
+const competitor = (id, username, status) => ({
+  id,
+  articleId: 3n,
+  articleName: 'Denim jacket',
+  seller: 'seller',
+  username,
+  price: 4000,
+  currency: 'USD',
+  status
+});
+
+describe('CompetingOfferService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tx.offer.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('declines open offers and calls off agreed ones in the same database transaction', async () => {
+    tx.offer.findMany.mockResolvedValue([
+      competitor(5n, 'ada', 'PENDING'),
+      competitor(6n, 'bob', 'COUNTERED'),
+      competitor(7n, 'cy', 'ACCEPTED')
+    ]);
+
+    const closed = await CompetingOfferService.close(tx, { id: 2n, articleId: 3n }, 'SOLD');
+
+    expect(tx.offer.findMany).toHaveBeenCalledWith({
+      where: {
+        articleId: 3n,
+        id: { not: 2n },
+        status: { in: ['PENDING', 'COUNTERED', 'HELD', 'ACCEPTED'] }
+      }
+    });
+    expect(closed.map(offer => [offer.username, offer.status])).toEqual([
+      ['ada', 'DENIED'],
+      ['bob', 'DENIED'],
+      ['cy', 'CANCELLED']
+    ]);
+    expect(tx.offer.updateMany).toHaveBeenCalledWith({
+      where: { id: 7n, status: 'ACCEPTED' },
+      data: { status: 'CANCELLED', agreedPrice: null, expiresAt: null, updatedDate: expect.any(Date) }
+    });
+    expect(tx.offerEvent.create).toHaveBeenCalledWith({
+      data: {
+        offerId: 5n,
+        event: 'decline',
+        fromStatus: 'PENDING',
+        toStatus: 'DENIED',
+        actor: 'system',
+        username: null,
+        price: null
+      }
+    });
+  });
+
+  it('skips offers that moved on since they were read', async () => {
+    tx.offer.findMany.mockResolvedValue([competitor(5n, 'ada', 'PENDING')]);
+    tx.offer.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await CompetingOfferService.close(tx, { id: 2n, articleId: 3n }, 'ACCEPTED')).toEqual([]);
+    expect(tx.offerEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('tells each buyer the item is no longer available', async () => {
+    tx.offer.findMany.mockResolvedValue([competitor(5n, 'ada', 'PENDING')]);
+    const closed = await CompetingOfferService.close(tx, { id: 2n, articleId: 3n }, 'ACCEPTED');
+
+    await CompetingOfferService.notify(closed);
+
+    expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 5n, status: 'DENIED' }),
+      'OFFER_DENIED',
+      'Denim jacket is no longer available: the seller accepted another offer.'
+    );
+    expect(NotificationService.createOfferNotification.mock.calls[0][0]).not.toHaveProperty('closedReason');
+    expect(sendToSeller).toHaveBeenCalledWith('ada', expect.objectContaining({ type: 'OFFER_DENIED' }));
+  });
+});
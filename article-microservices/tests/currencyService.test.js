@@ -0,0 +1,62 @@
+const CurrencyService = require('../src/services/currencyService');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('CurrencyService', () => {
+  afterEach(() => {
+    delete process.env.EXCHANGE_RATES;
+  });
+
+  it('converts minor units through the base currency', () => {
+    expect(CurrencyService.convert(10000, 'USD', 'EUR')).toBe(9200);
+    expect(CurrencyService.convert(10000, 'USD', 'JPY')).toBe(15000);
+    expect(CurrencyService.convert(60350, 'XAF', 'XOF')).toBe(60350);
+    expect(CurrencyService.convert(9200, 'EUR', 'USD')).toBe(10000);
+  });
+
+  it('rejects unsupported currencies', () => {
+    expect(() => CurrencyService.normalizeCurrency('XYZ')).toThrow(ValidationError);
+    expect(CurrencyService.normalizeCurrency('eur')).toBe('EUR');
+    expect(CurrencyService.normalizeCurrency(undefined)).toBe('USD');
+  });
+
+  it('reads rates from EXCHANGE_RATES', () => {
+    process.env.EXCHANGE_RATES = JSON.stringify({ rates: { EUR: 0.5, SEK: 10 } });
+
+    expect(CurrencyService.convert(1000, 'USD', 'EUR')).toBe(500);
+    expect(CurrencyService.isSupported('SEK')).toBe(true);
+    expect(CurrencyService.isSupported('GBP')).toBe(true);
+
+    process.env.EXCHANGE_RATES = JSON.stringify({ base: 'EUR', rates: { USD: 2 } });
+
+    expect(CurrencyService.getSupportedCurrencies()).toEqual(['USD', 'EUR']);
+    expect(CurrencyService.convert(1000, 'EUR', 'USD')).toBe(2000);
+  });
+
+  it('presents records in major units with a display amount in the viewer currency', () => {
+    const offer = {
+      id: 1n,
+      price: 4550,
+      currency: 'USD',
+      article: { name: 'Denim jacket', price: 6000 }
+    };
+
+    expect(CurrencyService.present(offer, 'eur')).toEqual({
+      id: 1n,
+      price: 45.5,
+      currency: 'USD',
+      display: { currency: 'EUR', amount: 41.86, formatted: '€41.86', converted: true },
+      article: {
+        name: 'Denim jacket',
+        price: 60,
+        display: { currency: 'EUR', amount: 55.2, formatted: '€55.20', converted: true }
+      }
+    });
+  });
+
+  it('keeps the record currency when the viewer currency is unknown', () => {
+    const presented = CurrencyService.present({ amount: 500000, currency: 'XAF' }, 'XYZ');
+
+    expect(presented.amount).toBe(500000);
+    expect(presented.display).toEqual(expect.objectContaining({ currency: 'XAF', converted: false }));
+  });
+});
@@ -0,0 +1,286 @@
+jest.mock('../src/prismaClient', () => ({
+  transaction: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  },
+  disputeMessage: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/transactionStateMachine', () => ({
+  ACTORS: { ADMIN: 'admin' },
+  transition: jest.fn(),
+  getActor: jest.fn((transaction, username) => {
+    if (transaction.buyerUsername === username) return 'buyer';
+    if (transaction.sellerUsername === username) return 'seller';
+    return null;
+  })
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const prisma = require('../src/prismaClient');
+const TransactionStateMachine = require('../src/services/transactionStateMachine');
+const NotificationService = require('../src/services/notificationService');
+const DisputeService = require('../src/services/disputeService');
+const { isModerator } = require('../src/middleware/auth');
+const { postDisputeMessage } = require('../src/controllers/dispute.controller');
+const {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError
+} = require('../src/utils/errors');
+
+const disputed = (overrides = {}) => ({
+  id: 1n,
+  status: 'DISPUTED',
+  amount: 5000,
+  currency: 'USD',
+  refundedAmount: 0,
+  disputeOpenedAt: new Date(),
+  ...overrides
+});
+
+describe('DisputeService.resolveDispute', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TransactionStateMachine.transition.mockImplementation(async (transaction) => transaction);
+  });
+
+  it('refunds the buyer in full', async () => {
+    const transaction = disputed();
+    prisma.transaction.findFirst.mockResolvedValue(transaction);
+
+    await DisputeService.resolveDispute('1', { outcome: 'REFUND_BUYER', note: 'Item never arrived' }, 'mod');
+
+    expect(TransactionStateMachine.transition).toHaveBeenCalledWith(transaction, 'resolveDisputeRefund', {
+      actor: 'admin',
+      username: 'mod',
+      payload: { note: 'Item never arrived', reason: 'Item never arrived' }
+    });
+  });
+
+  it('releases the payment to the seller', async () => {
+    prisma.transaction.findFirst.mockResolvedValue(disputed());
+
+    await DisputeService.resolveDispute('1', { outcome: 'RELEASE_TO_SELLER' }, 'mod');
+
+    expect(TransactionStateMachine.transition).toHaveBeenCalledTimes(1);
+    expect(TransactionStateMachine.transition.mock.calls[0][1]).toBe('resolveDisputeRelease');
+  });
+
+  it('splits by refunding part and releasing the rest', async () => {
+    prisma.transaction.findFirst.mockResolvedValue(disputed());
+
+    await DisputeService.resolveDispute('1', { outcome: 'SPLIT', buyerAmount: '20' }, 'mod');
+
+    const [refund, release] = TransactionStateMachine.transition.mock.calls;
+    expect(refund[1]).toBe('partialRefund');
+    expect(refund[2].payload.amount).toBe(20);
+    expect(release[1]).toBe('resolveDisputeRelease');
+    expect(release[2].payload.outcome).toBe('SPLIT');
+  });
+
+  it('rejects a split that would refund everything', async () => {
+    prisma.transaction.findFirst.mockResolvedValue(disputed({ refundedAmount: 1000 }));
+
+    await expect(DisputeService.resolveDispute('1', { outcome: 'SPLIT', buyerAmount: 40 }, 'mod'))
+      .rejects.toBeInstanceOf(ValidationError);
+    expect(TransactionStateMachine.transition).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown outcomes', async () => {
+    await expect(DisputeService.resolveDispute('1', { outcome: 'COIN_TOSS' }, 'mod'))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('refuses disputes that are already resolved', async () => {
+    prisma.transaction.findFirst.mockResolvedValue(disputed({ status: 'COMPLETED' }));
+
+    await expect(DisputeService.resolveDispute('1', { outcome: 'REFUND_BUYER' }, 'mod'))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+  });
+
+  it('reports transactions that were never disputed as not found', async () => {
+    prisma.transaction.findFirst.mockResolvedValue(null);
+
+    await expect(DisputeService.resolveDispute('1', { outcome: 'REFUND_BUYER' }, 'mod'))
+      .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+describe('DisputeService.listDisputes', () => {
+  it('lists open disputes oldest first', async () => {
+    prisma.transaction.findMany.mockResolvedValue([]);
+    prisma.transaction.count.mockResolvedValue(0);
+
+    await DisputeService.listDisputes();
+
+    expect(prisma.transaction.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'DISPUTED', disputeResolvedAt: null },
+      orderBy: { disputeOpenedAt: 'asc' }
+    }));
+  });
+});
+
+describe('DisputeService.addMessage', () => {
+  const thread = (overrides = {}) => disputed({
+    buyerUsername: 'buyer',
+    sellerUsername: 'seller',
+    offer: { articleName: 'Camera' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.disputeMessage.create.mockImplementation(async ({ data }) => ({ id: 7n, ...data }));
+  });
+
+  it('stores the reply with its photos and notifies the other party', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(thread());
+
+    const message = await DisputeService.addMessage('1', { username: 'buyer' }, {
+      message: '  See the cracked lens  ',
+      attachments: ['photos-1.jpg', 'photos-2.jpg']
+    });
+
+    expect(prisma.disputeMessage.create).toHaveBeenCalledWith({
+      data: {
+        transactionId: 1n,
+        author: 'buyer',
+        authorRole: 'buyer',
+        message: 'See the cracked lens',
+        attachments: 'photos-1.jpg,photos-2.jpg'
+      }
+    });
+    expect(message.attachments).toEqual(['photos-1.jpg', 'photos-2.jpg']);
+    expect(NotificationService.createNotification).toHaveBeenCalledTimes(1);
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'seller',
+      type: 'DISPUTE_MESSAGE'
+    }));
+  });
+
+  it('notifies both parties when a moderator replies', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(thread());
+
+    await DisputeService.addMessage('1', { username: 'mod', moderator: true }, { message: 'Please send the receipt' });
+
+    expect(prisma.disputeMessage.create.mock.calls[0][0].data.authorRole).toBe('moderator');
+    expect(NotificationService.createNotification.mock.calls.map(([n]) => n.userId)).toEqual(['buyer', 'seller']);
+  });
+
+  it('makes the thread read-only once the dispute is resolved', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(thread({ status: 'REFUNDED', disputeResolvedAt: new Date() }));
+
+    await expect(DisputeService.addMessage('1', { username: 'seller' }, { message: 'One more thing' }))
+      .rejects.toBeInstanceOf(ConflictError);
+    expect(prisma.disputeMessage.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses users who are not a party to the dispute', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(thread());
+
+    await expect(DisputeService.addMessage('1', { username: 'stranger' }, { message: 'Hello' }))
+      .rejects.toBeInstanceOf(ForbiddenError);
+  });
+
+  it('requires a message or a photo', async () => {
+    await expect(DisputeService.addMessage('1', { username: 'buyer' }, { message: '   ' }))
+      .rejects.toBeInstanceOf(ValidationError);
+    expect(prisma.transaction.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('reports transactions that were never disputed as not found', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(thread({ disputeOpenedAt: null }));
+
+    await expect(DisputeService.getThread('1', { username: 'buyer' }))
+      .rejects.toBeInstanceOf(NotFoundError);
+  });
+});
+
+describe('postDisputeMessage', () => {
+  let dir;
+
+  const upload = (name) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, 'jpeg');
+    return { filename: name, path: file };
+  };
+
+  const post = async (files, headers = { 'x-user-username': 'stranger' }) => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+
+    await postDisputeMessage({ headers, params: { id: '1' }, body: { message: 'Hello' }, files }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispute-photos-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('deletes the uploaded photos when the reply is refused', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(disputed({ buyerUsername: 'buyer', sellerUsername: 'seller' }));
+    const files = [upload('photos-1.jpg'), upload('photos-2.jpg')];
+
+    const res = await post(files);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('deletes the uploaded photos when the dispute does not exist or the user is signed out', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(null);
+
+    expect((await post([upload('photos-1.jpg')], { 'x-user-username': 'buyer' })).status).toHaveBeenCalledWith(404);
+    expect((await post([upload('photos-2.jpg')], {})).status).toHaveBeenCalledWith(401);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('keeps the photos of a posted reply', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(disputed({
+      buyerUsername: 'buyer',
+      sellerUsername: 'seller',
+      offer: { articleName: 'Camera' }
+    }));
+    prisma.disputeMessage.create.mockImplementation(async ({ data }) => ({ id: 7n, ...data }));
+
+    const res = await post([upload('photos-1.jpg')], { 'x-user-username': 'buyer' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(fs.readdirSync(dir)).toEqual(['photos-1.jpg']);
+  });
+});
+
+describe('isModerator', () => {
+  const env = process.env;
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('accepts moderators and admins', () => {
+    process.env = { ...env, ADMIN_USERNAMES: 'root', MODERATOR_USERNAMES: 'mod1, mod2' };
+
+    expect(isModerator('mod2')).toBe(true);
+    expect(isModerator('root')).toBe(true);
+    expect(isModerator('buyer')).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../src/prismaClient', () => ({
+  transaction: {
+    findMany: jest.fn()
+  }
+}));
+
+const prisma = require('../src/prismaClient');
+const ExportService = require('../src/services/exportService');
+const { ValidationError } = require('../src/utils/errors');
+
+const transaction = (id, overrides = {}) => ({
+  id: BigInt(id),
+  articleId: 4n,
+  buyerUsername: 'buyer',
+  sellerUsername: 'seller',
+  status: 'COMPLETED',
+  amount: 5320,
+  itemPrice: 5000,
+  buyerFee: 320,
+  sellerFee: 150,
+  sellerPayout: 4850,
+  currency: 'USD',
+  refundedAmount: 0,
+  paymentReference: 'PAY_1',
+  paymentConfirmedAt: new Date('2026-03-01T10:00:00Z'),
+  paymentReleaseReference: 'REL_1',
+  paymentReleasedAt: new Date('2026-03-05T10:00:00Z'),
+  createdDate: new Date('2026-03-01T09:00:00Z'),
+  updatedDate: new Date('2026-03-05T10:00:00Z'),
+  offer: { articleName: 'Denim jacket' },
+  ...overrides
+});
+
+const read = async (stream) => {
+  let body = '';
+  for await (const chunk of stream) {
+    body += chunk;
+  }
+  return body;
+};
+
+describe('ExportService.buildWhere', () => {
+  it('limits users to their own purchases and sales', () => {
+    expect(ExportService.buildWhere({}, 'ada')).toEqual({
+      AND: [{ OR: [{ buyerUsername: 'ada' }, { sellerUsername: 'ada' }] }]
+    });
+  });
+
+  it('filters by role, counterparty, status and date range', () => {
+    expect(ExportService.buildWhere({
+      from: '2026-01-01',
+      to: '2026-03-31',
+      status: 'COMPLETED',
+      role: 'seller',
+      party: 'bob'
+    }, 'ada')).toEqual({
+      AND: [
+        { createdDate: { gte: new Date('2026-01-01T00:00:00Z'), lt: new Date('2026-04-01T00:00:00Z') } },
+        { status: 'COMPLETED' },
+        { sellerUsername: 'ada', buyerUsername: 'bob' }
+      ]
+    });
+  });
+
+  it('exports the whole platform for admins, optionally for one party', () => {
+    expect(ExportService.buildWhere({})).toEqual({});
+    expect(ExportService.buildWhere({ party: 'bob', role: 'buyer' })).toEqual({
+      AND: [{ buyerUsername: 'bob' }]
+    });
+  });
+
+  it('rejects invalid filters', () => {
+    expect(() => ExportService.buildWhere({ from: 'yesterday', status: 'LOST' }, 'ada')).toThrow(ValidationError);
+  });
+});
+
+describe('ExportService.createExportStream', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('streams CSV in batches with a header row', async () => {
+    prisma.transaction.findMany
+      .mockResolvedValueOnce(Array.from({ length: 500 }, (_, i) => transaction(i + 1)))
+      .mockResolvedValueOnce([transaction(501, { offer: { articleName: 'Jacket, "vintage"' } })]);
+
+    const lines = (await read(ExportService.createExportStream({}, 'csv'))).trim().split('\r\n');
+
+    expect(lines).toHaveLength(502);
+    expect(lines[0]).toBe(ExportService.COLUMNS.map(column => column.name).join(','));
+    expect(lines[1]).toMatch(/^1,2026-03-01T09:00:00.000Z,COMPLETED,buyer,seller,4,Denim jacket,USD,50,3.2,53.2,1.5,48.5,0,PAY_1,/);
+    expect(lines[501]).toContain(',"Jacket, ""vintage""",');
+    expect(prisma.transaction.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: { AND: [{}, { id: { gt: 500n } }] },
+      orderBy: { id: 'asc' }
+    }));
+  });
+
+  it('streams one JSON object per line', async () => {
+    prisma.transaction.findMany.mockResolvedValueOnce([transaction(1), transaction(2)]);
+
+    const lines = (await read(ExportService.createExportStream({}, 'ndjson'))).trim().split('\n');
+
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1])).toEqual(expect.objectContaining({
+      transaction_id: '2',
+      seller_payout: 48.5,
+      release_reference: 'REL_1',
+      shipped_at: null
+    }));
+  });
+
+  it('neutralizes spreadsheet formulas', async () => {
+    prisma.transaction.findMany.mockResolvedValueOnce([transaction(1, { offer: { articleName: '=HYPERLINK("x")' } })]);
+
+    const body = await read(ExportService.createExportStream({}, 'csv'));
+
+    expect(body).toContain(',"\'=HYPERLINK(""x"")",');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => ExportService.createExportStream({}, 'xlsx')).toThrow(ValidationError);
+  });
+});
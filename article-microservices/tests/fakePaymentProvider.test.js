@@ -0,0 +1,87 @@
+const FakePaymentProvider = require('../src/payments/fakePaymentProvider');
+const { PaymentError } = require('../src/utils/errors');
+
+describe('FakePaymentProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FakePaymentProvider({ referencePrefix: 'TEST', strict: true });
+  });
+
+  it('walks a payment through authorize, capture and release', async () => {
+    const authorization = await provider.authorize({ amount: 40, orderId: '7', customer: 'buyer' });
+    expect(authorization).toMatchObject({ success: true, reference: 'TEST_AUTH_1', status: 'AUTHORIZED' });
+
+    const capture = await provider.capture(authorization.reference, { amount: 40 });
+    expect(capture.status).toBe('CAPTURED');
+
+    const release = await provider.release(authorization.reference, { recipient: 'seller' });
+    expect(release).toMatchObject({ reference: 'TEST_REL_2', amount: 40, status: 'RELEASED' });
+
+    const status = await provider.getStatus(authorization.reference);
+    expect(status.history.map(entry => entry.operation)).toEqual(['authorize', 'capture', 'release']);
+  });
+
+  it('voids an authorization that will not be captured', async () => {
+    const { reference } = await provider.authorize({ amount: 40 });
+
+    const voided = await provider.void(reference, { reason: 'Purchase not completed' });
+    expect(voided).toMatchObject({ amount: 40, status: 'VOIDED' });
+
+    await expect(provider.capture(reference)).rejects.toMatchObject({ code: 'INVALID_PAYMENT_STATE' });
+  });
+
+  it('supports partial then full refunds', async () => {
+    const { reference } = await provider.authorize({ amount: 100 });
+    await provider.capture(reference, { amount: 100 });
+
+    const partial = await provider.refund(reference, { amount: 30, reason: 'damaged' });
+    expect(partial.status).toBe('PARTIALLY_REFUNDED');
+
+    const rest = await provider.refund(reference);
+    expect(rest).toMatchObject({ amount: 70, status: 'REFUNDED' });
+
+    await expect(provider.refund(reference, { amount: 1 })).rejects.toBeInstanceOf(PaymentError);
+  });
+
+  it('fails every operation when configured for failure', async () => {
+    provider.configure({ outcome: 'failure' });
+
+    await expect(provider.authorize({ amount: 10 })).rejects.toMatchObject({
+      code: 'PAYMENT_DECLINED',
+      operation: 'authorize'
+    });
+  });
+
+  it('fails only the configured operations', async () => {
+    provider.configure({ failOperations: ['capture'] });
+    const { reference } = await provider.authorize({ amount: 10 });
+
+    await expect(provider.capture(reference)).rejects.toBeInstanceOf(PaymentError);
+  });
+
+  it('rejects operations out of order', async () => {
+    const { reference } = await provider.authorize({ amount: 10 });
+
+    await expect(provider.release(reference)).rejects.toMatchObject({ code: 'INVALID_PAYMENT_STATE' });
+  });
+
+  it('rejects unknown references in strict mode only', async () => {
+    await expect(provider.capture('UNKNOWN', { amount: 5 })).rejects.toMatchObject({ code: 'PAYMENT_NOT_FOUND' });
+
+    const lenient = new FakePaymentProvider({ referencePrefix: 'TEST' });
+    await expect(lenient.release('UNKNOWN', { amount: 5 })).resolves.toMatchObject({ amount: 5 });
+  });
+
+  it('reads its configuration from the environment', () => {
+    const fromEnv = FakePaymentProvider.fromEnv({
+      FAKE_PAYMENT_OUTCOME: 'failure',
+      FAKE_PAYMENT_FAIL_OPERATIONS: 'capture, refund, bogus',
+      FAKE_PAYMENT_DELAY_MS: '250'
+    });
+
+    expect(fromEnv.outcome).toBe('failure');
+    expect(fromEnv.failOperations).toEqual(['capture', 'refund']);
+    expect(fromEnv.delayMs).toBe(250);
+  });
+});
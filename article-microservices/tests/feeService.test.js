@@ -0,0 +1,74 @@
+const FeeService = require('../src/services/feeService');
+
+describe('FeeService', () => {
+  afterEach(() => {
+    delete process.env.FEE_SCHEDULE;
+  });
+
+  it('applies the default buyer and seller fees', () => {
+    const fees = FeeService.calculateFees({ price: 4000 });
+
+    // Buyer: 5% + $0.70, seller: 3%
+    expect(fees).toEqual(expect.objectContaining({
+      itemPrice: 4000,
+      buyerFee: 270,
+      sellerFee: 120,
+      buyerTotal: 4270,
+      sellerPayout: 3880,
+      platformFee: 390
+    }));
+  });
+
+  it('rounds each fee to whole cents so the parts add up', () => {
+    const fees = FeeService.calculateFees({ price: 1999 });
+
+    expect(fees.buyerFee).toBe(170); // 0.9995 rounds to 1.00, + 0.70
+    expect(fees.sellerFee).toBe(60); // 0.5997
+    expect(fees.itemPrice + fees.buyerFee).toBe(fees.buyerTotal);
+  });
+
+  it('converts the fixed fee into the currency of the sale', () => {
+    const fees = FeeService.calculateFees({ price: 10000, currency: 'XAF' });
+
+    // 5% of 10,000 FCFA + $0.70 at 603.5 FCFA to the dollar
+    expect(fees.buyerFee).toBe(922);
+    expect(fees.currency).toBe('XAF');
+  });
+
+  it('uses per-category overrides from FEE_SCHEDULE', () => {
+    process.env.FEE_SCHEDULE = JSON.stringify({
+      buyer: { percent: 0, fixed: 1 },
+      seller: { percent: 10, fixed: 0 },
+      categories: {
+        SHOES: { seller: { percent: 5 } }
+      }
+    });
+
+    const shoes = FeeService.calculateFees({ price: 10000, category: 'SHOES' });
+    const shirts = FeeService.calculateFees({ price: 10000, category: 'SHIRTS' });
+
+    expect(shoes.sellerFee).toBe(500);
+    expect(shoes.buyerFee).toBe(100);
+    expect(shirts.sellerFee).toBe(1000);
+    expect(shoes.rules.seller).toEqual({ percent: 5, fixed: 0 });
+  });
+
+  it('never charges the seller more than the item price', () => {
+    process.env.FEE_SCHEDULE = JSON.stringify({ seller: { percent: 0, fixed: 5 } });
+
+    expect(FeeService.calculateFees({ price: 300 }).sellerPayout).toBe(0);
+  });
+
+  it('falls back to the default schedule when FEE_SCHEDULE is invalid', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.FEE_SCHEDULE = '{not json';
+
+    expect(FeeService.getSchedule()).toBe(FeeService.DEFAULT_FEE_SCHEDULE);
+    console.error.mockRestore();
+  });
+
+  it('pays legacy transactions without fees in full', () => {
+    expect(FeeService.getSellerPayout({ amount: 2500, sellerPayout: null })).toBe(2500);
+    expect(FeeService.getPlatformFee({ amount: 4270, sellerPayout: 3880 })).toBe(390);
+  });
+});
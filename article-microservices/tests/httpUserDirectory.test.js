@@ -0,0 +1,46 @@
+const { HttpUserDirectory } = require('../src/users');
+
+const respond = (status, body, contentType = 'application/json; charset=utf-8') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => (name === 'content-type' ? contentType : null) },
+  json: async () => body
+});
+
+describe('HttpUserDirectory', () => {
+  const directory = new HttpUserDirectory({ baseUrl: 'http://users:3000/' });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('reads the sign-up date from the user service account endpoint', async () => {
+    global.fetch.mockResolvedValue(respond(200, { username: 'ada', createdAt: '2026-01-02T00:00:00.000Z', badge: false }));
+
+    await expect(directory.getAccount('ada')).resolves.toEqual({
+      username: 'ada',
+      createdAt: new Date('2026-01-02T00:00:00.000Z')
+    });
+    expect(global.fetch).toHaveBeenCalledWith('http://users:3000/users/ada', expect.any(Object));
+  });
+
+  it('treats the user service 404 as an unknown user', async () => {
+    global.fetch.mockResolvedValue(respond(404, { message: 'User not found' }));
+
+    await expect(directory.getAccount('ghost')).resolves.toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('logs a configuration error when the URL does not point at the user service', async () => {
+    global.fetch.mockResolvedValue(respond(404, null, 'text/html; charset=utf-8'));
+
+    await expect(directory.getAccount('ada')).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('check USER_SERVICE_URL'));
+  });
+});
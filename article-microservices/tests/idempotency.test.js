@@ -0,0 +1,171 @@
+jest.mock('../src/prismaClient', () => ({
+  idempotencyKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    deleteMany: jest.fn()
+  }
+}));
+
+const { EventEmitter } = require('events');
+const { setImmediate } = require('timers');
+const prisma = require('../src/prismaClient');
+const IdempotencyService = require('../src/services/idempotencyService');
+const { idempotency } = require('../src/middleware/idempotency');
+
+const duplicateKeyError = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+const mockRequest = (body, headers = {}) => ({
+  method: 'POST',
+  baseUrl: '/offer',
+  path: '/create',
+  body,
+  headers: {
+    'x-user-username': 'buyer1',
+    'idempotency-key': 'key-1',
+    ...headers
+  }
+});
+
+const mockResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Let the fire-and-forget store calls settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('IdempotencyService.fingerprint', () => {
+  it('ignores key order in the payload', () => {
+    const a = IdempotencyService.fingerprint({ method: 'POST', path: '/offer/create', body: { articleId: '1', price: 10 } });
+    const b = IdempotencyService.fingerprint({ method: 'POST', path: '/offer/create', body: { price: 10, articleId: '1' } });
+    expect(a).toBe(b);
+  });
+
+  it('differs when the payload differs', () => {
+    const a = IdempotencyService.fingerprint({ method: 'POST', path: '/offer/create', body: { articleId: '1', price: 10 } });
+    const b = IdempotencyService.fingerprint({ method: 'POST', path: '/offer/create', body: { articleId: '1', price: 11 } });
+    expect(a).not.toBe(b);
+  });
+});
+
+describe('idempotency middleware', () => {
+  const middleware = idempotency('offer.create');
+  const body = { articleId: '1', price: 10 };
+  const requestHash = IdempotencyService.fingerprint({ method: 'POST', path: '/offer/create', body });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.idempotencyKey.create.mockImplementation(({ data }) => Promise.resolve({ id: 1n, status: 'IN_PROGRESS', ...data }));
+    prisma.idempotencyKey.update.mockResolvedValue({});
+    prisma.idempotencyKey.deleteMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('passes requests without a key straight through', async () => {
+    const next = jest.fn();
+    await middleware(mockRequest(body, { 'idempotency-key': undefined }), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(prisma.idempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('stores the response of the first request', async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(mockRequest(body), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(prisma.idempotencyKey.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ key: 'key-1', username: 'buyer1', scope: 'offer.create', requestHash })
+    });
+
+    res.status(201).json({ success: true, data: { id: '7' } });
+    await flush();
+
+    expect(prisma.idempotencyKey.update).toHaveBeenCalledWith({
+      where: { id: 1n },
+      data: expect.objectContaining({
+        status: 'COMPLETED',
+        responseStatus: 201,
+        responseBody: { success: true, data: { id: '7' } }
+      })
+    });
+  });
+
+  it('replays the stored response for a retry', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      id: 1n,
+      requestHash,
+      status: 'COMPLETED',
+      responseStatus: 201,
+      responseBody: { success: true, data: { id: '7' } },
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(mockRequest(body), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { id: '7' } });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('rejects a different payload under the same key', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      id: 1n,
+      requestHash: 'other',
+      status: 'COMPLETED',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(mockRequest(body), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('rejects a retry while the first request is still running', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      id: 1n,
+      requestHash,
+      status: 'IN_PROGRESS',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const res = mockResponse();
+    await middleware(mockRequest(body), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('releases the key after a server error so the client can retry', async () => {
+    const res = mockResponse();
+    await middleware(mockRequest(body), res, jest.fn());
+
+    res.status(500).json({ success: false });
+    await flush();
+
+    expect(prisma.idempotencyKey.update).not.toHaveBeenCalled();
+    expect(prisma.idempotencyKey.deleteMany).toHaveBeenCalledWith({
+      where: { id: 1n, status: 'IN_PROGRESS' }
+    });
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock('../src/prismaClient', () => ({
+  jobLock: {
+    create: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+    findMany: jest.fn()
+  },
+  jobRun: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn()
+  }
+}));
+
+jest.mock('../src/jobs', () => [
+  {
+    name: 'test-job',
+    description: 'Test job',
+    schedule: '*/5 * * * *',
+    handler: jest.fn()
+  }
+]);
+
+const prisma = require('../src/prismaClient');
+const jobs = require('../src/jobs');
+const JobService = require('../src/services/jobService');
+const { NotFoundError } = require('../src/utils/errors');
+
+describe('JobService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.jobRun.create.mockImplementation(({ data }) => Promise.resolve({ id: 1n, ...data }));
+    prisma.jobRun.update.mockImplementation(({ data }) => Promise.resolve({ id: 1n, ...data }));
+    prisma.jobLock.deleteMany.mockResolvedValue({ count: 1 });
+  });
+
+  afterEach(() => {
+    delete process.env.JOB_TEST_JOB_SCHEDULE;
+    delete process.env.JOB_TEST_JOB_ENABLED;
+  });
+
+  it('applies schedule overrides from the environment', () => {
+    process.env.JOB_TEST_JOB_SCHEDULE = '0 0 * * *';
+    process.env.JOB_TEST_JOB_ENABLED = 'false';
+
+    const config = JobService.getJobConfig(jobs[0]);
+    expect(config.schedule).toBe('0 0 * * *');
+    expect(config.enabled).toBe(false);
+  });
+
+  it('runs the job and records a successful run', async () => {
+    prisma.jobLock.create.mockResolvedValue({});
+    jobs[0].handler.mockResolvedValue({ processed: 3 });
+
+    const run = await JobService.runJob('test-job', { trigger: 'MANUAL', triggeredBy: 'admin' });
+
+    expect(jobs[0].handler).toHaveBeenCalledTimes(1);
+    expect(run.status).toBe('SUCCEEDED');
+    expect(run.result).toEqual({ processed: 3 });
+    expect(prisma.jobLock.deleteMany).toHaveBeenCalled();
+  });
+
+  it('records a failed run and releases the lock', async () => {
+    prisma.jobLock.create.mockResolvedValue({});
+    jobs[0].handler.mockRejectedValue(new Error('boom'));
+
+    const run = await JobService.runJob('test-job');
+
+    expect(run.status).toBe('FAILED');
+    expect(run.error).toBe('boom');
+    expect(prisma.jobLock.deleteMany).toHaveBeenCalled();
+  });
+
+  it('skips the run when another instance holds an unexpired lock', async () => {
+    prisma.jobLock.create.mockRejectedValue(Object.assign(new Error('exists'), { code: 'P2002' }));
+    prisma.jobLock.updateMany.mockResolvedValue({ count: 0 });
+
+    const run = await JobService.runJob('test-job');
+
+    expect(run.status).toBe('SKIPPED');
+    expect(jobs[0].handler).not.toHaveBeenCalled();
+    expect(prisma.jobLock.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('takes over an expired lock', async () => {
+    prisma.jobLock.create.mockRejectedValue(Object.assign(new Error('exists'), { code: 'P2002' }));
+    prisma.jobLock.updateMany.mockResolvedValue({ count: 1 });
+    jobs[0].handler.mockResolvedValue(null);
+
+    const run = await JobService.runJob('test-job');
+
+    expect(run.status).toBe('SUCCEEDED');
+  });
+
+  it('throws NotFoundError for unknown jobs', async () => {
+    await expect(JobService.runJob('missing-job')).rejects.toBeInstanceOf(NotFoundError);
+  });
+});
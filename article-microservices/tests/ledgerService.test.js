@@ -0,0 +1,190 @@
+jest.mock('../src/prismaClient', () => ({
+  ledgerAccount: {
+    upsert: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    groupBy: jest.fn()
+  },
+  ledgerEntry: {
+    create: jest.fn()
+  },
+  ledgerLine: {
+    aggregate: jest.fn()
+  }
+}));
+
+const prisma = require('../src/prismaClient');
+const LedgerService = require('../src/services/ledgerService');
+const { toMinorUnits, fromMinorUnits } = require('../src/utils/money');
+const { ConflictError } = require('../src/utils/errors');
+
+const transaction = {
+  id: 1n,
+  buyerUsername: 'buyer',
+  sellerUsername: 'seller',
+  amount: 1999,
+  currency: 'USD',
+  paymentReference: 'PAY_1'
+};
+
+// Entry kinds and line amounts (by account key) posted so far
+const postedEntries = () => prisma.ledgerEntry.create.mock.calls.map(([{ data }]) => ({
+  kind: data.kind,
+  lines: data.lines.create.map(line => [accountKeys.get(line.accountId), line.amount])
+}));
+
+let accountKeys;
+
+describe('money helpers', () => {
+  it('converts to and from minor units without float drift', () => {
+    expect(toMinorUnits(19.99)).toBe(1999);
+    expect(toMinorUnits(1.005)).toBe(101);
+    expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+    expect(toMinorUnits(500, 'JPY')).toBe(500);
+    expect(fromMinorUnits(1999n)).toBe(19.99);
+  });
+});
+
+describe('LedgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountKeys = new Map();
+    let nextId = 1n;
+    const ids = new Map();
+
+    prisma.ledgerAccount.upsert.mockImplementation(({ where, create }) => {
+      if (!ids.has(where.key)) {
+        ids.set(where.key, nextId);
+        accountKeys.set(nextId, where.key);
+        nextId += 1n;
+      }
+      return Promise.resolve({ id: ids.get(where.key), ...create });
+    });
+    prisma.ledgerEntry.create.mockImplementation(({ data }) => Promise.resolve({ id: 1n, ...data }));
+    prisma.ledgerAccount.update.mockResolvedValue({});
+  });
+
+  it('rejects unbalanced entries', async () => {
+    await expect(LedgerService.postEntry(prisma, {
+      kind: 'HOLD',
+      lines: [
+        { account: { type: 'BUYER', owner: 'buyer' }, amount: -100 },
+        { account: { type: 'ESCROW' }, amount: 99 }
+      ]
+    })).rejects.toThrow('Unbalanced ledger entry');
+
+    expect(prisma.ledgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('records a capture as CAPTURE and HOLD entries in minor units', async () => {
+    await LedgerService.recordCapture(prisma, transaction);
+
+    expect(postedEntries()).toEqual([
+      { kind: 'CAPTURE', lines: [['PROVIDER:USD', -1999n], ['BUYER:buyer:USD', 1999n]] },
+      { kind: 'HOLD', lines: [['BUYER:buyer:USD', -1999n], ['ESCROW:USD', 1999n]] }
+    ]);
+    expect(prisma.ledgerAccount.update).toHaveBeenCalledWith({
+      where: { id: 3n },
+      data: { balance: { increment: 1999n } }
+    });
+  });
+
+  it('takes the platform fee out of escrow before releasing to the seller', async () => {
+    await LedgerService.recordRelease(prisma, transaction, { reference: 'REL_1', feeAmount: 200 });
+
+    expect(postedEntries()).toEqual([
+      { kind: 'FEE', lines: [['ESCROW:USD', -200n], ['PLATFORM_FEES:USD', 200n]] },
+      { kind: 'RELEASE', lines: [['ESCROW:USD', -1799n], ['SELLER:seller:USD', 1799n]] }
+    ]);
+  });
+
+  it('sets the tax aside before the platform fee and the release', async () => {
+    await LedgerService.recordRelease(prisma, transaction, { reference: 'REL_1', feeAmount: 200, taxAmount: 150 });
+
+    expect(postedEntries()).toEqual([
+      { kind: 'TAX', lines: [['ESCROW:USD', -150n], ['TAX_PAYABLE:USD', 150n]] },
+      { kind: 'FEE', lines: [['ESCROW:USD', -200n], ['PLATFORM_FEES:USD', 200n]] },
+      { kind: 'RELEASE', lines: [['ESCROW:USD', -1649n], ['SELLER:seller:USD', 1649n]] }
+    ]);
+  });
+
+  it('routes refunds from escrow through the buyer back to the provider', async () => {
+    await LedgerService.recordRefund(prisma, transaction, { reference: 'REF_1' });
+
+    expect(postedEntries()).toEqual([
+      {
+        kind: 'REFUND',
+        lines: [
+          ['ESCROW:USD', -1999n],
+          ['BUYER:buyer:USD', 1999n],
+          ['BUYER:buyer:USD', -1999n],
+          ['PROVIDER:USD', 1999n]
+        ]
+      }
+    ]);
+  });
+
+  it('takes refunds after release from the seller and the platform fees', async () => {
+    await LedgerService.recordRefund(prisma, transaction, {
+      reference: 'REF_2',
+      amount: 1999,
+      released: true,
+      returnedFee: 200
+    });
+
+    expect(postedEntries()).toEqual([
+      {
+        kind: 'REFUND',
+        lines: [
+          ['SELLER:seller:USD', -1799n],
+          ['PLATFORM_FEES:USD', -200n],
+          ['BUYER:buyer:USD', 1999n],
+          ['BUYER:buyer:USD', -1999n],
+          ['PROVIDER:USD', 1999n]
+        ]
+      }
+    ]);
+  });
+
+  it('refuses payout requests that would overdraw the seller balance', async () => {
+    prisma.ledgerAccount.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(LedgerService.recordPayoutRequest(prisma, {
+      id: 5n,
+      sellerUsername: 'seller',
+      amount: 2500n,
+      currency: 'USD'
+    })).rejects.toBeInstanceOf(ConflictError);
+
+    expect(prisma.ledgerAccount.updateMany).toHaveBeenCalledWith({
+      where: { id: 1n, balance: { gte: 2500n } },
+      data: { balance: { increment: -2500n } }
+    });
+    expect(prisma.ledgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('derives user totals from ledger lines', async () => {
+    prisma.ledgerLine.aggregate
+      .mockResolvedValueOnce({ _sum: { amount: -5000n } }) // held as buyer
+      .mockResolvedValueOnce({ _sum: { amount: 1999n } }) // refunded
+      .mockResolvedValueOnce({ _sum: { amount: null } }); // earned as seller
+
+    await expect(LedgerService.getUserTotals('buyer')).resolves.toEqual({
+      currency: 'USD',
+      spent: 3001n,
+      refunded: 1999n,
+      earned: 0n
+    });
+  });
+
+  it('reports whether the books balance', async () => {
+    prisma.ledgerAccount.groupBy.mockResolvedValue([
+      { type: 'PROVIDER', _sum: { balance: -1999n }, _count: { id: 1 } },
+      { type: 'ESCROW', _sum: { balance: 1999n }, _count: { id: 1 } }
+    ]);
+
+    const trialBalance = await LedgerService.getTrialBalance();
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.types[1]).toEqual({ type: 'ESCROW', accounts: 1, balance: 1999n, amount: 19.99 });
+  });
+});
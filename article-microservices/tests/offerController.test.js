@@ -0,0 +1,117 @@
+jest.mock('../src/prismaClient', () => {
+  const prisma = {
+    article: {
+      findUnique: jest.fn()
+    },
+    offer: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      count: jest.fn()
+    }
+  };
+  prisma.$queryRaw = jest.fn().mockResolvedValue([]);
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return prisma;
+});
+
+jest.mock('../src/services/riskService', () => ({
+  DECISIONS: { ALLOW: 'ALLOW', HOLD: 'HOLD', BLOCK: 'BLOCK' },
+  assess: jest.fn().mockResolvedValue({ subject: 'OFFER', decision: 'ALLOW' })
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createOfferNotification: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/SSE/sseManager', () => ({
+  sendToSeller: jest.fn()
+}));
+
+const prisma = require('../src/prismaClient');
+const { createOffer } = require('../src/controllers/offer.controller');
+
+const reply = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const offerRequest = () => ({
+  headers: { 'x-user-username': 'buyer' },
+  body: { articleId: '3', price: 45 }
+});
+
+describe('createOffer on an existing offer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.article.findUnique.mockResolvedValue({
+      id: 3n,
+      name: 'Denim jacket',
+      owner: 'seller',
+      currency: 'USD',
+      price: 6000,
+      published: true
+    });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('refuses a new price while the offer is held for risk review', async () => {
+    prisma.offer.findUnique.mockResolvedValue({ id: 2n, status: 'HELD' });
+    const res = reply();
+
+    await createOffer(offerRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(prisma.offer.update).not.toHaveBeenCalled();
+  });
+
+  it('only updates the offer from the status it was read in', async () => {
+    prisma.offer.findUnique.mockResolvedValue({ id: 2n, status: 'PENDING' });
+    prisma.offer.update.mockRejectedValue(Object.assign(new Error('Record to update not found'), { code: 'P2025' }));
+    const res = reply();
+
+    await createOffer(offerRequest(), res);
+
+    expect(prisma.offer.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 2n, status: 'PENDING' }
+    }));
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe('createOffer at the auto-accept price', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.article.findUnique.mockResolvedValue({
+      id: 3n,
+      name: 'Denim jacket',
+      owner: 'seller',
+      currency: 'USD',
+      price: 6000,
+      autoAcceptPrice: 4000,
+      published: true
+    });
+    prisma.offer.findUnique.mockResolvedValue(null);
+    prisma.offer.create.mockImplementation(async ({ data }) => ({ id: 2n, ...data }));
+  });
+
+  it('leaves the offer to the seller when another buyer\'s offer was accepted first', async () => {
+    prisma.offer.count.mockResolvedValue(1);
+    const res = reply();
+
+    await createOffer(offerRequest(), res);
+
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+    expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.offer.count.mock.invocationCallOrder[0]);
+    expect(prisma.offer.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'PENDING', agreedPrice: null })
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+});
@@ -0,0 +1,297 @@
+jest.mock('../src/prismaClient', () => {
+  const prisma = {
+    offer: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+      count: jest.fn()
+    },
+    transaction: {
+      count: jest.fn()
+    },
+    offerEvent: {
+      create: jest.fn()
+    },
+    riskAssessment: {
+      create: jest.fn()
+    }
+  };
+  prisma.$queryRaw = jest.fn().mockResolvedValue([]);
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return prisma;
+});
+
+jest.mock('../src/services/riskService', () => ({
+  DECISIONS: { ALLOW: 'ALLOW', HOLD: 'HOLD', BLOCK: 'BLOCK' },
+  assess: jest.fn(),
+  recordBlock: jest.fn(),
+  toRecord: jest.fn(risk => ({ subject: risk.subject, decision: risk.decision }))
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createOfferNotification: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/SSE/sseManager', () => ({
+  sendToSeller: jest.fn()
+}));
+
+const prisma = require('../src/prismaClient');
+const RiskService = require('../src/services/riskService');
+const NotificationService = require('../src/services/notificationService');
+const { sendToSeller } = require('../src/SSE/sseManager');
+const OfferNegotiationService = require('../src/services/offerNegotiationService');
+const { ValidationError, ForbiddenError, ConflictError, InvalidTransitionError } = require('../src/utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('OfferNegotiationService', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RiskService.assess.mockResolvedValue({ subject: 'OFFER', decision: 'ALLOW' });
+    prisma.offer.count.mockResolvedValue(0);
+    prisma.offer.findMany.mockResolvedValue([]);
+    prisma.transaction.count.mockResolvedValue(0);
+
+    // Minimal offer table: updateMany applies the CAS, findUnique reads back
+    stored = {
+      id: 1n,
+      articleId: 2n,
+      articleName: 'Denim jacket',
+      seller: 'seller',
+      username: 'buyer',
+      price: 4000,
+      currency: 'USD',
+      proposedBy: 'buyer',
+      agreedPrice: null,
+      buyWithinHours: null,
+      expiresAt: null,
+      status: 'PENDING'
+    };
+    prisma.offer.findUnique.mockImplementation(async () => ({ ...stored }));
+    prisma.offer.updateMany.mockImplementation(async ({ where, data }) => {
+      if (where.status !== stored.status || where.price !== stored.price) return { count: 0 };
+      stored = { ...stored, ...data };
+      return { count: 1 };
+    });
+  });
+
+  it('lets the seller counter a pending offer and tells both sides', async () => {
+    const offer = await OfferNegotiationService.counter('1', 'seller', '45.50');
+
+    expect(offer).toEqual(expect.objectContaining({ status: 'COUNTERED', price: 4550, proposedBy: 'seller' }));
+    expect(prisma.offerEvent.create).toHaveBeenCalledWith({
+      data: {
+        offerId: 1n,
+        event: 'counter',
+        fromStatus: 'PENDING',
+        toStatus: 'COUNTERED',
+        actor: 'seller',
+        username: 'seller',
+        price: 4550
+      }
+    });
+    expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(offer, 'OFFER_COUNTERED');
+    expect(sendToSeller.mock.calls.map(([recipient, message]) => [recipient, message.type])).toEqual([
+      ['seller', 'OFFER_COUNTERED'],
+      ['buyer', 'OFFER_COUNTERED']
+    ]);
+    expect(RiskService.assess).not.toHaveBeenCalled();
+  });
+
+  it('takes turns: only the side the price waits for can accept or counter', async () => {
+    await expect(OfferNegotiationService.accept('1', 'buyer')).rejects.toBeInstanceOf(InvalidTransitionError);
+
+    await OfferNegotiationService.counter('1', 'seller', 45);
+    await expect(OfferNegotiationService.counter('1', 'seller', 44)).rejects.toBeInstanceOf(InvalidTransitionError);
+
+    await OfferNegotiationService.counter('1', 'buyer', 42);
+    expect(stored).toEqual(expect.objectContaining({ status: 'PENDING', price: 4200, proposedBy: 'buyer' }));
+    expect(RiskService.assess).toHaveBeenCalledWith(expect.objectContaining({ amount: 4200, currency: 'USD' }));
+
+    const accepted = await OfferNegotiationService.accept('1', 'seller');
+    expect(accepted).toEqual(expect.objectContaining({ status: 'ACCEPTED', agreedPrice: 4200 }));
+    expect(prisma.offerEvent.create).toHaveBeenCalledTimes(3);
+  });
+
+  it('agrees on the counter price when the buyer accepts it', async () => {
+    stored = { ...stored, status: 'COUNTERED', price: 4550, proposedBy: 'seller' };
+
+    const offer = await OfferNegotiationService.accept('1', 'buyer');
+
+    expect(offer.agreedPrice).toBe(4550);
+    expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(offer, 'OFFER_COUNTER_ACCEPTED');
+  });
+
+  it('closes the other buyers\' offers when one is accepted', async () => {
+    prisma.offer.findMany.mockResolvedValue([{ ...stored, id: 5n, username: 'ada', status: 'PENDING' }]);
+    prisma.offer.updateMany.mockImplementation(async ({ where, data }) => {
+      if (where.id === 5n) return { count: 1 };
+      stored = { ...stored, ...data };
+      return { count: 1 };
+    });
+
+    await OfferNegotiationService.accept('1', 'seller');
+
+    expect(prisma.offer.updateMany).toHaveBeenCalledWith({
+      where: { id: 5n, status: 'PENDING' },
+      data: expect.objectContaining({ status: 'DENIED' })
+    });
+    expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 5n, username: 'ada' }),
+      'OFFER_DENIED',
+      expect.stringContaining('no longer available')
+    );
+  });
+
+  it('lets the buyer walk away and the seller decline', async () => {
+    stored = { ...stored, status: 'ACCEPTED', agreedPrice: 4000 };
+    await expect(OfferNegotiationService.decline('1', 'seller')).rejects.toBeInstanceOf(InvalidTransitionError);
+
+    const cancelled = await OfferNegotiationService.decline('1', 'buyer');
+    expect(cancelled).toEqual(expect.objectContaining({ status: 'CANCELLED', agreedPrice: null }));
+    expect(prisma.offerEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ event: 'decline', actor: 'buyer', price: null })
+    });
+  });
+
+  it('sends the buyer to the transaction when the purchase already started', async () => {
+    stored = { ...stored, status: 'ACCEPTED', agreedPrice: 4000 };
+    prisma.transaction.count.mockResolvedValue(1);
+
+    await expect(OfferNegotiationService.decline('1', 'buyer')).rejects.toThrow('cancel the transaction instead');
+    expect(prisma.transaction.count).toHaveBeenCalledWith({
+      where: { offerId: 1n, status: { not: 'CANCELLED' } }
+    });
+    expect(stored.status).toBe('ACCEPTED');
+  });
+
+  it('holds a buyer counter flagged by the risk checks without telling the seller', async () => {
+    stored = { ...stored, status: 'COUNTERED', price: 4550, proposedBy: 'seller' };
+    RiskService.assess.mockResolvedValue({ subject: 'OFFER', decision: 'HOLD' });
+
+    const offer = await OfferNegotiationService.counter('1', 'buyer', 43);
+
+    expect(offer.status).toBe('HELD');
+    expect(prisma.riskAssessment.create).toHaveBeenCalledWith({
+      data: { subject: 'OFFER', decision: 'HOLD', offerId: 1n }
+    });
+    expect(NotificationService.createOfferNotification).not.toHaveBeenCalled();
+    expect(sendToSeller).not.toHaveBeenCalled();
+  });
+
+  it('rejects invalid prices, outsiders and the wrong side', async () => {
+    await expect(OfferNegotiationService.counter('1', 'seller', 'abc')).rejects.toBeInstanceOf(ValidationError);
+    await expect(OfferNegotiationService.counter('1', 'seller', 40)).rejects.toBeInstanceOf(ValidationError);
+    await expect(OfferNegotiationService.accept('1', 'mallory')).rejects.toBeInstanceOf(ForbiddenError);
+    await expect(OfferNegotiationService.decline('1', 'seller', 'buyer')).rejects.toBeInstanceOf(ForbiddenError);
+    expect(prisma.offer.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('fails when the offer changed since it was read', async () => {
+    prisma.offer.findUnique.mockResolvedValueOnce({ ...stored });
+    prisma.offer.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(OfferNegotiationService.accept('1', 'seller')).rejects.toBeInstanceOf(InvalidTransitionError);
+    expect(prisma.offerEvent.create).not.toHaveBeenCalled();
+  });
+
+  describe('expiry', () => {
+    afterEach(() => {
+      delete process.env.OFFER_TTL_HOURS;
+      delete process.env.ACCEPTED_OFFER_TTL_HOURS;
+    });
+
+    it('gives each turn its own deadline and the buyer the seller\'s purchase window', async () => {
+      process.env.OFFER_TTL_HOURS = '24';
+
+      const countered = await OfferNegotiationService.counter('1', 'seller', 45, null, { buyWithinHours: 6 });
+      expect(countered.expiresAt.getTime() - countered.updatedDate.getTime()).toBe(24 * HOUR);
+      expect(countered.buyWithinHours).toBe(6);
+
+      const accepted = await OfferNegotiationService.accept('1', 'buyer');
+      expect(accepted.expiresAt.getTime() - accepted.updatedDate.getTime()).toBe(6 * HOUR);
+
+      const cancelled = await OfferNegotiationService.decline('1', 'buyer');
+      expect(cancelled.expiresAt).toBeNull();
+    });
+
+    it('uses ACCEPTED_OFFER_TTL_HOURS when the seller gives no purchase window', async () => {
+      process.env.ACCEPTED_OFFER_TTL_HOURS = '12';
+
+      const accepted = await OfferNegotiationService.accept('1', 'seller');
+
+      expect(accepted.expiresAt.getTime() - accepted.updatedDate.getTime()).toBe(12 * HOUR);
+      expect(() => OfferNegotiationService.parseBuyWithinHours(0)).toThrow(ValidationError);
+      expect(() => OfferNegotiationService.parseBuyWithinHours(24 * 31)).toThrow(ValidationError);
+    });
+
+    it('keeps a second offer on the same article from being accepted', async () => {
+      prisma.offer.count.mockResolvedValue(1);
+
+      await expect(OfferNegotiationService.accept('1', 'seller')).rejects.toBeInstanceOf(ConflictError);
+      expect(prisma.offer.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('locks the article before checking for an accepted offer', async () => {
+      prisma.offer.count.mockResolvedValue(0);
+      prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+
+      await OfferNegotiationService.accept('1', 'seller');
+
+      const [strings, articleId] = prisma.$queryRaw.mock.calls[0];
+      expect(strings.join('?')).toContain('FOR UPDATE');
+      expect(articleId).toBe(2n);
+      expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+        .toBeLessThan(prisma.offer.count.mock.invocationCallOrder[0]);
+    });
+
+    it('expires stale offers, notifies both sides and skips ones that moved on', async () => {
+      const now = new Date('2026-10-19T12:00:00Z');
+      const other = { ...stored, id: 5n, status: 'DONE' };
+      prisma.offer.findMany.mockResolvedValue([{ ...stored }, other]);
+
+      const expired = await OfferNegotiationService.expireStaleOffers(now);
+
+      expect(expired).toBe(1);
+      expect(prisma.offer.findMany).toHaveBeenCalledWith({
+        where: {
+          transactions: { none: { status: { not: 'CANCELLED' } } },
+          OR: [
+            { status: { in: ['PENDING', 'COUNTERED', 'ACCEPTED'] }, expiresAt: { lte: now } },
+            { status: { in: ['PENDING', 'COUNTERED'] }, expiresAt: null, updatedDate: { lt: new Date(now.getTime() - 72 * HOUR) } },
+            { status: 'ACCEPTED', expiresAt: null, updatedDate: { lt: new Date(now.getTime() - 48 * HOUR) } }
+          ]
+        }
+      });
+      expect(stored).toEqual(expect.objectContaining({ status: 'EXPIRED', expiresAt: null, agreedPrice: null }));
+      expect(prisma.offerEvent.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'expire', actor: 'system', username: null, price: null })
+      });
+      expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(expect.anything(), 'OFFER_EXPIRED');
+      expect(sendToSeller.mock.calls.map(([recipient]) => recipient)).toEqual(['seller', 'buyer']);
+    });
+
+    it('leaves an accepted offer alone once the buyer started the purchase', async () => {
+      stored = { ...stored, status: 'ACCEPTED', agreedPrice: 4000 };
+      prisma.offer.findMany.mockResolvedValue([{ ...stored }]);
+      prisma.transaction.count.mockResolvedValue(1);
+
+      expect(await OfferNegotiationService.expireStaleOffers()).toBe(0);
+      expect(stored.status).toBe('ACCEPTED');
+    });
+
+    it('expires an accepted offer whose purchase was cancelled, freeing the article', async () => {
+      stored = { ...stored, status: 'ACCEPTED', agreedPrice: 4000 };
+      prisma.offer.findMany.mockResolvedValue([{ ...stored }]);
+
+      expect(await OfferNegotiationService.expireStaleOffers()).toBe(1);
+      expect(prisma.transaction.count).toHaveBeenCalledWith({
+        where: { offerId: 1n, status: { not: 'CANCELLED' } }
+      });
+      expect(stored.status).toBe('EXPIRED');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../src/prismaClient', () => ({
+  paymentWebhookEvent: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn()
+  },
+  transaction: {
+    findFirst: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/transactionStateMachine', () => ({
+  ACTORS: { SYSTEM: 'system' },
+  SOURCES: { WEBHOOK: 'WEBHOOK' },
+  transition: jest.fn()
+}));
+
+const prisma = require('../src/prismaClient');
+const TransactionStateMachine = require('../src/services/transactionStateMachine');
+const PaymentWebhookService = require('../src/services/paymentWebhookService');
+const { signPayload, verifySignature } = require('../src/payments/webhookSignature');
+const { InvalidTransitionError, ValidationError } = require('../src/utils/errors');
+
+describe('webhook signatures', () => {
+  const secret = 'whsec_test';
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.confirmed' });
+  const now = 1700000000000;
+  const timestamp = String(now / 1000);
+
+  it('accepts a valid signature within the tolerance window', () => {
+    const signature = signPayload(secret, timestamp, rawBody);
+    expect(verifySignature({ secret, timestamp, signature, rawBody, now })).toEqual({ valid: true });
+  });
+
+  it('rejects a tampered body', () => {
+    const signature = signPayload(secret, timestamp, rawBody);
+    const result = verifySignature({ secret, timestamp, signature, rawBody: `${rawBody} `, now });
+    expect(result).toEqual({ valid: false, reason: 'Signature mismatch' });
+  });
+
+  it('rejects stale timestamps', () => {
+    const signature = signPayload(secret, timestamp, rawBody);
+    const result = verifySignature({ secret, timestamp, signature, rawBody, now: now + 301 * 1000 });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('Timestamp outside tolerance window');
+  });
+
+  it('rejects missing headers', () => {
+    expect(verifySignature({ secret, rawBody, now }).valid).toBe(false);
+  });
+});
+
+describe('PaymentWebhookService', () => {
+  const transaction = { id: 9n, status: 'PAYMENT_PENDING', paymentReference: 'PAY_1' };
+  const body = { id: 'evt_1', type: 'payment.confirmed', data: { reference: 'PAY_1' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.paymentWebhookEvent.create.mockImplementation(({ data }) => Promise.resolve({ id: 1n, ...data }));
+    prisma.paymentWebhookEvent.update.mockImplementation(({ data }) => Promise.resolve({ id: 1n, eventId: 'evt_1', ...data }));
+    prisma.transaction.findFirst.mockResolvedValue(transaction);
+    TransactionStateMachine.transition.mockResolvedValue({ ...transaction, status: 'PAYMENT_CONFIRMED' });
+  });
+
+  it('applies a confirmation through the state machine', async () => {
+    const { event, duplicate } = await PaymentWebhookService.receiveEvent(body, 'fake');
+
+    expect(duplicate).toBe(false);
+    expect(event.status).toBe('PROCESSED');
+    expect(TransactionStateMachine.transition).toHaveBeenCalledWith(transaction, 'confirmPayment', expect.objectContaining({
+      actor: 'system',
+      source: 'WEBHOOK'
+    }));
+  });
+
+  it('acknowledges redelivered events without applying them again', async () => {
+    prisma.paymentWebhookEvent.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 'P2002' }));
+    prisma.paymentWebhookEvent.findUnique.mockResolvedValue({ id: 1n, eventId: 'evt_1', status: 'PROCESSED' });
+
+    const { duplicate } = await PaymentWebhookService.receiveEvent(body, 'fake');
+
+    expect(duplicate).toBe(true);
+    expect(TransactionStateMachine.transition).not.toHaveBeenCalled();
+  });
+
+  it('retries events whose earlier attempt failed', async () => {
+    prisma.paymentWebhookEvent.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 'P2002' }));
+    prisma.paymentWebhookEvent.findUnique.mockResolvedValue({ id: 1n, eventId: 'evt_1', status: 'FAILED' });
+
+    const { event, duplicate } = await PaymentWebhookService.receiveEvent(body, 'fake');
+
+    expect(duplicate).toBe(false);
+    expect(event.status).toBe('PROCESSED');
+  });
+
+  it('applies events left RECEIVED by an attempt that never finished', async () => {
+    prisma.paymentWebhookEvent.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 'P2002' }));
+    prisma.paymentWebhookEvent.findUnique.mockResolvedValue({ id: 1n, eventId: 'evt_1', status: 'RECEIVED' });
+
+    const { event, duplicate } = await PaymentWebhookService.receiveEvent(body, 'fake');
+
+    expect(duplicate).toBe(false);
+    expect(event.status).toBe('PROCESSED');
+    expect(TransactionStateMachine.transition).toHaveBeenCalledWith(transaction, 'confirmPayment', expect.anything());
+  });
+
+  it('acknowledges redelivered events that were ignored', async () => {
+    prisma.paymentWebhookEvent.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 'P2002' }));
+    prisma.paymentWebhookEvent.findUnique.mockResolvedValue({ id: 1n, eventId: 'evt_1', status: 'IGNORED' });
+
+    const { duplicate } = await PaymentWebhookService.receiveEvent(body, 'fake');
+
+    expect(duplicate).toBe(true);
+    expect(TransactionStateMachine.transition).not.toHaveBeenCalled();
+  });
+
+  it('ignores events that no longer apply to the transaction status', async () => {
+    TransactionStateMachine.transition.mockRejectedValue(
+      new InvalidTransitionError('confirmPayment', 'PAYMENT_CONFIRMED', ['PAYMENT_PENDING'])
+    );
+
+    const { event } = await PaymentWebhookService.receiveEvent(body, 'fake');
+    expect(event.status).toBe('IGNORED');
+  });
+
+  it('passes the provider refund reference so the refund is not issued twice', async () => {
+    await PaymentWebhookService.receiveEvent({
+      id: 'evt_2',
+      type: 'payment.refunded',
+      data: { reference: 'PAY_1', refundReference: 'RF_1' }
+    }, 'fake');
+
+    const [, event, context] = TransactionStateMachine.transition.mock.calls[0];
+    expect(event).toBe('refund');
+    expect(context.payload.refundReference).toBe('RF_1');
+  });
+
+  it('treats a refund of less than the remaining amount as a partial refund', async () => {
+    prisma.transaction.findFirst.mockResolvedValue({ ...transaction, status: 'SHIPPED', amount: 5000, currency: 'USD', refundedAmount: 0 });
+
+    await PaymentWebhookService.receiveEvent({
+      id: 'evt_3',
+      type: 'payment.refunded',
+      data: { reference: 'PAY_1', amount: 5, refundReference: 'RF_2' }
+    }, 'fake');
+
+    const [, event, context] = TransactionStateMachine.transition.mock.calls[0];
+    expect(event).toBe('partialRefund');
+    expect(context.payload.amount).toBe(5);
+  });
+
+  it('rejects malformed events', async () => {
+    await expect(PaymentWebhookService.receiveEvent({ type: 'payment.confirmed' }, 'fake'))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../src/prismaClient', () => {
+  const tx = {
+    payout: {
+      create: jest.fn(),
+      updateMany: jest.fn(),
+      findUnique: jest.fn()
+    }
+  };
+
+  return {
+    tx,
+    payout: {
+      findMany: jest.fn(),
+      aggregate: jest.fn()
+    },
+    transaction: {
+      findMany: jest.fn()
+    },
+    $transaction: jest.fn(callback => callback(tx))
+  };
+});
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../src/services/ledgerService', () => ({
+  ACCOUNT_TYPES: { SELLER: 'SELLER' },
+  getBalance: jest.fn(),
+  recordPayoutRequest: jest.fn().mockResolvedValue({}),
+  recordPayoutSettled: jest.fn().mockResolvedValue({}),
+  recordPayoutReversed: jest.fn().mockResolvedValue({})
+}));
+
+const prisma = require('../src/prismaClient');
+const LedgerService = require('../src/services/ledgerService');
+const NotificationService = require('../src/services/notificationService');
+const PayoutService = require('../src/services/payoutService');
+const { setPaymentProvider, FakePaymentProvider } = require('../src/payments');
+const { ConflictError, InvalidTransitionError, ValidationError } = require('../src/utils/errors');
+
+describe('PayoutService', () => {
+  let provider;
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.PAYOUT_MINIMUM_AMOUNT;
+    provider = new FakePaymentProvider({ referencePrefix: 'TEST' });
+    setPaymentProvider(provider);
+
+    // Minimal payout table: updateMany applies the CAS, findUnique reads back
+    stored = null;
+    prisma.tx.payout.create.mockImplementation(({ data }) => {
+      stored = { id: 1n, status: 'REQUESTED', currency: 'USD', ...data };
+      return Promise.resolve(stored);
+    });
+    prisma.tx.payout.updateMany.mockImplementation(({ where, data }) => {
+      if (!stored || stored.status !== where.status) return Promise.resolve({ count: 0 });
+      stored = { ...stored, ...data };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.tx.payout.findUnique.mockImplementation(() => Promise.resolve(stored));
+  });
+
+  it('shows available, pending and payout balances in major units', async () => {
+    LedgerService.getBalance.mockResolvedValue(4550n);
+    prisma.transaction.findMany.mockResolvedValue([{ amount: 1999 }, { amount: 1 }]);
+    prisma.payout.aggregate
+      .mockResolvedValueOnce({ _sum: { amount: 1000n } })
+      .mockResolvedValueOnce({ _sum: { amount: null } });
+
+    await expect(PayoutService.getWallet('seller')).resolves.toEqual({
+      currency: 'USD',
+      available: 45.5,
+      pending: 20,
+      inPayout: 10,
+      paidOut: 0,
+      minimumPayout: 10
+    });
+  });
+
+  it('requests the whole available balance and reserves it in the ledger', async () => {
+    LedgerService.getBalance.mockResolvedValue(2500n);
+
+    const payout = await PayoutService.requestPayout('seller');
+
+    expect(payout.amount).toBe(25);
+    expect(prisma.tx.payout.create).toHaveBeenCalledWith({
+      data: { sellerUsername: 'seller', amount: 2500, currency: 'USD' }
+    });
+    expect(LedgerService.recordPayoutRequest).toHaveBeenCalledWith(prisma.tx, stored);
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'seller', type: 'PAYOUT_REQUESTED' })
+    );
+  });
+
+  it('enforces the minimum payout', async () => {
+    process.env.PAYOUT_MINIMUM_AMOUNT = '20';
+
+    await expect(PayoutService.requestPayout('seller', { amount: 19.99 }))
+      .rejects.toBeInstanceOf(ValidationError);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('fails when the balance is too low', async () => {
+    LedgerService.recordPayoutRequest.mockRejectedValueOnce(new ConflictError('Insufficient balance'));
+
+    await expect(PayoutService.requestPayout('seller', { amount: 50 }))
+      .rejects.toBeInstanceOf(ConflictError);
+    expect(NotificationService.createNotification).not.toHaveBeenCalled();
+  });
+
+  it('processes requested payouts through the provider and notifies each step', async () => {
+    stored = { id: 1n, sellerUsername: 'seller', amount: 2500n, currency: 'USD', status: 'REQUESTED' };
+    prisma.payout.findMany.mockResolvedValue([stored]);
+
+    await expect(PayoutService.processPayouts()).resolves.toBe(1);
+
+    expect(stored.status).toBe('PAID');
+    expect(stored.providerReference).toBe('TEST_PO_1');
+    expect(LedgerService.recordPayoutSettled).toHaveBeenCalled();
+    expect(NotificationService.createNotification.mock.calls.map(([n]) => n.type))
+      .toEqual(['PAYOUT_PROCESSING', 'PAYOUT_PAID']);
+  });
+
+  it('returns funds to the balance when the provider declines the payout', async () => {
+    provider.configure({ failOperations: ['payout'] });
+    stored = { id: 1n, sellerUsername: 'seller', amount: 2500n, currency: 'USD', status: 'REQUESTED' };
+    prisma.payout.findMany.mockResolvedValue([stored]);
+
+    await PayoutService.processPayouts();
+
+    expect(stored.status).toBe('FAILED');
+    expect(stored.failureReason).toMatch(/declined/);
+    expect(LedgerService.recordPayoutReversed).toHaveBeenCalled();
+    expect(LedgerService.recordPayoutSettled).not.toHaveBeenCalled();
+  });
+
+  it('rejects illegal status changes', async () => {
+    await expect(PayoutService.transition({ id: 1n, status: 'PAID' }, 'PROCESSING'))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+  });
+});
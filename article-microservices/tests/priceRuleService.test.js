@@ -0,0 +1,34 @@
+const PriceRuleService = require('../src/services/priceRuleService');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('PriceRuleService', () => {
+  const article = { price: 6000, floorPrice: 3000, autoAcceptPrice: 5500 };
+
+  it('declines below the floor, accepts from the threshold and leaves the rest to the seller', () => {
+    expect(PriceRuleService.evaluate(article, 2999)).toBe('DECLINE');
+    expect(PriceRuleService.evaluate(article, 3000)).toBeNull();
+    expect(PriceRuleService.evaluate(article, 5499)).toBeNull();
+    expect(PriceRuleService.evaluate(article, 5500)).toBe('ACCEPT');
+    expect(PriceRuleService.evaluate({ price: 6000, floorPrice: null, autoAcceptPrice: null }, 1)).toBeNull();
+  });
+
+  it('parses rules in major units and clears empty ones', () => {
+    expect(PriceRuleService.parseRules({ floorPrice: '30.50', autoAcceptPrice: '' }, 'USD'))
+      .toEqual({ floorPrice: 3050, autoAcceptPrice: null });
+    expect(PriceRuleService.parseRules({ floorPrice: 5000 }, 'JPY')).toEqual({ floorPrice: 5000 });
+    expect(PriceRuleService.parseRules({ name: 'Coat' }, 'USD')).toEqual({});
+    expect(() => PriceRuleService.parseRules({ floorPrice: 'abc' }, 'USD')).toThrow(ValidationError);
+    expect(() => PriceRuleService.parseRules({ autoAcceptPrice: '-5' }, 'USD')).toThrow(ValidationError);
+  });
+
+  it('keeps the floor under the price and the auto-accept price above the floor', () => {
+    expect(() => PriceRuleService.validate(article)).not.toThrow();
+    expect(() => PriceRuleService.validate({ ...article, floorPrice: 7000, autoAcceptPrice: null })).toThrow(ValidationError);
+    expect(() => PriceRuleService.validate({ ...article, autoAcceptPrice: 3000 })).toThrow(ValidationError);
+    expect(() => PriceRuleService.validate({ price: 6000, autoAcceptPrice: 100 })).not.toThrow();
+  });
+
+  it('hides the rules from other users', () => {
+    expect(PriceRuleService.hideRules({ id: 1n, ...article })).toEqual({ id: 1n, price: 6000 });
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../src/prismaClient', () => {
+  const prisma = {
+    article: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn()
+    },
+    offer: {
+      count: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    offerEvent: {
+      create: jest.fn()
+    },
+    transaction: {
+      create: jest.fn()
+    }
+  };
+  prisma.$transaction = jest.fn(callback => callback(prisma));
+  return prisma;
+});
+
+jest.mock('../src/services/riskService', () => ({
+  DECISIONS: { ALLOW: 'ALLOW', HOLD: 'HOLD', BLOCK: 'BLOCK' },
+  assess: jest.fn(),
+  recordBlock: jest.fn(),
+  toRecord: jest.fn(risk => ({ subject: risk.subject, decision: risk.decision }))
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({}),
+  createOfferNotification: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/SSE/sseManager', () => ({
+  sendToSeller: jest.fn()
+}));
+
+const prisma = require('../src/prismaClient');
+const RiskService = require('../src/services/riskService');
+const NotificationService = require('../src/services/notificationService');
+const PurchaseService = require('../src/services/purchaseService');
+const { setPaymentProvider, getPaymentProvider, FakePaymentProvider } = require('../src/payments');
+const { ValidationError, ForbiddenError, ConflictError } = require('../src/utils/errors');
+
+const shippingAddress = {
+  fullName: 'Ada Lovelace',
+  street: '1 Main St',
+  city: 'Springfield',
+  postalCode: '12345',
+  country: 'ZZ'
+};
+
+describe('PurchaseService.buyNow', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setPaymentProvider(new FakePaymentProvider({ referencePrefix: 'TEST' }));
+    RiskService.assess.mockResolvedValue({ subject: 'TRANSACTION', decision: 'ALLOW' });
+
+    prisma.article.findUnique.mockResolvedValue({
+      id: 3n,
+      name: 'Denim jacket',
+      category: 'CLOTHING',
+      size: 'ADULT',
+      owner: 'seller',
+      currency: 'USD',
+      price: 6000,
+      buyNowPrice: 5000,
+      published: true,
+      boughtBy: null,
+      reservedBy: null,
+      mainImage: null
+    });
+    prisma.article.updateMany.mockResolvedValue({ count: 1 });
+    prisma.offer.count.mockResolvedValue(0);
+    prisma.offer.findUnique.mockResolvedValue(null);
+    prisma.offer.findMany.mockResolvedValue([]);
+    prisma.offer.create.mockImplementation(async ({ data }) => ({ id: 2n, ...data }));
+    prisma.transaction.create.mockImplementation(async ({ data }) => ({ id: 1n, ...data }));
+  });
+
+  it('reserves the article and creates an accepted offer and its transaction together', async () => {
+    const { transaction, quote, held } = await PurchaseService.buyNow('3', 'buyer', shippingAddress);
+
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.article.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: 3n,
+        boughtBy: null,
+        reservedBy: null
+      },
+      data: { reservedBy: 'buyer', reservedAt: expect.any(Date) }
+    });
+    expect(prisma.offer.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        articleId: 3n,
+        username: 'buyer',
+        seller: 'seller',
+        price: 5000,
+        agreedPrice: 5000,
+        status: 'ACCEPTED',
+        events: {
+          create: expect.objectContaining({ event: 'buyNow', toStatus: 'ACCEPTED', actor: 'buyer' })
+        }
+      })
+    });
+    expect(transaction).toEqual(expect.objectContaining({
+      offerId: 2n,
+      itemPrice: 5000,
+      amount: quote.total,
+      status: 'PAYMENT_PENDING',
+      paymentReference: 'TEST_AUTH_1'
+    }));
+    expect(held).toBe(false);
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'seller',
+      type: 'ARTICLE_SOLD'
+    }));
+  });
+
+  it('lets only one buyer win the article and voids the loser\'s authorization', async () => {
+    prisma.article.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toBeInstanceOf(ConflictError);
+    expect(prisma.offer.create).not.toHaveBeenCalled();
+    expect(prisma.transaction.create).not.toHaveBeenCalled();
+    expect((await getPaymentProvider().getStatus('TEST_AUTH_1')).status).toBe('VOIDED');
+  });
+
+  it('still reports the failed purchase when the authorization cannot be voided', async () => {
+    prisma.offer.count.mockResolvedValue(1);
+    getPaymentProvider().configure({ failOperations: ['void'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toThrow('promised to another buyer');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('TEST_AUTH_1'), expect.any(Error));
+
+    console.error.mockRestore();
+  });
+
+  it('does not undercut a buyer whose offer was already accepted', async () => {
+    prisma.offer.count.mockResolvedValue(1);
+
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toThrow('promised to another buyer');
+    expect(prisma.transaction.create).not.toHaveBeenCalled();
+  });
+
+  it('turns an earlier offer from the buyer into the buy-now purchase', async () => {
+    prisma.offer.findUnique.mockResolvedValue({ id: 2n, status: 'PENDING', transactions: [] });
+    prisma.offer.update.mockImplementation(async ({ data }) => ({ id: 2n, articleId: 3n, seller: 'seller', ...data }));
+
+    await PurchaseService.buyNow('3', 'buyer', shippingAddress);
+
+    expect(prisma.offer.update).toHaveBeenCalledWith({
+      where: { id: 2n },
+      data: expect.objectContaining({ status: 'ACCEPTED', agreedPrice: 5000 })
+    });
+    expect(prisma.offer.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses articles without a buy-now price, reserved ones, even by the buyer, and blocked buyers', async () => {
+    const article = await prisma.article.findUnique();
+
+    prisma.article.findUnique.mockResolvedValueOnce({ ...article, buyNowPrice: null });
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toBeInstanceOf(ValidationError);
+
+    prisma.article.findUnique.mockResolvedValueOnce({ ...article, reservedBy: 'someone' });
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toBeInstanceOf(ConflictError);
+
+    prisma.article.findUnique.mockResolvedValueOnce({ ...article, reservedBy: 'buyer' });
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toThrow('already started a purchase');
+
+    await expect(PurchaseService.buyNow('3', 'buyer', { ...shippingAddress, city: ' ' })).rejects.toBeInstanceOf(ValidationError);
+
+    RiskService.assess.mockResolvedValue({ subject: 'TRANSACTION', decision: 'BLOCK' });
+    await expect(PurchaseService.buyNow('3', 'buyer', shippingAddress)).rejects.toBeInstanceOf(ForbiddenError);
+    expect(RiskService.recordBlock).toHaveBeenCalled();
+
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
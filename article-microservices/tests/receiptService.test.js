@@ -0,0 +1,135 @@
+jest.mock('../src/prismaClient', () => {
+  const tx = {
+    receipt: {
+      findUnique: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 1n, ...data }))
+    },
+    invoiceCounter: {
+      upsert: jest.fn()
+    }
+  };
+
+  return {
+    tx,
+    transaction: {
+      findUnique: jest.fn()
+    },
+    $transaction: jest.fn(callback => callback(tx))
+  };
+});
+
+const prisma = require('../src/prismaClient');
+const ReceiptService = require('../src/services/receiptService');
+const { ConflictError, ForbiddenError } = require('../src/utils/errors');
+
+const completed = (overrides = {}) => ({
+  id: 9n,
+  articleId: 4n,
+  buyerUsername: 'buyer',
+  sellerUsername: 'seller',
+  status: 'COMPLETED',
+  amount: 6283,
+  itemPrice: 5000,
+  buyerFee: 320,
+  taxAmount: 963,
+  taxRate: 19.25,
+  taxJurisdiction: 'CM',
+  sellerFee: 150,
+  sellerPayout: 4850,
+  currency: 'USD',
+  refundedAmount: 0,
+  paymentReference: 'PAY_1',
+  paymentReleaseReference: 'REL_1',
+  shippingAddress: JSON.stringify({
+    fullName: 'Ada Buyer',
+    street: '1 Main St',
+    city: 'Douala',
+    postalCode: '237',
+    country: 'CM'
+  }),
+  offer: {
+    articleName: 'Denim jacket',
+    articleSize: 'ADULT',
+    article: { category: 'JACKETS', brand: 'Levi', state: 'GOOD' }
+  },
+  receipt: null,
+  ...overrides
+});
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(chunks));
+  stream.on('error', reject);
+});
+
+describe('ReceiptService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.tx.receipt.findUnique.mockResolvedValue(null);
+    prisma.tx.invoiceCounter.upsert.mockResolvedValue({ year: 2026, lastNumber: 42 });
+  });
+
+  it('issues a receipt with the next invoice number of the year', async () => {
+    const receipt = await ReceiptService.issueReceipt(prisma.tx, completed(), { releaseReference: 'REL_1' });
+    const year = new Date().getUTCFullYear();
+
+    expect(prisma.tx.invoiceCounter.upsert).toHaveBeenCalledWith({
+      where: { year },
+      create: { year, lastNumber: 1 },
+      update: { lastNumber: { increment: 1 } }
+    });
+    expect(receipt.invoiceNumber).toBe(`INV-${year}-000042`);
+    expect(receipt.details.buyer).toEqual({
+      username: 'buyer',
+      name: 'Ada Buyer',
+      address: ['1 Main St', '237 Douala', 'CM']
+    });
+    expect(receipt.details.amounts).toEqual({
+      itemPrice: 50,
+      buyerFee: 3.2,
+      tax: 9.63,
+      total: 62.83,
+      refunded: 0,
+      sellerFee: 1.5,
+      sellerPayout: 48.5
+    });
+    expect(receipt.details.tax).toEqual({ jurisdiction: 'CM', rate: 19.25, exempt: false });
+    expect(receipt.details.payment.releaseReference).toBe('REL_1');
+  });
+
+  it('does not issue a second receipt or use up an invoice number', async () => {
+    prisma.tx.receipt.findUnique.mockResolvedValue({ id: 1n, invoiceNumber: 'INV-2026-000001' });
+
+    await ReceiptService.issueReceipt(prisma.tx, completed());
+
+    expect(prisma.tx.invoiceCounter.upsert).not.toHaveBeenCalled();
+    expect(prisma.tx.receipt.create).not.toHaveBeenCalled();
+  });
+
+  it('issues receipts on request for transactions completed before receipts existed', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(completed());
+
+    const receipt = await ReceiptService.getReceipt('9', 'seller');
+
+    expect(receipt.transactionId).toBe(9n);
+    expect(prisma.$transaction).toHaveBeenCalled();
+  });
+
+  it('refuses receipts before completion and for other users', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(completed({ status: 'SHIPPED' }));
+    await expect(ReceiptService.getReceipt('9', 'buyer')).rejects.toBeInstanceOf(ConflictError);
+
+    prisma.transaction.findUnique.mockResolvedValue(completed());
+    await expect(ReceiptService.getReceipt('9', 'stranger')).rejects.toBeInstanceOf(ForbiddenError);
+  });
+
+  it('renders the receipt as a PDF', async () => {
+    const receipt = await ReceiptService.issueReceipt(prisma.tx, completed());
+
+    const chunks = await collect(ReceiptService.renderPdf(receipt));
+
+    expect(chunks.length).toBeGreaterThan(0);
+    expect(chunks[0].toString('latin1', 0, 5)).toBe('%PDF-');
+  });
+});
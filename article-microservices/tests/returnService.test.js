@@ -0,0 +1,143 @@
+jest.mock('../src/prismaClient', () => ({
+  transaction: {
+    findUnique: jest.fn()
+  },
+  returnRequest: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/transactionStateMachine', () => ({
+  ACTORS: { SELLER: 'seller' },
+  transition: jest.fn(),
+  getActor: jest.fn((transaction, username) => {
+    if (transaction.buyerUsername === username) return 'buyer';
+    if (transaction.sellerUsername === username) return 'seller';
+    return null;
+  })
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+
+const prisma = require('../src/prismaClient');
+const TransactionStateMachine = require('../src/services/transactionStateMachine');
+const NotificationService = require('../src/services/notificationService');
+const ReturnService = require('../src/services/returnService');
+const {
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError,
+  PaymentError
+} = require('../src/utils/errors');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const completed = (overrides = {}) => ({
+  id: 1n,
+  status: 'COMPLETED',
+  buyerUsername: 'buyer',
+  sellerUsername: 'seller',
+  deliveryConfirmedAt: daysAgo(2),
+  offer: { articleName: 'Jacket' },
+  ...overrides
+});
+
+describe('ReturnService', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.RETURN_WINDOW_DAYS;
+    prisma.transaction.findUnique.mockResolvedValue(completed());
+
+    // Minimal return table: updateMany applies the CAS, findUnique reads back
+    stored = null;
+    prisma.returnRequest.create.mockImplementation(({ data }) => {
+      stored = { id: 3n, status: 'REQUESTED', ...data };
+      return Promise.resolve(stored);
+    });
+    prisma.returnRequest.updateMany.mockImplementation(({ where, data }) => {
+      if (!stored || stored.status !== where.status) return Promise.resolve({ count: 0 });
+      stored = { ...stored, ...data };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.returnRequest.findUnique.mockImplementation(() => Promise.resolve(stored));
+    TransactionStateMachine.transition.mockImplementation(async (transaction) => ({ ...transaction, status: 'REFUNDED' }));
+  });
+
+  it('runs a return from request to refund', async () => {
+    await ReturnService.requestReturn('1', 'buyer', { reason: 'WRONG_SIZE' });
+    await ReturnService.approveReturn('1', 'seller');
+    await ReturnService.shipReturn('1', 'buyer', { carrier: 'UPS', trackingNumber: '1Z999' });
+    const ret = await ReturnService.confirmReceipt('1', 'seller');
+
+    expect(ret.status).toBe('REFUNDED');
+    expect(ret.trackingNumber).toBe('1Z999');
+    expect(TransactionStateMachine.transition).toHaveBeenCalledWith(expect.objectContaining({ id: 1n }), 'refund', {
+      actor: 'seller',
+      username: 'seller',
+      payload: { reason: 'Return received (WRONG_SIZE)' }
+    });
+    expect(NotificationService.createNotification.mock.calls.map(([n]) => [n.userId, n.type])).toEqual([
+      ['seller', 'RETURN_REQUESTED'],
+      ['buyer', 'RETURN_APPROVED'],
+      ['seller', 'RETURN_SHIPPED'],
+      ['buyer', 'RETURN_RECEIVED']
+    ]);
+  });
+
+  it('keeps the return RECEIVED when the refund is declined and retries it', async () => {
+    stored = { id: 3n, status: 'SHIPPED', reason: 'DAMAGED_ITEM', buyerUsername: 'buyer', sellerUsername: 'seller' };
+    TransactionStateMachine.transition.mockRejectedValueOnce(new PaymentError('Declined'));
+
+    await expect(ReturnService.confirmReceipt('1', 'seller')).rejects.toBeInstanceOf(PaymentError);
+    expect(stored.status).toBe('RECEIVED');
+
+    await expect(ReturnService.confirmReceipt('1', 'seller')).resolves.toMatchObject({ status: 'REFUNDED' });
+    expect(TransactionStateMachine.transition).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses returns after the return window', async () => {
+    process.env.RETURN_WINDOW_DAYS = '1';
+
+    await expect(ReturnService.requestReturn('1', 'buyer', { reason: 'CHANGED_MIND' }))
+      .rejects.toBeInstanceOf(ConflictError);
+    expect(prisma.returnRequest.create).not.toHaveBeenCalled();
+  });
+
+  it('only accepts returns of completed transactions', async () => {
+    prisma.transaction.findUnique.mockResolvedValue(completed({ status: 'SHIPPED', deliveryConfirmedAt: null }));
+
+    await expect(ReturnService.requestReturn('1', 'buyer', { reason: 'CHANGED_MIND' }))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+  });
+
+  it('allows one return per transaction', async () => {
+    stored = { id: 3n, status: 'DECLINED' };
+
+    await expect(ReturnService.requestReturn('1', 'buyer', { reason: 'CHANGED_MIND' }))
+      .rejects.toBeInstanceOf(ConflictError);
+  });
+
+  it('rejects unknown reasons', async () => {
+    await expect(ReturnService.requestReturn('1', 'buyer', { reason: 'BORED' }))
+      .rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('only lets the seller decide and the buyer ship', async () => {
+    await ReturnService.requestReturn('1', 'buyer', { reason: 'NOT_AS_DESCRIBED' });
+
+    await expect(ReturnService.approveReturn('1', 'buyer')).rejects.toBeInstanceOf(ForbiddenError);
+    await ReturnService.declineReturn('1', 'seller', { reason: 'Photos show no damage' });
+
+    expect(stored.status).toBe('DECLINED');
+    expect(stored.declineReason).toBe('Photos show no damage');
+    await expect(ReturnService.shipReturn('1', 'buyer', { carrier: 'UPS', trackingNumber: '1Z999' }))
+      .rejects.toBeInstanceOf(InvalidTransitionError);
+  });
+});
@@ -0,0 +1,218 @@
+jest.mock('../src/prismaClient', () => ({
+  offer: {
+    count: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn()
+  },
+  riskAssessment: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/transactionService', () => ({
+  detectSuspiciousActivity: jest.fn(),
+  capturePayment: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../src/services/transactionStateMachine', () => ({
+  ACTORS: { ADMIN: 'admin' },
+  transition: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createOfferNotification: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/SSE/sseManager', () => ({
+  sendToSeller: jest.fn()
+}));
+
+const prisma = require('../src/prismaClient');
+const TransactionService = require('../src/services/transactionService');
+const TransactionStateMachine = require('../src/services/transactionStateMachine');
+const NotificationService = require('../src/services/notificationService');
+const RiskService = require('../src/services/riskService');
+const { setUserDirectory, UserDirectory } = require('../src/users');
+const { ConflictError, InvalidTransitionError } = require('../src/utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const activity = (flags = []) => ({
+  suspicious: flags.length > 0,
+  flags,
+  metrics: { recentTransactions: 0, recentDisputes: 0, highValueTransactions: 0 }
+});
+
+const accountCreated = (daysAgo) => {
+  const directory = new UserDirectory('test');
+  directory.getAccount = jest.fn(async username => ({ username, createdAt: new Date(Date.now() - daysAgo * DAY) }));
+  setUserDirectory(directory);
+};
+
+describe('RiskService.assess', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.RISK_RULES;
+    TransactionService.detectSuspiciousActivity.mockResolvedValue(activity());
+    prisma.offer.count.mockResolvedValue(0);
+    accountCreated(365);
+  });
+
+  afterEach(() => {
+    setUserDirectory(null);
+  });
+
+  it('allows ordinary requests', async () => {
+    const risk = await RiskService.assess({ subject: 'OFFER', username: 'ada', amount: 4000 });
+
+    expect(risk).toEqual(expect.objectContaining({ decision: 'ALLOW', score: 0, flags: [] }));
+    expect(risk.metrics.accountAgeDays).toBe(365);
+  });
+
+  it('holds a high-value purchase from a new account', async () => {
+    accountCreated(2);
+
+    const risk = await RiskService.assess({ subject: 'TRANSACTION', username: 'ada', amount: 150000 });
+
+    expect(risk.decision).toBe('HOLD');
+    expect(risk.score).toBe(45);
+    expect(risk.flags.map(flag => flag.code)).toEqual(['NEW_ACCOUNT', 'HIGH_VALUE']);
+  });
+
+  it('compares amounts in other currencies in the base currency', async () => {
+    const risk = await RiskService.assess({ subject: 'OFFER', username: 'ada', amount: 500000, currency: 'XAF' });
+
+    expect(risk.amount).toBeCloseTo(828.5, 1);
+    expect(risk.flags).toEqual([]);
+  });
+
+  it('blocks when the rules add up past the block threshold', async () => {
+    TransactionService.detectSuspiciousActivity.mockResolvedValue(activity(['HIGH_TRANSACTION_VOLUME', 'HIGH_DISPUTE_RATE']));
+    prisma.offer.count.mockResolvedValue(31);
+
+    const risk = await RiskService.assess({ subject: 'OFFER', username: 'ada', amount: 4000 });
+
+    expect(risk.decision).toBe('BLOCK');
+    expect(risk.score).toBe(100);
+    expect(TransactionService.detectSuspiciousActivity).toHaveBeenCalledWith('ada', expect.objectContaining({
+      windowHours: 24,
+      disputeWindowDays: 90
+    }));
+  });
+
+  it('reads rule overrides from RISK_RULES', async () => {
+    process.env.RISK_RULES = JSON.stringify({ highValue: { amount: 100 }, thresholds: { hold: 20 } });
+
+    const risk = await RiskService.assess({ subject: 'OFFER', username: 'ada', amount: 15000 });
+
+    expect(risk.decision).toBe('HOLD');
+    expect(RiskService.getRules().highValue.score).toBe(20);
+  });
+
+  it('skips the account age rule when the user service has no answer', async () => {
+    setUserDirectory(new UserDirectory('none'));
+
+    const risk = await RiskService.assess({ subject: 'OFFER', username: 'ada', amount: 4000 });
+
+    expect(risk.metrics.accountAgeDays).toBeNull();
+    expect(risk.decision).toBe('ALLOW');
+  });
+});
+
+describe('RiskService reviews', () => {
+  const pending = (overrides = {}) => ({
+    id: 3n,
+    subject: 'OFFER',
+    offerId: 7n,
+    transactionId: null,
+    decision: 'HOLD',
+    reviewStatus: 'PENDING',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.riskAssessment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+    prisma.offer.findUnique.mockResolvedValue({ id: 7n, articleId: 1n, seller: 'seller', username: 'ada', price: 1500, articleName: 'Coat' });
+  });
+
+  it('sends an approved offer to the seller', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending());
+
+    await RiskService.approve('3', 'admin1', 'Known buyer');
+
+    expect(prisma.offer.updateMany).toHaveBeenCalledWith({
+      where: { id: 7n, status: 'HELD' },
+      data: { status: 'PENDING', expiresAt: expect.any(Date), updatedDate: expect.any(Date) }
+    });
+    expect(prisma.riskAssessment.updateMany).toHaveBeenCalledWith({
+      where: { id: 3n, reviewStatus: 'PENDING' },
+      data: expect.objectContaining({ reviewStatus: 'APPROVED', reviewedBy: 'admin1', reviewNote: 'Known buyer' })
+    });
+    expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(expect.anything(), 'NEW_OFFER');
+  });
+
+  it('captures the payment of an approved purchase', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending({ subject: 'TRANSACTION', offerId: null, transactionId: 9n }));
+
+    await RiskService.approve('3', 'admin1');
+
+    expect(TransactionStateMachine.transition).toHaveBeenCalledWith(9n, 'approveRisk', expect.objectContaining({
+      actor: 'admin',
+      username: 'admin1'
+    }));
+    expect(TransactionService.capturePayment).toHaveBeenCalledWith(9n);
+  });
+
+  it('closes the review when the buyer cancelled the purchase meanwhile', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending({ subject: 'TRANSACTION', offerId: null, transactionId: 9n }));
+    TransactionStateMachine.transition.mockRejectedValueOnce(
+      new InvalidTransitionError('rejectRisk', 'CANCELLED', ['PAYMENT_PENDING'])
+    );
+
+    await RiskService.reject('3', 'admin1');
+
+    expect(prisma.riskAssessment.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ reviewStatus: 'REJECTED' })
+    }));
+  });
+
+  it('claims the review before moving the purchase', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending({ subject: 'TRANSACTION', offerId: null, transactionId: 9n }));
+
+    await RiskService.reject('3', 'admin1');
+
+    expect(prisma.riskAssessment.updateMany.mock.invocationCallOrder[0])
+      .toBeLessThan(TransactionStateMachine.transition.mock.invocationCallOrder[0]);
+  });
+
+  it('leaves the purchase alone when another admin decided the review first', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending({ subject: 'TRANSACTION', offerId: null, transactionId: 9n }));
+    prisma.riskAssessment.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(RiskService.approve('3', 'admin1')).rejects.toBeInstanceOf(ConflictError);
+    expect(TransactionStateMachine.transition).not.toHaveBeenCalled();
+    expect(TransactionService.capturePayment).not.toHaveBeenCalled();
+  });
+
+  it('reopens the review when the decision cannot be applied', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending({ subject: 'TRANSACTION', offerId: null, transactionId: 9n }));
+    TransactionStateMachine.transition.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(RiskService.reject('3', 'admin1')).rejects.toThrow('Database unavailable');
+    expect(prisma.riskAssessment.updateMany).toHaveBeenLastCalledWith({
+      where: expect.objectContaining({ id: 3n }),
+      data: { reviewStatus: 'PENDING', reviewedBy: null, reviewedAt: null, reviewNote: null }
+    });
+  });
+
+  it('refuses to review twice', async () => {
+    prisma.riskAssessment.findUnique.mockResolvedValue(pending({ reviewStatus: 'APPROVED' }));
+
+    await expect(RiskService.reject('3', 'admin1')).rejects.toBeInstanceOf(ConflictError);
+    expect(prisma.offer.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const { TableTaxCalculator, getTaxCalculator, setTaxCalculator } = require('../src/tax');
+
+const table = {
+  default: { rate: 0 },
+  countries: {
+    FR: { rate: 20 },
+    US: {
+      rate: 0,
+      exemptCategories: ['SOCKS'],
+      regions: {
+        CA: { rate: 7.25 },
+        PA: { rate: 6, exemptCategories: ['SHIRTS'] }
+      }
+    }
+  }
+};
+
+describe('TableTaxCalculator', () => {
+  const calculator = new TableTaxCalculator(table);
+
+  it('applies the country rate to the item price', async () => {
+    await expect(calculator.calculate({ amount: 4999, category: 'SHOES', address: { country: 'fr' } }))
+      .resolves.toEqual({
+        calculator: 'table',
+        jurisdiction: 'FR',
+        rate: 20,
+        taxableAmount: 4999,
+        taxAmount: 1000,
+        exempt: false,
+        currency: 'USD'
+      });
+  });
+
+  it('uses the region rate when the region has one', async () => {
+    const tax = await calculator.calculate({ amount: 10000, category: 'SHOES', address: { country: 'US', region: 'ca' } });
+
+    expect(tax).toEqual(expect.objectContaining({ jurisdiction: 'US-CA', rate: 7.25, taxAmount: 725 }));
+  });
+
+  it('exempts categories listed by the country or the region', async () => {
+    const shirts = await calculator.calculate({ amount: 10000, category: 'SHIRTS', address: { country: 'US', state: 'PA' } });
+    const socks = await calculator.calculate({ amount: 10000, category: 'SOCKS', address: { country: 'US', state: 'PA' } });
+    const shoes = await calculator.calculate({ amount: 10000, category: 'SHOES', address: { country: 'US', state: 'PA' } });
+
+    expect(shirts).toEqual(expect.objectContaining({ exempt: true, rate: 0, taxAmount: 0 }));
+    expect(socks.exempt).toBe(true);
+    expect(shoes.taxAmount).toBe(600);
+  });
+
+  it('falls back to the default rate for unlisted destinations', async () => {
+    const tax = await calculator.calculate({ amount: 10000, address: { country: 'JP' } });
+
+    expect(tax).toEqual(expect.objectContaining({ jurisdiction: 'JP', rate: 0, taxAmount: 0 }));
+  });
+});
+
+describe('tax registry', () => {
+  afterEach(() => {
+    setTaxCalculator(null);
+    delete process.env.TAX_RATES;
+  });
+
+  it('builds the table calculator from TAX_RATES', async () => {
+    process.env.TAX_RATES = JSON.stringify({ countries: { DE: { rate: 19 } } });
+
+    const tax = await getTaxCalculator().calculate({ amount: 1000, address: { country: 'DE' } });
+
+    expect(tax.taxAmount).toBe(190);
+  });
+});
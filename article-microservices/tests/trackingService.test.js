@@ -0,0 +1,154 @@
+jest.mock('../src/prismaClient', () => ({
+  transaction: {
+    findMany: jest.fn(),
+    update: jest.fn().mockResolvedValue({}),
+    updateMany: jest.fn()
+  },
+  trackingEvent: {
+    createMany: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+
+const prisma = require('../src/prismaClient');
+const NotificationService = require('../src/services/notificationService');
+const TrackingService = require('../src/services/trackingService');
+const { StubCarrier, setCarrier, getCarrier } = require('../src/shipping');
+const { ValidationError } = require('../src/utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+const shippedAt = new Date('2026-03-01T10:00:00Z');
+const at = (hours) => () => new Date(shippedAt.getTime() + hours * HOUR);
+
+describe('StubCarrier', () => {
+  it('reports the journey up to the current time', async () => {
+    const carrier = new StubCarrier('STUB', { deliveryHours: 10, now: at(5) });
+
+    const events = await carrier.getTrackingEvents('STUB000001', { shippedAt });
+
+    expect(events.map(event => event.status)).toEqual(['LABEL_CREATED', 'PICKED_UP', 'IN_TRANSIT']);
+    expect(events[2].occurredAt).toEqual(new Date(shippedAt.getTime() + 4 * HOUR));
+  });
+
+  it('delivers once the delivery time has passed, with stable event IDs', async () => {
+    const carrier = new StubCarrier('STUB', { deliveryHours: 10, now: at(11) });
+
+    const first = await carrier.getTrackingEvents('STUB000001', { shippedAt });
+    const second = await carrier.getTrackingEvents('STUB000001', { shippedAt });
+
+    expect(first[first.length - 1].status).toBe('DELIVERED');
+    expect(second.map(event => event.eventId)).toEqual(first.map(event => event.eventId));
+  });
+});
+
+describe('TrackingService.validateShipment', () => {
+  it('normalizes the carrier and tracking number', () => {
+    expect(TrackingService.validateShipment({ carrier: 'ups', trackingNumber: '1z999aa1 0123456784' })).toEqual({
+      carrier: 'UPS',
+      trackingNumber: '1Z999AA10123456784'
+    });
+  });
+
+  it('rejects unsupported carriers', () => {
+    expect(() => TrackingService.validateShipment({ carrier: 'Pigeon', trackingNumber: '12345678' }))
+      .toThrow(ValidationError);
+  });
+
+  it('rejects tracking numbers in the wrong format for the carrier', () => {
+    expect(() => TrackingService.validateShipment({ carrier: 'FEDEX', trackingNumber: '1Z999AA10123456784' }))
+      .toThrow(ValidationError);
+  });
+});
+
+describe('TrackingService.refreshTracking', () => {
+  const shipped = (overrides = {}) => ({
+    id: 1n,
+    status: 'SHIPPED',
+    buyerUsername: 'buyer',
+    carrier: 'STUB',
+    trackingNumber: 'STUB000001',
+    shippedAt,
+    deliveredAt: null,
+    offer: { articleName: 'Scarf' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.DELIVERY_CONFIRMATION_DAYS;
+    prisma.trackingEvent.createMany.mockImplementation(async ({ data }) => ({ count: data.length }));
+    prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  afterEach(() => {
+    setCarrier('STUB', StubCarrier.fromEnv('STUB'));
+  });
+
+  it('stores new events without duplicates', async () => {
+    setCarrier('STUB', new StubCarrier('STUB', { deliveryHours: 10, now: at(2) }));
+
+    await expect(TrackingService.refreshTracking(shipped())).resolves.toBe(2);
+
+    expect(prisma.trackingEvent.createMany).toHaveBeenCalledWith(expect.objectContaining({ skipDuplicates: true }));
+    expect(prisma.transaction.updateMany).not.toHaveBeenCalled();
+    expect(NotificationService.createNotification).not.toHaveBeenCalled();
+  });
+
+  it('records the delivery and starts the buyer confirmation countdown', async () => {
+    setCarrier('STUB', new StubCarrier('STUB', { deliveryHours: 10, now: at(12) }));
+    const deliveredAt = new Date(shippedAt.getTime() + 10 * HOUR);
+
+    await TrackingService.refreshTracking(shipped());
+
+    expect(prisma.transaction.updateMany).toHaveBeenCalledWith({
+      where: { id: 1n, status: 'SHIPPED', deliveredAt: null },
+      data: { deliveredAt, trackingCheckedAt: expect.any(Date) }
+    });
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'buyer',
+      type: 'ITEM_DELIVERED',
+      data: expect.objectContaining({
+        autoCompleteAt: new Date(deliveredAt.getTime() + 3 * 24 * HOUR)
+      })
+    }));
+  });
+
+  it('never marks a UPS shipment delivered while UPS has no tracking adapter', async () => {
+    const ups = shipped({ carrier: 'UPS', trackingNumber: '1Z999AA10123456784', shippedAt: new Date('2026-01-01T00:00:00Z') });
+    prisma.transaction.findMany.mockResolvedValue([ups]);
+
+    await TrackingService.pollShipments();
+
+    const { where } = prisma.transaction.findMany.mock.calls[0][0];
+    expect(where.carrier.in).toContain('STUB');
+    expect(where.carrier.in).not.toContain('UPS');
+    expect(getCarrier('UPS').tracksShipments).toBe(false);
+    expect(prisma.trackingEvent.createMany).not.toHaveBeenCalled();
+    expect(prisma.transaction.updateMany).not.toHaveBeenCalled();
+    expect(NotificationService.createNotification).not.toHaveBeenCalled();
+  });
+
+  it('skips shipments with a carrier that has no adapter', async () => {
+    await expect(TrackingService.refreshTracking(shipped({ carrier: 'Some local courier' }))).resolves.toBe(0);
+    expect(prisma.trackingEvent.createMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('TrackingService.getAutoCompleteWhere', () => {
+  it('counts down from delivery, or from shipping when untracked', () => {
+    process.env.DELIVERY_CONFIRMATION_DAYS = '2';
+    const now = new Date('2026-03-10T00:00:00Z');
+
+    expect(TrackingService.getAutoCompleteWhere(now)).toEqual({
+      status: 'SHIPPED',
+      OR: [
+        { deliveredAt: { lt: new Date('2026-03-08T00:00:00Z') } },
+        { deliveredAt: null, shippedAt: { lt: new Date('2026-03-03T00:00:00Z') } }
+      ]
+    });
+    expect(getCarrier('stub')).toBeInstanceOf(StubCarrier);
+  });
+});
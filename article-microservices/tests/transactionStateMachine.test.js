@@ -0,0 +1,575 @@
+jest.mock('../src/prismaClient', () => {
+  const tx = {
+    transaction: {
+      updateMany: jest.fn(),
+      findUnique: jest.fn()
+    },
+    offer: {
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      findMany: jest.fn()
+    },
+    offerEvent: {
+      create: jest.fn()
+    },
+    article: {
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    refund: {
+      create: jest.fn()
+    },
+    transactionEvent: {
+      create: jest.fn()
+    }
+  };
+
+  return {
+    tx,
+    transaction: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn()
+    },
+    $transaction: jest.fn(callback => callback(tx))
+  };
+});
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({}),
+  createOfferNotification: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/SSE/sseManager', () => ({
+  sendToSeller: jest.fn()
+}));
+
+jest.mock('../src/services/ledgerService', () => ({
+  recordCapture: jest.fn().mockResolvedValue({}),
+  recordRelease: jest.fn().mockResolvedValue({}),
+  recordRefund: jest.fn().mockResolvedValue({}),
+  getCollectedFee: jest.fn().mockResolvedValue(0),
+  getCollectedTax: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../src/services/receiptService', () => ({
+  issueReceipt: jest.fn().mockResolvedValue({})
+}));
+
+const prisma = require('../src/prismaClient');
+const { setPaymentProvider, FakePaymentProvider } = require('../src/payments');
+const NotificationService = require('../src/services/notificationService');
+const LedgerService = require('../src/services/ledgerService');
+const ReceiptService = require('../src/services/receiptService');
+const TransactionStateMachine = require('../src/services/transactionStateMachine');
+const {
+  ForbiddenError,
+  ConflictError,
+  InvalidTransitionError,
+  PaymentError,
+  ValidationError
+} = require('../src/utils/errors');
+
+const buildTransaction = (overrides = {}) => ({
+  id: 1n,
+  offerId: 2n,
+  articleId: 3n,
+  buyerUsername: 'buyer',
+  sellerUsername: 'seller',
+  amount: 5000,
+  currency: 'USD',
+  paymentReference: 'TEST_AUTH_1',
+  status: 'PAYMENT_CONFIRMED',
+  offer: { articleName: 'Blue jacket' },
+  ...overrides
+});
+
+describe('TransactionStateMachine', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+    prisma.tx.transaction.updateMany.mockResolvedValue({ count: 1 });
+    prisma.tx.offer.findMany.mockResolvedValue([]);
+    provider = new FakePaymentProvider({ referencePrefix: 'TEST' });
+    setPaymentProvider(provider);
+  });
+
+  it('resolves the actor from the username', () => {
+    const transaction = buildTransaction();
+    expect(TransactionStateMachine.getActor(transaction, 'buyer')).toBe('buyer');
+    expect(TransactionStateMachine.getActor(transaction, 'seller')).toBe('seller');
+    expect(TransactionStateMachine.getActor(transaction, 'someone')).toBeNull();
+  });
+
+  it('lists the events available to an actor', () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    expect(TransactionStateMachine.getAvailableEvents(transaction, 'buyer'))
+      .toEqual(['confirmDelivery', 'openDispute']);
+  });
+
+  it('applies a legal transition with its update, effects and notifications', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+
+    const updated = await TransactionStateMachine.transition(transaction, 'confirmDelivery', {
+      actor: 'buyer',
+      username: 'buyer',
+      payload: { rating: 5 }
+    });
+
+    expect(updated.status).toBe('COMPLETED');
+    const { where, data } = prisma.tx.transaction.updateMany.mock.calls[0][0];
+    expect(where).toEqual({
+      id: 1n,
+      status: 'SHIPPED',
+      claimedEvent: 'confirmDelivery',
+      claimedAt: expect.any(Date)
+    });
+    expect(data).toEqual(expect.objectContaining({ claimedEvent: null, claimedAt: null }));
+    expect(data.status).toBe('COMPLETED');
+    expect(data.buyerRating).toBe(5);
+    expect(data.paymentReleaseReference).toBe('TEST_REL_1');
+    expect(prisma.tx.article.update).toHaveBeenCalled();
+    expect(LedgerService.recordRelease).toHaveBeenCalledWith(prisma.tx, transaction, {
+      reference: 'TEST_REL_1',
+      feeAmount: 0,
+      taxAmount: 0
+    });
+    expect(ReceiptService.issueReceipt).toHaveBeenCalledWith(prisma.tx, transaction, {
+      releaseReference: 'TEST_REL_1'
+    });
+    expect(NotificationService.createNotification).toHaveBeenCalledTimes(2);
+  });
+
+  it('appends the event to the transaction event log', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+
+    await TransactionStateMachine.transition(transaction, 'confirmDelivery', {
+      actor: 'buyer',
+      username: 'buyer',
+      payload: { rating: 4 }
+    });
+
+    expect(prisma.tx.transactionEvent.create).toHaveBeenCalledWith({
+      data: {
+        transactionId: 1n,
+        event: 'confirmDelivery',
+        fromStatus: 'SHIPPED',
+        toStatus: 'COMPLETED',
+        actor: 'buyer',
+        username: 'buyer',
+        source: 'USER',
+        payload: { rating: 4, releaseReference: 'TEST_REL_1' }
+      }
+    });
+  });
+
+  it('logs the source of system events', async () => {
+    const transaction = buildTransaction({ status: 'PAYMENT_PENDING' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'CANCELLED' });
+
+    await TransactionStateMachine.transition(transaction, 'expire', { actor: 'system', source: 'CRON' });
+
+    expect(prisma.tx.transactionEvent.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      event: 'expire',
+      toStatus: 'CANCELLED',
+      actor: 'system',
+      username: null,
+      source: 'CRON'
+    }));
+  });
+
+  it('records the refund in the ledger with the provider reference', async () => {
+    const transaction = buildTransaction({ status: 'DISPUTED' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'REFUNDED' });
+
+    await TransactionStateMachine.transition(transaction, 'refund', {
+      actor: 'admin',
+      payload: { reason: 'Item not received' }
+    });
+
+    expect(LedgerService.recordRefund).toHaveBeenCalledWith(prisma.tx, transaction, {
+      reference: 'TEST_REF_1',
+      amount: 5000,
+      released: false,
+      returnedFee: 0,
+      returnedTax: 0
+    });
+    expect(prisma.tx.refund.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ amount: 5000, type: 'FULL', reason: 'Item not received' })
+    });
+  });
+
+  it('keeps the status on a partial refund and tracks the refunded amount', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, refundedAmount: 1250 });
+
+    await TransactionStateMachine.transition(transaction, 'partialRefund', {
+      actor: 'seller',
+      username: 'seller',
+      payload: { amount: 12.5, reason: 'Scratched sleeve' }
+    });
+
+    const { where, data } = prisma.tx.transaction.updateMany.mock.calls[0][0];
+    expect(where).toEqual(expect.objectContaining({
+      id: 1n,
+      status: 'SHIPPED',
+      refundedAmount: 0,
+      claimedEvent: 'partialRefund'
+    }));
+    expect(data.status).toBe('SHIPPED');
+    expect(data.refundedAmount).toEqual({ increment: 1250 });
+    expect(prisma.tx.refund.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ amount: 1250, type: 'PARTIAL', requestedBy: 'seller' })
+    });
+    expect(prisma.tx.article.updateMany).not.toHaveBeenCalled();
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'buyer',
+      type: 'PAYMENT_REFUNDED'
+    }));
+  });
+
+  it('applies only one of two concurrent partial refunds', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED', refundedAmount: 1000 });
+    prisma.tx.transaction.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, refundedAmount: 2000, claimedEvent: null });
+
+    const refund = (amount) => TransactionStateMachine.transition(transaction, 'partialRefund', {
+      actor: 'seller',
+      username: 'seller',
+      payload: { amount, reason: 'Scratched sleeve' }
+    });
+    const results = await Promise.allSettled([refund(10), refund(10)]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toBeInstanceOf(ConflictError);
+    expect(results[1].reason).not.toBeInstanceOf(InvalidTransitionError);
+    for (const [{ where }] of prisma.tx.transaction.updateMany.mock.calls) {
+      expect(where).toEqual(expect.objectContaining({ status: 'SHIPPED', refundedAmount: 1000 }));
+    }
+    expect(prisma.tx.refund.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a partial refund for the whole remaining amount', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED', refundedAmount: 1000 });
+
+    await expect(TransactionStateMachine.transition(transaction, 'partialRefund', {
+      actor: 'seller',
+      username: 'seller',
+      payload: { amount: 40, reason: 'Oops' }
+    })).rejects.toBeInstanceOf(ValidationError);
+    expect(prisma.tx.transaction.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('claws a refund after completion back from the seller and relists the article', async () => {
+    const transaction = buildTransaction({ status: 'COMPLETED', refundedAmount: 1000 });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'REFUNDED', refundedAmount: 5000 });
+    LedgerService.getCollectedFee.mockResolvedValueOnce(300);
+    await provider.release('TEST_AUTH_1', { amount: 50 });
+
+    await TransactionStateMachine.transition(transaction, 'refund', {
+      actor: 'admin',
+      payload: { reason: 'Counterfeit' }
+    });
+
+    expect(LedgerService.recordRefund).toHaveBeenCalledWith(prisma.tx, transaction, expect.objectContaining({
+      amount: 4000,
+      released: true,
+      returnedFee: 300
+    }));
+    expect(prisma.tx.article.updateMany).toHaveBeenCalledWith({
+      where: { id: 3n, boughtBy: 'buyer' },
+      data: expect.objectContaining({ boughtBy: null, published: true })
+    });
+  });
+
+  it('releases only the net payout and books the platform fee', async () => {
+    const transaction = buildTransaction({
+      status: 'SHIPPED',
+      amount: 5320,
+      buyerFee: 320,
+      sellerFee: 150,
+      sellerPayout: 4850
+    });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+
+    await TransactionStateMachine.transition(transaction, 'autoComplete', { actor: 'system' });
+
+    const status = await provider.getStatus('TEST_AUTH_1');
+    expect(status.history[0]).toEqual(expect.objectContaining({ operation: 'release', amount: 48.5 }));
+    expect(LedgerService.recordRelease).toHaveBeenCalledWith(prisma.tx, transaction, {
+      reference: 'TEST_REL_1',
+      feeAmount: 470,
+      taxAmount: 0
+    });
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'seller',
+      message: expect.stringContaining('$48.50')
+    }));
+  });
+
+  it('books the tax apart from the platform fee', async () => {
+    const transaction = buildTransaction({
+      status: 'SHIPPED',
+      amount: 6320,
+      buyerFee: 320,
+      sellerFee: 150,
+      sellerPayout: 4850,
+      taxAmount: 1000
+    });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+
+    await TransactionStateMachine.transition(transaction, 'autoComplete', { actor: 'system' });
+
+    expect(LedgerService.recordRelease).toHaveBeenCalledWith(prisma.tx, transaction, {
+      reference: 'TEST_REL_1',
+      feeAmount: 470,
+      taxAmount: 1000
+    });
+  });
+
+  it('records the moderator decision when a dispute is released to the seller', async () => {
+    const transaction = buildTransaction({ status: 'DISPUTED' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({
+      ...transaction,
+      status: 'COMPLETED',
+      disputeOutcome: 'RELEASE_TO_SELLER'
+    });
+
+    await TransactionStateMachine.transition(transaction, 'resolveDisputeRelease', {
+      actor: 'admin',
+      username: 'mod',
+      payload: { note: 'Tracking shows delivered' }
+    });
+
+    const { data } = prisma.tx.transaction.updateMany.mock.calls[0][0];
+    expect(data).toEqual(expect.objectContaining({
+      status: 'COMPLETED',
+      disputeOutcome: 'RELEASE_TO_SELLER',
+      disputeResolvedBy: 'mod',
+      disputeResolution: 'Tracking shows delivered',
+      paymentReleaseReference: 'TEST_REL_1'
+    }));
+    expect(data.disputeResolvedAt).toBeInstanceOf(Date);
+    expect(LedgerService.recordRelease).toHaveBeenCalled();
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'buyer',
+      type: 'DISPUTE_RESOLVED'
+    }));
+  });
+
+  it('leaves the transaction untouched when the payment release is declined', async () => {
+    provider.configure({ failOperations: ['release'] });
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+
+    await expect(TransactionStateMachine.transition(transaction, 'confirmDelivery', {
+      actor: 'buyer',
+      username: 'buyer'
+    })).rejects.toBeInstanceOf(PaymentError);
+
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+    expect(prisma.transaction.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 1n, claimedEvent: 'confirmDelivery', claimedAt: expect.any(Date) },
+      data: { claimedEvent: null, claimedAt: null }
+    });
+  });
+
+  it('claims the transaction before calling the payment provider', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    const release = jest.spyOn(provider, 'release');
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+
+    await TransactionStateMachine.transition(transaction, 'confirmDelivery', { actor: 'buyer', username: 'buyer' });
+
+    const { where, data } = prisma.transaction.updateMany.mock.calls[0][0];
+    expect(where).toEqual(expect.objectContaining({ id: 1n, status: 'SHIPPED' }));
+    expect(where.OR).toEqual([{ claimedEvent: null }, { claimedAt: { lt: expect.any(Date) } }]);
+    expect(data).toEqual({ claimedEvent: 'confirmDelivery', claimedAt: expect.any(Date) });
+    expect(prisma.transaction.updateMany.mock.invocationCallOrder[0])
+      .toBeLessThan(release.mock.invocationCallOrder[0]);
+  });
+
+  it('does not call the payment provider when another request holds the claim', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    const release = jest.spyOn(provider, 'release');
+    prisma.transaction.updateMany.mockResolvedValue({ count: 0 });
+    prisma.transaction.findUnique.mockResolvedValue({ status: 'SHIPPED', claimedEvent: 'confirmDelivery' });
+
+    const error = await TransactionStateMachine.transition(transaction, 'confirmDelivery', {
+      actor: 'buyer',
+      username: 'buyer'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.details.inProgress).toBe('confirmDelivery');
+    expect(release).not.toHaveBeenCalled();
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('claims the capture only for a purchase not held for review nor captured yet', async () => {
+    const transaction = buildTransaction({ status: 'PAYMENT_PENDING', riskHold: false, paymentCaptureStatus: null, refundedAmount: 0 });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, paymentCaptureStatus: 'CAPTURED' });
+
+    await TransactionStateMachine.transition(transaction, 'capture', { actor: 'system' });
+
+    expect(prisma.transaction.updateMany.mock.calls[0][0].where).toEqual(expect.objectContaining({
+      status: 'PAYMENT_PENDING',
+      riskHold: false,
+      paymentCaptureStatus: null
+    }));
+    const { where, data } = prisma.tx.transaction.updateMany.mock.calls[0][0];
+    expect(where).toEqual(expect.objectContaining({ riskHold: false, paymentCaptureStatus: null }));
+    expect(data).toEqual(expect.objectContaining({ status: 'PAYMENT_PENDING', paymentCaptureStatus: 'CAPTURED' }));
+    expect((await provider.getStatus('TEST_AUTH_1')).status).toBe('CAPTURED');
+  });
+
+  it('does not capture a cancelled purchase or one held for risk review', async () => {
+    const capture = jest.spyOn(provider, 'capture');
+
+    await expect(TransactionStateMachine.transition(
+      buildTransaction({ status: 'CANCELLED', riskHold: false, paymentCaptureStatus: null }),
+      'capture',
+      { actor: 'system' }
+    )).rejects.toBeInstanceOf(InvalidTransitionError);
+
+    const error = await TransactionStateMachine.transition(
+      buildTransaction({ status: 'PAYMENT_PENDING', riskHold: true, paymentCaptureStatus: null }),
+      'capture',
+      { actor: 'system' }
+    ).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.details.unmet).toEqual({ riskHold: true });
+    expect(capture).not.toHaveBeenCalled();
+    expect(prisma.transaction.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('closes the other offers on the article once it is sold and tells their buyers', async () => {
+    const transaction = buildTransaction({ status: 'SHIPPED' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+    prisma.tx.offer.findMany.mockResolvedValue([
+      { id: 5n, articleId: 3n, articleName: 'Blue jacket', username: 'ada', status: 'PENDING', price: 4000, currency: 'USD' }
+    ]);
+    prisma.tx.offer.updateMany.mockResolvedValue({ count: 1 });
+
+    await TransactionStateMachine.transition(transaction, 'confirmDelivery', { actor: 'buyer', username: 'buyer' });
+
+    expect(prisma.tx.offer.findMany).toHaveBeenCalledWith({
+      where: expect.objectContaining({ articleId: 3n, id: { not: 2n } })
+    });
+    expect(prisma.tx.offer.updateMany).toHaveBeenCalledWith({
+      where: { id: 5n, status: 'PENDING' },
+      data: expect.objectContaining({ status: 'DENIED' })
+    });
+    expect(NotificationService.createOfferNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 5n }),
+      'OFFER_DENIED',
+      'Blue jacket is no longer available: it has been sold to another buyer.'
+    );
+  });
+
+  it('frees the article reserved for the buyer when the purchase is cancelled', async () => {
+    const transaction = buildTransaction({ status: 'PAYMENT_PENDING' });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'CANCELLED' });
+
+    await TransactionStateMachine.transition(transaction, 'cancel', { actor: 'buyer', username: 'buyer' });
+
+    expect(prisma.tx.offer.update).toHaveBeenCalledWith({
+      where: { id: 2n },
+      data: expect.objectContaining({ status: 'ACCEPTED' })
+    });
+    expect(prisma.tx.article.updateMany).toHaveBeenCalledWith({
+      where: { id: 3n, reservedBy: 'buyer' },
+      data: { reservedBy: null, reservedAt: null }
+    });
+  });
+
+  it('voids the authorization when the buyer cancels before the capture', async () => {
+    const { reference } = await provider.authorize({ amount: 50 });
+    const transaction = buildTransaction({ status: 'PAYMENT_PENDING', paymentReference: reference, paymentCaptureStatus: null });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'CANCELLED' });
+
+    await TransactionStateMachine.transition(transaction, 'cancel', { actor: 'buyer', username: 'buyer' });
+
+    expect((await provider.getStatus(reference)).status).toBe('VOIDED');
+    expect(prisma.tx.transaction.updateMany.mock.calls[0][0].data).not.toHaveProperty('refundedAmount');
+    expect(prisma.tx.refund.create).not.toHaveBeenCalled();
+  });
+
+  it('refunds a capture made before the purchase expired', async () => {
+    const { reference } = await provider.authorize({ amount: 50 });
+    await provider.capture(reference, { amount: 50 });
+    const transaction = buildTransaction({
+      status: 'PAYMENT_PENDING',
+      paymentReference: reference,
+      paymentCaptureStatus: 'PENDING',
+      refundedAmount: 0
+    });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ ...transaction, status: 'CANCELLED' });
+
+    await TransactionStateMachine.transition(transaction, 'expire', { actor: 'system' });
+
+    expect((await provider.getStatus(reference)).status).toBe('REFUNDED');
+    expect(prisma.tx.transaction.updateMany.mock.calls[0][0].data.refundedAmount).toEqual({ increment: 5000 });
+    expect(prisma.tx.refund.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ amount: 5000, type: 'FULL', reason: 'Payment timeout', requestedBy: 'system' })
+    });
+    expect(LedgerService.recordRefund).not.toHaveBeenCalled();
+  });
+
+  it('keeps a rejected purchase pending when the authorization cannot be voided', async () => {
+    provider.configure({ failOperations: ['void'] });
+    const transaction = buildTransaction({ status: 'PAYMENT_PENDING', riskHold: true, paymentCaptureStatus: null });
+
+    await expect(TransactionStateMachine.transition(transaction, 'rejectRisk', {
+      actor: 'admin',
+      username: 'admin'
+    })).rejects.toBeInstanceOf(PaymentError);
+
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+    expect(NotificationService.createNotification).not.toHaveBeenCalled();
+  });
+
+  it('rejects illegal moves with InvalidTransitionError', async () => {
+    const transaction = buildTransaction({ status: 'COMPLETED' });
+
+    await expect(TransactionStateMachine.transition(transaction, 'ship', {
+      actor: 'seller',
+      username: 'seller',
+      payload: {}
+    })).rejects.toBeInstanceOf(InvalidTransitionError);
+
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects actors that may not trigger the event', async () => {
+    const transaction = buildTransaction();
+
+    await expect(TransactionStateMachine.transition(transaction, 'ship', {
+      actor: 'buyer',
+      username: 'buyer'
+    })).rejects.toBeInstanceOf(ForbiddenError);
+
+    await expect(TransactionStateMachine.transition(transaction, 'ship', {
+      actor: null,
+      username: 'stranger'
+    })).rejects.toBeInstanceOf(ForbiddenError);
+  });
+
+  it('fails with a conflict when the status changed concurrently', async () => {
+    const transaction = buildTransaction({ status: 'PAYMENT_PENDING' });
+    prisma.tx.transaction.updateMany.mockResolvedValue({ count: 0 });
+    prisma.tx.transaction.findUnique.mockResolvedValue({ status: 'CANCELLED' });
+
+    const error = await TransactionStateMachine.transition(transaction, 'confirmPayment', {
+      actor: 'system'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(InvalidTransitionError);
+    expect(error.details.currentStatus).toBe('CANCELLED');
+  });
+});
@@ -218,6 +218,30 @@ exports.getMyProfile = async (req, res) => {
   }
 };
 
+// Public account details, used by the other services (e.g. account age in
+// the article service's risk checks)
+exports.getUserAccount = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { username: req.params.username },
+      select: {
+        username: true,
+        createdAt: true,
+        badge: true
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching user account:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 exports.updateUsername = async (req, res) => {
   const { newUsername } = req.body;
   try {
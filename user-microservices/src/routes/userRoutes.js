@@ -19,4 +19,7 @@ router.post('/rate/:username', verifyToken, userController.rateUser);
 
 router.put('/username', verifyToken, userController.updateUsername);
 
+// Public account details by username; declared last so it does not shadow /me
+router.get('/:username', userController.getUserAccount);
+
 module.exports = router;